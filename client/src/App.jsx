@@ -16,11 +16,15 @@ const Signup = lazy(() => import('./pages/Signup'));
 const VerifyOTP = lazy(() => import('./pages/VerifyOTP'));
 const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
 const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const TeamInvite = lazy(() => import('./pages/TeamInvite'));
+const VerifyCertificate = lazy(() => import('./pages/VerifyCertificate'));
+const Results = lazy(() => import('./pages/Results'));
 const Dashboard = lazy(() => import('./pages/Dashboard'));
 const Payment = lazy(() => import('./pages/Payment'));
 const AdminDashboard = lazy(() => import('./pages/admin/AdminDashboard'));
 const AddEvent = lazy(() => import('./pages/admin/AddEvent'));
 const EditEvent = lazy(() => import('./pages/admin/EditEvent'));
+const CheckIn = lazy(() => import('./pages/admin/CheckIn'));
 const BackgroundDemo = lazy(() => import('./pages/BackgroundDemo'));
 
 function App() {
@@ -51,11 +55,14 @@ function App() {
                 <Route path="/" element={<Home />} />
                 <Route path="/events" element={<Events />} />
                 <Route path="/events/:id" element={<EventDetails />} />
+                <Route path="/results" element={<Results />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/signup" element={<Signup />} />
                 <Route path="/verify-otp" element={<VerifyOTP />} />
                 <Route path="/forgot-password" element={<ForgotPassword />} />
                 <Route path="/reset-password/:token" element={<ResetPassword />} />
+                <Route path="/team-invite/:token" element={<TeamInvite />} />
+                <Route path="/certificates/verify/:certificateId" element={<VerifyCertificate />} />
                 <Route path="/background-demo" element={<BackgroundDemo />} />
                 
                 {/* Protected Routes */}
@@ -69,6 +76,11 @@ function App() {
                     <Payment />
                   </ProtectedRoute>
                 } />
+                <Route path="/payment/pass/:passPurchaseId" element={
+                  <ProtectedRoute>
+                    <Payment />
+                  </ProtectedRoute>
+                } />
                 
                 {/* Admin Routes */}
                 <Route path="/admin/*" element={
@@ -86,6 +98,11 @@ function App() {
                     <EditEvent />
                   </ProtectedRoute>
                 } />
+                <Route path="/admin/check-in" element={
+                  <ProtectedRoute adminOnly>
+                    <CheckIn />
+                  </ProtectedRoute>
+                } />
               </Routes>
             </Suspense>
             
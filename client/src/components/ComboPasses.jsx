@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Ticket, Clock, CheckCircle, XCircle, IndianRupee } from 'lucide-react';
+import API from '../services/api';
+import toast from 'react-hot-toast';
+import ReceiptButton from './ReceiptButton';
+
+// What a pass covers, in words - listed events win over categories
+const describeCoverage = (pass) => {
+  if (pass?.events?.length > 0) return pass.events.map((event) => event.name).join(', ');
+  if (pass?.categories?.length > 0) return `${pass.categories.join(' / ')} events`;
+  return 'all events';
+};
+
+const PURCHASE_STATUS = {
+  pending: { label: 'Payment pending', color: '#8b4513', icon: Clock },
+  verification_pending: { label: 'Verifying payment', color: '#FA812F', icon: Clock },
+  completed: { label: 'Active', color: '#2d7a3e', icon: CheckCircle },
+  failed: { label: 'Payment rejected', color: '#a83232', icon: XCircle }
+};
+
+const ComboPasses = () => {
+  const navigate = useNavigate();
+  const [passes, setPasses] = useState([]);
+  const [purchases, setPurchases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [buying, setBuying] = useState(null);
+
+  useEffect(() => {
+    fetchPasses();
+  }, []);
+
+  const fetchPasses = async () => {
+    try {
+      const [passesRes, purchasesRes] = await Promise.all([
+        API.get('/passes'),
+        API.get('/passes/my')
+      ]);
+      setPasses(passesRes.data.passes || []);
+      setPurchases(purchasesRes.data.purchases || []);
+    } catch (error) {
+      console.error('Failed to load passes:', error);
+      toast.error('Failed to load combo passes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBuy = async (pass) => {
+    if (!window.confirm(`Buy ${pass.name} for ₹${pass.price}?`)) return;
+
+    setBuying(pass._id);
+    try {
+      const { data } = await API.post(`/passes/${pass._id}/purchase`);
+      toast.success(data.message);
+      if (data.purchase.paymentStatus === 'completed') {
+        fetchPasses();
+      } else {
+        navigate(`/payment/pass/${data.purchase._id}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not buy the pass');
+    } finally {
+      setBuying(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+      </div>
+    );
+  }
+
+  // A pass that is held (or being paid for) isn't offered again
+  const heldPassIds = new Set(
+    purchases.filter((purchase) => purchase.paymentStatus !== 'failed').map((purchase) => purchase.pass?._id)
+  );
+  const onSale = passes.filter((pass) => !heldPassIds.has(pass._id));
+
+  return (
+    <div className="space-y-6">
+      {purchases.length > 0 && (
+        <div className="space-y-4">
+          {purchases.map((purchase) => {
+            const status = PURCHASE_STATUS[purchase.paymentStatus];
+            const StatusIcon = status.icon;
+            const usedEvents = purchase.redemptions.filter((redemption) => !redemption.releasedAt);
+            return (
+              <div key={purchase._id} className="card">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div>
+                    <p className="text-lg font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>{purchase.pass?.name}</p>
+                    <p className="text-xs font-mono" style={{ color: '#5C4033' }}>{purchase.passNumber}</p>
+                    <p className="text-sm mt-1" style={{ color: '#5C4033' }}>
+                      {purchase.eventLimit > 0 ? `Any ${purchase.eventLimit}` : 'All'} {describeCoverage(purchase.pass)}
+                    </p>
+                  </div>
+                  <span className="flex items-center gap-1 text-sm font-semibold" style={{ color: status.color }}>
+                    <StatusIcon className="w-4 h-4" />
+                    {status.label}
+                  </span>
+                </div>
+
+                {purchase.paymentStatus === 'completed' && (
+                  <div className="mt-4">
+                    <p className="text-2xl font-bold" style={{ color: '#FA812F' }}>
+                      {purchase.remaining === null ? 'Unlimited' : `${purchase.remaining} of ${purchase.eventLimit}`}
+                      <span className="text-sm font-semibold ml-2" style={{ color: '#5C4033' }}>events left</span>
+                    </p>
+                    {purchase.eventLimit > 0 && (
+                      <div className="h-2 rounded-full mt-2" style={{ backgroundColor: 'rgba(92, 64, 51, 0.15)' }}>
+                        <div
+                          className="h-2 rounded-full"
+                          style={{ width: `${Math.min(100, (purchase.usedCount / purchase.eventLimit) * 100)}%`, backgroundColor: '#FA812F' }}
+                        />
+                      </div>
+                    )}
+                    {usedEvents.length > 0 && (
+                      <p className="text-xs mt-2" style={{ color: '#5C4033' }}>
+                        Used for: {usedEvents.map((redemption) => redemption.event?.name).filter(Boolean).join(', ')}
+                      </p>
+                    )}
+                    <p className="text-xs mt-2" style={{ color: '#8b4513' }}>
+                      Choose the pass when registering for an event - there's nothing more to pay.
+                    </p>
+                    {purchase.payment && <ReceiptButton payment={purchase.payment} className="mt-3" />}
+                  </div>
+                )}
+
+                {purchase.paymentStatus === 'pending' && (
+                  <button onClick={() => navigate(`/payment/pass/${purchase._id}`)} className="btn-primary text-sm mt-4 flex items-center gap-1">
+                    <IndianRupee className="w-4 h-4" /> Pay ₹{purchase.amount}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-xl font-bold mb-4" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Combo Passes</h3>
+        {onSale.length === 0 ? (
+          <div className="card text-center py-10">
+            <Ticket className="w-12 h-12 mx-auto mb-3" style={{ color: '#5C4033', opacity: 0.4 }} />
+            <p className="font-semibold" style={{ color: '#5C4033' }}>No other passes on sale right now</p>
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-2 gap-4">
+            {onSale.map((pass) => (
+              <div key={pass._id} className="card flex flex-col">
+                <p className="text-lg font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>{pass.name}</p>
+                <p className="text-sm font-semibold mt-1" style={{ color: '#8b4513' }}>
+                  {pass.eventLimit > 0 ? `Any ${pass.eventLimit}` : 'All'} {describeCoverage(pass)}
+                </p>
+                {pass.description && <p className="text-sm mt-2" style={{ color: '#5C4033' }}>{pass.description}</p>}
+                {pass.validUntil && (
+                  <p className="text-xs mt-2" style={{ color: '#5C4033', opacity: 0.7 }}>
+                    On sale until {new Date(pass.validUntil).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}
+                  </p>
+                )}
+                <div className="flex items-center justify-between mt-auto pt-4">
+                  <span className="text-2xl font-bold flex items-center" style={{ color: '#FA812F' }}>
+                    <IndianRupee className="w-5 h-5" />{pass.price}
+                  </span>
+                  <button onClick={() => handleBuy(pass)} disabled={buying === pass._id} className="btn-primary text-sm disabled:opacity-50">
+                    {buying === pass._id ? 'Please wait...' : 'Buy Pass'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ComboPasses;
@@ -4,6 +4,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { LogOut, User, LayoutDashboard, ChevronDown, BookOpen, Download, X, Eye } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { getImageUrl } from '../utils/imageUtils';
+import NotificationBell from './NotificationBell';
 
 const DesktopNavbar = () => {
   const [scrolled, setScrolled] = useState(false);
@@ -82,6 +83,7 @@ const DesktopNavbar = () => {
           <div className="flex items-center space-x-8">
             <NavLink to="/">Home</NavLink>
             <NavLink to="/events">Events</NavLink>
+            <NavLink to="/results">Results</NavLink>
             <button
               onClick={() => setShowRulebookModal(true)}
               className="transition-all duration-300 relative group font-bold text-sm tracking-wide"
@@ -100,6 +102,7 @@ const DesktopNavbar = () => {
                   </NavLink>
                 )}
                 <div className="flex items-center space-x-4">
+                  <NotificationBell />
                   <div className="relative">
                     <button
                       onClick={() => setShowProfileMenu(!showProfileMenu)}
@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { Ticket, X } from 'lucide-react';
+
+const EntryPassQR = ({ pass, registrationNumber }) => {
+  const [qrDataUrl, setQrDataUrl] = useState(null);
+  const [enlarged, setEnlarged] = useState(false);
+
+  useEffect(() => {
+    if (!pass) return;
+    QRCode.toDataURL(pass, {
+      errorCorrectionLevel: 'M',
+      margin: 2,
+      width: 360,
+      color: { dark: '#2C1810', light: '#FFFFFF' }
+    })
+      .then(setQrDataUrl)
+      .catch((error) => console.error('Failed to render entry pass:', error));
+  }, [pass]);
+
+  if (!qrDataUrl) return null;
+
+  return (
+    <>
+      <button
+        onClick={() => setEnlarged(true)}
+        className="flex flex-col items-center gap-1 p-2 rounded-lg transition-all hover:shadow-md"
+        style={{ backgroundColor: '#FFFFFF', border: '2px solid rgba(250, 129, 47, 0.4)' }}
+        title="Show entry pass"
+      >
+        <img src={qrDataUrl} alt="Entry pass QR code" className="w-24 h-24" />
+        <span className="flex items-center text-xs font-semibold" style={{ color: '#5C4033' }}>
+          <Ticket className="w-3 h-3 mr-1" />
+          Entry Pass
+        </span>
+      </button>
+
+      {enlarged && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-md"
+          style={{ backgroundColor: 'rgba(92, 64, 51, 0.7)' }}
+          onClick={() => setEnlarged(false)}
+        >
+          <div className="rounded-2xl p-6 shadow-2xl text-center" style={{ backgroundColor: '#FEF3E2' }} onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Entry Pass</h3>
+              <button
+                onClick={() => setEnlarged(false)}
+                className="p-2 rounded-full hover:bg-black/10"
+                style={{ color: '#5C4033' }}
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <img src={qrDataUrl} alt="Entry pass QR code" className="w-72 h-72 mx-auto" />
+            {registrationNumber && (
+              <p className="mt-3 font-mono font-bold" style={{ color: '#5C4033' }}>{registrationNumber}</p>
+            )}
+            <p className="mt-1 text-sm" style={{ color: '#8b4513' }}>Show this at the venue for check-in</p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default EntryPassQR;
@@ -1,9 +1,10 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Menu, X as CloseIcon, LogOut, User, LayoutDashboard, BookOpen, Home, Calendar, Download, Eye } from 'lucide-react';
+import { Menu, X as CloseIcon, LogOut, User, LayoutDashboard, BookOpen, Home, Calendar, Download, Eye, Trophy } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { getImageUrl } from '../utils/imageUtils';
+import NotificationBell from './NotificationBell';
 
 const MobileNavbar = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -85,6 +86,7 @@ const MobileNavbar = () => {
 
           {/* User Info & Menu Button */}
           <div className="flex items-center space-x-2">
+            <NotificationBell mobile />
             {user && (
               <div className="flex items-center space-x-2 glass-effect px-2 py-1 rounded-lg" style={{ backgroundColor: 'rgba(255, 255, 255, 0.6)' }}>
                 {user.avatar ? (
@@ -137,6 +139,11 @@ const MobileNavbar = () => {
                 <span>Events</span>
               </MobileNavLink>
               
+              <MobileNavLink to="/results" onClick={() => setIsOpen(false)}>
+                <Trophy className="w-5 h-5" />
+                <span>Results</span>
+              </MobileNavLink>
+              
               <button
                 onClick={() => {
                   setIsOpen(false);
@@ -0,0 +1,103 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Award, Download, ShieldCheck } from 'lucide-react';
+import API from '../services/api';
+import toast from 'react-hot-toast';
+
+const MyCertificates = () => {
+  const [certificates, setCertificates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(null);
+
+  useEffect(() => {
+    const fetchCertificates = async () => {
+      try {
+        const { data } = await API.get('/certificates/my');
+        setCertificates(data.certificates || []);
+      } catch (error) {
+        console.error('Failed to load certificates:', error);
+        toast.error('Failed to load certificates');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCertificates();
+  }, []);
+
+  const handleDownload = async (certificate) => {
+    setDownloading(certificate.certificateId);
+    try {
+      const response = await API.get(`/certificates/${certificate.certificateId}/pdf`, { responseType: 'blob' });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${certificate.event?.name || 'Savishkar'} - ${certificate.certificateId}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download certificate');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+      </div>
+    );
+  }
+
+  if (certificates.length === 0) {
+    return (
+      <div className="card text-center py-12">
+        <Award className="w-16 h-16 mx-auto mb-4" style={{ color: '#5C4033', opacity: 0.4 }} />
+        <h3 className="text-xl font-bold mb-2" style={{ color: '#5C4033' }}>No Certificates Yet</h3>
+        <p style={{ color: '#5C4033' }}>Certificates appear here once the organizers issue them after your events.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      {certificates.map((certificate) => (
+        <div key={certificate._id} className="card flex flex-col">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <p className="text-lg font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>{certificate.event?.name}</p>
+              <p className="text-sm font-semibold mt-1" style={{ color: certificate.type === 'winner' ? '#FA812F' : '#5C4033' }}>
+                {certificate.type === 'winner' ? 'Winner' : 'Participation'}
+                {certificate.teamName && ` • ${certificate.teamName}`}
+              </p>
+            </div>
+            <Award className="w-8 h-8 flex-shrink-0" style={{ color: certificate.type === 'winner' ? '#FAB12F' : '#8b4513' }} />
+          </div>
+          <p className="text-xs font-mono mt-2" style={{ color: '#5C4033' }}>{certificate.certificateId}</p>
+          <div className="flex flex-wrap gap-2 mt-auto pt-4">
+            <button
+              onClick={() => handleDownload(certificate)}
+              disabled={downloading === certificate.certificateId}
+              className="btn-primary text-sm flex items-center gap-1 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              {downloading === certificate.certificateId ? 'Downloading...' : 'Download PDF'}
+            </button>
+            <Link
+              to={`/certificates/verify/${certificate.certificateId}`}
+              className="btn-secondary text-sm flex items-center gap-1"
+            >
+              <ShieldCheck className="w-4 h-4" />
+              Verify
+            </Link>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MyCertificates;
@@ -0,0 +1,291 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Calendar, CalendarPlus, Copy, Check, Download, MapPin, RefreshCw, AlertCircle } from 'lucide-react';
+import API from '../services/api';
+import toast from 'react-hot-toast';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const HOUR_HEIGHT = 64; // px per hour on the grid
+
+// Day key (YYYY-MM-DD) and minutes after midnight in IST, regardless of the viewer's timezone
+const toIST = (value) => {
+  const shifted = new Date(new Date(value).getTime() + IST_OFFSET_MS);
+  return {
+    dayKey: shifted.toISOString().slice(0, 10),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+  };
+};
+
+const formatTime = (value) => {
+  return new Date(value).toLocaleTimeString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const formatDay = (dayKey) => {
+  return new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-IN', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  });
+};
+
+// Group items by IST day and place overlapping items side by side in lanes
+const buildDays = (items) => {
+  const days = new Map();
+
+  for (const item of items) {
+    const start = toIST(item.start);
+    const durationMinutes = Math.max(15, (new Date(item.end) - new Date(item.start)) / 60000);
+    const block = { ...item, startMinutes: start.minutes, endMinutes: start.minutes + durationMinutes };
+
+    if (!days.has(start.dayKey)) days.set(start.dayKey, []);
+    days.get(start.dayKey).push(block);
+  }
+
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dayKey, blocks]) => {
+      const laneEnds = [];
+      blocks.sort((a, b) => a.startMinutes - b.startMinutes);
+      for (const block of blocks) {
+        let lane = laneEnds.findIndex(end => end <= block.startMinutes);
+        if (lane === -1) {
+          lane = laneEnds.length;
+          laneEnds.push(0);
+        }
+        laneEnds[lane] = block.endMinutes;
+        block.lane = lane;
+      }
+      return { dayKey, blocks, lanes: Math.max(1, laneEnds.length) };
+    });
+};
+
+const blockStyle = (item) => {
+  if (item.status === 'waitlisted') {
+    return { backgroundColor: 'rgba(139, 69, 19, 0.12)', border: '2px dashed #8b4513', color: '#5C4033' };
+  }
+  if (item.paymentStatus !== 'completed') {
+    return { backgroundColor: 'rgba(250, 177, 47, 0.25)', border: '2px solid #FAB12F', color: '#5C4033' };
+  }
+  return { backgroundColor: 'rgba(250, 129, 47, 0.2)', border: '2px solid #FA812F', color: '#5C4033' };
+};
+
+const MySchedule = () => {
+  const [schedule, setSchedule] = useState({ scheduled: [], unscheduled: [] });
+  const [loading, setLoading] = useState(true);
+  const [feed, setFeed] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, []);
+
+  const fetchSchedule = async () => {
+    try {
+      const { data } = await API.get('/schedule/my');
+      setSchedule({ scheduled: data.scheduled, unscheduled: data.unscheduled });
+    } catch (error) {
+      console.error('Failed to load schedule:', error);
+      toast.error('Failed to load your schedule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchFeed = async () => {
+    try {
+      const { data } = await API.get('/schedule/calendar-link');
+      setFeed(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to get calendar link');
+    }
+  };
+
+  const resetFeed = async () => {
+    if (!window.confirm('Reset your calendar link? Calendars subscribed with the old link will stop updating.')) {
+      return;
+    }
+    try {
+      const { data } = await API.post('/schedule/calendar-link/reset');
+      setFeed(data);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset calendar link');
+    }
+  };
+
+  const copyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Copy failed:', error);
+      toast.error('Could not copy the link');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+      </div>
+    );
+  }
+
+  const days = buildDays(schedule.scheduled);
+  const allBlocks = days.flatMap(day => day.blocks);
+  const gridStart = allBlocks.length ? Math.floor(Math.min(...allBlocks.map(b => b.startMinutes)) / 60) * 60 : 9 * 60;
+  const gridEnd = allBlocks.length ? Math.ceil(Math.max(...allBlocks.map(b => b.endMinutes)) / 60) * 60 : 17 * 60;
+  const hours = [];
+  for (let minutes = gridStart; minutes < gridEnd; minutes += 60) {
+    hours.push(minutes);
+  }
+  const gridHeight = ((gridEnd - gridStart) / 60) * HOUR_HEIGHT;
+
+  return (
+    <div className="space-y-6">
+      {/* Calendar subscription */}
+      <div className="card">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <CalendarPlus className="w-5 h-5" style={{ color: '#FA812F' }} />
+            <div>
+              <p className="font-bold" style={{ color: '#1a365d' }}>Add to your calendar</p>
+              <p className="text-xs" style={{ color: '#5C4033' }}>Subscribe once - timing or venue changes show up automatically.</p>
+            </div>
+          </div>
+          {!feed && (
+            <button onClick={fetchFeed} className="btn-primary text-sm">
+              Get Calendar Link
+            </button>
+          )}
+        </div>
+
+        {feed && (
+          <div className="mt-4 space-y-3">
+            <div className="flex items-center gap-2">
+              <input readOnly value={feed.url} className="input-field text-xs font-mono flex-1" onFocus={(e) => e.target.select()} />
+              <button onClick={copyFeed} className="p-2 rounded-lg" style={{ backgroundColor: 'rgba(250, 129, 47, 0.2)', color: '#FA812F' }} title="Copy link">
+                {copied ? <Check className="w-5 h-5" /> : <Copy className="w-5 h-5" />}
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <a href={feed.webcalUrl} className="btn-primary text-sm flex items-center gap-1">
+                <CalendarPlus className="w-4 h-4" /> Subscribe
+              </a>
+              <a href={feed.url} className="text-sm px-3 py-2 rounded-lg font-semibold flex items-center gap-1" style={{ backgroundColor: 'rgba(92, 64, 51, 0.1)', color: '#5C4033' }}>
+                <Download className="w-4 h-4" /> Download .ics
+              </a>
+              <button onClick={resetFeed} className="text-sm px-3 py-2 rounded-lg font-semibold flex items-center gap-1" style={{ backgroundColor: 'rgba(168, 50, 50, 0.1)', color: '#a83232' }}>
+                <RefreshCw className="w-4 h-4" /> Reset Link
+              </button>
+            </div>
+            <p className="text-xs" style={{ color: '#8b4513' }}>Keep this link private - anyone with it can see your schedule.</p>
+          </div>
+        )}
+      </div>
+
+      {days.length === 0 && schedule.unscheduled.length === 0 ? (
+        <div className="card text-center py-12">
+          <Calendar className="w-16 h-16 mx-auto mb-4" style={{ color: '#5C4033', opacity: 0.4 }} />
+          <p className="font-semibold mb-4" style={{ color: '#5C4033' }}>Nothing on your schedule yet</p>
+          <Link to="/events" className="btn-primary inline-block">Browse Events</Link>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <div className="flex min-w-max">
+            {/* Hour labels */}
+            <div className="w-16 flex-shrink-0 pt-10">
+              <div className="relative" style={{ height: gridHeight }}>
+                {hours.map((minutes) => (
+                  <div
+                    key={minutes}
+                    className="absolute text-xs font-semibold"
+                    style={{ top: ((minutes - gridStart) / 60) * HOUR_HEIGHT - 8, color: '#5C4033' }}
+                  >
+                    {formatTime(Date.UTC(2000, 0, 1, 0, minutes) - IST_OFFSET_MS)}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {days.map((day) => (
+              <div key={day.dayKey} className="flex-1 min-w-[200px] border-l" style={{ borderColor: 'rgba(92, 64, 51, 0.15)' }}>
+                <div className="h-10 flex items-center justify-center font-bold text-sm" style={{ color: '#1a365d' }}>
+                  {formatDay(day.dayKey)}
+                </div>
+                <div className="relative" style={{ height: gridHeight }}>
+                  {hours.map((minutes) => (
+                    <div
+                      key={minutes}
+                      className="absolute w-full border-t"
+                      style={{ top: ((minutes - gridStart) / 60) * HOUR_HEIGHT, borderColor: 'rgba(92, 64, 51, 0.1)' }}
+                    />
+                  ))}
+                  {day.blocks.map((item) => (
+                    <Link
+                      key={item.registrationId}
+                      to={`/events/${item.event._id}`}
+                      className="absolute rounded-lg p-2 overflow-hidden text-xs hover:shadow-lg transition-shadow"
+                      style={{
+                        ...blockStyle(item),
+                        top: ((item.startMinutes - gridStart) / 60) * HOUR_HEIGHT + 1,
+                        height: ((item.endMinutes - item.startMinutes) / 60) * HOUR_HEIGHT - 2,
+                        left: `calc(${(item.lane / day.lanes) * 100}% + 2px)`,
+                        width: `calc(${100 / day.lanes}% - 4px)`
+                      }}
+                      title={`${item.event.name} • ${formatTime(item.start)} – ${formatTime(item.end)}${item.estimatedEnd ? ' (end time estimated)' : ''}`}
+                    >
+                      <p className="font-bold leading-tight" style={{ color: '#1a365d' }}>{item.event.name}</p>
+                      <p className="mt-0.5">
+                        {formatTime(item.start)} – {formatTime(item.end)}{item.estimatedEnd && '*'}
+                      </p>
+                      {item.event.venue && (
+                        <p className="flex items-center mt-0.5 truncate">
+                          <MapPin className="w-3 h-3 mr-1 flex-shrink-0" />
+                          {item.event.venue}
+                        </p>
+                      )}
+                      {item.status === 'waitlisted' && <p className="font-semibold mt-0.5">Waitlist #{item.waitlistPosition}</p>}
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-4 mt-4 text-xs" style={{ color: '#5C4033' }}>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded" style={{ backgroundColor: 'rgba(250, 129, 47, 0.4)' }} /> Confirmed</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded" style={{ backgroundColor: 'rgba(250, 177, 47, 0.5)' }} /> Payment pending</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-dashed" style={{ borderColor: '#8b4513' }} /> Waitlisted</span>
+            <span>* End time estimated</span>
+          </div>
+        </div>
+      )}
+
+      {schedule.unscheduled.length > 0 && (
+        <div className="card">
+          <p className="flex items-center font-bold mb-2" style={{ color: '#8b4513' }}>
+            <AlertCircle className="w-4 h-4 mr-2" />
+            Time not announced yet
+          </p>
+          <ul className="space-y-1 text-sm" style={{ color: '#5C4033' }}>
+            {schedule.unscheduled.map((item) => (
+              <li key={item.registrationId}>
+                <Link to={`/events/${item.event._id}`} className="font-semibold hover:underline">{item.event.name}</Link>
+                {' - '}{new Date(item.event.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}, {item.event.time}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MySchedule;
@@ -0,0 +1,201 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bell, CalendarCheck, CreditCard, Megaphone, Clock, XCircle, CheckCheck } from 'lucide-react';
+import API from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const POLL_INTERVAL = 60 * 1000;
+
+const TYPE_ICONS = {
+  registration: CalendarCheck,
+  payment: CreditCard,
+  update: Megaphone,
+  reminder: Clock,
+  cancellation: XCircle
+};
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+};
+
+// Bell with unread badge and the in-app notification inbox
+const NotificationBell = ({ mobile = false }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchUnreadCount = async () => {
+      try {
+        const { data } = await API.get('/notifications/unread-count');
+        setUnreadCount(data.count);
+      } catch {
+        // Badge just stays as it was until the next poll
+      }
+    };
+
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [user]);
+
+  // Close when clicking outside the inbox
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const fetchNotifications = async (nextPage = 1) => {
+    setLoading(true);
+    try {
+      const { data } = await API.get('/notifications', { params: { page: nextPage } });
+      setNotifications(nextPage === 1 ? data.notifications : [...notifications, ...data.notifications]);
+      setUnreadCount(data.unreadCount);
+      setPage(data.page);
+      setPages(data.pages);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleInbox = () => {
+    if (!open) fetchNotifications(1);
+    setOpen(!open);
+  };
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.isRead) {
+      setNotifications(notifications.map((item) => (item._id === notification._id ? { ...item, isRead: true } : item)));
+      setUnreadCount(Math.max(unreadCount - 1, 0));
+      try {
+        await API.put(`/notifications/${notification._id}/read`);
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+    navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await API.put('/notifications/read-all');
+      setNotifications(notifications.map((item) => ({ ...item, isRead: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={toggleInbox}
+        className={`relative glass-effect rounded-lg ${mobile ? 'p-2' : 'p-2.5'}`}
+        style={{ backgroundColor: 'rgba(255, 255, 255, 0.6)' }}
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+      >
+        <Bell className="w-5 h-5" style={{ color: '#FA812F' }} />
+        {unreadCount > 0 && (
+          <span
+            className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full text-[11px] font-bold flex items-center justify-center"
+            style={{ backgroundColor: '#a83232', color: '#FFFFFF' }}
+          >
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className={`${mobile ? 'fixed left-3 right-3 top-16' : 'absolute right-0 mt-2 w-96'} rounded-lg shadow-xl overflow-hidden z-50`}
+            style={{ background: 'rgba(255, 255, 255, 0.97)', border: '2px solid rgba(250, 129, 47, 0.3)' }}
+          >
+            <div className="flex items-center justify-between px-4 py-3" style={{ borderBottom: '1px solid rgba(250, 129, 47, 0.3)' }}>
+              <span className="font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Notifications</span>
+              {unreadCount > 0 && (
+                <button onClick={handleMarkAllRead} className="text-xs font-semibold flex items-center gap-1" style={{ color: '#FA812F' }}>
+                  <CheckCheck className="w-4 h-4" /> Mark all read
+                </button>
+              )}
+            </div>
+
+            <div className="max-h-[28rem] overflow-y-auto">
+              {notifications.length === 0 ? (
+                <p className="px-4 py-8 text-sm text-center" style={{ color: '#5C4033', opacity: 0.7 }}>
+                  {loading ? 'Loading...' : "You're all caught up"}
+                </p>
+              ) : (
+                notifications.map((notification) => {
+                  const Icon = TYPE_ICONS[notification.type] || Bell;
+                  return (
+                    <button
+                      key={notification._id}
+                      onClick={() => handleOpenNotification(notification)}
+                      className="w-full text-left px-4 py-3 flex gap-3 transition-colors hover:bg-orange-50"
+                      style={{
+                        borderBottom: '1px solid rgba(92, 64, 51, 0.1)',
+                        backgroundColor: notification.isRead ? 'transparent' : 'rgba(250, 177, 47, 0.12)'
+                      }}
+                    >
+                      <Icon className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: notification.isRead ? '#8b4513' : '#FA812F' }} />
+                      <div className="min-w-0 flex-1">
+                        <p className={`text-sm ${notification.isRead ? '' : 'font-bold'}`} style={{ color: '#2C1810' }}>{notification.subject}</p>
+                        {notification.summary && (
+                          <p className="text-xs mt-0.5 line-clamp-2" style={{ color: '#5C4033' }}>{notification.summary}</p>
+                        )}
+                        <p className="text-[11px] mt-1" style={{ color: '#8b4513', opacity: 0.8 }}>{timeAgo(notification.createdAt)}</p>
+                      </div>
+                      {!notification.isRead && (
+                        <span className="w-2 h-2 rounded-full flex-shrink-0 mt-2" style={{ backgroundColor: '#FA812F' }} />
+                      )}
+                    </button>
+                  );
+                })
+              )}
+              {page < pages && (
+                <button
+                  onClick={() => fetchNotifications(page + 1)}
+                  disabled={loading}
+                  className="w-full py-3 text-sm font-semibold disabled:opacity-50"
+                  style={{ color: '#FA812F' }}
+                >
+                  {loading ? 'Loading...' : 'Load more'}
+                </button>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { FileText } from 'lucide-react';
+import API from '../services/api';
+import toast from 'react-hot-toast';
+
+// Downloads the PDF receipt of an approved payment
+const ReceiptButton = ({ payment, className = '' }) => {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const response = await API.get(`/payments/${payment._id}/receipt`, { responseType: 'blob' });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${payment.receipt?.number || 'receipt'}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download receipt');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleDownload}
+      disabled={downloading}
+      className={`text-sm text-center px-3 py-2 rounded-lg font-semibold transition-all hover:shadow-md flex items-center justify-center gap-1 disabled:opacity-50 ${className}`}
+      style={{ backgroundColor: 'rgba(250, 129, 47, 0.1)', border: '2px solid rgba(250, 129, 47, 0.3)', color: '#8b4513' }}
+    >
+      <FileText className="w-4 h-4" />
+      {downloading ? 'Downloading...' : 'Receipt'}
+    </button>
+  );
+};
+
+export default ReceiptButton;
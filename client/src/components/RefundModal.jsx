@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { X, IndianRupee, AlertCircle, CheckCircle } from 'lucide-react';
+import API from '../services/api';
+import toast from 'react-hot-toast';
+
+// Cancel a paid registration (optionally asking for a refund), or request a refund
+// for a payment whose registration is already cancelled or was rejected
+const RefundModal = ({ registration, payment, onClose, onDone }) => {
+  const isCancel = Boolean(registration);
+  const [preview, setPreview] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(isCancel);
+  const [wantsRefund, setWantsRefund] = useState(true);
+  const [upiId, setUpiId] = useState('');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isCancel) {
+      fetchPreview();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchPreview = async () => {
+    try {
+      const { data } = await API.get(`/payments/registration/${registration._id}/refund-eligibility`);
+      setPreview(data);
+      setWantsRefund(data.refundable && data.eligibility?.eligible);
+    } catch (error) {
+      console.error('Failed to load refund eligibility:', error);
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  const needsUpiId = isCancel ? preview?.requiresUpiId : payment?.method === 'offline';
+  const requestingRefund = isCancel ? wantsRefund && preview?.refundable : true;
+
+  const handleSubmit = async () => {
+    if (requestingRefund && needsUpiId && !upiId.trim()) {
+      toast.error('Please enter the UPI ID the refund should be sent to');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (isCancel) {
+        const { data } = await API.put(`/registrations/${registration._id}/cancel`, {
+          requestRefund: requestingRefund,
+          refundUpiId: upiId.trim(),
+          refundNote: note.trim()
+        });
+        toast.success(data.message);
+        if (data.refund?.error) {
+          toast.error(`Refund not requested: ${data.refund.error}`);
+        } else if (data.refund?.status === 'denied') {
+          toast.error(`Refund not available: ${data.refund.reason}`);
+        } else if (data.refund) {
+          toast.success(`Refund of ₹${data.refund.amount} requested`);
+        }
+      } else {
+        const { data } = await API.post(`/payments/${payment._id}/refund-request`, {
+          upiId: upiId.trim(),
+          note: note.trim()
+        });
+        if (data.payment.refundStatus === 'denied') {
+          toast.error(data.message);
+        } else {
+          toast.success(data.message);
+        }
+      }
+      onDone();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const eventName = registration?.event?.name || payment?.event?.name;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-md"
+      style={{ backgroundColor: 'rgba(92, 64, 51, 0.7)' }}
+      onClick={onClose}
+    >
+      <div className="max-w-md w-full rounded-2xl p-6 shadow-2xl" style={{ backgroundColor: '#FEF3E2' }} onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>
+            {isCancel ? 'Cancel Registration' : 'Request Refund'}
+          </h3>
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-black/10" style={{ color: '#5C4033' }}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm mb-4" style={{ color: '#5C4033' }}>
+          {isCancel
+            ? <>Cancel your registration for <strong>{eventName}</strong>? Your seat will go to the next person on the waitlist.</>
+            : <>Request a refund of your payment for <strong>{eventName}</strong>.</>}
+        </p>
+
+        {isCancel && (loadingPreview ? (
+          <p className="text-sm mb-4" style={{ color: '#5C4033', opacity: 0.7 }}>Checking refund policy...</p>
+        ) : preview?.refundable && (
+          <div
+            className="p-3 rounded-lg mb-4 text-sm"
+            style={preview.eligibility.eligible
+              ? { backgroundColor: 'rgba(45, 122, 62, 0.1)', border: '2px solid rgba(45, 122, 62, 0.3)', color: '#2d7a3e' }
+              : { backgroundColor: 'rgba(168, 50, 50, 0.1)', border: '2px solid rgba(168, 50, 50, 0.3)', color: '#a83232' }}
+          >
+            <p className="flex items-center font-semibold">
+              {preview.eligibility.eligible ? <CheckCircle className="w-4 h-4 mr-2" /> : <AlertCircle className="w-4 h-4 mr-2" />}
+              {preview.eligibility.eligible
+                ? `Refund available: ₹${preview.eligibility.amount} of ₹${preview.amountPaid}`
+                : 'No refund available'}
+            </p>
+            <p className="mt-1">{preview.eligibility.reason}</p>
+            {preview.eligibility.eligible && (
+              <label className="flex items-center gap-2 mt-2 font-semibold cursor-pointer">
+                <input type="checkbox" checked={wantsRefund} onChange={(e) => setWantsRefund(e.target.checked)} />
+                Request a refund
+              </label>
+            )}
+          </div>
+        ))}
+
+        {!isCancel && (
+          <p className="text-xs mb-4" style={{ color: '#8b4513' }}>
+            Eligibility is checked against the refund policy when you submit.
+          </p>
+        )}
+
+        {requestingRefund && (isCancel ? preview?.eligibility?.eligible : true) && (
+          <div className="space-y-3 mb-4">
+            {needsUpiId && (
+              <div>
+                <label className="block text-sm mb-1 font-semibold" style={{ color: '#FA812F' }}>Refund to UPI ID *</label>
+                <input
+                  type="text"
+                  value={upiId}
+                  onChange={(e) => setUpiId(e.target.value)}
+                  className="input-field"
+                  placeholder="yourname@upi"
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm mb-1 font-semibold" style={{ color: '#FA812F' }}>Note (optional)</label>
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                className="input-field"
+                placeholder="Anything the organizers should know"
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button onClick={onClose} className="flex-1 btn-secondary" disabled={submitting}>
+            Back
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={submitting || loadingPreview}
+            className="flex-1 px-4 py-2 rounded-lg font-semibold text-white flex items-center justify-center gap-1 disabled:opacity-50"
+            style={{ backgroundColor: isCancel ? '#a83232' : '#FA812F' }}
+          >
+            {!isCancel && <IndianRupee className="w-4 h-4" />}
+            {submitting ? 'Please wait...' : isCancel ? 'Cancel Registration' : 'Request Refund'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RefundModal;
@@ -0,0 +1,41 @@
+import { Trophy, Medal } from 'lucide-react';
+
+const POSITION_COLORS = { 1: '#FAB12F', 2: '#8b4513', 3: '#FA812F' };
+
+// Published winners of an event, one list per registration category
+const ResultGroups = ({ groups }) => {
+  return (
+    <div className="space-y-5">
+      {groups.map((group) => (
+        <div key={group.category || 'all'}>
+          {group.category && (
+            <h3 className="font-bold mb-2" style={{ color: '#8b4513' }}>{group.category}</h3>
+          )}
+          <ul className="space-y-2">
+            {group.winners.map((winner) => (
+              <li
+                key={`${winner.position}-${winner.registrationNumber}`}
+                className="flex items-start gap-3 p-3 rounded-lg"
+                style={{ backgroundColor: 'rgba(250, 129, 47, 0.08)', border: '1px solid rgba(250, 129, 47, 0.25)' }}
+              >
+                {winner.position === 1
+                  ? <Trophy className="w-6 h-6 flex-shrink-0" style={{ color: POSITION_COLORS[1] }} />
+                  : <Medal className="w-6 h-6 flex-shrink-0" style={{ color: POSITION_COLORS[winner.position] || '#5C4033' }} />}
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold" style={{ color: POSITION_COLORS[winner.position] || '#5C4033' }}>{winner.label}</p>
+                  <p className="font-bold" style={{ color: '#2C1810' }}>{winner.teamName || winner.name}</p>
+                  {winner.teamName && (
+                    <p className="text-sm" style={{ color: '#5C4033' }}>{[winner.name, ...winner.members].join(', ')}</p>
+                  )}
+                  {winner.college && <p className="text-xs" style={{ color: '#5C4033', opacity: 0.8 }}>{winner.college}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ResultGroups;
@@ -1,24 +1,35 @@
 import { useState, useEffect, useRef } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Calendar, MapPin, IndianRupee, CheckCircle, Clock, XCircle, User, Mail, Phone, Building2, Camera, AlertCircle, Copy, Check, Ticket } from 'lucide-react';
+import { Calendar, MapPin, IndianRupee, CheckCircle, Clock, XCircle, User, Mail, Phone, Building2, Camera, AlertCircle, Copy, Check, Ticket, Layers, Award } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useNotification } from '../context/NotificationContext';
 import API from '../services/api';
 import toast from 'react-hot-toast';
 import { getImageUrl } from '../utils/imageUtils';
+import EntryPassQR from '../components/EntryPassQR';
+import MySchedule from '../components/MySchedule';
+import ComboPasses from '../components/ComboPasses';
+import MyCertificates from '../components/MyCertificates';
+import RefundModal from '../components/RefundModal';
+import ReceiptButton from '../components/ReceiptButton';
 
 const Dashboard = () => {
   const { user, refreshUser } = useAuth();
   const { showNotification } = useNotification();
   const [registrations, setRegistrations] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [refundTarget, setRefundTarget] = useState(null);
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [searchParams] = useSearchParams();
+  const [activeView, setActiveView] = useState(searchParams.get('view') || 'registrations');
   const fileInputRef = useRef(null);
 
   useEffect(() => {
     fetchRegistrations();
+    fetchPayments();
   }, []);
 
   const fetchRegistrations = async () => {
@@ -37,6 +48,85 @@ const Dashboard = () => {
     }
   };
 
+  const fetchPayments = async () => {
+    try {
+      const { data } = await API.get('/payments/my');
+      setPayments(data.payments);
+    } catch (error) {
+      console.error('Failed to load payments:', error);
+    }
+  };
+
+  // Latest payment that actually received money, per registration
+  const paidPaymentByRegistration = {};
+  for (const payment of payments) {
+    const registrationId = payment.registration?._id;
+    if (registrationId && (payment.utrNumber || payment.razorpayPaymentId) && !paidPaymentByRegistration[registrationId]) {
+      paidPaymentByRegistration[registrationId] = payment;
+    }
+  }
+
+  // Rejected payments lose their registration, so they're listed separately
+  const rejectedPayments = payments.filter((payment) =>
+    payment.status === 'failed' && !payment.registration && !payment.passPurchase && (payment.utrNumber || payment.razorpayPaymentId)
+  );
+
+  const handleRefundDone = () => {
+    setRefundTarget(null);
+    fetchRegistrations();
+    fetchPayments();
+  };
+
+  const handleCancelRegistration = async (registration) => {
+    // Paid registrations go through the refund modal so the participant sees what they'll get back
+    if (registration.status === 'registered' && registration.amount > 0 &&
+      ['completed', 'verification_pending'].includes(registration.paymentStatus)) {
+      setRefundTarget({ registration });
+      return;
+    }
+
+    const isWaitlisted = registration.status === 'waitlisted';
+    const message = isWaitlisted
+      ? `Leave the waitlist for ${registration.event?.name}?`
+      : `Cancel your registration for ${registration.event?.name}? Your seat will go to the next person on the waitlist.`;
+
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      const { data } = await API.put(`/registrations/${registration._id}/cancel`);
+      toast.success(data.message);
+      fetchRegistrations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel registration');
+    }
+  };
+
+  const handleInviteResponse = async (registration, action) => {
+    if (action === 'decline' && !window.confirm(`Decline the invitation to join ${registration.teamName || 'this team'} for ${registration.event?.name}?`)) {
+      return;
+    }
+
+    try {
+      const { data } = await API.put(`/registrations/${registration._id}/team-invite`, { action });
+      toast.success(data.message);
+      fetchRegistrations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to respond to invitation');
+    }
+  };
+
+  const handleResendInvite = async (registration, member) => {
+    try {
+      const { data } = await API.post(`/registrations/${registration._id}/team-invite/${member._id}/resend`);
+      toast.success(data.message);
+      fetchRegistrations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to re-send invitation');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
@@ -268,9 +358,39 @@ const Dashboard = () => {
               animate={{ opacity: 1, x: 0 }}
               transition={{ delay: 0.3 }}
             >
-              <h2 className="text-2xl font-bold mb-6" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>My Registrations</h2>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <h2 className="text-2xl font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>
+                  {{ schedule: 'My Schedule', passes: 'My Passes', certificates: 'My Certificates' }[activeView] || 'My Registrations'}
+                </h2>
+                <div className="flex rounded-lg overflow-hidden" style={{ border: '2px solid rgba(250, 129, 47, 0.4)' }}>
+                  {[
+                    { id: 'registrations', label: 'Registrations', icon: <Ticket className="w-4 h-4" /> },
+                    { id: 'schedule', label: 'Schedule', icon: <Calendar className="w-4 h-4" /> },
+                    { id: 'passes', label: 'Passes', icon: <Layers className="w-4 h-4" /> },
+                    { id: 'certificates', label: 'Certificates', icon: <Award className="w-4 h-4" /> }
+                  ].map(({ id, label, icon }) => (
+                    <button
+                      key={id}
+                      onClick={() => setActiveView(id)}
+                      className="flex items-center gap-1 px-4 py-2 text-sm font-semibold transition-colors"
+                      style={activeView === id
+                        ? { backgroundColor: '#FA812F', color: '#FEF3E2' }
+                        : { backgroundColor: 'transparent', color: '#5C4033' }}
+                    >
+                      {icon}
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
 
-              {loading ? (
+              {activeView === 'schedule' ? (
+                <MySchedule />
+              ) : activeView === 'passes' ? (
+                <ComboPasses />
+              ) : activeView === 'certificates' ? (
+                <MyCertificates />
+              ) : loading ? (
                 <div className="flex justify-center items-center py-20">
                   <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-purple-500"></div>
                 </div>
@@ -286,86 +406,265 @@ const Dashboard = () => {
               ) : (
                 <div className="space-y-4">
                   {registrations.map((registration) => (
-                    <RegistrationCard key={registration._id} registration={registration} getStatusColor={getStatusColor} getStatusIcon={getStatusIcon} />
+                    <RegistrationCard
+                      key={registration._id}
+                      registration={registration}
+                      payment={registration.viewerRole === 'member' ? null : paidPaymentByRegistration[registration._id]}
+                      userEmail={user?.email}
+                      getStatusColor={getStatusColor}
+                      getStatusIcon={getStatusIcon}
+                      onCancel={handleCancelRegistration}
+                      onRespondInvite={handleInviteResponse}
+                      onResendInvite={handleResendInvite}
+                      onRequestRefund={(payment) => setRefundTarget({ payment })}
+                    />
                   ))}
                 </div>
               )}
+
+              {activeView === 'registrations' && rejectedPayments.length > 0 && (
+                <div className="mt-8">
+                  <h3 className="text-xl font-bold mb-4" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Rejected Payments</h3>
+                  <div className="space-y-3">
+                    {rejectedPayments.map((payment) => (
+                      <div key={payment._id} className="card flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                        <div className="text-sm" style={{ color: '#5C4033' }}>
+                          <p className="text-lg font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>{payment.event?.name}</p>
+                          <p className="font-semibold">₹{payment.amount}{payment.utrNumber && <> • UTR <span className="font-mono">{payment.utrNumber}</span></>}</p>
+                          {payment.rejectionReason && <p className="mt-1">Reason: {payment.rejectionReason}</p>}
+                          <RefundStatus payment={payment} />
+                        </div>
+                        {!payment.refundStatus && (
+                          <button onClick={() => setRefundTarget({ payment })} className="btn-primary text-sm">
+                            Request Refund
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </motion.div>
           </div>
         </div>
       </div>
+
+      {refundTarget && (
+        <RefundModal
+          registration={refundTarget.registration}
+          payment={refundTarget.payment}
+          onClose={() => setRefundTarget(null)}
+          onDone={handleRefundDone}
+        />
+      )}
     </div>
   );
 };
 
-const RegistrationCard = ({ registration, getStatusColor, getStatusIcon }) => (
-  <div className="card hover:scale-[1.02] transition-transform">
-    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
-      <div className="flex-1">
-        <div className="flex items-start justify-between mb-2">
-          <h3 className="text-xl font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>{registration.event?.name}</h3>
-          <span className={`flex items-center space-x-1 ${getStatusColor(registration.paymentStatus)}`}>
-            {getStatusIcon(registration.paymentStatus)}
-            <span className="text-sm font-semibold capitalize">
-              {registration.paymentStatus === 'verification_pending' 
-                ? 'Awaiting Verification' 
-                : registration.paymentStatus}
-            </span>
-          </span>
-        </div>
+const RefundStatus = ({ payment }) => {
+  if (payment.status === 'refunded' || payment.refundStatus === 'approved') {
+    return (
+      <p className="mt-2 font-semibold" style={{ color: '#2d7a3e' }}>
+        Refunded ₹{payment.refundAmount}{payment.refundId && <> (UTR <span className="font-mono">{payment.refundId}</span>)</>}
+      </p>
+    );
+  }
+  if (payment.refundStatus === 'requested') {
+    return (
+      <p className="mt-2 font-semibold" style={{ color: '#8b4513' }}>
+        Refund of ₹{payment.refundEligibility?.amount ?? payment.amount} requested - awaiting processing
+      </p>
+    );
+  }
+  if (payment.refundStatus === 'denied') {
+    return (
+      <p className="mt-2 font-semibold" style={{ color: '#a83232' }}>
+        Refund declined: {payment.refundReason}
+      </p>
+    );
+  }
+  return null;
+};
 
-        <div className="space-y-2 text-sm">
-          <div className="flex items-center font-semibold" style={{ color: '#5C4033' }}>
-            <Calendar className="w-4 h-4 mr-2" />
-            {new Date(registration.event?.date).toLocaleDateString('en-IN', {
-              day: 'numeric',
-              month: 'short',
-              year: 'numeric'
-            })}
-          </div>
-          <div className="flex items-center font-semibold" style={{ color: '#5C4033' }}>
-            <MapPin className="w-4 h-4 mr-2" />
-            {registration.event?.venue}
-          </div>
-          <div className="flex items-center">
-            <span className="font-semibold text-white">₹{registration.amount}</span>
+const INVITE_STATUS_STYLES = {
+  accepted: { label: 'Confirmed', color: '#2d7a3e', backgroundColor: 'rgba(45, 122, 62, 0.15)' },
+  pending: { label: 'Invited', color: '#8b4513', backgroundColor: 'rgba(250, 177, 47, 0.2)' },
+  declined: { label: 'Declined', color: '#a83232', backgroundColor: 'rgba(168, 50, 50, 0.1)' }
+};
+
+const RegistrationCard = ({ registration, payment, userEmail, getStatusColor, getStatusIcon, onCancel, onRespondInvite, onResendInvite, onRequestRefund }) => {
+  // Team registrations the user was invited to (the leader owns and pays for them)
+  const invite = registration.viewerRole === 'member' ? registration.myInvite : null;
+  const isLeaderView = registration.viewerRole === 'leader' && registration.teamMembers?.length > 1;
+  const canManage = !invite;
+
+  return (
+    <div className="card hover:scale-[1.02] transition-transform">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex-1">
+          <div className="flex items-start justify-between mb-2">
+            <h3 className="text-xl font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>{registration.event?.name}</h3>
+            {registration.status === 'waitlisted' ? (
+              <span className="flex items-center space-x-1 text-[#8b4513]">
+                <Clock className="w-5 h-5" />
+                <span className="text-sm font-semibold">Waitlisted #{registration.waitlistPosition}</span>
+              </span>
+            ) : registration.status === 'cancelled' ? (
+              <span className="flex items-center space-x-1 text-[#2C1810]">
+                <XCircle className="w-5 h-5" />
+                <span className="text-sm font-semibold">Cancelled</span>
+              </span>
+            ) : (
+            <span className={`flex items-center space-x-1 ${getStatusColor(registration.paymentStatus)}`}>
+              {getStatusIcon(registration.paymentStatus)}
+              <span className="text-sm font-semibold capitalize">
+                {registration.paymentStatus === 'verification_pending' 
+                  ? 'Awaiting Verification' 
+                  : registration.paymentStatus}
+              </span>
+            </span>
+            )}
           </div>
-        </div>
 
-        {registration.teamName && (
-          <div className="mt-3 pt-3 border-t border-white/10">
-            <p className="text-sm" style={{ color: '#5C4033' }}>
-              Team: <span className="font-semibold" style={{ color: '#5C4033' }}>{registration.teamName}</span>
-            </p>
+          <div className="space-y-2 text-sm">
+            <div className="flex items-center font-semibold" style={{ color: '#5C4033' }}>
+              <Calendar className="w-4 h-4 mr-2" />
+              {new Date(registration.event?.date).toLocaleDateString('en-IN', {
+                day: 'numeric',
+                month: 'short',
+                year: 'numeric'
+              })}
+            </div>
+            <div className="flex items-center font-semibold" style={{ color: '#5C4033' }}>
+              <MapPin className="w-4 h-4 mr-2" />
+              {registration.event?.venue}
+            </div>
+            <div className="flex items-center">
+              <span className="font-semibold text-white">{registration.passPurchase ? 'Combo pass' : `₹${registration.amount}`}</span>
+            </div>
           </div>
-        )}
+
+          {registration.teamName && (
+            <div className="mt-3 pt-3 border-t border-white/10">
+              <p className="text-sm" style={{ color: '#5C4033' }}>
+                Team: <span className="font-semibold" style={{ color: '#5C4033' }}>{registration.teamName}</span>
+                {invite && registration.user?.name && (
+                  <span> • Leader: <span className="font-semibold">{registration.user.name}</span></span>
+                )}
+              </p>
+            </div>
+          )}
+
+          {invite?.inviteStatus === 'pending' && (
+            <div className="mt-3 p-3 rounded-lg text-sm" style={{ backgroundColor: 'rgba(250, 177, 47, 0.15)', border: '2px solid rgba(250, 177, 47, 0.4)', color: '#5C4033' }}>
+              <p className="font-semibold mb-2">
+                {registration.user?.name || 'Your team leader'} invited you to join this team.
+              </p>
+              <div className="flex gap-2">
+                <button onClick={() => onRespondInvite(registration, 'accept')} className="btn-primary text-sm px-4 py-1">
+                  Accept
+                </button>
+                <button
+                  onClick={() => onRespondInvite(registration, 'decline')}
+                  className="text-sm px-4 py-1 rounded-lg font-semibold"
+                  style={{ backgroundColor: 'rgba(168, 50, 50, 0.1)', border: '2px solid rgba(168, 50, 50, 0.3)', color: '#a83232' }}
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          )}
+
+          {isLeaderView && (
+            <div className="mt-3 pt-3 border-t border-white/10 space-y-1">
+              <p className="text-sm font-semibold" style={{ color: '#5C4033' }}>Team Members</p>
+              {registration.teamMembers.map((member) => {
+                const isLeader = member.email?.toLowerCase() === userEmail?.toLowerCase();
+                const status = INVITE_STATUS_STYLES[isLeader ? 'accepted' : member.inviteStatus] || INVITE_STATUS_STYLES.pending;
+                return (
+                  <div key={member._id || member.email} className="flex flex-wrap items-center gap-2 text-sm" style={{ color: '#5C4033' }}>
+                    <span>{member.name}{isLeader && ' (You)'}</span>
+                    <span className="text-xs px-2 py-0.5 rounded-full font-semibold" style={{ color: status.color, backgroundColor: status.backgroundColor }}>
+                      {status.label}
+                    </span>
+                    {!isLeader && member.inviteStatus === 'pending' && registration.status !== 'cancelled' && (
+                      <button
+                        onClick={() => onResendInvite(registration, member)}
+                        className="text-xs font-semibold underline"
+                        style={{ color: '#FA812F' }}
+                      >
+                        Resend
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
         
-        {registration.registrationNumber && (
-          <div className="mt-3 pt-3 border-t border-white/10">
-            <p className="text-sm" style={{ color: '#5C4033' }}>
-              Reg No: <span className="font-semibold font-mono" style={{ color: '#5C4033' }}>{registration.registrationNumber}</span>
-            </p>
-          </div>
-        )}
-      </div>
+          {registration.registrationNumber && (
+            <div className="mt-3 pt-3 border-t border-white/10">
+              <p className="text-sm" style={{ color: '#5C4033' }}>
+                Reg No: <span className="font-semibold font-mono" style={{ color: '#5C4033' }}>{registration.registrationNumber}</span>
+              </p>
+            </div>
+          )}
 
-      <div className="flex flex-col gap-2">
-        {registration.paymentStatus === 'pending' && registration.amount > 0 && (
-          <Link
-            to={`/payment/${registration._id}`}
-            className="btn-primary text-sm text-center"
-          >
-            Complete Payment
-          </Link>
-        )}
-        {registration.paymentStatus === 'verification_pending' && (
-          <div className="text-sm text-center px-3 py-2 rounded-lg font-semibold" style={{ backgroundColor: 'rgba(139, 69, 19, 0.15)', border: '2px solid rgba(139, 69, 19, 0.3)', color: '#8b4513' }}>
-            Waiting for Confirmation
-          </div>
-        )}
+          {payment && registration.status === 'cancelled' && (
+            <div className="text-sm">
+              <RefundStatus payment={payment} />
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-col gap-2">
+          {registration.entryPass && registration.paymentStatus === 'completed' && registration.status !== 'cancelled' && (!invite || invite.inviteStatus === 'accepted') && (
+            <EntryPassQR pass={registration.entryPass} registrationNumber={registration.registrationNumber} />
+          )}
+          {registration.status === 'waitlisted' && (
+            <div className="text-sm text-center px-3 py-2 rounded-lg font-semibold" style={{ backgroundColor: 'rgba(139, 69, 19, 0.15)', border: '2px solid rgba(139, 69, 19, 0.3)', color: '#8b4513' }}>
+              We'll email you when a seat opens
+            </div>
+          )}
+          {invite && registration.status === 'registered' && registration.paymentStatus === 'pending' && (
+            <div className="text-sm text-center px-3 py-2 rounded-lg font-semibold" style={{ backgroundColor: 'rgba(139, 69, 19, 0.15)', border: '2px solid rgba(139, 69, 19, 0.3)', color: '#8b4513' }}>
+              Team leader completes payment
+            </div>
+          )}
+          {canManage && registration.status === 'registered' && registration.paymentStatus === 'pending' && registration.amount > 0 && (
+            <Link
+              to={`/payment/${registration._id}`}
+              className="btn-primary text-sm text-center"
+            >
+              Complete Payment
+            </Link>
+          )}
+          {registration.paymentStatus === 'verification_pending' && (
+            <div className="text-sm text-center px-3 py-2 rounded-lg font-semibold" style={{ backgroundColor: 'rgba(139, 69, 19, 0.15)', border: '2px solid rgba(139, 69, 19, 0.3)', color: '#8b4513' }}>
+              Waiting for Confirmation
+            </div>
+          )}
+          {canManage && ['registered', 'waitlisted'].includes(registration.status) && !registration.checkedIn && (
+            <button
+              onClick={() => onCancel(registration)}
+              className="text-sm text-center px-3 py-2 rounded-lg font-semibold transition-all hover:shadow-md"
+              style={{ backgroundColor: 'rgba(168, 50, 50, 0.1)', border: '2px solid rgba(168, 50, 50, 0.3)', color: '#a83232' }}
+            >
+              {registration.status === 'waitlisted' ? 'Leave Waitlist' : 'Cancel Registration'}
+            </button>
+          )}
+          {payment && ['captured', 'refunded'].includes(payment.status) && (
+            <ReceiptButton payment={payment} />
+          )}
+          {payment && registration.status === 'cancelled' && !payment.refundStatus && payment.status !== 'refunded' && (
+            <button onClick={() => onRequestRefund(payment)} className="btn-primary text-sm">
+              Request Refund
+            </button>
+          )}
+        </div>
       </div>
     </div>
-  </div>
-);
+  );
+};
 
 export default Dashboard;
@@ -1,13 +1,21 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Calendar, MapPin, Users, IndianRupee, Clock, Trophy, ArrowLeft, UserPlus, X, AlertTriangle, CheckCircle, AlertCircle as AlertIcon } from 'lucide-react';
+import { Calendar, MapPin, Users, IndianRupee, Clock, Trophy, ArrowLeft, UserPlus, X, AlertTriangle, CheckCircle, Tag, Ticket, AlertCircle as AlertIcon } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useNotification } from '../context/NotificationContext';
 import API from '../services/api';
 import toast from 'react-hot-toast';
 import colleges from '../data/colleges';
 import { getImageUrl } from '../utils/imageUtils';
+import ResultGroups from '../components/ResultGroups';
+
+// Whether a held pass can pay for this event - listed events win over categories
+const passCovers = (pass, event) => {
+  if (pass?.events?.length > 0) return pass.events.some((e) => e._id === event._id);
+  if (pass?.categories?.length > 0) return pass.categories.includes(event.category);
+  return true;
+};
 
 const EventDetails = () => {
   const { id } = useParams();
@@ -23,6 +31,12 @@ const EventDetails = () => {
   const [collegeSuggestions, setCollegeSuggestions] = useState({});
   const [isRegistered, setIsRegistered] = useState(false);
   const [userRegistration, setUserRegistration] = useState(null);
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [passPurchases, setPassPurchases] = useState([]);
+  const [selectedPassId, setSelectedPassId] = useState('');
+  const [results, setResults] = useState(null);
 
   // Initialize team members with logged-in user as first member when modal opens
   useEffect(() => {
@@ -38,8 +52,10 @@ const EventDetails = () => {
 
   useEffect(() => {
     fetchEvent();
+    fetchResults();
     if (isAuthenticated) {
       checkRegistrationStatus();
+      fetchPassPurchases();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id, isAuthenticated]);
@@ -64,10 +80,19 @@ const EventDetails = () => {
     }
   };
 
+  const fetchResults = async () => {
+    try {
+      const { data } = await API.get(`/results/event/${id}`);
+      setResults(data.published ? data : null);
+    } catch (error) {
+      console.error('Error fetching results:', error);
+    }
+  };
+
   const checkRegistrationStatus = async () => {
     try {
-      const { data } = await API.get('/registrations/my-registrations');
-      const registration = data.registrations.find(reg => reg.event._id === id);
+      const { data } = await API.get('/registrations/my');
+      const registration = data.registrations.find(reg => reg.event?._id === id);
       if (registration) {
         setIsRegistered(true);
         setUserRegistration(registration);
@@ -81,6 +106,43 @@ const EventDetails = () => {
   };
 
 
+  const fetchPassPurchases = async () => {
+    try {
+      const { data } = await API.get('/passes/my');
+      setPassPurchases(data.purchases || []);
+    } catch (error) {
+      console.log('Could not load passes:', error.message);
+    }
+  };
+
+  const handleApplyCoupon = async () => {
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+    if (!couponCode.trim()) return;
+
+    setApplyingCoupon(true);
+    try {
+      const { data } = await API.post('/coupons/validate', {
+        code: couponCode,
+        eventId: id
+      });
+      setAppliedCoupon(data);
+      toast.success(data.message);
+    } catch (error) {
+      setAppliedCoupon(null);
+      toast.error(error.response?.data?.message || 'Could not apply coupon');
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const removeCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode('');
+  };
+
   const handleRegister = async () => {
     if (!isAuthenticated) {
       showNotification({
@@ -106,7 +168,9 @@ const EventDetails = () => {
 
     try {
       const { data } = await API.post('/registrations', {
-        eventId: id
+        eventId: id,
+        passPurchaseId: selectedPassId || undefined,
+        couponCode: selectedPassId ? undefined : appliedCoupon?.coupon.code
       });
 
       // Show conflict warning if exists
@@ -119,6 +183,17 @@ const EventDetails = () => {
         });
       }
 
+      if (data.waitlisted) {
+        showNotification({
+          title: 'Added to Waitlist',
+          message: `${event.name} is full. You're #${data.registration.waitlistPosition} on the waitlist - we'll email you as soon as a seat opens up.`,
+          icon: Clock,
+          type: 'warning'
+        });
+        setTimeout(() => navigate('/dashboard'), 2000);
+        return;
+      }
+
       showNotification({
         title: 'Registration Successful!',
         message: `You have successfully registered for ${event.name}! 🎉`,
@@ -126,7 +201,7 @@ const EventDetails = () => {
       });
       
       setTimeout(() => {
-        if (event.registrationFee > 0) {
+        if (data.registration.amount > 0) {
           navigate(`/payment/${data.registration._id}`);
         } else {
           navigate('/dashboard');
@@ -183,7 +258,9 @@ const EventDetails = () => {
       const { data } = await API.post('/registrations', {
         eventId: id,
         teamName,
-        teamMembers
+        teamMembers,
+        passPurchaseId: selectedPassId || undefined,
+        couponCode: selectedPassId ? undefined : appliedCoupon?.coupon.code
       });
 
       // Show conflict warning if exists
@@ -196,15 +273,27 @@ const EventDetails = () => {
         });
       }
 
+      if (data.waitlisted) {
+        showNotification({
+          title: 'Added to Waitlist',
+          message: `${event.name} is full. Team "${teamName}" is #${data.registration.waitlistPosition} on the waitlist - we'll email you as soon as a seat opens up.`,
+          icon: Clock,
+          type: 'warning'
+        });
+        setShowTeamModal(false);
+        setTimeout(() => navigate('/dashboard'), 2000);
+        return;
+      }
+
       showNotification({
         title: 'Team Registration Successful!',
-        message: `Team "${teamName}" has been successfully registered for ${event.name}! 🎉`,
+        message: `Team "${teamName}" has been successfully registered for ${event.name}! 🎉 Your teammates have been emailed an invitation to confirm.`,
         icon: CheckCircle
       });
       setShowTeamModal(false);
       
       setTimeout(() => {
-        if (event.registrationFee > 0) {
+        if (data.registration.amount > 0) {
           navigate(`/payment/${data.registration._id}`);
         } else {
           navigate('/dashboard');
@@ -266,6 +355,10 @@ const EventDetails = () => {
 
   if (!event) return null;
 
+  const usablePasses = passPurchases.filter((purchase) =>
+    purchase.paymentStatus === 'completed' && purchase.remaining !== 0 && passCovers(purchase.pass, event)
+  );
+
   const isTeamEvent = event.teamSize.max > 1;
 
   return (
@@ -297,13 +390,19 @@ const EventDetails = () => {
               </div>
               <div className="flex-1">
                 <h3 className="font-bold mb-2 text-lg" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>
-                  ✓ You're Registered!
+                  {userRegistration.status === 'waitlisted' ? "⏳ You're on the Waitlist" : "✓ You're Registered!"}
                 </h3>
                 <p className="text-sm leading-relaxed font-semibold" style={{ color: '#15803d' }}>
                   Registration Number: <span className="font-bold">{userRegistration.registrationNumber}</span>
                   {userRegistration.teamName && (
                     <span className="ml-4">Team: <span className="font-bold">{userRegistration.teamName}</span></span>
                   )}
+                  {userRegistration.status === 'waitlisted' ? (
+                  <span className="block mt-2">
+                    Waitlist Position: <span className="font-bold text-orange-700">#{userRegistration.waitlistPosition}</span>
+                    <span className="block mt-1 font-normal">We'll email you as soon as a seat opens up - no payment is needed until then.</span>
+                  </span>
+                  ) : (
                   <span className="block mt-2">
                     Payment Status: <span className={`font-bold ${
                       userRegistration.paymentStatus === 'completed' ? 'text-green-700' :
@@ -315,6 +414,7 @@ const EventDetails = () => {
                        userRegistration.paymentStatus === 'pending' ? '⏳ Pending' : userRegistration.paymentStatus}
                     </span>
                   </span>
+                  )}
                 </p>
               </div>
             </div>
@@ -391,13 +491,81 @@ const EventDetails = () => {
               </div>
               <div className="flex items-center text-2xl font-bold text-primary-400">
                 <IndianRupee className="w-6 h-6 mr-2" />
-                {event.registrationFee === 0 ? 'Free' : event.registrationFee}
+                {selectedPassId ? (
+                  <>
+                    <span className="line-through text-gray-400 text-lg mr-2">{event.registrationFee}</span>
+                    Free with pass
+                  </>
+                ) : appliedCoupon ? (
+                  <>
+                    <span className="line-through text-gray-400 text-lg mr-2">{appliedCoupon.originalAmount}</span>
+                    {appliedCoupon.finalAmount === 0 ? 'Free' : appliedCoupon.finalAmount}
+                  </>
+                ) : (
+                  event.registrationFee === 0 ? 'Free' : event.registrationFee
+                )}
               </div>
             </div>
 
+            {!isRegistered && event.registrationFee > 0 && usablePasses.length > 0 && (
+              <div className="mb-4 p-3 rounded-lg" style={{ backgroundColor: 'rgba(250, 129, 47, 0.1)', border: '1px solid rgba(250, 129, 47, 0.4)' }}>
+                <label className="flex items-center text-sm font-semibold mb-2" style={{ color: '#5C4033' }}>
+                  <Ticket className="w-4 h-4 mr-2" style={{ color: '#FA812F' }} />
+                  Register with a combo pass
+                </label>
+                <select value={selectedPassId} onChange={(e) => setSelectedPassId(e.target.value)} className="input-field">
+                  <option value="">Don't use a pass - pay ₹{event.registrationFee}</option>
+                  {usablePasses.map((purchase) => (
+                    <option key={purchase._id} value={purchase._id}>
+                      {purchase.pass.name} ({purchase.remaining === null ? 'unlimited' : `${purchase.remaining} left`})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {!isRegistered && event.registrationFee > 0 && !selectedPassId && (
+              <div className="mb-6">
+                {appliedCoupon ? (
+                  <div className="flex items-center justify-between p-3 rounded-lg" style={{ backgroundColor: 'rgba(45, 122, 62, 0.1)', border: '1px solid #2d7a3e' }}>
+                    <div className="flex items-center text-sm" style={{ color: '#2d7a3e' }}>
+                      <Tag className="w-4 h-4 mr-2" />
+                      <span><strong>{appliedCoupon.coupon.code}</strong> applied - ₹{appliedCoupon.discount} off</span>
+                    </div>
+                    <button onClick={removeCoupon} className="text-sm underline" style={{ color: '#a83232' }}>
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={couponCode}
+                      onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                      onKeyDown={(e) => e.key === 'Enter' && handleApplyCoupon()}
+                      className="input-field flex-1"
+                      placeholder="Have a coupon code?"
+                    />
+                    <button
+                      onClick={handleApplyCoupon}
+                      disabled={applyingCoupon || !couponCode.trim()}
+                      className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {applyingCoupon ? 'Applying...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {isAuthenticated && usablePasses.length === 0 && (
+                  <p className="text-xs mt-2 text-gray-400">
+                    Going to several events? <Link to="/dashboard?view=passes" className="underline" style={{ color: '#FA812F' }}>Get a combo pass</Link>
+                  </p>
+                )}
+              </div>
+            )}
+
             <button
               onClick={isRegistered ? () => navigate('/dashboard') : handleRegister}
-              disabled={registering || (!isRegistered && event.currentParticipants >= event.maxParticipants)}
+              disabled={registering}
               className={`text-lg flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed ${
                 isRegistered 
                   ? 'bg-green-600 hover:bg-green-700 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-300 shadow-lg'
@@ -409,13 +577,21 @@ const EventDetails = () => {
                   <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-white"></div>
                   <span>Registering...</span>
                 </>
+              ) : isRegistered && userRegistration?.status === 'waitlisted' ? (
+                <>
+                  <Clock className="w-5 h-5" />
+                  <span>Waitlisted #{userRegistration.waitlistPosition}</span>
+                </>
               ) : isRegistered ? (
                 <>
                   <CheckCircle className="w-5 h-5" />
                   <span>Registered ✓</span>
                 </>
               ) : event.currentParticipants >= event.maxParticipants ? (
-                <span>Event Full</span>
+                <>
+                  <Clock className="w-5 h-5" />
+                  <span>Event Full - Join Waitlist</span>
+                </>
               ) : (
                 <>
                   <UserPlus className="w-5 h-5" />
@@ -432,6 +608,20 @@ const EventDetails = () => {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Main Content */}
           <div className="lg:col-span-2 space-y-8">
+            {/* Results */}
+            {results && results.groups.length > 0 && (
+              <div className="card">
+                <h2 className="text-2xl font-bold mb-4 flex items-center" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>
+                  <Trophy className="w-6 h-6 mr-2" style={{ color: '#FAB12F' }} />
+                  Results
+                </h2>
+                <ResultGroups groups={results.groups} />
+                <Link to="/results" className="inline-block mt-4 text-sm font-semibold underline" style={{ color: '#FA812F' }}>
+                  All results & points table
+                </Link>
+              </div>
+            )}
+
             {/* Description */}
             <div className="card">
               <h2 className="text-2xl font-bold mb-4" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>About Event</h2>
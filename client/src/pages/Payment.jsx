@@ -1,58 +1,197 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { CreditCard, Upload, CheckCircle, IndianRupee, Calendar, User, AlertCircle } from 'lucide-react';
+import { CreditCard, Upload, CheckCircle, IndianRupee, Calendar, User, AlertCircle, Zap } from 'lucide-react';
 import { useNotification } from '../context/NotificationContext';
 import API from '../services/api';
 import toast from 'react-hot-toast';
 import { getImageUrl } from '../utils/imageUtils';
 
+// Load the gateway's checkout script once
+const loadCheckoutScript = (src) => {
+  if (window.Razorpay) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = () => resolve(true);
+    script.onerror = () => resolve(false);
+    document.body.appendChild(script);
+  });
+};
+
+// Combo pass purchases are paid on the same page - shaped like a registration for the view
+const toPayable = (purchase) => ({
+  amount: purchase.amount,
+  registrationNumber: purchase.passNumber,
+  paymentStatus: purchase.paymentStatus,
+  event: {
+    name: purchase.pass?.name,
+    paymentQRCode: purchase.pass?.paymentQRCode,
+    paymentUPI: purchase.pass?.paymentUPI,
+    paymentAccountName: purchase.pass?.paymentAccountName,
+    paymentInstructions: purchase.pass?.paymentInstructions
+  }
+});
+
 const Payment = () => {
-  const { registrationId } = useParams();
+  const { registrationId, passPurchaseId } = useParams();
   const navigate = useNavigate();
   const { showNotification } = useNotification();
   const [registration, setRegistration] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
+  const [gateway, setGateway] = useState(null);
+  const [payingOnline, setPayingOnline] = useState(false);
+  const [upiIntent, setUpiIntent] = useState(null);
   const [paymentData, setPaymentData] = useState({
     utrNumber: '',
     screenshot: null
   });
 
+  const isPass = Boolean(passPurchaseId);
+  const doneUrl = isPass ? '/dashboard?view=passes' : '/dashboard';
+
+  // QR with the exact amount and participant ID as the note - falls back to the uploaded QR
+  const fetchUpiIntent = useCallback(async () => {
+    try {
+      const { data } = await API.get(isPass
+        ? `/passes/purchases/${passPurchaseId}/upi-intent`
+        : `/payments/upi-intent/${registrationId}`);
+      setUpiIntent(data);
+    } catch {
+      setUpiIntent(null);
+    }
+  }, [isPass, passPurchaseId, registrationId]);
+
   useEffect(() => {
     fetchRegistration();
-  }, [registrationId]);
+    fetchGateway();
+    fetchUpiIntent();
+  }, [registrationId, passPurchaseId, fetchUpiIntent]);
+
+  const fetchGateway = async () => {
+    try {
+      const { data } = await API.get('/payments/gateway');
+      setGateway(data);
+    } catch (error) {
+      console.error('Failed to load payment gateway config:', error);
+    }
+  };
+
+  const handlePayOnline = async () => {
+    setPayingOnline(true);
+
+    try {
+      const { data } = await API.post('/payments/create-order', { registrationId });
+
+      const loaded = await loadCheckoutScript(data.checkoutUrl);
+      if (!loaded) {
+        throw new Error('Could not load the payment gateway. Check your connection or pay using the QR code.');
+      }
+
+      const checkout = new window.Razorpay({
+        key: data.keyId,
+        amount: data.order.amount,
+        currency: data.order.currency,
+        order_id: data.order.id,
+        name: 'Savishkar',
+        description: `${data.eventName} - ${data.registrationNumber}`,
+        prefill: data.prefill,
+        theme: { color: '#FA812F' },
+        handler: async (response) => {
+          try {
+            const { data: result } = await API.post('/payments/verify', response);
+            showNotification({
+              title: 'Payment Successful!',
+              message: result.message,
+              icon: CheckCircle
+            });
+          } catch (error) {
+            // The gateway's webhook still confirms the payment if this call fails
+            showNotification({
+              title: 'Payment Received',
+              message: error.response?.data?.message || 'We received your payment and are confirming it. Check your dashboard in a minute.',
+              icon: AlertCircle,
+              type: 'info'
+            });
+          } finally {
+            setPayingOnline(false);
+            setTimeout(() => navigate('/dashboard'), 2000);
+          }
+        },
+        modal: {
+          ondismiss: () => setPayingOnline(false)
+        }
+      });
+
+      checkout.on('payment.failed', (response) => {
+        showNotification({
+          title: 'Payment Failed',
+          message: response.error?.description || 'Payment failed. You can try again.',
+          icon: AlertCircle,
+          type: 'error'
+        });
+        setPayingOnline(false);
+      });
+
+      checkout.open();
+    } catch (error) {
+      showNotification({
+        title: 'Payment Failed',
+        message: error.response?.data?.message || error.message || 'Could not start the payment',
+        icon: AlertCircle,
+        type: 'error'
+      });
+      setPayingOnline(false);
+    }
+  };
 
   const fetchRegistration = async () => {
     try {
-      const { data } = await API.get(`/registrations/${registrationId}`);
-      setRegistration(data.registration);
+      let payable;
+      if (isPass) {
+        const { data } = await API.get(`/passes/purchases/${passPurchaseId}`);
+        payable = toPayable(data.purchase);
+      } else {
+        const { data } = await API.get(`/registrations/${registrationId}`);
+        payable = data.registration;
+      }
+      setRegistration(payable);
       
-      if (data.registration.paymentStatus === 'completed') {
+      if (payable.paymentStatus === 'completed') {
         showNotification({
           title: 'Payment Completed',
           message: 'Payment already completed',
           icon: CheckCircle,
           type: 'success'
         });
-        navigate('/dashboard');
-      } else if (data.registration.paymentStatus === 'verification_pending') {
+        navigate(doneUrl);
+      } else if (payable.paymentStatus === 'verification_pending') {
         showNotification({
           title: 'Verification Pending',
           message: 'Payment proof already submitted. Awaiting verification.',
           icon: CheckCircle,
           type: 'info'
         });
-        navigate('/dashboard');
+        navigate(doneUrl);
+      } else if (payable.paymentStatus === 'failed') {
+        showNotification({
+          title: 'Payment Rejected',
+          message: 'This payment was rejected. Please buy the pass again.',
+          icon: AlertCircle,
+          type: 'error'
+        });
+        navigate(doneUrl);
       }
     } catch (error) {
       showNotification({
         title: 'Loading Failed',
-        message: 'Failed to load registration details',
+        message: isPass ? 'Failed to load pass details' : 'Failed to load registration details',
         icon: AlertCircle,
         type: 'error'
       });
-      navigate('/dashboard');
+      navigate(doneUrl);
     } finally {
       setLoading(false);
     }
@@ -113,13 +252,13 @@ const Payment = () => {
 
     try {
       const formData = new FormData();
-      formData.append('registrationId', registrationId);
+      formData.append(isPass ? 'passPurchaseId' : 'registrationId', isPass ? passPurchaseId : registrationId);
       formData.append('utrNumber', paymentData.utrNumber);
       formData.append('screenshot', paymentData.screenshot);
       formData.append('amount', registration.amount);
 
       console.log('Submitting payment proof:', {
-        registrationId,
+        registrationId: registrationId || passPurchaseId,
         utrNumber: paymentData.utrNumber,
         screenshotName: paymentData.screenshot.name,
         screenshotSize: paymentData.screenshot.size,
@@ -136,11 +275,13 @@ const Payment = () => {
 
       showNotification({
         title: 'Payment Submitted Successfully!',
-        message: 'Your payment proof has been submitted. We will verify it shortly. 🎉',
+        message: isPass
+          ? 'Your payment proof has been submitted. Your pass will be activated once we verify it. 🎉'
+          : 'Your payment proof has been submitted. We will verify it shortly. 🎉',
         icon: CheckCircle
       });
       setTimeout(() => {
-        navigate('/dashboard');
+        navigate(doneUrl);
       }, 2000);
     } catch (error) {
       console.error('Payment submission error:', error);
@@ -174,7 +315,7 @@ const Payment = () => {
           animate={{ opacity: 1, y: 0 }}
         >
           <h1 className="text-4xl font-bold mb-2">Complete Payment</h1>
-          <p className="text-gray-400 mb-8">Complete your registration by making the payment</p>
+          <p className="text-gray-400 mb-8">{isPass ? 'Pay for your combo pass to activate it' : 'Complete your registration by making the payment'}</p>
 
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             {/* Payment Details */}
@@ -186,7 +327,7 @@ const Payment = () => {
 
               <div className="space-y-4 mb-6">
                 <div className="flex justify-between items-center pb-3 border-b border-white/10">
-                  <span className="text-gray-400">Event</span>
+                  <span className="text-gray-400">{isPass ? 'Pass' : 'Event'}</span>
                   <span className="font-semibold">{registration.event?.name}</span>
                 </div>
                 <div className="pb-3 border-b border-white/10">
@@ -196,7 +337,7 @@ const Payment = () => {
                       boxShadow: '0 2px 8px rgba(250, 129, 47, 0.3)'
                     }}>
                       <div className="text-xs font-semibold mb-1" style={{ color: '#FEF3E2', opacity: 0.9, letterSpacing: '0.5px' }}>
-                        PARTICIPANT ID
+                        {isPass ? 'PASS NUMBER' : 'PARTICIPANT ID'}
                       </div>
                       <div className="font-bold text-base" style={{ 
                         color: '#2C5F7F',
@@ -223,13 +364,37 @@ const Payment = () => {
                 </div>
               </div>
 
+              {/* Online Payment */}
+              {gateway?.enabled && !isPass && (
+                <div className="rounded-lg p-6 mb-6 text-center" style={{ backgroundColor: 'rgba(250, 129, 47, 0.1)', border: '2px solid rgba(250, 129, 47, 0.3)' }}>
+                  <h3 className="font-semibold mb-2">Pay Online</h3>
+                  <p className="text-sm text-gray-400 mb-4">UPI, cards, net banking or wallets - confirmed instantly, no screenshot needed.</p>
+                  <button
+                    type="button"
+                    onClick={handlePayOnline}
+                    disabled={payingOnline}
+                    className="w-full btn-primary flex items-center justify-center space-x-2"
+                  >
+                    <Zap className="w-5 h-5" />
+                    <span>{payingOnline ? 'Processing...' : `Pay ₹${registration.amount} Now`}</span>
+                  </button>
+                  <p className="text-xs text-gray-400 mt-4">or scan the QR code below and upload proof</p>
+                </div>
+              )}
+
               {/* QR Code Section */}
               <div className="bg-white/5 rounded-lg p-6 mb-6">
                 <h3 className="font-semibold mb-4 text-center">Scan QR Code to Pay</h3>
                 <div className="bg-white rounded-lg p-4 mb-4">
-                  {registration.event?.paymentQRCode ? (
+                  {upiIntent?.qrCode ? (
                     <img 
-                      src={getImageUrl(registration.event.paymentQRCode)} 
+                      src={upiIntent.qrCode} 
+                      alt="Payment QR Code" 
+                      className="w-full max-w-xs mx-auto"
+                    />
+                  ) : (upiIntent?.qrCodeUrl || registration.event?.paymentQRCode) ? (
+                    <img 
+                      src={getImageUrl(upiIntent?.qrCodeUrl || registration.event.paymentQRCode)} 
                       alt="Payment QR Code" 
                       className="w-full max-w-xs mx-auto"
                     />
@@ -240,19 +405,35 @@ const Payment = () => {
                   )}
                 </div>
                 
-                {registration.event?.paymentUPI && (
+                {upiIntent?.upiUrl && (
+                  <div className="text-center mb-4">
+                    {/* Phones can't scan their own screen - open the UPI app directly */}
+                    <a
+                      href={upiIntent.upiUrl}
+                      className="md:hidden w-full btn-primary flex items-center justify-center space-x-2 mb-3"
+                    >
+                      <IndianRupee className="w-5 h-5" />
+                      <span>Pay ₹{upiIntent.amount} with UPI App</span>
+                    </a>
+                    <p className="text-xs text-gray-400">
+                      Amount and note (<span className="font-mono">{upiIntent.note}</span>) are filled in for you - please don't change them.
+                    </p>
+                  </div>
+                )}
+
+                {(upiIntent?.upiId || registration.event?.paymentUPI) && (
                   <div className="text-center">
                     <p className="text-sm text-gray-400 mb-1">UPI ID</p>
                     <p className="font-mono text-primary-400 font-semibold">
-                      {registration.event.paymentUPI}
+                      {upiIntent?.upiId || registration.event.paymentUPI}
                     </p>
                   </div>
                 )}
                 
-                {registration.event?.paymentAccountName && (
+                {(upiIntent?.accountName || registration.event?.paymentAccountName) && (
                   <div className="text-center mt-2">
                     <p className="text-sm text-gray-400 mb-1">Account Name</p>
-                    <p className="font-semibold">{registration.event.paymentAccountName}</p>
+                    <p className="font-semibold">{upiIntent?.accountName || registration.event.paymentAccountName}</p>
                   </div>
                 )}
               </div>
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Trophy, Calendar } from 'lucide-react';
+import API from '../services/api';
+import ResultGroups from '../components/ResultGroups';
+
+const Results = () => {
+  const [events, setEvents] = useState([]);
+  const [points, setPoints] = useState(null);
+  const [pointsPerPosition, setPointsPerPosition] = useState({});
+  const [department, setDepartment] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchResults();
+  }, []);
+
+  const fetchResults = async () => {
+    try {
+      const { data } = await API.get('/results');
+      setEvents(data.events);
+      setPoints(data.points);
+      setPointsPerPosition(data.pointsPerPosition);
+    } catch (error) {
+      console.error('Error fetching results:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Standings within one department's events, or overall
+  const standings = (points?.colleges || [])
+    .map((row) => ({ ...row, score: department ? row.byDepartment[department] || 0 : row.total }))
+    .filter((row) => row.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen pt-20 pb-12 relative overflow-hidden">
+      {/* Hero Section */}
+      <section className="relative py-16 overflow-hidden">
+        <div className="relative z-10 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <h1 className="text-4xl md:text-5xl font-bold mb-4" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>
+              Results
+            </h1>
+            <p className="text-base md:text-lg max-w-3xl mx-auto leading-relaxed" style={{ color: '#5C4033' }}>
+              Winners of Savishkar 2025 and the college points table
+            </p>
+          </motion.div>
+        </div>
+      </section>
+
+      {events.length === 0 ? (
+        <section className="max-w-3xl mx-auto px-4 text-center">
+          <div className="card">
+            <Trophy className="w-16 h-16 mx-auto mb-4" style={{ color: '#FAB12F' }} />
+            <p style={{ color: '#5C4033' }}>No results have been announced yet - check back after the events!</p>
+          </div>
+        </section>
+      ) : (
+        <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            {/* Points Table */}
+            <div className="lg:order-2">
+              <div className="card lg:sticky lg:top-24">
+                <h2 className="text-2xl font-bold mb-1" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>Points Table</h2>
+                <p className="text-xs mb-4" style={{ color: '#5C4033', opacity: 0.8 }}>
+                  {Object.entries(pointsPerPosition).map(([position, value]) => `#${position}: ${value}`).join(' • ')} • other positions: 2
+                </p>
+                <select value={department} onChange={(e) => setDepartment(e.target.value)} className="input-field mb-4">
+                  <option value="">All departments</option>
+                  {points.departments.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+                {standings.length === 0 ? (
+                  <p className="text-sm" style={{ color: '#5C4033' }}>No points in this department yet</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <tbody>
+                      {standings.map((row, index) => (
+                        <tr key={row.college} style={{ borderBottom: '1px solid rgba(92, 64, 51, 0.1)' }}>
+                          <td className="py-2 pr-2 font-bold" style={{ color: index < 3 ? '#FA812F' : '#5C4033' }}>{index + 1}</td>
+                          <td className="py-2 pr-2" style={{ color: '#2C1810' }}>{row.college}</td>
+                          <td className="py-2 text-right font-bold" style={{ color: '#8b4513' }}>{row.score}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+
+            {/* Event Results */}
+            <div className="lg:col-span-2 lg:order-1 space-y-6">
+              {events.map((event) => (
+                <motion.div
+                  key={event._id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="card"
+                >
+                  <div className="flex flex-wrap items-start justify-between gap-2 mb-4">
+                    <div>
+                      <Link to={`/events/${event._id}`} className="text-xl font-bold hover:underline" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>
+                        {event.name}
+                      </Link>
+                      <p className="text-sm flex items-center gap-1 mt-1" style={{ color: '#5C4033' }}>
+                        <Calendar className="w-4 h-4" />
+                        {new Date(event.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}
+                        {event.department && ` • ${event.department}`}
+                      </p>
+                    </div>
+                    <span className="text-xs px-2 py-1 rounded-full" style={{ backgroundColor: 'rgba(250, 177, 47, 0.2)', color: '#8b4513' }}>
+                      {event.category}
+                    </span>
+                  </div>
+                  <ResultGroups groups={event.groups} />
+                </motion.div>
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default Results;
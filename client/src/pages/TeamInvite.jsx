@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Users, Calendar, MapPin, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import API from '../services/api';
+import toast from 'react-hot-toast';
+
+const INVITE_STATUS_STYLES = {
+  accepted: { label: 'Confirmed', color: '#2d7a3e', backgroundColor: 'rgba(45, 122, 62, 0.15)' },
+  pending: { label: 'Invited', color: '#8b4513', backgroundColor: 'rgba(250, 177, 47, 0.2)' },
+  declined: { label: 'Declined', color: '#a83232', backgroundColor: 'rgba(168, 50, 50, 0.1)' }
+};
+
+const TeamInvite = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [responding, setResponding] = useState(false);
+
+  useEffect(() => {
+    fetchInvite();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const fetchInvite = async () => {
+    try {
+      const { data } = await API.get(`/registrations/invites/${token}`);
+      setInvite(data.invite);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load invitation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRespond = async (action) => {
+    setResponding(true);
+    try {
+      const { data } = await API.post(`/registrations/invites/${token}/respond`, { action });
+      toast.success(data.message);
+      navigate('/dashboard');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to respond to invitation');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4 py-20">
+        <div className="card max-w-md w-full text-center">
+          <AlertCircle className="w-16 h-16 mx-auto mb-4" style={{ color: '#a83232' }} />
+          <h2 className="text-2xl font-bold mb-4" style={{ color: '#1a365d' }}>Invitation Unavailable</h2>
+          <p className="mb-6" style={{ color: '#5C4033' }}>{error}</p>
+          <Link to="/dashboard" className="btn-primary inline-block">
+            Go to Dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { event, member } = invite;
+  const isInvitee = isAuthenticated && user?.email?.toLowerCase() === member.email.toLowerCase();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-20">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card max-w-lg w-full"
+      >
+        <div className="text-center mb-6">
+          <Users className="w-14 h-14 mx-auto mb-3" style={{ color: '#FA812F' }} />
+          <h1 className="text-2xl font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>Team Invitation</h1>
+          <p className="mt-2" style={{ color: '#5C4033' }}>
+            <span className="font-semibold">{invite.leaderName}</span> invited <span className="font-semibold">{member.name}</span> to join
+            {invite.teamName ? <> team <span className="font-semibold">{invite.teamName}</span></> : ' their team'}.
+          </p>
+        </div>
+
+        <div className="rounded-lg p-4 mb-6 space-y-2 text-sm" style={{ backgroundColor: '#FFF8DC', border: '2px solid rgba(250, 129, 47, 0.3)', color: '#5C4033' }}>
+          <p className="text-lg font-bold" style={{ color: '#1a365d' }}>{event?.name}</p>
+          {event?.date && (
+            <p className="flex items-center font-semibold">
+              <Calendar className="w-4 h-4 mr-2" />
+              {new Date(event.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}
+              {event.time && `, ${event.time}`}
+            </p>
+          )}
+          {event?.venue && (
+            <p className="flex items-center font-semibold">
+              <MapPin className="w-4 h-4 mr-2" />
+              {event.venue}
+            </p>
+          )}
+          <div className="pt-2">
+            <p className="font-semibold mb-1">Team</p>
+            {invite.teamMembers.map((teamMember, index) => {
+              const status = INVITE_STATUS_STYLES[teamMember.isLeader ? 'accepted' : teamMember.inviteStatus] || INVITE_STATUS_STYLES.pending;
+              return (
+                <div key={index} className="flex items-center gap-2">
+                  <span>{teamMember.name}{teamMember.isLeader && ' (Leader)'}</span>
+                  <span className="text-xs px-2 py-0.5 rounded-full font-semibold" style={{ color: status.color, backgroundColor: status.backgroundColor }}>
+                    {status.label}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {invite.status === 'cancelled' ? (
+          <p className="text-center font-semibold" style={{ color: '#a83232' }}>
+            This team registration has been cancelled.
+          </p>
+        ) : member.inviteStatus !== 'pending' ? (
+          <div className="text-center">
+            <p className="font-semibold mb-4" style={{ color: member.inviteStatus === 'accepted' ? '#2d7a3e' : '#a83232' }}>
+              You have already {member.inviteStatus} this invitation.
+            </p>
+            <Link to="/dashboard" className="btn-primary inline-block">Go to Dashboard</Link>
+          </div>
+        ) : isInvitee ? (
+          <div className="flex gap-3">
+            <button
+              onClick={() => handleRespond('accept')}
+              disabled={responding}
+              className="flex-1 btn-primary flex items-center justify-center gap-2"
+            >
+              <CheckCircle className="w-5 h-5" /> Accept
+            </button>
+            <button
+              onClick={() => handleRespond('decline')}
+              disabled={responding}
+              className="flex-1 px-4 py-2 rounded-lg font-semibold flex items-center justify-center gap-2"
+              style={{ backgroundColor: 'rgba(168, 50, 50, 0.1)', border: '2px solid rgba(168, 50, 50, 0.3)', color: '#a83232' }}
+            >
+              <XCircle className="w-5 h-5" /> Decline
+            </button>
+          </div>
+        ) : isAuthenticated ? (
+          <p className="text-center text-sm font-semibold" style={{ color: '#8b4513' }}>
+            This invitation was sent to {member.email}. You're logged in as {user.email} - log in with the invited account to respond.
+          </p>
+        ) : (
+          <div className="text-center space-y-3">
+            <p className="text-sm" style={{ color: '#5C4033' }}>
+              {invite.hasAccount
+                ? `Log in as ${member.email} to accept or decline. The invitation is also waiting on your dashboard.`
+                : `You don't have an account yet. Sign up with ${member.email} and the invitation will be waiting on your dashboard.`}
+            </p>
+            <div className="flex gap-3 justify-center">
+              <Link to="/login" className={invite.hasAccount ? 'btn-primary' : 'btn-secondary'}>Login</Link>
+              <Link to="/signup" className={invite.hasAccount ? 'btn-secondary' : 'btn-primary'}>Sign Up</Link>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default TeamInvite;
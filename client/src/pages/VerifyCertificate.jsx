@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ShieldCheck, AlertCircle, Award, Calendar } from 'lucide-react';
+import API from '../services/api';
+
+const VerifyCertificate = () => {
+  const { certificateId } = useParams();
+  const [certificate, setCertificate] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const { data } = await API.get(`/certificates/verify/${encodeURIComponent(certificateId)}`);
+        setCertificate(data.certificate);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Could not verify this certificate');
+      } finally {
+        setLoading(false);
+      }
+    };
+    verify();
+  }, [certificateId]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4 py-20">
+        <div className="card max-w-md w-full text-center">
+          <AlertCircle className="w-16 h-16 mx-auto mb-4" style={{ color: '#a83232' }} />
+          <h2 className="text-2xl font-bold mb-4" style={{ color: '#1a365d' }}>Certificate Not Verified</h2>
+          <p className="mb-2" style={{ color: '#5C4033' }}>{error}</p>
+          <p className="text-sm font-mono mb-6" style={{ color: '#5C4033' }}>{certificateId}</p>
+          <Link to="/events" className="btn-primary inline-block">
+            Browse Events
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-20">
+      <div className="card max-w-lg w-full text-center">
+        <ShieldCheck className="w-16 h-16 mx-auto mb-4" style={{ color: '#2d7a3e' }} />
+        <h2 className="text-2xl font-bold mb-1" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>Genuine Certificate</h2>
+        <p className="text-sm mb-6" style={{ color: '#2d7a3e' }}>Issued by Savishkar 2025</p>
+
+        <div className="text-left rounded-lg p-5 space-y-3" style={{ backgroundColor: 'rgba(250, 129, 47, 0.08)', border: '2px solid rgba(250, 129, 47, 0.3)' }}>
+          <p className="text-2xl font-bold" style={{ color: '#2C1810', fontFamily: 'Georgia, serif' }}>{certificate.recipientName}</p>
+          {certificate.college && <p style={{ color: '#5C4033' }}>{certificate.college}</p>}
+          <p className="flex items-center gap-2 font-semibold" style={{ color: certificate.type === 'winner' ? '#FA812F' : '#5C4033' }}>
+            <Award className="w-5 h-5" />
+            {certificate.type === 'winner' ? `${certificate.position} - ${certificate.event?.name}` : `Participated in ${certificate.event?.name}`}
+          </p>
+          {certificate.teamName && <p className="text-sm" style={{ color: '#5C4033' }}>Team: {certificate.teamName}</p>}
+          {certificate.event?.date && (
+            <p className="flex items-center gap-2 text-sm" style={{ color: '#5C4033' }}>
+              <Calendar className="w-4 h-4" />
+              {new Date(certificate.event.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}
+            </p>
+          )}
+          <p className="text-xs font-mono pt-2" style={{ color: '#5C4033' }}>Certificate ID: {certificate.certificateId}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
@@ -23,6 +23,7 @@ const AddEvent = () => {
     department: 'AIML',
     date: '',
     time: '',
+    duration: '',
     venue: '',
     maxParticipants: '',
     registrationFee: 0,
@@ -199,6 +200,7 @@ const AddEvent = () => {
         eligibility: formData.eligibility.filter(e => e.trim()),
         coordinators: formData.coordinators.filter(c => c.name && c.phone && c.email),
         maxParticipants: parseInt(formData.maxParticipants),
+        duration: formData.duration ? parseInt(formData.duration) : null,
         registrationFee: parseFloat(formData.registrationFee),
         teamSize: {
           min: parseInt(formData.teamSize.min),
@@ -369,7 +371,7 @@ const AddEvent = () => {
             <div className="space-y-4">
               <h2 className="text-xl font-semibold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>Event Details</h2>
               
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
                   <label className="block text-sm font-medium mb-2" style={{ color: '#5C4033' }}>Date *</label>
                   <input
@@ -394,6 +396,20 @@ const AddEvent = () => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium mb-2" style={{ color: '#5C4033' }}>Duration (minutes)</label>
+                  <input
+                    type="number"
+                    name="duration"
+                    value={formData.duration}
+                    onChange={handleChange}
+                    className="input-field"
+                    min="1"
+                    step="5"
+                    placeholder="e.g. 120"
+                  />
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium mb-2" style={{ color: '#5C4033' }}>Venue *</label>
                   <input
@@ -16,12 +16,25 @@ import {
   X,
   Lock,
   Unlock,
-  Search
+  Search,
+  Scale,
+  UserX
 } from 'lucide-react';
 import API from '../../services/api';
 import toast from 'react-hot-toast';
 import { colleges } from '../../data/colleges';
 import { getImageUrl } from '../../utils/imageUtils';
+import BroadcastManagement from './BroadcastManagement';
+import CertificatesManagement from './CertificatesManagement';
+import CouponsManagement from './CouponsManagement';
+import EmailOutboxManagement from './EmailOutboxManagement';
+import EventRemindersPanel from './EventRemindersPanel';
+import PassesManagement from './PassesManagement';
+import PaymentAccountsOverview from './PaymentAccountsOverview';
+import RefundsManagement from './RefundsManagement';
+import ResultsManagement from './ResultsManagement';
+import ScreenshotOcrCheck from './ScreenshotOcrCheck';
+import StatementReconciliation from './StatementReconciliation';
 
 const AdminDashboard = () => {
   const navigate = useNavigate();
@@ -45,6 +58,13 @@ const AdminDashboard = () => {
     if (path.includes('/events')) return 'events';
     if (path.includes('/registrations')) return 'registrations';
     if (path.includes('/payments')) return 'payments';
+    if (path.includes('/refunds')) return 'refunds';
+    if (path.includes('/coupons')) return 'coupons';
+    if (path.includes('/passes')) return 'passes';
+    if (path.includes('/results')) return 'results';
+    if (path.includes('/certificates')) return 'certificates';
+    if (path.includes('/emails')) return 'emails';
+    if (path.includes('/broadcast')) return 'broadcast';
     if (path.includes('/register-user')) return 'register-user';
     return 'overview';
   };
@@ -280,7 +300,15 @@ const AdminDashboard = () => {
             { id: 'events', label: 'Events', path: '/admin/events' },
             { id: 'registrations', label: 'Registrations', path: '/admin/registrations' },
             { id: 'payments', label: 'Payments', path: '/admin/payments' },
-            { id: 'register-user', label: 'Register User', path: '/admin/register-user' }
+            { id: 'refunds', label: 'Refunds', path: '/admin/refunds' },
+            { id: 'coupons', label: 'Coupons', path: '/admin/coupons' },
+            { id: 'passes', label: 'Passes', path: '/admin/passes' },
+            { id: 'results', label: 'Results', path: '/admin/results' },
+            { id: 'certificates', label: 'Certificates', path: '/admin/certificates' },
+            { id: 'emails', label: 'Emails', path: '/admin/emails' },
+            { id: 'broadcast', label: 'Broadcast', path: '/admin/broadcast' },
+            { id: 'register-user', label: 'Register User', path: '/admin/register-user' },
+            { id: 'check-in', label: 'Check-In', path: '/admin/check-in' }
           ].map((tab) => (
             <Link
               key={tab.id}
@@ -309,6 +337,13 @@ const AdminDashboard = () => {
           <Route path="events" element={<EventsManagement events={events} onUpdate={fetchDashboardData} />} />
           <Route path="registrations" element={<RegistrationsManagement registrations={registrations} />} />
           <Route path="payments" element={<PaymentsManagement registrations={registrations} events={events} onUpdate={fetchDashboardData} />} />
+          <Route path="refunds" element={<RefundsManagement events={events} />} />
+          <Route path="coupons" element={<CouponsManagement events={events} />} />
+          <Route path="passes" element={<PassesManagement events={events} />} />
+          <Route path="results" element={<ResultsManagement events={events} />} />
+          <Route path="certificates" element={<CertificatesManagement events={events} />} />
+          <Route path="emails" element={<EmailOutboxManagement />} />
+          <Route path="broadcast" element={<BroadcastManagement events={events} />} />
           <Route path="register-user" element={<RegisterUserManagement events={events} onUpdate={fetchDashboardData} />} />
         </Routes>
       </div>
@@ -342,7 +377,51 @@ const StatCard = ({ icon, label, value, color }) => {
 };
 
 const Overview = ({ events, registrations }) => {
+  const [reconciliation, setReconciliation] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
+  const [collisions, setCollisions] = useState(null);
+  const [loadingCollisions, setLoadingCollisions] = useState(false);
   const recentRegistrations = registrations.slice(0, 5);
+
+  useEffect(() => {
+    fetchReconciliation();
+    fetchCollisions();
+  }, []);
+
+  const fetchCollisions = async () => {
+    try {
+      setLoadingCollisions(true);
+      const { data } = await API.get('/admin/member-collisions');
+      setCollisions(data.collisions);
+    } catch (error) {
+      console.error('Failed to fetch member collisions:', error);
+    } finally {
+      setLoadingCollisions(false);
+    }
+  };
+
+  const fetchReconciliation = async () => {
+    try {
+      const { data } = await API.get('/admin/participant-reconciliation');
+      setReconciliation(data.lastReport);
+    } catch (error) {
+      console.error('Failed to fetch reconciliation report:', error);
+    }
+  };
+
+  const runReconciliation = async () => {
+    try {
+      setReconciling(true);
+      const { data } = await API.post('/admin/participant-reconciliation/run');
+      setReconciliation(data.report);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to check participant counts');
+    } finally {
+      setReconciling(false);
+    }
+  };
+
   const upcomingEvents = events
     .filter(e => new Date(e.date) > new Date())
     .sort((a, b) => new Date(a.date) - new Date(b.date))
@@ -447,6 +526,121 @@ const Overview = ({ events, registrations }) => {
           </div>
         )}
       </div>
+
+      {/* Participant Count Reconciliation */}
+      <div className="lg:col-span-2 rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div className="flex items-center gap-3">
+            <Scale className="w-6 h-6" style={{ color: '#FA812F' }} />
+            <div>
+              <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Participant Counts</h2>
+              <p className="text-xs" style={{ color: '#5C4033', opacity: 0.7 }}>
+                {reconciliation
+                  ? `Last checked ${new Date(reconciliation.ranAt).toLocaleString('en-IN')} (${reconciliation.triggeredBy}) • ${reconciliation.eventsChecked} events`
+                  : 'Not checked yet since the server started'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={runReconciliation}
+            disabled={reconciling}
+            className="btn-primary flex items-center gap-2 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${reconciling ? 'animate-spin' : ''}`} />
+            {reconciling ? 'Checking...' : 'Check Now'}
+          </button>
+        </div>
+
+        {reconciliation && (reconciliation.drift.length === 0 ? (
+          <p className="text-sm font-semibold" style={{ color: '#2d7a3e' }}>✓ All event counts match their registrations</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b" style={{ borderColor: 'rgba(92, 64, 51, 0.2)' }}>
+                  <th className="text-left py-2 px-3" style={{ color: '#5C4033' }}>Event</th>
+                  <th className="text-center py-2 px-3" style={{ color: '#5C4033' }}>Stored</th>
+                  <th className="text-center py-2 px-3" style={{ color: '#5C4033' }}>Actual</th>
+                  <th className="text-center py-2 px-3" style={{ color: '#5C4033' }}>Capacity</th>
+                  <th className="text-center py-2 px-3" style={{ color: '#5C4033' }}>Corrected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reconciliation.drift.map((item) => (
+                  <tr key={item.eventId} className="border-b" style={{ borderColor: 'rgba(92, 64, 51, 0.1)' }}>
+                    <td className="py-2 px-3 font-semibold" style={{ color: '#5C4033' }}>{item.name}</td>
+                    <td className="py-2 px-3 text-center" style={{ color: '#5C4033' }}>{item.recorded}</td>
+                    <td className="py-2 px-3 text-center font-bold" style={{ color: '#FA812F' }}>{item.actual}</td>
+                    <td className="py-2 px-3 text-center font-semibold" style={{ color: item.actual > item.maxParticipants ? '#a83232' : '#5C4033' }}>
+                      {item.maxParticipants}{item.actual > item.maxParticipants && ' (overbooked)'}
+                    </td>
+                    <td className="py-2 px-3 text-center" style={{ color: item.corrected ? '#2d7a3e' : '#a83232' }}>
+                      {item.corrected ? 'Yes' : 'Changed during check'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      <EventRemindersPanel />
+
+      {/* Duplicate Team Members */}
+      <div className="lg:col-span-2 rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div className="flex items-center gap-3">
+            <UserX className="w-6 h-6" style={{ color: '#FA812F' }} />
+            <div>
+              <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Duplicate Team Members</h2>
+              <p className="text-xs" style={{ color: '#5C4033', opacity: 0.7 }}>
+                People on more than one registration or team for the same event (matched by email or phone)
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={fetchCollisions}
+            disabled={loadingCollisions}
+            className="btn-primary flex items-center gap-2 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loadingCollisions ? 'animate-spin' : ''}`} />
+            {loadingCollisions ? 'Checking...' : 'Refresh'}
+          </button>
+        </div>
+
+        {collisions && (collisions.length === 0 ? (
+          <p className="text-sm font-semibold" style={{ color: '#2d7a3e' }}>✓ No one is registered twice for the same event</p>
+        ) : (
+          <div className="space-y-3">
+            {collisions.map((collision) => (
+              <div
+                key={`${collision.event._id}-${collision.emails.join(',')}`}
+                className="p-3 rounded-lg text-sm"
+                style={{ backgroundColor: '#FFF8DC', border: '2px solid rgba(168, 50, 50, 0.3)' }}
+              >
+                <p className="font-bold mb-1" style={{ color: '#5C4033' }}>
+                  {collision.event.name} • <span className="font-mono font-normal">{[...collision.emails, ...collision.phones].join(' / ')}</span>
+                </p>
+                <ul className="space-y-0.5" style={{ color: '#5C4033' }}>
+                  {collision.entries.map((entry) => (
+                    <li key={`${entry.registrationId}-${entry.email}`}>
+                      <span className="font-semibold">{entry.name}</span>
+                      {' - '}
+                      {entry.role === 'individual'
+                        ? 'registered individually'
+                        : `${entry.role === 'leader' ? 'leader of' : 'member of'} team "${entry.teamName}"`}
+                      {entry.inviteStatus === 'pending' && ' (invite pending)'}
+                      <span className="font-mono text-xs ml-2" style={{ opacity: 0.7 }}>{entry.registrationNumber}</span>
+                      {entry.status === 'waitlisted' && <span className="text-xs ml-1" style={{ color: '#8b4513' }}>(waitlisted)</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
     </motion.div>
   );
 };
@@ -690,9 +884,15 @@ const EventsManagement = ({ events, onUpdate }) => {
                           {reg.registrationDate ? new Date(reg.registrationDate).toLocaleDateString('en-IN') : 'N/A'}
                         </td>
                         <td className="py-3 px-4">
-                          <span className="text-xs px-2 py-1 rounded font-semibold" style={{ backgroundColor: 'rgba(92, 64, 51, 0.2)', color: '#5C4033' }}>
-                            {reg.status?.toUpperCase()}
-                          </span>
+                          {reg.status === 'waitlisted' ? (
+                            <span className="text-xs px-2 py-1 rounded font-semibold" style={{ backgroundColor: 'rgba(250, 129, 47, 0.2)', color: '#FA812F' }}>
+                              WAITLIST #{reg.waitlistPosition}
+                            </span>
+                          ) : (
+                            <span className="text-xs px-2 py-1 rounded font-semibold" style={{ backgroundColor: 'rgba(92, 64, 51, 0.2)', color: '#5C4033' }}>
+                              {reg.status?.toUpperCase()}
+                            </span>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -718,7 +918,13 @@ const EventsManagement = ({ events, onUpdate }) => {
                   <div>
                     <span className="text-sm font-semibold" style={{ color: '#5C4033' }}>Pending: </span>
                     <span className="text-lg font-bold" style={{ color: '#FBBF24' }}>
-                      {registrationsData.filter(r => r.paymentStatus === 'verification_pending' || r.paymentStatus === 'pending').length}
+                      {registrationsData.filter(r => r.status !== 'waitlisted' && (r.paymentStatus === 'verification_pending' || r.paymentStatus === 'pending')).length}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-sm font-semibold" style={{ color: '#5C4033' }}>Waitlist: </span>
+                    <span className="text-lg font-bold" style={{ color: '#FA812F' }}>
+                      {registrationsData.filter(r => r.status === 'waitlisted').length}
                     </span>
                   </div>
                   <div>
@@ -933,7 +1139,7 @@ const RegistrationsManagement = ({ registrations }) => {
                           ? { backgroundColor: 'rgba(139, 69, 19, 0.2)', color: '#8b4513' }
                           : { backgroundColor: 'rgba(139, 69, 19, 0.2)', color: '#8b4513' }
                         }>
-                        {reg.paymentStatus === 'verification_pending' ? 'Awaiting Verification' : (reg.paymentStatus || 'pending')}
+                        {reg.status === 'waitlisted' ? `Waitlist #${reg.waitlistPosition}` : reg.paymentStatus === 'verification_pending' ? 'Awaiting Verification' : (reg.paymentStatus || 'pending')}
                       </span>
                     </td>
                   </tr>
@@ -953,11 +1159,18 @@ const PaymentsManagement = ({ registrations, onUpdate, events }) => {
   const [selectedPayment, setSelectedPayment] = useState(null);
   const [showScreenshot, setShowScreenshot] = useState(false);
   const [selectedEventFilter, setSelectedEventFilter] = useState('all');
+  const [selectedPaymentIds, setSelectedPaymentIds] = useState([]);
+  const [bulkWorking, setBulkWorking] = useState(false);
 
   useEffect(() => {
     fetchPayments();
   }, []);
 
+  // Selection only applies to what the filter shows
+  useEffect(() => {
+    setSelectedPaymentIds([]);
+  }, [selectedEventFilter]);
+
   // Lock body scroll when screenshot modal is open
   useEffect(() => {
     if (showScreenshot) {
@@ -1074,6 +1287,72 @@ const PaymentsManagement = ({ registrations, onUpdate, events }) => {
     }
   };
 
+  // Pending payments with proof submitted can be approved / rejected in bulk
+  const getSelectableIds = (regs) => regs
+    .map(reg => getPaymentDetails(reg._id))
+    .filter(payment => payment?.utrNumber && payment.status === 'created')
+    .map(payment => payment._id);
+
+  const selectableIds = getSelectableIds(pendingPayments);
+
+  const togglePaymentSelection = (paymentId) => {
+    setSelectedPaymentIds(prev => prev.includes(paymentId)
+      ? prev.filter(id => id !== paymentId)
+      : [...prev, paymentId]);
+  };
+
+  const toggleGroupSelection = (ids) => {
+    const allSelected = ids.length > 0 && ids.every(id => selectedPaymentIds.includes(id));
+    setSelectedPaymentIds(prev => allSelected
+      ? prev.filter(id => !ids.includes(id))
+      : [...new Set([...prev, ...ids])]);
+  };
+
+  const handleBulkAction = async (action) => {
+    const count = selectedPaymentIds.length;
+    if (count === 0) return;
+
+    let reason;
+    if (action === 'approve') {
+      if (!window.confirm(`Approve ${count} selected payment(s)? Each participant will be emailed their entry pass.`)) {
+        return;
+      }
+    } else {
+      reason = prompt(`Enter rejection reason for ${count} selected payment(s):`, 'Invalid payment proof');
+      if (!reason) return;
+    }
+
+    setBulkWorking(true);
+    const loadingToast = toast.loading(`${action === 'approve' ? 'Approving' : 'Rejecting'} ${count} payment(s)...`);
+    try {
+      const { data } = await API.put('/payments/bulk', { action, paymentIds: selectedPaymentIds, reason });
+      toast.dismiss(loadingToast);
+
+      if (data.summary.failed === 0) {
+        toast.success(data.message);
+      } else {
+        const failures = data.results.filter(result => !result.success);
+        toast.error(
+          `${data.message}. ${failures.length} failed:\n` +
+          failures.slice(0, 5).map(result => {
+            const payment = payments.find(p => p._id === result.paymentId);
+            return `• ${payment?.registration?.registrationNumber || payment?.utrNumber || result.paymentId}: ${result.message}`;
+          }).join('\n') +
+          (failures.length > 5 ? `\n…and ${failures.length - 5} more` : ''),
+          { duration: 8000 }
+        );
+      }
+
+      setSelectedPaymentIds([]);
+      await Promise.all([fetchPayments(), onUpdate ? onUpdate() : Promise.resolve()]);
+    } catch (error) {
+      toast.dismiss(loadingToast);
+      toast.error(error.response?.data?.message || `Failed to ${action} payments`);
+    } finally {
+      setBulkWorking(false);
+    }
+  };
+
   const viewScreenshot = (payment) => {
     setSelectedPayment(payment);
     setShowScreenshot(true);
@@ -1106,6 +1385,7 @@ const PaymentsManagement = ({ registrations, onUpdate, events }) => {
             <div className="mb-4">
               <p style={{ color: '#5C4033' }}><strong>UTR:</strong> {selectedPayment.utrNumber}</p>
               <p style={{ color: '#5C4033' }}><strong>Amount:</strong> ₹{selectedPayment.amount}</p>
+              <ScreenshotOcrCheck payment={selectedPayment} />
             </div>
             <img 
               src={selectedPayment.screenshotUrl?.startsWith('http') 
@@ -1122,6 +1402,13 @@ const PaymentsManagement = ({ registrations, onUpdate, events }) => {
         </div>
       )}
 
+      <PaymentAccountsOverview />
+
+      <StatementReconciliation
+        events={events}
+        onApproved={() => Promise.all([fetchPayments(), onUpdate ? onUpdate() : Promise.resolve()])}
+      />
+
       {/* Pending Payments */}
       <div className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
         {/* Header with Filter */}
@@ -1186,93 +1473,148 @@ const PaymentsManagement = ({ registrations, onUpdate, events }) => {
           </div>
         ) : (
           <div className="space-y-6">
-            {groupedPendingPayments.map((eventGroup) => (
-              <div key={eventGroup.eventId} className="space-y-3">
-                {/* Event Header */}
-                <div className="flex items-center justify-between p-4 rounded-lg" style={{ backgroundColor: 'rgba(250, 129, 47, 0.15)', border: '2px solid rgba(250, 129, 47, 0.3)' }}>
-                  <div className="flex items-center gap-3">
-                    <Calendar className="w-5 h-5" style={{ color: '#FA812F' }} />
-                    <h3 className="font-bold text-lg" style={{ color: '#5C4033' }}>
-                      {eventGroup.eventName}
-                    </h3>
-                  </div>
-                  <span className="px-3 py-1 rounded-full text-sm font-bold" style={{ backgroundColor: 'rgba(250, 129, 47, 0.3)', color: '#FA812F' }}>
-                    {eventGroup.payments.length} {eventGroup.payments.length === 1 ? 'Payment' : 'Payments'}
-                  </span>
+            {/* Bulk actions */}
+            {selectableIds.length > 0 && (
+              <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 rounded-lg" style={{ backgroundColor: '#FFF8DC', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                <label className="flex items-center gap-2 text-sm font-semibold cursor-pointer" style={{ color: '#5C4033' }}>
+                  <input
+                    type="checkbox"
+                    checked={selectableIds.every(id => selectedPaymentIds.includes(id))}
+                    onChange={() => toggleGroupSelection(selectableIds)}
+                    className="w-4 h-4"
+                  />
+                  Select all {selectableIds.length} with payment proof
+                  {selectedPaymentIds.length > 0 && (
+                    <span style={{ color: '#FA812F' }}>• {selectedPaymentIds.length} selected</span>
+                  )}
+                </label>
+                <div className="flex gap-2 flex-wrap">
+                  <button
+                    onClick={() => handleBulkAction('approve')}
+                    disabled={bulkWorking || selectedPaymentIds.length === 0}
+                    className="bg-green-600 hover:bg-green-700 text-white text-sm px-4 py-2 rounded-lg transition-all font-semibold disabled:opacity-50"
+                  >
+                    ✓ Approve Selected ({selectedPaymentIds.length})
+                  </button>
+                  <button
+                    onClick={() => handleBulkAction('reject')}
+                    disabled={bulkWorking || selectedPaymentIds.length === 0}
+                    className="bg-red-600 hover:bg-red-700 text-white text-sm px-4 py-2 rounded-lg transition-all font-semibold disabled:opacity-50"
+                  >
+                    ✗ Reject Selected ({selectedPaymentIds.length})
+                  </button>
                 </div>
+              </div>
+            )}
 
-                {/* Payments for this event */}
-                <div className="space-y-3 pl-4">
-                  {eventGroup.payments.map((reg) => {
-                    const payment = getPaymentDetails(reg._id);
-                    return (
-                      <div key={reg._id} className="p-4 rounded-lg border-2 transition-all hover:shadow-lg" style={{ backgroundColor: '#FFF8DC', borderColor: 'rgba(139, 69, 19, 0.3)' }}>
-                        <div className="flex flex-col gap-3">
-                          <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
-                            <div className="flex-1">
-                              <p className="font-bold text-lg" style={{ color: '#FA812F' }}>
-                                {reg.user?.name || 'N/A'}
-                              </p>
-                              <p className="text-sm mt-1" style={{ color: '#5C4033', opacity: 0.7 }}>
-                                {reg.user?.email || 'N/A'} • {reg.user?.phone || 'N/A'}
-                              </p>
-                              <p className="text-sm mt-2" style={{ color: '#5C4033' }}>
-                                <strong>ID:</strong> <span className="font-mono">{reg.registrationNumber || 'N/A'}</span>
-                              </p>
-                              {payment?.utrNumber && (
-                                <p className="text-sm mt-2 font-mono font-bold" style={{ color: '#FA812F' }}>
-                                  <strong>UTR:</strong> {payment.utrNumber}
-                                </p>
+            {groupedPendingPayments.map((eventGroup) => {
+              const groupSelectableIds = getSelectableIds(eventGroup.payments);
+              return (
+                <div key={eventGroup.eventId} className="space-y-3">
+                  {/* Event Header */}
+                  <div className="flex items-center justify-between p-4 rounded-lg" style={{ backgroundColor: 'rgba(250, 129, 47, 0.15)', border: '2px solid rgba(250, 129, 47, 0.3)' }}>
+                    <div className="flex items-center gap-3">
+                      {groupSelectableIds.length > 0 && (
+                        <input
+                          type="checkbox"
+                          checked={groupSelectableIds.every(id => selectedPaymentIds.includes(id))}
+                          onChange={() => toggleGroupSelection(groupSelectableIds)}
+                          className="w-4 h-4 cursor-pointer"
+                          title="Select all in this event"
+                        />
+                      )}
+                      <Calendar className="w-5 h-5" style={{ color: '#FA812F' }} />
+                      <h3 className="font-bold text-lg" style={{ color: '#5C4033' }}>
+                        {eventGroup.eventName}
+                      </h3>
+                    </div>
+                    <span className="px-3 py-1 rounded-full text-sm font-bold" style={{ backgroundColor: 'rgba(250, 129, 47, 0.3)', color: '#FA812F' }}>
+                      {eventGroup.payments.length} {eventGroup.payments.length === 1 ? 'Payment' : 'Payments'}
+                    </span>
+                  </div>
+
+                  {/* Payments for this event */}
+                  <div className="space-y-3 pl-4">
+                    {eventGroup.payments.map((reg) => {
+                      const payment = getPaymentDetails(reg._id);
+                      return (
+                        <div key={reg._id} className="p-4 rounded-lg border-2 transition-all hover:shadow-lg" style={{ backgroundColor: '#FFF8DC', borderColor: 'rgba(139, 69, 19, 0.3)' }}>
+                          <div className="flex flex-col gap-3">
+                            <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                              {payment?.utrNumber && payment.status === 'created' && (
+                                <input
+                                  type="checkbox"
+                                  checked={selectedPaymentIds.includes(payment._id)}
+                                  onChange={() => togglePaymentSelection(payment._id)}
+                                  className="w-4 h-4 mt-1.5 cursor-pointer"
+                                />
                               )}
-                              {!payment?.utrNumber && (
-                                <p className="text-sm mt-2 font-semibold" style={{ color: '#8b4513' }}>
-                                  ⚠️ Payment proof not submitted yet
+                              <div className="flex-1">
+                                <p className="font-bold text-lg" style={{ color: '#FA812F' }}>
+                                  {reg.user?.name || 'N/A'}
                                 </p>
-                              )}
-                            </div>
-                            <div className="flex items-center gap-4">
-                              <div className="text-right">
-                                <p className="text-xs" style={{ color: '#5C4033', opacity: 0.6 }}>Amount</p>
-                                <p className="text-2xl font-bold" style={{ color: '#FA812F' }}>₹{reg.amount || 0}</p>
+                                <p className="text-sm mt-1" style={{ color: '#5C4033', opacity: 0.7 }}>
+                                  {reg.user?.email || 'N/A'} • {reg.user?.phone || 'N/A'}
+                                </p>
+                                <p className="text-sm mt-2" style={{ color: '#5C4033' }}>
+                                  <strong>ID:</strong> <span className="font-mono">{reg.registrationNumber || 'N/A'}</span>
+                                </p>
+                                {payment?.utrNumber && (
+                                  <p className="text-sm mt-2 font-mono font-bold" style={{ color: '#FA812F' }}>
+                                    <strong>UTR:</strong> {payment.utrNumber}
+                                  </p>
+                                )}
+                                <ScreenshotOcrCheck payment={payment} onRefresh={fetchPayments} />
+                                {!payment?.utrNumber && (
+                                  <p className="text-sm mt-2 font-semibold" style={{ color: '#8b4513' }}>
+                                    ⚠️ Payment proof not submitted yet
+                                  </p>
+                                )}
+                              </div>
+                              <div className="flex items-center gap-4">
+                                <div className="text-right">
+                                  <p className="text-xs" style={{ color: '#5C4033', opacity: 0.6 }}>Amount</p>
+                                  <p className="text-2xl font-bold" style={{ color: '#FA812F' }}>₹{reg.amount || 0}</p>
+                                </div>
                               </div>
                             </div>
-                          </div>
-                          {payment?.utrNumber && (
-                            <div className="flex gap-2 flex-wrap pt-2 border-t" style={{ borderColor: 'rgba(92, 64, 51, 0.2)' }}>
-                              {payment.screenshotUrl && (
+                            {payment?.utrNumber && (
+                              <div className="flex gap-2 flex-wrap pt-2 border-t" style={{ borderColor: 'rgba(92, 64, 51, 0.2)' }}>
+                                {payment.screenshotUrl && (
+                                  <button 
+                                    onClick={() => viewScreenshot(payment)}
+                                    className="text-sm px-4 py-2 rounded-lg font-semibold transition-all"
+                                    style={{ 
+                                      backgroundColor: 'rgba(92, 64, 51, 0.1)',
+                                      color: '#5C4033',
+                                      border: '2px solid rgba(92, 64, 51, 0.3)'
+                                    }}
+                                  >
+                                    View Screenshot
+                                  </button>
+                                )}
                                 <button 
-                                  onClick={() => viewScreenshot(payment)}
-                                  className="text-sm px-4 py-2 rounded-lg font-semibold transition-all"
-                                  style={{ 
-                                    backgroundColor: 'rgba(92, 64, 51, 0.1)',
-                                    color: '#5C4033',
-                                    border: '2px solid rgba(92, 64, 51, 0.3)'
-                                  }}
+                                  onClick={() => handleVerifyPayment(reg._id)}
+                                  className="bg-green-600 hover:bg-green-700 text-white text-sm px-4 py-2 rounded-lg transition-all font-semibold"
                                 >
-                                  View Screenshot
+                                  ✓ Verify
                                 </button>
-                              )}
-                              <button 
-                                onClick={() => handleVerifyPayment(reg._id)}
-                                className="bg-green-600 hover:bg-green-700 text-white text-sm px-4 py-2 rounded-lg transition-all font-semibold"
-                              >
-                                ✓ Verify
-                              </button>
-                              <button 
-                                onClick={() => handleRejectPayment(reg._id)}
-                                className="bg-red-600 hover:bg-red-700 text-white text-sm px-4 py-2 rounded-lg transition-all font-semibold"
-                              >
-                                ✗ Reject
-                              </button>
-                            </div>
-                          )}
+                                <button 
+                                  onClick={() => handleRejectPayment(reg._id)}
+                                  className="bg-red-600 hover:bg-red-700 text-white text-sm px-4 py-2 rounded-lg transition-all font-semibold"
+                                >
+                                  ✗ Reject
+                                </button>
+                              </div>
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    );
-                  })}
+                      );
+                    })}
+                  </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Eye } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+const BROADCAST_PAYMENT_STATUSES = [
+  { id: 'completed', label: 'Completed' },
+  { id: 'pending', label: 'Pending' },
+  { id: 'verification_pending', label: 'Verification Pending' },
+  { id: 'failed', label: 'Failed' },
+  { id: 'refunded', label: 'Refunded' }
+];
+
+const BroadcastManagement = ({ events }) => {
+  const [segment, setSegment] = useState({ audience: 'participants', event: '', paymentStatus: '', checkedIn: '', college: '' });
+  const [subject, setSubject] = useState('');
+  const [message, setMessage] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  // Any change to the segment or message invalidates the last preview
+  const updateSegment = (changes) => {
+    setSegment({ ...segment, ...changes });
+    setPreview(null);
+  };
+
+  const payload = () => ({
+    segment: segment.audience === 'users'
+      ? { audience: 'users', college: segment.college }
+      : segment,
+    subject,
+    message
+  });
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setPreviewing(true);
+    try {
+      const { data } = await API.post('/admin/broadcasts/preview', payload());
+      setPreview(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview broadcast');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSend = async () => {
+    if (!window.confirm(`Send "${subject}" to ${preview.count} recipient(s)?`)) return;
+    setSending(true);
+    try {
+      const { data } = await API.post('/admin/broadcasts', payload());
+      toast.success(data.message);
+      setPreview(null);
+      setSubject('');
+      setMessage('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send broadcast');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="rounded-2xl shadow-lg p-6"
+      style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}
+    >
+      <h2 className="text-2xl font-bold mb-1" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Broadcast</h2>
+      <p className="text-sm mb-6" style={{ color: '#5C4033', opacity: 0.8 }}>
+        Email an announcement to a group of participants. Messages go through the email outbox.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <form onSubmit={handlePreview} className="space-y-4">
+          <div>
+            <label className="block text-sm font-semibold mb-1" style={{ color: '#5C4033' }}>Send to</label>
+            <select value={segment.audience} onChange={(e) => updateSegment({ audience: e.target.value })} className="input-field">
+              <option value="participants">Event participants</option>
+              <option value="users">All users</option>
+            </select>
+          </div>
+
+          {segment.audience === 'participants' && (
+            <>
+              <div>
+                <label className="block text-sm font-semibold mb-1" style={{ color: '#5C4033' }}>Event</label>
+                <select value={segment.event} onChange={(e) => updateSegment({ event: e.target.value })} className="input-field">
+                  <option value="">All events</option>
+                  {events.map((event) => (
+                    <option key={event._id} value={event._id}>{event.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold mb-1" style={{ color: '#5C4033' }}>Payment status</label>
+                  <select value={segment.paymentStatus} onChange={(e) => updateSegment({ paymentStatus: e.target.value })} className="input-field">
+                    <option value="">Any</option>
+                    {BROADCAST_PAYMENT_STATUSES.map((status) => (
+                      <option key={status.id} value={status.id}>{status.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-1" style={{ color: '#5C4033' }}>Checked in</label>
+                  <select value={segment.checkedIn} onChange={(e) => updateSegment({ checkedIn: e.target.value })} className="input-field">
+                    <option value="">Any</option>
+                    <option value="yes">Checked in</option>
+                    <option value="no">Not checked in</option>
+                  </select>
+                </div>
+              </div>
+            </>
+          )}
+
+          <div>
+            <label className="block text-sm font-semibold mb-1" style={{ color: '#5C4033' }}>College</label>
+            <input
+              type="text"
+              value={segment.college}
+              onChange={(e) => updateSegment({ college: e.target.value })}
+              className="input-field"
+              placeholder="Any college"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold mb-1" style={{ color: '#5C4033' }}>Subject</label>
+            <input
+              type="text"
+              value={subject}
+              onChange={(e) => { setSubject(e.target.value); setPreview(null); }}
+              className="input-field"
+              maxLength={150}
+              placeholder="e.g. Venue change for Code Sprint"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold mb-1" style={{ color: '#5C4033' }}>Message</label>
+            <textarea
+              value={message}
+              onChange={(e) => { setMessage(e.target.value); setPreview(null); }}
+              className="input-field"
+              rows={8}
+              maxLength={5000}
+              placeholder="Leave a blank line between paragraphs"
+              required
+            />
+          </div>
+
+          <button type="submit" disabled={previewing} className="btn-secondary flex items-center gap-2 disabled:opacity-50">
+            <Eye className="w-4 h-4" /> {previewing ? 'Loading...' : 'Preview & Count Recipients'}
+          </button>
+        </form>
+
+        <div>
+          {preview ? (
+            <div className="space-y-4">
+              <div className="p-4 rounded-xl" style={{ backgroundColor: 'rgba(250, 177, 47, 0.15)', border: '1px solid rgba(250, 129, 47, 0.3)' }}>
+                <p className="font-bold" style={{ color: '#2C1810' }}>{preview.count} recipient(s)</p>
+                {preview.recipients.length > 0 && (
+                  <p className="text-xs mt-1" style={{ color: '#5C4033' }}>
+                    {preview.recipients.map((person) => person.name || person.email).join(', ')}
+                    {preview.count > preview.recipients.length && ` and ${preview.count - preview.recipients.length} more`}
+                  </p>
+                )}
+              </div>
+              <iframe title="Broadcast preview" srcDoc={preview.preview.html} sandbox="" className="w-full h-[28rem] rounded-xl bg-white" />
+              <button
+                onClick={handleSend}
+                disabled={sending || preview.count === 0}
+                className="btn-primary w-full disabled:opacity-50"
+              >
+                {sending ? 'Queuing...' : `Send to ${preview.count} recipient(s)`}
+              </button>
+            </div>
+          ) : (
+            <div className="h-full min-h-[12rem] flex items-center justify-center rounded-xl text-sm text-center p-6" style={{ border: '2px dashed rgba(92, 64, 51, 0.2)', color: '#5C4033', opacity: 0.7 }}>
+              Preview the broadcast to see who will receive it before sending
+            </div>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default BroadcastManagement;
@@ -0,0 +1,465 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Plus, Download, Trash2, Eye } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+const CERTIFICATE_FIELD_LABELS = {
+  name: 'Participant name',
+  event: 'Event name',
+  college: 'College',
+  teamName: 'Team name',
+  position: 'Position (winners)',
+  category: 'Category',
+  date: 'Event date',
+  certificateId: 'Certificate ID',
+  text: 'Custom text',
+  qr: 'Verification QR'
+};
+
+const CERTIFICATE_FONTS = ['Helvetica', 'Helvetica-Bold', 'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'];
+
+const NEW_CERTIFICATE_FIELD = { key: 'text', text: '', x: 10, y: 50, width: 80, fontSize: 20, font: 'Helvetica', color: '#2C1810', align: 'center' };
+
+// Save a PDF response (fetched as a blob) to the admin's computer
+
+const downloadPdfBlob = (data, filename) => {
+  const url = window.URL.createObjectURL(new Blob([data], { type: 'application/pdf' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+const CertificatesManagement = ({ events }) => {
+  const [selectedEvent, setSelectedEvent] = useState('');
+  const [overview, setOverview] = useState(null);
+  const [templates, setTemplates] = useState(null);
+  const [templateType, setTemplateType] = useState('participation');
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState('');
+
+  useEffect(() => {
+    if (selectedEvent) {
+      fetchEventCertificates();
+      fetchTemplates();
+    } else {
+      setOverview(null);
+      setTemplates(null);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedEvent]);
+
+  const fetchEventCertificates = async () => {
+    try {
+      setLoading(true);
+      const { data } = await API.get(`/certificates/event/${selectedEvent}`);
+      setOverview(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load certificates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTemplates = async () => {
+    try {
+      const { data } = await API.get(`/certificates/templates/${selectedEvent}`);
+      setTemplates(data.templates);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load templates');
+    }
+  };
+
+  const template = templates?.[templateType];
+  const eventName = events.find((event) => event._id === selectedEvent)?.name || '';
+
+  const updateTemplate = (changes) => {
+    setTemplates({ ...templates, [templateType]: { ...template, ...changes } });
+  };
+
+  const updateField = (index, changes) => {
+    updateTemplate({ fields: template.fields.map((field, i) => (i === index ? { ...field, ...changes } : field)) });
+  };
+
+  const handleBackgroundUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const formDataUpload = new FormData();
+    formDataUpload.append('image', file);
+    setBusy('upload');
+    try {
+      const { data } = await API.post('/events/upload-image', formDataUpload, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      updateTemplate({ backgroundUrl: data.imageUrl });
+      toast.success('Background uploaded - save the template to use it');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload background');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const templatePayload = () => ({
+    backgroundUrl: template.backgroundUrl || '',
+    orientation: template.orientation,
+    fields: template.fields
+  });
+
+  const handleSaveTemplate = async () => {
+    setBusy('save');
+    try {
+      const { data } = await API.put(`/certificates/templates/${selectedEvent}/${templateType}`, templatePayload());
+      toast.success(data.message);
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleResetTemplate = async () => {
+    if (!window.confirm('Go back to the default certificate design?')) return;
+    try {
+      await API.delete(`/certificates/templates/${selectedEvent}/${templateType}`);
+      toast.success('Template reset');
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset template');
+    }
+  };
+
+  const handlePreview = async () => {
+    setBusy('preview');
+    try {
+      const response = await API.post(`/certificates/templates/${selectedEvent}/${templateType}/preview`, templatePayload(), {
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+    } catch {
+      toast.error('Failed to render preview');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleIssue = async (type) => {
+    if (!window.confirm(`Issue ${type} certificates for ${eventName}? People no longer eligible lose theirs.`)) return;
+    setBusy(`issue-${type}`);
+    try {
+      const { data } = await API.post(`/certificates/event/${selectedEvent}/issue`, { type });
+      toast.success(data.message);
+      fetchEventCertificates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to issue certificates');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleDownloadAll = async (type) => {
+    setBusy(`pdf-${type}`);
+    try {
+      const response = await API.get(`/certificates/event/${selectedEvent}/pdf`, { params: { type }, responseType: 'blob' });
+      downloadPdfBlob(response.data, `${eventName}-${type}-certificates.pdf`);
+    } catch {
+      toast.error(`No ${type} certificates to download`);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleDownloadOne = async (certificate) => {
+    try {
+      const response = await API.get(`/certificates/${certificate.certificateId}/pdf`, { responseType: 'blob' });
+      downloadPdfBlob(response.data, `${certificate.certificateId}.pdf`);
+    } catch {
+      toast.error('Failed to download certificate');
+    }
+  };
+
+  const certificates = overview?.certificates || [];
+  const countOf = (type) => certificates.filter((certificate) => certificate.type === type).length;
+
+  const sectionStyle = { backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' };
+  const headingStyle = { color: '#5C4033', fontFamily: 'Georgia, serif' };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-6"
+    >
+      <div className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+        <h2 className="text-2xl font-bold mb-1" style={headingStyle}>Certificates</h2>
+        <p className="text-xs mb-4" style={{ color: '#5C4033', opacity: 0.7 }}>
+          Participation certificates go to everyone on attended registrations, team members included. Winner certificates follow the event results.
+        </p>
+        <select value={selectedEvent} onChange={(e) => setSelectedEvent(e.target.value)} className="input-field md:w-1/2">
+          <option value="">Select an event</option>
+          {events.map((event) => (
+            <option key={event._id} value={event._id}>{event.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {selectedEvent && loading && !overview && (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+        </div>
+      )}
+
+      {selectedEvent && overview && (
+        <>
+          {/* Issue */}
+          <div className="grid md:grid-cols-2 gap-4">
+            {[
+              { type: 'participation', label: 'Participation', eligible: `${overview.attended.length} attended registrations` },
+              { type: 'winner', label: 'Winner', eligible: `${overview.results.length} results` }
+            ].map(({ type, label, eligible }) => (
+              <div key={type} className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+                <h3 className="text-xl font-bold" style={headingStyle}>{label}</h3>
+                <p className="text-sm mt-1" style={{ color: '#5C4033' }}>{countOf(type)} issued • {eligible}</p>
+                <div className="flex flex-wrap gap-2 mt-4">
+                  <button onClick={() => handleIssue(type)} disabled={Boolean(busy)} className="btn-primary text-sm disabled:opacity-50">
+                    {busy === `issue-${type}` ? 'Issuing...' : countOf(type) > 0 ? 'Re-issue' : 'Issue'}
+                  </button>
+                  <button onClick={() => handleDownloadAll(type)} disabled={Boolean(busy) || countOf(type) === 0} className="btn-secondary text-sm flex items-center gap-1 disabled:opacity-50">
+                    <Download className="w-4 h-4" />
+                    {busy === `pdf-${type}` ? 'Preparing...' : 'All as PDF'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Results */}
+          <div className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <h3 className="text-xl font-bold" style={headingStyle}>Results</h3>
+              <Link to="/admin/results" className="btn-secondary text-sm">Edit Results</Link>
+            </div>
+            {overview.results.length === 0 ? (
+              <p className="text-sm" style={{ color: '#5C4033', opacity: 0.7 }}>No results entered for this event yet</p>
+            ) : (
+              <ul className="space-y-1 text-sm" style={{ color: '#5C4033' }}>
+                {[...overview.results].sort((a, b) => a.position - b.position).map((result) => (
+                  <li key={result._id}>
+                    <span className="font-semibold">{result.title || `#${result.position}`}</span>
+                    {result.category && ` (${result.category})`} - {result.registration?.teamName || result.registration?.user?.name || 'Unknown'}
+                    {result.registration && ` (${result.registration.registrationNumber})`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Template */}
+          {template && (
+            <div className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-xl font-bold" style={headingStyle}>
+                  Template {template.isDefault && <span className="text-xs font-normal">(default design)</span>}
+                </h3>
+                <div className="flex rounded-lg overflow-hidden" style={{ border: '2px solid rgba(250, 129, 47, 0.4)' }}>
+                  {['participation', 'winner'].map((type) => (
+                    <button
+                      key={type}
+                      onClick={() => setTemplateType(type)}
+                      className="px-4 py-1 text-sm font-semibold capitalize"
+                      style={templateType === type ? { backgroundColor: '#FA812F', color: '#FEF3E2' } : { color: '#5C4033' }}
+                    >
+                      {type}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-3 gap-4 text-sm mb-4" style={{ color: '#5C4033' }}>
+                <div className="md:col-span-2">
+                  <label className="block mb-1 font-semibold">Background image</label>
+                  <div className="flex gap-2 items-center">
+                    <input
+                      type="text"
+                      value={template.backgroundUrl || ''}
+                      onChange={(e) => updateTemplate({ backgroundUrl: e.target.value })}
+                      className="input-field flex-1"
+                      placeholder="None - default bordered design"
+                    />
+                    <label className="btn-secondary text-sm cursor-pointer whitespace-nowrap">
+                      {busy === 'upload' ? 'Uploading...' : 'Upload'}
+                      <input type="file" accept="image/*" onChange={handleBackgroundUpload} className="hidden" />
+                    </label>
+                  </div>
+                </div>
+                <div>
+                  <label className="block mb-1 font-semibold">Orientation</label>
+                  <select value={template.orientation} onChange={(e) => updateTemplate({ orientation: e.target.value })} className="input-field">
+                    <option value="landscape">Landscape</option>
+                    <option value="portrait">Portrait</option>
+                  </select>
+                </div>
+              </div>
+
+              <p className="text-xs mb-2" style={{ color: '#5C4033', opacity: 0.7 }}>
+                Positions are percentages of the page from the top-left corner. Custom text can use {'{name}'}, {'{event}'}, {'{college}'}, {'{position}'}, {'{date}'} and {'{certificateId}'}. For the QR code, size is in points.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                      <th className="py-2 pr-2">Field</th>
+                      <th className="py-2 pr-2">X %</th>
+                      <th className="py-2 pr-2">Y %</th>
+                      <th className="py-2 pr-2">Width %</th>
+                      <th className="py-2 pr-2">Size</th>
+                      <th className="py-2 pr-2">Font</th>
+                      <th className="py-2 pr-2">Colour</th>
+                      <th className="py-2 pr-2">Align</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {template.fields.map((field, index) => (
+                      <tr key={index} className="align-top" style={{ borderBottom: '1px solid rgba(92, 64, 51, 0.1)' }}>
+                        <td className="py-2 pr-2 min-w-[12rem]">
+                          <select value={field.key} onChange={(e) => updateField(index, { key: e.target.value })} className="input-field">
+                            {Object.entries(CERTIFICATE_FIELD_LABELS).map(([key, label]) => (
+                              <option key={key} value={key}>{label}</option>
+                            ))}
+                          </select>
+                          {field.key === 'text' && (
+                            <input
+                              type="text"
+                              value={field.text || ''}
+                              onChange={(e) => updateField(index, { text: e.target.value })}
+                              className="input-field mt-1"
+                              placeholder="has participated in {event}"
+                            />
+                          )}
+                        </td>
+                        {['x', 'y', 'width', 'fontSize'].map((key) => (
+                          <td key={key} className="py-2 pr-2">
+                            <input
+                              type="number"
+                              value={field[key] ?? NEW_CERTIFICATE_FIELD[key]}
+                              onChange={(e) => updateField(index, { [key]: e.target.value === '' ? '' : Number(e.target.value) })}
+                              className="input-field w-20"
+                            />
+                          </td>
+                        ))}
+                        <td className="py-2 pr-2">
+                          <select value={field.font || 'Helvetica'} onChange={(e) => updateField(index, { font: e.target.value })} className="input-field" disabled={field.key === 'qr'}>
+                            {CERTIFICATE_FONTS.map((font) => <option key={font} value={font}>{font}</option>)}
+                          </select>
+                        </td>
+                        <td className="py-2 pr-2">
+                          <input
+                            type="color"
+                            value={field.color || '#2C1810'}
+                            onChange={(e) => updateField(index, { color: e.target.value })}
+                            className="h-10 w-12 rounded"
+                            disabled={field.key === 'qr'}
+                          />
+                        </td>
+                        <td className="py-2 pr-2">
+                          <select value={field.align || 'center'} onChange={(e) => updateField(index, { align: e.target.value })} className="input-field" disabled={field.key === 'qr'}>
+                            <option value="left">Left</option>
+                            <option value="center">Center</option>
+                            <option value="right">Right</option>
+                          </select>
+                        </td>
+                        <td className="py-2">
+                          <button
+                            onClick={() => updateTemplate({ fields: template.fields.filter((_, i) => i !== index) })}
+                            className="p-2 rounded-lg"
+                            style={{ color: '#a83232' }}
+                            title="Remove field"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex flex-wrap gap-2 mt-4">
+                <button onClick={() => updateTemplate({ fields: [...template.fields, NEW_CERTIFICATE_FIELD] })} className="btn-secondary text-sm flex items-center gap-1">
+                  <Plus className="w-4 h-4" /> Add Field
+                </button>
+                <button onClick={handlePreview} disabled={Boolean(busy)} className="btn-secondary text-sm flex items-center gap-1 disabled:opacity-50">
+                  <Eye className="w-4 h-4" /> {busy === 'preview' ? 'Rendering...' : 'Preview'}
+                </button>
+                <button onClick={handleSaveTemplate} disabled={Boolean(busy)} className="btn-primary text-sm disabled:opacity-50">
+                  {busy === 'save' ? 'Saving...' : 'Save Template'}
+                </button>
+                {!template.isDefault && (
+                  <button onClick={handleResetTemplate} className="text-sm px-3 py-2 rounded-lg font-semibold text-white" style={{ backgroundColor: '#a83232' }}>
+                    Reset to Default
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Issued */}
+          <div className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+            <h3 className="text-xl font-bold mb-4" style={headingStyle}>Issued Certificates</h3>
+            {certificates.length === 0 ? (
+              <p className="text-sm text-center py-6" style={{ color: '#5C4033', opacity: 0.7 }}>No certificates issued yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                      <th className="py-2 pr-4">Recipient</th>
+                      <th className="py-2 pr-4">Type</th>
+                      <th className="py-2 pr-4">Certificate ID</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {certificates.map((certificate) => (
+                      <tr key={certificate._id} style={{ color: '#5C4033', borderBottom: '1px solid rgba(92, 64, 51, 0.1)' }}>
+                        <td className="py-2 pr-4">
+                          <p className="font-semibold">{certificate.recipientName}</p>
+                          <p className="text-xs">{certificate.recipientEmail}{certificate.teamName && ` • ${certificate.teamName}`}</p>
+                        </td>
+                        <td className="py-2 pr-4 capitalize">
+                          {certificate.type}
+                          {certificate.position && <span className="text-xs"> #{certificate.position}</span>}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <Link to={`/certificates/verify/${certificate.certificateId}`} target="_blank" className="font-mono text-xs underline" style={{ color: '#FA812F' }}>
+                            {certificate.certificateId}
+                          </Link>
+                        </td>
+                        <td className="py-2">
+                          <button onClick={() => handleDownloadOne(certificate)} className="p-2 rounded-lg" style={{ color: '#5C4033' }} title="Download PDF">
+                            <Download className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default CertificatesManagement;
@@ -0,0 +1,467 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Camera, CameraOff, CheckCircle, XCircle, AlertTriangle, Search, UserCheck, RefreshCw, Undo2 } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Native barcode scanning is available on most Android/Chrome devices used at the venue
+const supportsScanner = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+const QUEUE_KEY = 'checkinOfflineQueue';
+const PASS_KEY_KEY = 'checkinPassKey';
+const isEntryPass = (value) => /^SAVPASS2\./.test(value);
+
+// Scans made while the venue Wi-Fi is down are stored here and checked in on sync
+const readQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+// Read the payload of a pass for display - trust it only after verifyPassOffline or the server says so
+const decodePass = (pass) => {
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(pass.split('.')[1])));
+  } catch {
+    return null;
+  }
+};
+
+// Check a pass against the public key cached from the server: 'valid', 'invalid', 'wrong-event',
+// or 'unverified' when it can't be checked here (no key cached yet, or a browser without Ed25519 support)
+const verifyPassOffline = async (pass, eventId) => {
+  const [prefix, payload, signature] = pass.split('.');
+  const publicKey = localStorage.getItem(PASS_KEY_KEY);
+  if (!publicKey || !window.crypto?.subtle) {
+    return 'unverified';
+  }
+
+  let key;
+  try {
+    key = await window.crypto.subtle.importKey('raw', fromBase64Url(publicKey), { name: 'Ed25519' }, false, ['verify']);
+  } catch {
+    return 'unverified';
+  }
+
+  try {
+    const valid = await window.crypto.subtle.verify(
+      { name: 'Ed25519' },
+      key,
+      fromBase64Url(signature || ''),
+      new TextEncoder().encode(`${prefix}.${payload}`)
+    );
+    if (!valid) return 'invalid';
+  } catch {
+    return 'invalid';
+  }
+
+  return decodePass(pass)?.e === eventId ? 'valid' : 'wrong-event';
+};
+
+const CheckIn = () => {
+  const [events, setEvents] = useState([]);
+  const [selectedEvent, setSelectedEvent] = useState(localStorage.getItem('checkinEventId') || '');
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [queuedCount, setQueuedCount] = useState(readQueue().length);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        const { data } = await API.get('/events');
+        setEvents(data.events || []);
+      } catch (error) {
+        console.error('Failed to load events:', error);
+        toast.error('Failed to load events');
+      }
+    };
+    fetchEvents();
+
+    // Cache the pass key so scans can still be verified if the connection drops later
+    const fetchPassKey = async () => {
+      try {
+        const { data } = await API.get('/checkin/pass-key');
+        localStorage.setItem(PASS_KEY_KEY, data.publicKey);
+      } catch {
+        // Offline - keep using the cached key
+      }
+    };
+    fetchPassKey();
+  }, []);
+
+  const fetchStats = useCallback(async () => {
+    if (!selectedEvent) return;
+    try {
+      const { data } = await API.get(`/checkin/event/${selectedEvent}/stats`);
+      setStats(data.stats);
+      setRecent(data.recent || []);
+    } catch (error) {
+      console.error('Failed to fetch check-in stats:', error);
+    }
+  }, [selectedEvent]);
+
+  useEffect(() => {
+    if (selectedEvent) {
+      localStorage.setItem('checkinEventId', selectedEvent);
+    }
+    setResult(null);
+    fetchStats();
+  }, [selectedEvent, fetchStats]);
+
+  const stopScanner = useCallback(() => {
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  }, []);
+
+  useEffect(() => stopScanner, [stopScanner]);
+
+  const submitCheckIn = useCallback(async (value) => {
+    const trimmed = value.trim();
+    if (!selectedEvent) {
+      toast.error('Select an event first');
+      return;
+    }
+    if (!trimmed) return;
+
+    setSubmitting(true);
+    try {
+      const { data } = await API.post('/checkin', { eventId: selectedEvent, code: trimmed });
+      setResult({ ok: true, message: data.message, registration: data.registration });
+      if (navigator.vibrate) navigator.vibrate(100);
+      fetchStats();
+    } catch (error) {
+      if (!error.response && isEntryPass(trimmed)) {
+        // Offline: check the signature here, keep the scan and check in once the connection is back
+        const verdict = await verifyPassOffline(trimmed, selectedEvent);
+        const payload = decodePass(trimmed);
+        const registration = payload ? { registrationNumber: payload.r, userCode: payload.u } : null;
+
+        if (verdict === 'invalid' || verdict === 'wrong-event') {
+          setResult({
+            ok: false,
+            message: verdict === 'invalid'
+              ? 'Invalid pass signature - this pass may have been tampered with'
+              : 'This pass is for a different event'
+          });
+          if (navigator.vibrate) navigator.vibrate([100, 50, 100]);
+          return;
+        }
+
+        const queue = readQueue();
+        if (queue.some(item => item.eventId === selectedEvent && item.code === trimmed)) {
+          setResult({ ok: false, message: 'Already scanned on this device while offline', registration });
+          if (navigator.vibrate) navigator.vibrate([100, 50, 100]);
+          return;
+        }
+
+        queue.push({ eventId: selectedEvent, code: trimmed, scannedAt: new Date().toISOString() });
+        writeQueue(queue);
+        setQueuedCount(queue.length);
+        setResult(verdict === 'valid'
+          ? { ok: true, queued: true, message: 'Pass verified offline - will sync when back online', registration }
+          : { ok: false, unverified: true, queued: true, message: 'Unverified - saved offline, check their ID before letting them in', registration });
+        if (navigator.vibrate) navigator.vibrate(verdict === 'valid' ? 100 : [200, 100, 200]);
+        return;
+      }
+      setResult({
+        ok: false,
+        message: error.response?.data?.message || 'Check-in failed',
+        registration: error.response?.data?.registration
+      });
+      if (navigator.vibrate) navigator.vibrate([100, 50, 100]);
+    } finally {
+      setSubmitting(false);
+      setCode('');
+      inputRef.current?.focus();
+    }
+  }, [selectedEvent, fetchStats]);
+
+  const syncQueue = useCallback(async () => {
+    const queue = readQueue();
+    if (queue.length === 0) return;
+
+    const remaining = [];
+    const failures = [];
+    for (const item of queue) {
+      try {
+        await API.post('/checkin', { eventId: item.eventId, code: item.code });
+      } catch (error) {
+        if (!error.response) {
+          remaining.push(item);
+        } else if (error.response.status !== 409) {
+          failures.push(`${decodePass(item.code)?.r || 'Pass'}: ${error.response.data?.message}`);
+        }
+      }
+    }
+
+    writeQueue(remaining);
+    setQueuedCount(remaining.length);
+    if (remaining.length < queue.length) {
+      toast.success(`Synced ${queue.length - remaining.length} offline check-ins`);
+      fetchStats();
+    }
+    failures.forEach(message => toast.error(message, { duration: 6000 }));
+  }, [fetchStats]);
+
+  useEffect(() => {
+    syncQueue();
+    window.addEventListener('online', syncQueue);
+    return () => window.removeEventListener('online', syncQueue);
+  }, [syncQueue]);
+
+  const startScanner = async () => {
+    if (!selectedEvent) {
+      toast.error('Select an event first');
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      setScanning(true);
+    } catch (error) {
+      console.error('Camera error:', error);
+      toast.error('Camera access denied');
+    }
+  };
+
+  // Attach the camera stream and poll frames for QR codes while scanning
+  useEffect(() => {
+    if (!scanning || !videoRef.current || !streamRef.current) return;
+
+    const video = videoRef.current;
+    video.srcObject = streamRef.current;
+    video.play();
+
+    const detector = new window.BarcodeDetector({ formats: ['qr_code', 'code_128'] });
+    let busy = false;
+    const interval = setInterval(async () => {
+      if (busy || video.readyState < 2) return;
+      busy = true;
+      try {
+        const codes = await detector.detect(video);
+        if (codes.length > 0) {
+          stopScanner();
+          await submitCheckIn(codes[0].rawValue);
+        }
+      } catch (error) {
+        console.error('Scan error:', error);
+      } finally {
+        busy = false;
+      }
+    }, 400);
+
+    return () => clearInterval(interval);
+  }, [scanning, stopScanner, submitCheckIn]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCheckIn(code);
+  };
+
+  const handleUndo = async (registrationId) => {
+    if (!window.confirm('Revert this check-in?')) return;
+    try {
+      await API.put(`/checkin/${registrationId}/undo`);
+      toast.success('Check-in reverted');
+      setResult(null);
+      fetchStats();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revert check-in');
+    }
+  };
+
+  return (
+    <div className="min-h-screen pt-20 pb-12">
+      <div className="max-w-xl mx-auto px-4">
+        <Link to="/admin" className="inline-flex items-center mb-4 transition-colors font-bold" style={{ color: '#5C4033' }}>
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Dashboard
+        </Link>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="space-y-4"
+        >
+          <h1 className="text-3xl font-bold" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>
+            Event Check-In
+          </h1>
+
+          {/* Event selector */}
+          <select
+            value={selectedEvent}
+            onChange={(e) => setSelectedEvent(e.target.value)}
+            className="input-field text-lg"
+            style={{ color: '#2C1810' }}
+          >
+            <option value="">Select event...</option>
+            {events.map(event => (
+              <option key={event._id} value={event._id}>{event.name}</option>
+            ))}
+          </select>
+
+          {/* Progress */}
+          {stats && (
+            <div className="grid grid-cols-3 gap-3 text-center">
+              {[
+                { label: 'Confirmed', value: stats.confirmed, color: '#5C4033' },
+                { label: 'Checked In', value: stats.checkedIn, color: '#2d7a3e' },
+                { label: 'Remaining', value: stats.remaining, color: '#FA812F' }
+              ].map(item => (
+                <div key={item.label} className="rounded-xl p-3" style={{ backgroundColor: '#FFF8DC', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                  <p className="text-2xl font-bold" style={{ color: item.color }}>{item.value}</p>
+                  <p className="text-xs font-semibold" style={{ color: '#5C4033' }}>{item.label}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {queuedCount > 0 && (
+            <button
+              onClick={syncQueue}
+              className="w-full flex items-center justify-center gap-2 py-2 rounded-xl font-semibold"
+              style={{ backgroundColor: 'rgba(250, 177, 47, 0.2)', border: '2px solid #FAB12F', color: '#8b4513' }}
+            >
+              <RefreshCw className="w-4 h-4" />
+              {queuedCount} offline {queuedCount === 1 ? 'scan' : 'scans'} waiting to sync
+            </button>
+          )}
+
+          {/* Scanner */}
+          {scanning && (
+            <div className="relative rounded-2xl overflow-hidden" style={{ border: '3px solid #FA812F' }}>
+              <video ref={videoRef} className="w-full" playsInline muted />
+              <button
+                onClick={stopScanner}
+                className="absolute top-3 right-3 p-2 rounded-full"
+                style={{ backgroundColor: 'rgba(92, 64, 51, 0.8)', color: '#FEF3E2' }}
+              >
+                <CameraOff className="w-5 h-5" />
+              </button>
+            </div>
+          )}
+
+          {/* Manual entry */}
+          <form onSubmit={handleSubmit} className="flex gap-2">
+            <input
+              ref={inputRef}
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              placeholder="SAV25XXXX or SAV2025-0001"
+              className="input-field flex-1 text-lg font-mono"
+              autoCapitalize="characters"
+              autoComplete="off"
+              disabled={!selectedEvent || submitting}
+            />
+            <button
+              type="submit"
+              disabled={!selectedEvent || submitting || !code.trim()}
+              className="btn-primary px-4 disabled:opacity-50"
+            >
+              {submitting ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Search className="w-5 h-5" />}
+            </button>
+          </form>
+
+          {supportsScanner && !scanning && (
+            <button
+              onClick={startScanner}
+              disabled={!selectedEvent}
+              className="w-full flex items-center justify-center gap-2 py-4 rounded-xl font-bold text-lg shadow-lg disabled:opacity-50"
+              style={{ background: 'linear-gradient(to right, #FA812F, #FAB12F)', color: '#FEF3E2' }}
+            >
+              <Camera className="w-6 h-6" />
+              Scan Code
+            </button>
+          )}
+
+          {/* Result */}
+          {result && (
+            <div
+              className="rounded-2xl p-5 shadow-lg"
+              style={result.ok
+                ? { backgroundColor: 'rgba(45, 122, 62, 0.12)', border: '3px solid #2d7a3e' }
+                : result.unverified
+                  ? { backgroundColor: 'rgba(250, 177, 47, 0.15)', border: '3px solid #FAB12F' }
+                  : { backgroundColor: 'rgba(168, 50, 50, 0.12)', border: '3px solid #a83232' }
+              }
+            >
+              <div className="flex items-center gap-3 mb-3">
+                {result.ok
+                  ? <CheckCircle className="w-8 h-8" style={{ color: '#2d7a3e' }} />
+                  : result.unverified
+                    ? <AlertTriangle className="w-8 h-8" style={{ color: '#8b4513' }} />
+                    : <XCircle className="w-8 h-8" style={{ color: '#a83232' }} />}
+                <p className="text-lg font-bold" style={{ color: result.ok ? '#2d7a3e' : result.unverified ? '#8b4513' : '#a83232' }}>{result.message}</p>
+              </div>
+              {result.registration && (
+                <div className="space-y-1 text-sm" style={{ color: '#5C4033' }}>
+                  <p className="text-xl font-bold" style={{ color: '#1a365d' }}>{result.registration.name}</p>
+                  <p className="font-mono">{result.registration.userCode} • {result.registration.registrationNumber}</p>
+                  {result.registration.college && <p>{result.registration.college}</p>}
+                  {result.registration.teamName && (
+                    <p>Team: <strong>{result.registration.teamName}</strong> ({result.registration.teamSize} members)</p>
+                  )}
+                  {result.registration.registrationCategory && <p>Category: {result.registration.registrationCategory}</p>}
+                  {result.registration.checkedInAt && (
+                    <p>
+                      Checked in at {new Date(result.registration.checkedInAt).toLocaleTimeString('en-IN')}
+                      {result.registration.checkedInBy ? ` by ${result.registration.checkedInBy}` : ''}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Recent check-ins */}
+          {recent.length > 0 && (
+            <div className="card">
+              <h2 className="text-lg font-bold mb-3" style={{ color: '#1a365d', fontFamily: 'Georgia, serif' }}>Recent Check-Ins</h2>
+              <div className="space-y-2">
+                {recent.map(reg => (
+                  <div key={reg.id} className="flex items-center justify-between gap-2 p-2 rounded-lg" style={{ backgroundColor: '#FFF8DC' }}>
+                    <div className="flex items-center gap-2 min-w-0">
+                      <UserCheck className="w-4 h-4 flex-shrink-0" style={{ color: '#2d7a3e' }} />
+                      <div className="min-w-0">
+                        <p className="font-semibold truncate" style={{ color: '#5C4033' }}>{reg.name}</p>
+                        <p className="text-xs font-mono" style={{ color: '#8b4513' }}>
+                          {reg.userCode} • {reg.checkedInAt ? new Date(reg.checkedInAt).toLocaleTimeString('en-IN') : ''}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleUndo(reg.id)}
+                      className="p-2 rounded-lg hover:bg-black/5"
+                      style={{ color: '#8b4513' }}
+                      title="Revert check-in"
+                    >
+                      <Undo2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
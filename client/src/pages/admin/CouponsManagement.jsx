@@ -0,0 +1,399 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { RefreshCw, X } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+import { colleges } from '../../data/colleges';
+
+const EMPTY_COUPON = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  discountValue: '',
+  maxDiscount: '',
+  event: '',
+  validFrom: '',
+  validUntil: '',
+  usageLimit: '',
+  perUserLimit: 1,
+  allowedColleges: ''
+};
+
+const CouponsManagement = ({ events }) => {
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_COUPON);
+  const [saving, setSaving] = useState(false);
+  const [redemptions, setRedemptions] = useState(null);
+
+  useEffect(() => {
+    fetchCoupons();
+  }, []);
+
+  const fetchCoupons = async () => {
+    try {
+      setLoading(true);
+      const { data } = await API.get('/coupons');
+      setCoupons(data.coupons || []);
+    } catch (error) {
+      console.error('Failed to fetch coupons:', error);
+      toast.error('Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await API.post('/coupons', {
+        ...form,
+        maxDiscount: form.maxDiscount || undefined,
+        usageLimit: form.usageLimit || 0,
+        // Valid for the whole of both days (IST)
+        validFrom: form.validFrom ? `${form.validFrom}T00:00:00+05:30` : '',
+        validUntil: form.validUntil ? `${form.validUntil}T23:59:59+05:30` : ''
+      });
+      toast.success(`Coupon ${form.code.toUpperCase()} created`);
+      setForm(EMPTY_COUPON);
+      fetchCoupons();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create coupon');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (coupon) => {
+    try {
+      await API.put(`/coupons/${coupon._id}`, { isActive: !coupon.isActive });
+      toast.success(`Coupon ${coupon.code} ${coupon.isActive ? 'deactivated' : 'activated'}`);
+      fetchCoupons();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update coupon');
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+    try {
+      await API.delete(`/coupons/${coupon._id}`);
+      toast.success(`Coupon ${coupon.code} deleted`);
+      fetchCoupons();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete coupon');
+    }
+  };
+
+  const handleViewRedemptions = async (coupon) => {
+    try {
+      const { data } = await API.get(`/coupons/${coupon._id}/redemptions`);
+      setRedemptions(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load redemptions');
+    }
+  };
+
+  const describeDiscount = (coupon) => {
+    if (coupon.discountType === 'flat') return `₹${coupon.discountValue} off`;
+    return `${coupon.discountValue}% off${coupon.maxDiscount ? ` (max ₹${coupon.maxDiscount})` : ''}`;
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+  const totalDiscount = coupons.reduce((sum, coupon) => sum + coupon.totalDiscount, 0);
+  const totalRedemptions = coupons.reduce((sum, coupon) => sum + coupon.activeRedemptions, 0);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-6"
+    >
+      {/* Create Coupon */}
+      <form onSubmit={handleCreate} className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <h2 className="text-2xl font-bold mb-1" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>New Coupon</h2>
+        <p className="text-xs mb-4" style={{ color: '#5C4033', opacity: 0.7 }}>
+          Participants enter the code when registering. Cancelled or rejected registrations give their use back.
+        </p>
+        <div className="grid md:grid-cols-3 gap-4 text-sm" style={{ color: '#5C4033' }}>
+          <div>
+            <label className="block mb-1 font-semibold">Code *</label>
+            <input
+              type="text"
+              value={form.code}
+              onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+              className="input-field"
+              placeholder="EARLYBIRD"
+              required
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Discount *</label>
+            <div className="flex gap-2">
+              <select value={form.discountType} onChange={(e) => setForm({ ...form, discountType: e.target.value })} className="input-field">
+                <option value="percent">%</option>
+                <option value="flat">₹</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                max={form.discountType === 'percent' ? 100 : undefined}
+                value={form.discountValue}
+                onChange={(e) => setForm({ ...form, discountValue: e.target.value })}
+                className="input-field"
+                required
+              />
+            </div>
+          </div>
+          {form.discountType === 'percent' && (
+            <div>
+              <label className="block mb-1 font-semibold">Maximum discount (₹)</label>
+              <input
+                type="number"
+                min="0"
+                value={form.maxDiscount}
+                onChange={(e) => setForm({ ...form, maxDiscount: e.target.value })}
+                className="input-field"
+                placeholder="No limit"
+              />
+            </div>
+          )}
+          <div>
+            <label className="block mb-1 font-semibold">Event</label>
+            <select value={form.event} onChange={(e) => setForm({ ...form, event: e.target.value })} className="input-field">
+              <option value="">All Events</option>
+              {events.map((event) => (
+                <option key={event._id} value={event._id}>{event.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Valid from</label>
+            <input type="date" value={form.validFrom} onChange={(e) => setForm({ ...form, validFrom: e.target.value })} className="input-field" />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Valid until</label>
+            <input type="date" value={form.validUntil} onChange={(e) => setForm({ ...form, validUntil: e.target.value })} className="input-field" />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Total uses</label>
+            <input
+              type="number"
+              min="0"
+              value={form.usageLimit}
+              onChange={(e) => setForm({ ...form, usageLimit: e.target.value })}
+              className="input-field"
+              placeholder="Unlimited"
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Uses per participant</label>
+            <input
+              type="number"
+              min="1"
+              value={form.perUserLimit}
+              onChange={(e) => setForm({ ...form, perUserLimit: e.target.value })}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Only for colleges</label>
+            <input
+              type="text"
+              list="coupon-colleges"
+              value={form.allowedColleges}
+              onChange={(e) => setForm({ ...form, allowedColleges: e.target.value })}
+              className="input-field"
+              placeholder="Any college (comma separated)"
+            />
+            <datalist id="coupon-colleges">
+              {colleges.map((college) => (
+                <option key={college} value={college} />
+              ))}
+            </datalist>
+          </div>
+          <div className="md:col-span-3">
+            <label className="block mb-1 font-semibold">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              className="input-field"
+              placeholder="Early bird offer for the first 50 registrations"
+            />
+          </div>
+        </div>
+        <button type="submit" disabled={saving} className="btn-primary mt-4 disabled:opacity-50">
+          {saving ? 'Creating...' : 'Create Coupon'}
+        </button>
+      </form>
+
+      {/* Coupons */}
+      <div className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div>
+            <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Coupons</h2>
+            <p className="text-sm font-semibold" style={{ color: '#8b4513' }}>
+              {totalRedemptions} redemption{totalRedemptions === 1 ? '' : 's'} · ₹{totalDiscount} discounted
+            </p>
+          </div>
+          <button onClick={fetchCoupons} className="btn-primary flex items-center gap-2">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-10">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+          </div>
+        ) : coupons.length === 0 ? (
+          <p className="text-sm text-center py-6" style={{ color: '#5C4033', opacity: 0.7 }}>No coupons yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                  <th className="py-2 pr-4">Code</th>
+                  <th className="py-2 pr-4">Discount</th>
+                  <th className="py-2 pr-4">Applies To</th>
+                  <th className="py-2 pr-4">Valid</th>
+                  <th className="py-2 pr-4">Used</th>
+                  <th className="py-2 pr-4">Discounted</th>
+                  <th className="py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons.map((coupon) => (
+                  <tr key={coupon._id} className="align-top" style={{ color: '#5C4033', borderBottom: '1px solid rgba(92, 64, 51, 0.1)', opacity: coupon.isActive ? 1 : 0.6 }}>
+                    <td className="py-3 pr-4">
+                      <p className="font-mono font-bold">{coupon.code}</p>
+                      {coupon.description && <p className="text-xs">{coupon.description}</p>}
+                      {!coupon.isActive && <p className="text-xs font-semibold" style={{ color: '#a83232' }}>Inactive</p>}
+                    </td>
+                    <td className="py-3 pr-4">{describeDiscount(coupon)}</td>
+                    <td className="py-3 pr-4">
+                      <p>{coupon.event?.name || 'All events'}</p>
+                      {coupon.allowedColleges?.length > 0 && (
+                        <p className="text-xs">{coupon.allowedColleges.join(', ')}</p>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 text-xs">
+                      {coupon.validFrom || coupon.validUntil ? (
+                        <>
+                          {coupon.validFrom ? formatDate(coupon.validFrom) : 'Now'} – {coupon.validUntil ? formatDate(coupon.validUntil) : 'No end'}
+                        </>
+                      ) : 'Always'}
+                    </td>
+                    <td className="py-3 pr-4">
+                      <p className="font-semibold">{coupon.activeRedemptions}{coupon.usageLimit > 0 ? ` / ${coupon.usageLimit}` : ''}</p>
+                      <p className="text-xs">{coupon.perUserLimit} per participant</p>
+                      {coupon.releasedRedemptions > 0 && (
+                        <p className="text-xs" style={{ opacity: 0.7 }}>{coupon.releasedRedemptions} released</p>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 font-semibold">₹{coupon.totalDiscount}</td>
+                    <td className="py-3">
+                      <div className="flex flex-col gap-1">
+                        <button onClick={() => handleViewRedemptions(coupon)} className="text-xs px-3 py-1 rounded-lg font-semibold" style={{ backgroundColor: 'rgba(92, 64, 51, 0.1)', color: '#5C4033' }}>
+                          Redemptions
+                        </button>
+                        <button
+                          onClick={() => handleToggle(coupon)}
+                          className="text-xs px-3 py-1 rounded-lg font-semibold text-white"
+                          style={{ backgroundColor: coupon.isActive ? '#8b4513' : '#2d7a3e' }}
+                        >
+                          {coupon.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                        {coupon.activeRedemptions + coupon.releasedRedemptions === 0 && (
+                          <button onClick={() => handleDelete(coupon)} className="text-xs px-3 py-1 rounded-lg font-semibold text-white" style={{ backgroundColor: '#a83232' }}>
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Redemptions Modal */}
+      {redemptions && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 backdrop-blur-md"
+          style={{ backgroundColor: 'rgba(92, 64, 51, 0.7)' }}
+          onClick={() => setRedemptions(null)}
+        >
+          <div
+            className="rounded-2xl shadow-2xl p-6 max-w-3xl w-full max-h-[80vh] overflow-y-auto"
+            style={{ backgroundColor: '#FEF3E2' }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-xl font-bold font-mono" style={{ color: '#5C4033' }}>{redemptions.code}</h3>
+                <p className="text-sm" style={{ color: '#8b4513' }}>
+                  {redemptions.activeRedemptions} in use · ₹{redemptions.totalDiscount} discounted
+                </p>
+              </div>
+              <button onClick={() => setRedemptions(null)} style={{ color: '#5C4033' }}>
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+
+            {redemptions.redemptions.length === 0 ? (
+              <p className="text-sm text-center py-6" style={{ color: '#5C4033', opacity: 0.7 }}>Not used yet</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                    <th className="py-2 pr-4">Participant</th>
+                    <th className="py-2 pr-4">Event</th>
+                    <th className="py-2 pr-4">Discount</th>
+                    <th className="py-2">Used On</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {redemptions.redemptions.map((redemption) => (
+                    <tr key={redemption._id} className="align-top" style={{ color: '#5C4033', borderBottom: '1px solid rgba(92, 64, 51, 0.1)', opacity: redemption.releasedAt ? 0.6 : 1 }}>
+                      <td className="py-2 pr-4">
+                        <p className="font-semibold">{redemption.user?.name}</p>
+                        <p className="text-xs">{redemption.user?.email}</p>
+                        {redemption.user?.college && <p className="text-xs">{redemption.user.college}</p>}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <p>{redemption.event?.name}</p>
+                        {redemption.registration?.registrationNumber && (
+                          <p className="text-xs font-mono">{redemption.registration.registrationNumber}</p>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <p className="font-semibold">₹{redemption.discount}</p>
+                        <p className="text-xs">of ₹{redemption.originalAmount}</p>
+                      </td>
+                      <td className="py-2 text-xs">
+                        {new Date(redemption.redeemedAt).toLocaleString('en-IN')}
+                        {redemption.releasedAt && (
+                          <p className="font-semibold" style={{ color: '#a83232' }}>
+                            Released {new Date(redemption.releasedAt).toLocaleDateString('en-IN')}
+                          </p>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default CouponsManagement;
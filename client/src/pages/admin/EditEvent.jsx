@@ -28,6 +28,7 @@ const EditEvent = () => {
     department: 'AIML',
     date: '',
     time: '',
+    duration: '',
     venue: '',
     maxParticipants: '',
     registrationFee: 0,
@@ -42,7 +43,9 @@ const EditEvent = () => {
     paymentAccountName: '',
     paymentInstructions: '',
     qrCodes: [],
-    currentQRIndex: 0
+    currentQRIndex: 0,
+    qrRotation: 'sequential',
+    reminders: { enabled: true, hoursBefore: '24, 2' }
   });
 
   const categories = ['Technical', 'Non-Technical', 'Cultural'];
@@ -73,6 +76,7 @@ const EditEvent = () => {
         department: event.department || 'CSE',
         date: formattedDate,
         time: event.time || '',
+        duration: event.duration || '',
         venue: event.venue || '',
         maxParticipants: event.maxParticipants || '',
         registrationFee: event.registrationFee || 0,
@@ -87,7 +91,12 @@ const EditEvent = () => {
         paymentAccountName: event.paymentAccountName || '',
         paymentInstructions: event.paymentInstructions || '',
         qrCodes: event.qrCodes || [],
-        currentQRIndex: event.currentQRIndex || 0
+        currentQRIndex: event.currentQRIndex || 0,
+        qrRotation: event.qrRotation || 'sequential',
+        reminders: {
+          enabled: event.reminders?.enabled !== false,
+          hoursBefore: (event.reminders?.hoursBefore || [24, 2]).join(', ')
+        }
       });
       
       if (event.image) {
@@ -260,6 +269,7 @@ const EditEvent = () => {
         upiId: '',
         accountName: '',
         maxUsage: 40,
+        dailyAmountCap: 100000,
         usageCount: 0,
         isActive: true
       }]
@@ -324,10 +334,18 @@ const EditEvent = () => {
         eligibility: formData.eligibility.filter(e => e.trim()),
         coordinators: formData.coordinators.filter(c => c.name && c.phone && c.email),
         maxParticipants: parseInt(formData.maxParticipants),
+        duration: formData.duration ? parseInt(formData.duration) : null,
         registrationFee: parseFloat(formData.registrationFee),
         teamSize: {
           min: parseInt(formData.teamSize.min),
           max: parseInt(formData.teamSize.max)
+        },
+        reminders: {
+          enabled: formData.reminders.enabled,
+          hoursBefore: formData.reminders.hoursBefore
+            .split(',')
+            .map(h => parseFloat(h))
+            .filter(h => !isNaN(h))
         }
       };
 
@@ -507,7 +525,7 @@ const EditEvent = () => {
             <div className="space-y-4">
               <h2 className="text-xl font-semibold text-white">Event Details</h2>
               
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
                   <label className="block text-sm font-medium mb-2 text-white">Date *</label>
                   <input
@@ -532,6 +550,20 @@ const EditEvent = () => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-white">Duration (minutes)</label>
+                  <input
+                    type="number"
+                    name="duration"
+                    value={formData.duration}
+                    onChange={handleChange}
+                    className="input-field"
+                    min="1"
+                    step="5"
+                    placeholder="e.g. 120"
+                  />
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium mb-2 text-white">Venue *</label>
                   <input
@@ -859,7 +891,7 @@ const EditEvent = () => {
               <div className="flex justify-between items-center">
                 <div>
                   <h2 className="text-xl font-semibold text-white">Multiple QR Codes (Auto-Switching)</h2>
-                  <p className="text-sm text-gray-300 mt-1">Add multiple QR codes that automatically switch after reaching the usage limit (default: 40 payments per QR)</p>
+                  <p className="text-sm text-gray-300 mt-1">Add multiple QR codes and choose how each registration is assigned one. Payments are counted per UPI ID across all events.</p>
                 </div>
                 <button
                   type="button"
@@ -871,6 +903,24 @@ const EditEvent = () => {
                 </button>
               </div>
 
+              {formData.qrCodes.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-white">Rotation Strategy</label>
+                  <select
+                    name="qrRotation"
+                    value={formData.qrRotation}
+                    onChange={handleChange}
+                    className="input-field"
+                  >
+                    <option value="sequential">Sequential - fill each QR up to its max usage, in order</option>
+                    <option value="round_robin">Round robin - take turns between accounts</option>
+                    <option value="least_used">Least used - account with the fewest payments</option>
+                    <option value="daily_cap">Daily cap - keep each UPI ID under its daily amount limit</option>
+                  </select>
+                  <p className="text-xs text-gray-400 mt-1">Payments awaiting verification count towards usage and caps.</p>
+                </div>
+              )}
+
               {formData.qrCodes.length === 0 ? (
                 <div className="text-center py-8 bg-white/5 rounded-lg border border-white/10">
                   <p className="text-gray-400">No QR codes added yet. Click "Add QR Code" to get started.</p>
@@ -882,7 +932,7 @@ const EditEvent = () => {
                       <div className="flex justify-between items-center mb-4">
                         <h3 className="font-semibold text-white flex items-center gap-2">
                           QR Code {index + 1}
-                          {index === formData.currentQRIndex && (
+                          {formData.qrRotation === 'sequential' && index === formData.currentQRIndex && (
                             <span className="text-xs px-2 py-1 rounded-full bg-green-500 text-white">Active</span>
                           )}
                           {qr.usageCount >= qr.maxUsage && (
@@ -986,6 +1036,23 @@ const EditEvent = () => {
                             </p>
                           </div>
 
+                          {formData.qrRotation === 'daily_cap' && (
+                            <div>
+                              <label className="block text-sm font-medium mb-2 text-white">Daily Amount Cap (₹)</label>
+                              <input
+                                type="number"
+                                value={qr.dailyAmountCap ?? 100000}
+                                onChange={(e) => handleQRCodeChange(index, 'dailyAmountCap', Math.max(0, parseInt(e.target.value) || 0))}
+                                className="input-field"
+                                min="0"
+                                placeholder="100000"
+                              />
+                              <p className="text-xs text-gray-400 mt-1">
+                                Most this UPI ID should receive per day (0 = no cap)
+                              </p>
+                            </div>
+                          )}
+
                           <div className="flex items-center gap-2">
                             <input
                               type="checkbox"
@@ -1006,6 +1073,41 @@ const EditEvent = () => {
               )}
             </div>
 
+            {/* Reminders */}
+            <div className="space-y-4">
+              <div>
+                <h2 className="text-xl font-semibold text-white">Reminder Emails</h2>
+                <p className="text-sm text-gray-300 mt-1">Confirmed participants and their team members are emailed the venue, time, WhatsApp link and their unique code before the event.</p>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  id="reminders-enabled"
+                  checked={formData.reminders.enabled}
+                  onChange={(e) => handleNestedChange('reminders', 'enabled', e.target.checked)}
+                  className="w-4 h-4"
+                />
+                <label htmlFor="reminders-enabled" className="text-sm text-white">
+                  Send reminders for this event
+                </label>
+              </div>
+
+              {formData.reminders.enabled && (
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-white">Hours Before the Event</label>
+                  <input
+                    type="text"
+                    value={formData.reminders.hoursBefore}
+                    onChange={(e) => handleNestedChange('reminders', 'hoursBefore', e.target.value)}
+                    className="input-field"
+                    placeholder="24, 2"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">Comma separated, up to 168 hours (one week). Each reminder is sent once.</p>
+                </div>
+              )}
+            </div>
+
             {/* Coordinators */}
             <div className="space-y-4">
               <div className="flex justify-between items-center">
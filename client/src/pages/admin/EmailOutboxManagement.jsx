@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Eye, RefreshCw, X, Search, FileText } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+import EmailTemplatePreview from './EmailTemplatePreview';
+
+const EMAIL_STATUS_STYLES = {
+  pending: { backgroundColor: 'rgba(250, 177, 47, 0.2)', color: '#8b4513' },
+  sent: { backgroundColor: 'rgba(45, 122, 62, 0.15)', color: '#2d7a3e' },
+  failed: { backgroundColor: 'rgba(168, 50, 50, 0.15)', color: '#a83232' }
+};
+
+const EmailOutboxManagement = () => {
+  const [emails, setEmails] = useState([]);
+  const [outbox, setOutbox] = useState(null);
+  const [status, setStatus] = useState('failed');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [viewing, setViewing] = useState(null);
+  const [resending, setResending] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+
+  useEffect(() => {
+    fetchEmails();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status, page]);
+
+  const fetchEmails = async () => {
+    try {
+      setLoading(true);
+      const { data } = await API.get('/admin/emails', { params: { status: status || undefined, search: search || undefined, page } });
+      setEmails(data.emails);
+      setOutbox(data.outbox);
+      setPages(data.pages || 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load emails');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    fetchEmails();
+  };
+
+  const handleView = async (email) => {
+    try {
+      const { data } = await API.get(`/admin/emails/${email._id}`);
+      setViewing(data.email);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load email');
+    }
+  };
+
+  const handleResend = async (ids) => {
+    if (!ids && !window.confirm(`Resend all ${outbox?.counts?.failed || 0} failed emails?`)) return;
+    setResending(true);
+    try {
+      const { data } = await API.post('/admin/emails/resend', ids ? { ids } : {});
+      toast.success(data.message);
+      setViewing(null);
+      fetchEmails();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resend');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' }) : '-');
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="rounded-2xl shadow-lg p-6"
+      style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}
+    >
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Email Outbox</h2>
+          {outbox && (
+            <p className="text-xs mt-1" style={{ color: '#5C4033', opacity: 0.8 }}>
+              Worker {outbox.isRunning ? (outbox.isDraining ? 'sending' : 'idle') : 'stopped'} •{' '}
+              {outbox.accounts.map((account) => `${account.account}: ${account.sentLastMinute}/${account.ratePerMinute} per min`).join(' • ')} •{' '}
+              failed after {outbox.maxAttempts} attempts
+            </p>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => setShowTemplates(true)} className="btn-secondary text-sm flex items-center gap-1">
+            <FileText className="w-4 h-4" /> Templates
+          </button>
+          <button onClick={fetchEmails} className="btn-secondary text-sm flex items-center gap-1">
+            <RefreshCw className="w-4 h-4" /> Refresh
+          </button>
+          <button
+            onClick={() => handleResend()}
+            disabled={resending || !outbox?.counts?.failed}
+            className="btn-primary text-sm disabled:opacity-50"
+          >
+            Resend All Failed
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {[
+          { id: 'failed', label: 'Failed' },
+          { id: 'pending', label: 'Pending' },
+          { id: 'sent', label: 'Sent' },
+          { id: '', label: 'All' }
+        ].map((filter) => (
+          <button
+            key={filter.id || 'all'}
+            onClick={() => { setStatus(filter.id); setPage(1); }}
+            className="px-4 py-2 rounded-lg text-sm font-semibold"
+            style={status === filter.id
+              ? { backgroundColor: '#5C4033', color: '#FEF3E2' }
+              : { border: '2px solid rgba(92, 64, 51, 0.2)', color: '#5C4033' }}
+          >
+            {filter.label}
+            {filter.id && outbox?.counts && ` (${outbox.counts[filter.id] || 0})`}
+          </button>
+        ))}
+        <form onSubmit={handleSearch} className="relative flex-1 min-w-[14rem]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4" style={{ color: '#FA812F' }} />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input-field pl-9"
+            placeholder="Search recipient or subject"
+          />
+        </form>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+        </div>
+      ) : emails.length === 0 ? (
+        <p className="text-sm text-center py-10" style={{ color: '#5C4033', opacity: 0.7 }}>No emails here</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                <th className="py-2 pr-2">To</th>
+                <th className="py-2 pr-2">Subject</th>
+                <th className="py-2 pr-2">Status</th>
+                <th className="py-2 pr-2">Attempts</th>
+                <th className="py-2 pr-2">Queued</th>
+                <th className="py-2 pr-2">Sent / Next try</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {emails.map((email) => (
+                <tr key={email._id} className="align-top" style={{ borderBottom: '1px solid rgba(92, 64, 51, 0.1)', color: '#2C1810' }}>
+                  <td className="py-2 pr-2 break-all">{email.email}</td>
+                  <td className="py-2 pr-2">
+                    <p>{email.subject}</p>
+                    <p className="text-xs capitalize" style={{ color: '#5C4033', opacity: 0.7 }}>
+                      {email.type}{email.attachments?.length > 0 && ` • ${email.attachments.length} attachment(s)`}
+                    </p>
+                    {email.error && <p className="text-xs mt-1" style={{ color: '#a83232' }}>{email.error}</p>}
+                  </td>
+                  <td className="py-2 pr-2">
+                    <span className="px-2 py-1 rounded-full text-xs font-semibold capitalize" style={EMAIL_STATUS_STYLES[email.status]}>
+                      {email.status}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-2">{email.attempts || 0}</td>
+                  <td className="py-2 pr-2 whitespace-nowrap">{formatDate(email.createdAt)}</td>
+                  <td className="py-2 pr-2 whitespace-nowrap">
+                    {email.status === 'sent' ? formatDate(email.sentAt) : email.status === 'pending' ? formatDate(email.nextAttemptAt) : '-'}
+                  </td>
+                  <td className="py-2">
+                    <div className="flex gap-1">
+                      <button onClick={() => handleView(email)} className="p-2 rounded-lg" style={{ color: '#5C4033' }} title="View">
+                        <Eye className="w-4 h-4" />
+                      </button>
+                      {email.status !== 'pending' && (
+                        <button onClick={() => handleResend([email._id])} disabled={resending} className="p-2 rounded-lg disabled:opacity-50" style={{ color: '#FA812F' }} title="Resend">
+                          <RefreshCw className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="flex justify-center items-center gap-3 mt-4 text-sm" style={{ color: '#5C4033' }}>
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn-secondary text-sm disabled:opacity-50">Previous</button>
+          <span>Page {page} of {pages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pages} className="btn-secondary text-sm disabled:opacity-50">Next</button>
+        </div>
+      )}
+
+      {viewing && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4" style={{ backgroundColor: 'rgba(0, 0, 0, 0.6)' }}>
+          <div className="w-full max-w-3xl max-h-[90vh] flex flex-col rounded-2xl shadow-2xl" style={{ backgroundColor: '#FEF3E2' }}>
+            <div className="flex items-start justify-between gap-4 p-5" style={{ borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+              <div className="min-w-0 text-sm" style={{ color: '#5C4033' }}>
+                <h3 className="text-lg font-bold" style={{ color: '#2C1810' }}>{viewing.subject}</h3>
+                <p>To: {viewing.email}</p>
+                {viewing.smtpAccount && <p>Last account: {viewing.smtpAccount}{viewing.messageId && ` • ${viewing.messageId}`}</p>}
+                {viewing.attachments?.length > 0 && <p>Attachments: {viewing.attachments.map((attachment) => attachment.filename).join(', ')}</p>}
+                {viewing.error && <p style={{ color: '#a83232' }}>{viewing.error}</p>}
+              </div>
+              <button onClick={() => setViewing(null)} className="p-1" style={{ color: '#5C4033' }}>
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <iframe title="Email content" srcDoc={viewing.content} sandbox="" className="flex-1 w-full min-h-[50vh] bg-white" />
+            {viewing.status !== 'pending' && (
+              <div className="p-4 flex justify-end" style={{ borderTop: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                <button onClick={() => handleResend([viewing._id])} disabled={resending} className="btn-primary text-sm disabled:opacity-50">
+                  {resending ? 'Queuing...' : 'Resend'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showTemplates && <EmailTemplatePreview onClose={() => setShowTemplates(false)} />}
+    </motion.div>
+  );
+};
+
+export default EmailOutboxManagement;
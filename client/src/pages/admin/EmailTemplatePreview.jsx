@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Renders any registered email template with its sample data
+const EmailTemplatePreview = ({ onClose }) => {
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [showText, setShowText] = useState(false);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const { data } = await API.get('/admin/email-templates');
+        setTemplates(data.templates);
+        if (data.templates.length > 0) setSelected(data.templates[0].name);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load templates');
+      }
+    };
+    fetchTemplates();
+  }, []);
+
+  useEffect(() => {
+    if (!selected) return;
+    const fetchPreview = async () => {
+      try {
+        const { data } = await API.get(`/admin/email-templates/${selected}/preview`);
+        setPreview(data.preview);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to render template');
+      }
+    };
+    fetchPreview();
+  }, [selected]);
+
+  const template = templates.find((item) => item.name === selected);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4" style={{ backgroundColor: 'rgba(0, 0, 0, 0.6)' }}>
+      <div className="w-full max-w-3xl max-h-[90vh] flex flex-col rounded-2xl shadow-2xl" style={{ backgroundColor: '#FEF3E2' }}>
+        <div className="p-5 space-y-3" style={{ borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+          <div className="flex items-start justify-between gap-4">
+            <h3 className="text-lg font-bold" style={{ color: '#2C1810' }}>Email Templates</h3>
+            <button onClick={onClose} className="p-1" style={{ color: '#5C4033' }}>
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <select value={selected} onChange={(e) => setSelected(e.target.value)} className="input-field flex-1 min-w-[14rem]">
+              {templates.map((item) => (
+                <option key={item.name} value={item.name}>{item.name}</option>
+              ))}
+            </select>
+            <button onClick={() => setShowText(!showText)} className="btn-secondary text-sm">
+              {showText ? 'Show HTML' : 'Show Plain Text'}
+            </button>
+          </div>
+          {template && (
+            <div className="text-xs" style={{ color: '#5C4033' }}>
+              <p>{template.description}</p>
+              <p className="mt-1 opacity-80">
+                Variables: {template.variables.map((name) => (template.required.includes(name) ? `${name}*` : name)).join(', ')}
+              </p>
+            </div>
+          )}
+          {preview && <p className="text-sm font-semibold" style={{ color: '#2C1810' }}>Subject: {preview.subject}</p>}
+        </div>
+        {preview && (showText ? (
+          <pre className="flex-1 overflow-auto p-5 text-sm whitespace-pre-wrap bg-white" style={{ color: '#2C1810' }}>{preview.text}</pre>
+        ) : (
+          <iframe title="Template preview" srcDoc={preview.html} sandbox="" className="flex-1 w-full min-h-[50vh] bg-white" />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EmailTemplatePreview;
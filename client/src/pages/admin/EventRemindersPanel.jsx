@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { RefreshCw, BellRing } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Last reminder run and a button to send due reminders now (see server/services/eventReminders.js)
+const EventRemindersPanel = () => {
+  const [reminders, setReminders] = useState(null);
+  const [sendingReminders, setSendingReminders] = useState(false);
+
+  useEffect(() => {
+    fetchReminders();
+  }, []);
+
+  const fetchReminders = async () => {
+    try {
+      const { data } = await API.get('/admin/event-reminders');
+      setReminders(data.lastReport);
+    } catch (error) {
+      console.error('Failed to fetch reminder report:', error);
+    }
+  };
+
+  const runReminders = async () => {
+    try {
+      setSendingReminders(true);
+      const { data } = await API.post('/admin/event-reminders/run');
+      setReminders(data.report);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reminders');
+    } finally {
+      setSendingReminders(false);
+    }
+  };
+
+  return (
+    <div className="lg:col-span-2 rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div className="flex items-center gap-3">
+          <BellRing className="w-6 h-6" style={{ color: '#FA812F' }} />
+          <div>
+            <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Event Reminders</h2>
+            <p className="text-xs" style={{ color: '#5C4033', opacity: 0.7 }}>
+              {reminders
+                ? `Last checked ${new Date(reminders.ranAt).toLocaleString('en-IN')} (${reminders.triggeredBy}) • ${reminders.eventsChecked} upcoming events`
+                : 'Not checked yet since the server started'}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={runReminders}
+          disabled={sendingReminders}
+          className="btn-primary flex items-center gap-2 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 ${sendingReminders ? 'animate-spin' : ''}`} />
+          {sendingReminders ? 'Sending...' : 'Send Due Now'}
+        </button>
+      </div>
+
+      {reminders && (reminders.sent.length === 0 ? (
+        <p className="text-sm" style={{ color: '#5C4033', opacity: 0.8 }}>No reminders were due on the last check. Reminder times are set per event when editing it.</p>
+      ) : (
+        <div className="space-y-2">
+          {reminders.sent.map((item) => (
+            <div key={`${item.eventId}-${item.hoursBefore}`} className="flex flex-wrap items-center justify-between gap-2 text-sm py-2 border-b" style={{ borderColor: 'rgba(92, 64, 51, 0.1)' }}>
+              <span className="font-semibold" style={{ color: '#5C4033' }}>
+                {item.name} <span style={{ opacity: 0.7 }}>• {item.hoursBefore}h reminder</span>
+              </span>
+              <span style={{ color: '#2d7a3e' }}>
+                {item.recipients} participant{item.recipients === 1 ? '' : 's'} emailed
+                {item.skipped.length > 0 && <span style={{ color: '#8b4513' }}> (skipped {item.skipped.map(h => `${h}h`).join(', ')})</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default EventRemindersPanel;
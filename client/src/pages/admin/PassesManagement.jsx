@@ -0,0 +1,443 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { RefreshCw } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+import { getImageUrl } from '../../utils/imageUtils';
+import ScreenshotOcrCheck from './ScreenshotOcrCheck';
+
+const EMPTY_PASS = {
+  name: '',
+  description: '',
+  price: '',
+  eventLimit: '',
+  categories: [],
+  events: [],
+  paymentUPI: '',
+  paymentAccountName: '',
+  paymentInstructions: '',
+  validUntil: ''
+};
+
+const PASS_CATEGORIES = ['Technical', 'Non-Technical', 'Cultural'];
+
+const PASS_PURCHASE_STYLES = {
+  pending: { label: 'Not paid', color: '#5C4033', backgroundColor: 'rgba(92, 64, 51, 0.1)' },
+  verification_pending: { label: 'To verify', color: '#8b4513', backgroundColor: 'rgba(250, 177, 47, 0.25)' },
+  completed: { label: 'Active', color: '#2d7a3e', backgroundColor: 'rgba(45, 122, 62, 0.15)' },
+  failed: { label: 'Rejected', color: '#a83232', backgroundColor: 'rgba(168, 50, 50, 0.12)' }
+};
+
+const PassesManagement = ({ events }) => {
+  const [passes, setPasses] = useState([]);
+  const [purchases, setPurchases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_PASS);
+  const [saving, setSaving] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('verification_pending');
+
+  useEffect(() => {
+    fetchPasses();
+  }, []);
+
+  useEffect(() => {
+    fetchPurchases();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter]);
+
+  const fetchPasses = async () => {
+    try {
+      const { data } = await API.get('/passes/all');
+      setPasses(data.passes || []);
+    } catch (error) {
+      console.error('Failed to fetch passes:', error);
+      toast.error('Failed to load passes');
+    }
+  };
+
+  const fetchPurchases = async () => {
+    try {
+      setLoading(true);
+      const params = statusFilter === 'all' ? {} : { status: statusFilter };
+      const { data } = await API.get('/passes/purchases', { params });
+      setPurchases(data.purchases || []);
+    } catch (error) {
+      console.error('Failed to fetch pass purchases:', error);
+      toast.error('Failed to load pass purchases');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refreshAll = () => Promise.all([fetchPasses(), fetchPurchases()]);
+
+  const toggleInList = (key, value) => {
+    const list = form[key];
+    setForm({ ...form, [key]: list.includes(value) ? list.filter((item) => item !== value) : [...list, value] });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await API.post('/passes', {
+        ...form,
+        eventLimit: form.eventLimit || 0,
+        // On sale until the end of the chosen day (IST)
+        validUntil: form.validUntil ? `${form.validUntil}T23:59:59+05:30` : ''
+      });
+      toast.success(`${form.name} created`);
+      setForm(EMPTY_PASS);
+      fetchPasses();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create pass');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (pass) => {
+    try {
+      await API.put(`/passes/${pass._id}`, { isActive: !pass.isActive });
+      toast.success(`${pass.name} ${pass.isActive ? 'taken off sale' : 'put on sale'}`);
+      fetchPasses();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update pass');
+    }
+  };
+
+  const handleDelete = async (pass) => {
+    if (!window.confirm(`Delete ${pass.name}?`)) return;
+    try {
+      await API.delete(`/passes/${pass._id}`);
+      toast.success(`${pass.name} deleted`);
+      fetchPasses();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete pass');
+    }
+  };
+
+  const handleApprove = async (purchase) => {
+    if (!window.confirm(`Verify payment with UTR: ${purchase.payment.utrNumber}?`)) return;
+
+    const loadingToast = toast.loading('Verifying payment...');
+    try {
+      await API.put(`/payments/${purchase.payment._id}/approve`);
+      toast.dismiss(loadingToast);
+      toast.success(`${purchase.passNumber} activated`);
+      await refreshAll();
+    } catch (error) {
+      toast.dismiss(loadingToast);
+      toast.error(error.response?.data?.message || 'Failed to verify payment');
+    }
+  };
+
+  const handleReject = async (purchase) => {
+    const reason = prompt('Enter rejection reason:', 'Invalid payment proof');
+    if (!reason) return;
+
+    const loadingToast = toast.loading('Rejecting payment...');
+    try {
+      await API.put(`/payments/${purchase.payment._id}/reject`, { reason });
+      toast.dismiss(loadingToast);
+      toast.success('Payment rejected');
+      await refreshAll();
+    } catch (error) {
+      toast.dismiss(loadingToast);
+      toast.error(error.response?.data?.message || 'Failed to reject payment');
+    }
+  };
+
+  const describePass = (pass) => {
+    const coverage = pass.events?.length > 0
+      ? pass.events.map((event) => event.name).join(', ')
+      : pass.categories?.length > 0 ? `${pass.categories.join(' / ')} events` : 'all events';
+    return `${pass.eventLimit > 0 ? `Any ${pass.eventLimit}` : 'All'} ${coverage}`;
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-6"
+    >
+      {/* Create Pass */}
+      <form onSubmit={handleCreate} className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <h2 className="text-2xl font-bold mb-1" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>New Combo Pass</h2>
+        <p className="text-xs mb-4" style={{ color: '#5C4033', opacity: 0.7 }}>
+          Bought once through the QR payment flow, then used to register for covered events at no charge. Pick events to limit it to those, otherwise it covers the chosen categories (or everything).
+        </p>
+        <div className="grid md:grid-cols-3 gap-4 text-sm" style={{ color: '#5C4033' }}>
+          <div>
+            <label className="block mb-1 font-semibold">Name *</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="input-field"
+              placeholder="Tech Trio Pass"
+              required
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Price (₹) *</label>
+            <input
+              type="number"
+              min="0"
+              value={form.price}
+              onChange={(e) => setForm({ ...form, price: e.target.value })}
+              className="input-field"
+              required
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Number of events</label>
+            <input
+              type="number"
+              min="0"
+              value={form.eventLimit}
+              onChange={(e) => setForm({ ...form, eventLimit: e.target.value })}
+              className="input-field"
+              placeholder="All-access"
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Categories</label>
+            <div className="flex flex-wrap gap-3 pt-2">
+              {PASS_CATEGORIES.map((category) => (
+                <label key={category} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={form.categories.includes(category)}
+                    onChange={() => toggleInList('categories', category)}
+                  />
+                  {category}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="md:col-span-2">
+            <label className="block mb-1 font-semibold">Only these events</label>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 max-h-28 overflow-y-auto p-2 rounded-lg" style={{ border: '1px solid rgba(92, 64, 51, 0.2)' }}>
+              {events.map((event) => (
+                <label key={event._id} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event._id)}
+                    onChange={() => toggleInList('events', event._id)}
+                  />
+                  {event.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">UPI ID *</label>
+            <input
+              type="text"
+              value={form.paymentUPI}
+              onChange={(e) => setForm({ ...form, paymentUPI: e.target.value })}
+              className="input-field"
+              placeholder="savishkar@upi"
+              required
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">Account name</label>
+            <input
+              type="text"
+              value={form.paymentAccountName}
+              onChange={(e) => setForm({ ...form, paymentAccountName: e.target.value })}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block mb-1 font-semibold">On sale until</label>
+            <input type="date" value={form.validUntil} onChange={(e) => setForm({ ...form, validUntil: e.target.value })} className="input-field" />
+          </div>
+          <div className="md:col-span-3">
+            <label className="block mb-1 font-semibold">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              className="input-field"
+              placeholder="Pick any three technical events"
+            />
+          </div>
+          <div className="md:col-span-3">
+            <label className="block mb-1 font-semibold">Payment instructions</label>
+            <input
+              type="text"
+              value={form.paymentInstructions}
+              onChange={(e) => setForm({ ...form, paymentInstructions: e.target.value })}
+              className="input-field"
+            />
+          </div>
+        </div>
+        <button type="submit" disabled={saving} className="btn-primary mt-4 disabled:opacity-50">
+          {saving ? 'Creating...' : 'Create Pass'}
+        </button>
+      </form>
+
+      {/* Passes */}
+      <div className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <h2 className="text-2xl font-bold mb-4" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Combo Passes</h2>
+        {passes.length === 0 ? (
+          <p className="text-sm text-center py-6" style={{ color: '#5C4033', opacity: 0.7 }}>No passes yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                  <th className="py-2 pr-4">Pass</th>
+                  <th className="py-2 pr-4">Price</th>
+                  <th className="py-2 pr-4">Sold</th>
+                  <th className="py-2 pr-4">Events Used</th>
+                  <th className="py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {passes.map((pass) => (
+                  <tr key={pass._id} className="align-top" style={{ color: '#5C4033', borderBottom: '1px solid rgba(92, 64, 51, 0.1)', opacity: pass.isActive ? 1 : 0.6 }}>
+                    <td className="py-3 pr-4">
+                      <p className="font-semibold">{pass.name}</p>
+                      <p className="text-xs">{describePass(pass)}</p>
+                      <p className="text-xs font-mono">{pass.paymentUPI}</p>
+                      {!pass.isActive && <p className="text-xs font-semibold" style={{ color: '#a83232' }}>Off sale</p>}
+                    </td>
+                    <td className="py-3 pr-4 font-semibold">₹{pass.price}</td>
+                    <td className="py-3 pr-4">
+                      <p className="font-semibold">{pass.sold} (₹{pass.revenue})</p>
+                      {pass.pending > 0 && <p className="text-xs">{pass.pending} awaiting payment</p>}
+                    </td>
+                    <td className="py-3 pr-4">{pass.eventsUsed}</td>
+                    <td className="py-3">
+                      <div className="flex flex-col gap-1">
+                        <button
+                          onClick={() => handleToggle(pass)}
+                          className="text-xs px-3 py-1 rounded-lg font-semibold text-white"
+                          style={{ backgroundColor: pass.isActive ? '#8b4513' : '#2d7a3e' }}
+                        >
+                          {pass.isActive ? 'Take Off Sale' : 'Put On Sale'}
+                        </button>
+                        {pass.sold + pass.pending === 0 && (
+                          <button onClick={() => handleDelete(pass)} className="text-xs px-3 py-1 rounded-lg font-semibold text-white" style={{ backgroundColor: '#a83232' }}>
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Purchases */}
+      <div className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Pass Purchases</h2>
+          <div className="flex flex-wrap gap-2">
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input-field">
+              <option value="verification_pending">To verify</option>
+              <option value="completed">Active</option>
+              <option value="pending">Not paid</option>
+              <option value="failed">Rejected</option>
+              <option value="all">All</option>
+            </select>
+            <button onClick={refreshAll} className="btn-primary flex items-center gap-2">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-10">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+          </div>
+        ) : purchases.length === 0 ? (
+          <p className="text-sm text-center py-6" style={{ color: '#5C4033', opacity: 0.7 }}>No pass purchases</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                  <th className="py-2 pr-4">Participant</th>
+                  <th className="py-2 pr-4">Pass</th>
+                  <th className="py-2 pr-4">Payment</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {purchases.map((purchase) => {
+                  const status = PASS_PURCHASE_STYLES[purchase.paymentStatus];
+                  const usedEvents = purchase.redemptions.filter((redemption) => !redemption.releasedAt);
+                  return (
+                    <tr key={purchase._id} className="align-top" style={{ color: '#5C4033', borderBottom: '1px solid rgba(92, 64, 51, 0.1)' }}>
+                      <td className="py-3 pr-4">
+                        <p className="font-semibold">{purchase.user?.name}</p>
+                        <p className="text-xs">{purchase.user?.email}</p>
+                        {purchase.user?.college && <p className="text-xs">{purchase.user.college}</p>}
+                      </td>
+                      <td className="py-3 pr-4">
+                        <p>{purchase.pass?.name}</p>
+                        <p className="text-xs font-mono">{purchase.passNumber}</p>
+                        {usedEvents.length > 0 && (
+                          <p className="text-xs mt-1">Used: {usedEvents.map((redemption) => redemption.event?.name).filter(Boolean).join(', ')}</p>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4 max-w-xs">
+                        <p className="font-semibold">₹{purchase.amount}</p>
+                        {purchase.payment?.utrNumber && <p className="text-xs font-mono">{purchase.payment.utrNumber}</p>}
+                        {purchase.payment?.screenshotUrl && (
+                          <a href={getImageUrl(purchase.payment.screenshotUrl)} target="_blank" rel="noopener noreferrer" className="text-xs underline" style={{ color: '#FA812F' }}>
+                            View screenshot
+                          </a>
+                        )}
+                        {purchase.paymentStatus === 'verification_pending' && (
+                          <ScreenshotOcrCheck payment={purchase.payment} onRefresh={fetchPurchases} />
+                        )}
+                        {purchase.payment?.rejectionReason && purchase.paymentStatus === 'failed' && (
+                          <p className="text-xs mt-1">{purchase.payment.rejectionReason}</p>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4">
+                        <span className="text-xs px-2 py-0.5 rounded-full font-semibold" style={{ color: status.color, backgroundColor: status.backgroundColor }}>
+                          {status.label}
+                        </span>
+                        {purchase.paymentStatus === 'completed' && (
+                          <p className="text-xs mt-1">
+                            {purchase.eventLimit > 0 ? `${purchase.usedCount} of ${purchase.eventLimit} used` : `${purchase.usedCount} used`}
+                          </p>
+                        )}
+                      </td>
+                      <td className="py-3">
+                        {purchase.paymentStatus === 'verification_pending' && purchase.payment && (
+                          <div className="flex flex-col gap-1">
+                            <button onClick={() => handleApprove(purchase)} className="text-xs px-3 py-1 rounded-lg font-semibold text-white" style={{ backgroundColor: '#2d7a3e' }}>
+                              Approve
+                            </button>
+                            <button onClick={() => handleReject(purchase)} className="text-xs px-3 py-1 rounded-lg font-semibold text-white" style={{ backgroundColor: '#a83232' }}>
+                              Reject
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default PassesManagement;
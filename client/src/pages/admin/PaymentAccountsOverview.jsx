@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { IndianRupee, RefreshCw } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+const QR_ROTATION_LABELS = {
+  sequential: 'Sequential',
+  round_robin: 'Round robin',
+  least_used: 'Least used',
+  daily_cap: 'Daily cap'
+};
+
+// Money collected per receiving UPI account, counted across every event that uses it
+
+const PaymentAccountsOverview = () => {
+  const [open, setOpen] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      fetchAccounts();
+    }
+  }, [open]);
+
+  const fetchAccounts = async () => {
+    try {
+      setLoading(true);
+      const { data } = await API.get('/payments/accounts');
+      setAccounts(data.accounts || []);
+    } catch (error) {
+      console.error('Failed to fetch payment accounts:', error);
+      toast.error('Failed to load payment accounts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+  return (
+    <div className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <IndianRupee className="w-6 h-6" style={{ color: '#FA812F' }} />
+          <div>
+            <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Receiving Accounts</h2>
+            <p className="text-xs" style={{ color: '#5C4033', opacity: 0.7 }}>
+              What each UPI ID has collected and has awaiting verification, across all events
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {open && (
+            <button onClick={fetchAccounts} disabled={loading} className="btn-secondary flex items-center gap-2 disabled:opacity-50">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          )}
+          <button onClick={() => setOpen(!open)} className="btn-secondary">
+            {open ? 'Hide' : 'Open'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-6 overflow-x-auto">
+          {accounts.length === 0 ? (
+            <p className="text-center py-6" style={{ color: '#5C4033', opacity: 0.7 }}>
+              {loading ? 'Loading...' : 'No UPI accounts configured on any event'}
+            </p>
+          ) : (
+            <table className="w-full text-sm" style={{ color: '#5C4033' }}>
+              <thead>
+                <tr className="text-left" style={{ borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                  <th className="py-2 pr-4">Account</th>
+                  <th className="py-2 pr-4">Events</th>
+                  <th className="py-2 pr-4">Today</th>
+                  <th className="py-2 pr-4">Awaiting Verification</th>
+                  <th className="py-2 pr-4">Collected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.map((account) => {
+                  const capUsed = account.dailyAmountCap > 0 ? Math.min(100, (account.todayAmount / account.dailyAmountCap) * 100) : null;
+                  return (
+                    <tr key={account.upiId} style={{ borderBottom: '1px solid rgba(92, 64, 51, 0.1)' }}>
+                      <td className="py-3 pr-4">
+                        <p className="font-mono font-semibold">{account.upiId}</p>
+                        {account.accountName && <p className="text-xs" style={{ opacity: 0.7 }}>{account.accountName}</p>}
+                      </td>
+                      <td className="py-3 pr-4 text-xs">
+                        {account.events.map((event) => (
+                          <p key={event._id}>
+                            {event.name}
+                            {event.qrRotation && <span style={{ opacity: 0.6 }}> ({QR_ROTATION_LABELS[event.qrRotation] || event.qrRotation})</span>}
+                          </p>
+                        ))}
+                      </td>
+                      <td className="py-3 pr-4 min-w-[140px]">
+                        <p className="font-semibold">
+                          {formatAmount(account.todayAmount)}
+                          {account.dailyAmountCap > 0 && (
+                            <span className="text-xs font-normal" style={{ opacity: 0.7 }}> / {formatAmount(account.dailyAmountCap)}</span>
+                          )}
+                        </p>
+                        {capUsed !== null && (
+                          <div className="h-1.5 mt-1 rounded-full" style={{ backgroundColor: 'rgba(92, 64, 51, 0.15)' }}>
+                            <div
+                              className="h-1.5 rounded-full"
+                              style={{ width: `${capUsed}%`, backgroundColor: capUsed >= 90 ? '#a83232' : capUsed >= 70 ? '#FAB12F' : '#2d7a3e' }}
+                            />
+                          </div>
+                        )}
+                        {account.reservedTodayAmount > 0 && (
+                          <p className="text-xs mt-1" style={{ opacity: 0.7 }}>+ {formatAmount(account.reservedTodayAmount)} assigned, not paid yet</p>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4">
+                        <p className="font-semibold" style={{ color: '#8b4513' }}>{formatAmount(account.pendingAmount)}</p>
+                        <p className="text-xs" style={{ opacity: 0.7 }}>{account.pendingCount} payment(s)</p>
+                      </td>
+                      <td className="py-3 pr-4">
+                        <p className="font-semibold" style={{ color: '#2d7a3e' }}>{formatAmount(account.capturedAmount)}</p>
+                        <p className="text-xs" style={{ opacity: 0.7 }}>{account.capturedCount} payment(s)</p>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentAccountsOverview;
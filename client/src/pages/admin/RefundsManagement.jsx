@@ -0,0 +1,313 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { RefreshCw } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+const REFUND_STATUS_STYLES = {
+  requested: { label: 'Requested', color: '#8b4513', backgroundColor: 'rgba(250, 177, 47, 0.2)' },
+  approved: { label: 'Refunded', color: '#2d7a3e', backgroundColor: 'rgba(45, 122, 62, 0.15)' },
+  denied: { label: 'Denied', color: '#a83232', backgroundColor: 'rgba(168, 50, 50, 0.1)' }
+};
+
+const RefundsManagement = ({ events }) => {
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('requested');
+  const [eventFilter, setEventFilter] = useState('all');
+  const [policy, setPolicy] = useState(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, []);
+
+  useEffect(() => {
+    fetchRefunds();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter]);
+
+  const fetchRefunds = async () => {
+    try {
+      setLoading(true);
+      const params = statusFilter === 'all' ? {} : { status: statusFilter };
+      const { data } = await API.get('/payments/refunds', { params });
+      setRefunds(data.payments || []);
+    } catch (error) {
+      console.error('Failed to fetch refunds:', error);
+      toast.error('Failed to load refund requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPolicy = async () => {
+    try {
+      const { data } = await API.get('/payments/refund-policy');
+      setPolicy({
+        ...data.policy,
+        cutoffDate: data.policy.cutoffDate ? data.policy.cutoffDate.slice(0, 10) : '',
+        hoursBeforeEvent: data.policy.hoursBeforeEvent ?? ''
+      });
+    } catch (error) {
+      console.error('Failed to fetch refund policy:', error);
+    }
+  };
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    setSavingPolicy(true);
+    try {
+      await API.put('/payments/refund-policy', {
+        ...policy,
+        // Requests stay open until the end of the chosen day (IST)
+        cutoffDate: policy.cutoffDate ? `${policy.cutoffDate}T23:59:59+05:30` : null
+      });
+      toast.success('Refund policy saved');
+      fetchPolicy();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save refund policy');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleApprove = async (payment) => {
+    const suggested = payment.refundEligibility?.amount || payment.amount;
+    const utr = prompt(`Refund to ${payment.refundUpiId || payment.user?.email}.\nEnter the UTR / transaction ID of the refund you sent:`);
+    if (!utr) return;
+
+    const amount = prompt(`Amount refunded (paid ₹${payment.amount}):`, suggested);
+    if (!amount) return;
+
+    const reason = payment.refundStatus === 'denied'
+      ? prompt('Reason for overriding the policy (shown to the participant):', '')
+      : '';
+    if (reason === null) return;
+
+    const loadingToast = toast.loading('Recording refund...');
+    try {
+      await API.put(`/payments/${payment._id}/refund/approve`, { utr: utr.trim(), amount: Number(amount), reason });
+      toast.dismiss(loadingToast);
+      toast.success('Refund recorded and participant notified');
+      fetchRefunds();
+    } catch (error) {
+      toast.dismiss(loadingToast);
+      toast.error(error.response?.data?.message || 'Failed to record refund');
+    }
+  };
+
+  const handleDeny = async (payment) => {
+    const reason = prompt('Reason for denying the refund:');
+    if (!reason) return;
+
+    const loadingToast = toast.loading('Denying refund...');
+    try {
+      await API.put(`/payments/${payment._id}/refund/deny`, { reason });
+      toast.dismiss(loadingToast);
+      toast.success('Refund denied and participant notified');
+      fetchRefunds();
+    } catch (error) {
+      toast.dismiss(loadingToast);
+      toast.error(error.response?.data?.message || 'Failed to deny refund');
+    }
+  };
+
+  const filteredRefunds = eventFilter === 'all'
+    ? refunds
+    : refunds.filter((payment) => payment.event?._id === eventFilter);
+
+  const pendingTotal = filteredRefunds
+    .filter((payment) => payment.refundStatus === 'requested')
+    .reduce((sum, payment) => sum + (payment.refundEligibility?.amount || 0), 0);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-6"
+    >
+      {/* Refund Policy */}
+      {policy && (
+        <form onSubmit={handleSavePolicy} className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+          <h2 className="text-2xl font-bold mb-1" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Refund Policy</h2>
+          <p className="text-xs mb-4" style={{ color: '#5C4033', opacity: 0.7 }}>
+            Requests outside the policy are declined automatically. Rejected payments can always be refunded in full.
+          </p>
+          <div className="grid md:grid-cols-2 gap-4 text-sm" style={{ color: '#5C4033' }}>
+            <label className="flex items-center gap-2 font-semibold">
+              <input
+                type="checkbox"
+                checked={policy.enabled}
+                onChange={(e) => setPolicy({ ...policy, enabled: e.target.checked })}
+              />
+              Offer refunds on cancellation
+            </label>
+            <label className="flex items-center gap-2 font-semibold">
+              <input
+                type="checkbox"
+                checked={policy.refundRejectedPayments}
+                onChange={(e) => setPolicy({ ...policy, refundRejectedPayments: e.target.checked })}
+              />
+              Fully refund rejected payments (only if the money did arrive)
+            </label>
+            <div>
+              <label className="block mb-1 font-semibold">Refund percentage</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={policy.refundPercent}
+                onChange={(e) => setPolicy({ ...policy, refundPercent: e.target.value })}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block mb-1 font-semibold">Minimum hours before event</label>
+              <input
+                type="number"
+                min="0"
+                value={policy.hoursBeforeEvent}
+                onChange={(e) => setPolicy({ ...policy, hoursBeforeEvent: e.target.value })}
+                className="input-field"
+                placeholder="No limit"
+              />
+            </div>
+            <div>
+              <label className="block mb-1 font-semibold">Last date for refund requests</label>
+              <input
+                type="date"
+                value={policy.cutoffDate}
+                onChange={(e) => setPolicy({ ...policy, cutoffDate: e.target.value })}
+                className="input-field"
+              />
+            </div>
+          </div>
+          <button type="submit" disabled={savingPolicy} className="btn-primary mt-4 disabled:opacity-50">
+            {savingPolicy ? 'Saving...' : 'Save Policy'}
+          </button>
+        </form>
+      )}
+
+      {/* Refund Requests */}
+      <div className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div>
+            <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Refund Requests</h2>
+            {pendingTotal > 0 && (
+              <p className="text-sm font-semibold" style={{ color: '#8b4513' }}>₹{pendingTotal} waiting to be refunded</p>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input-field">
+              <option value="requested">Requested</option>
+              <option value="approved">Refunded</option>
+              <option value="denied">Denied</option>
+              <option value="all">All</option>
+            </select>
+            <select value={eventFilter} onChange={(e) => setEventFilter(e.target.value)} className="input-field">
+              <option value="all">All Events</option>
+              {events.map((event) => (
+                <option key={event._id} value={event._id}>{event.name}</option>
+              ))}
+            </select>
+            <button onClick={fetchRefunds} className="btn-primary flex items-center gap-2">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-10">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+          </div>
+        ) : filteredRefunds.length === 0 ? (
+          <p className="text-sm text-center py-6" style={{ color: '#5C4033', opacity: 0.7 }}>No refund requests</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                  <th className="py-2 pr-4">Participant</th>
+                  <th className="py-2 pr-4">Event</th>
+                  <th className="py-2 pr-4">Paid</th>
+                  <th className="py-2 pr-4">Refund</th>
+                  <th className="py-2 pr-4">Refund To</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredRefunds.map((payment) => {
+                  const status = REFUND_STATUS_STYLES[payment.refundStatus];
+                  return (
+                    <tr key={payment._id} className="align-top" style={{ color: '#5C4033', borderBottom: '1px solid rgba(92, 64, 51, 0.1)' }}>
+                      <td className="py-3 pr-4">
+                        <p className="font-semibold">{payment.user?.name}</p>
+                        <p className="text-xs">{payment.user?.email}</p>
+                        {payment.registration?.registrationNumber && (
+                          <p className="text-xs font-mono">{payment.registration.registrationNumber}</p>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4">
+                        {payment.event?.name}
+                        {payment.status === 'failed' && <p className="text-xs" style={{ color: '#a83232' }}>Payment rejected</p>}
+                      </td>
+                      <td className="py-3 pr-4">
+                        <p className="font-semibold">₹{payment.amount}</p>
+                        <p className="text-xs font-mono">{payment.utrNumber || payment.razorpayPaymentId}</p>
+                      </td>
+                      <td className="py-3 pr-4">
+                        <p className="font-semibold">
+                          ₹{payment.refundStatus === 'approved' ? payment.refundAmount : payment.refundEligibility?.amount ?? 0}
+                        </p>
+                        <p className="text-xs">{payment.refundEligibility?.reason}</p>
+                        {payment.refundRequestNote && <p className="text-xs italic">"{payment.refundRequestNote}"</p>}
+                      </td>
+                      <td className="py-3 pr-4 font-mono text-xs">
+                        {payment.refundUpiId || (payment.method === 'razorpay' ? 'Original payment method' : '-')}
+                      </td>
+                      <td className="py-3 pr-4">
+                        {status && (
+                          <span className="text-xs px-2 py-0.5 rounded-full font-semibold" style={{ color: status.color, backgroundColor: status.backgroundColor }}>
+                            {status.label}
+                          </span>
+                        )}
+                        {payment.refundStatus === 'approved' && (
+                          <p className="text-xs mt-1">UTR <span className="font-mono">{payment.refundId}</span></p>
+                        )}
+                        {payment.refundStatus === 'denied' && payment.refundReason && (
+                          <p className="text-xs mt-1">{payment.refundReason}</p>
+                        )}
+                        {payment.refundProcessedBy?.name && (
+                          <p className="text-xs mt-1" style={{ opacity: 0.7 }}>by {payment.refundProcessedBy.name}</p>
+                        )}
+                      </td>
+                      <td className="py-3">
+                        <div className="flex flex-col gap-1">
+                          {['requested', 'denied'].includes(payment.refundStatus) && (
+                            <button onClick={() => handleApprove(payment)} className="text-xs px-3 py-1 rounded-lg font-semibold text-white" style={{ backgroundColor: '#2d7a3e' }}>
+                              {payment.refundStatus === 'denied' ? 'Refund Anyway' : 'Mark Refunded'}
+                            </button>
+                          )}
+                          {payment.refundStatus === 'requested' && (
+                            <button onClick={() => handleDeny(payment)} className="text-xs px-3 py-1 rounded-lg font-semibold text-white" style={{ backgroundColor: '#a83232' }}>
+                              Deny
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default RefundsManagement;
@@ -0,0 +1,282 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Plus, X } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+const ResultsManagement = ({ events }) => {
+  const [selectedEvent, setSelectedEvent] = useState('');
+  const [manage, setManage] = useState(null);
+  const [results, setResults] = useState([]);
+  const [points, setPoints] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState('');
+
+  useEffect(() => {
+    fetchPoints();
+  }, []);
+
+  useEffect(() => {
+    if (selectedEvent) {
+      fetchResults();
+    } else {
+      setManage(null);
+      setResults([]);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedEvent]);
+
+  const fetchPoints = async () => {
+    try {
+      const { data } = await API.get('/results');
+      setPoints(data.points);
+    } catch (error) {
+      console.error('Error fetching points table:', error);
+    }
+  };
+
+  const fetchResults = async () => {
+    try {
+      setLoading(true);
+      const { data } = await API.get(`/results/event/${selectedEvent}/manage`);
+      setManage(data);
+      setResults(data.results.map((result) => ({
+        registration: result.registration || '',
+        category: result.category || data.categories[0] || '',
+        position: result.position,
+        title: result.title || '',
+        notifiedAt: result.notifiedAt
+      })));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load results');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const eventName = events.find((event) => event._id === selectedEvent)?.name || '';
+  const categories = manage?.categories || [];
+  // One block per registration category, or a single block for events without categories
+  const groups = categories.length > 0 ? categories : [''];
+
+  const updateResult = (index, changes) => {
+    setResults(results.map((result, i) => (i === index ? { ...result, ...changes } : result)));
+  };
+
+  const addResult = (category) => {
+    const taken = results.filter((result) => result.category === category).length;
+    setResults([...results, { registration: '', category, position: taken + 1, title: '' }]);
+  };
+
+  const handleSave = async () => {
+    setBusy('save');
+    try {
+      const { data } = await API.put(`/results/event/${selectedEvent}`, {
+        results: results.filter((result) => result.registration)
+      });
+      toast.success(data.message);
+      fetchResults();
+      fetchPoints();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save results');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handlePublish = async () => {
+    if (!window.confirm(`Publish the results of ${eventName}? Winners not yet told will be emailed.`)) return;
+    setBusy('publish');
+    try {
+      const { data } = await API.post(`/results/event/${selectedEvent}/publish`);
+      toast.success(data.message);
+      fetchResults();
+      fetchPoints();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to publish results');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleUnpublish = async () => {
+    if (!window.confirm(`Hide the results of ${eventName} from the public results pages?`)) return;
+    setBusy('unpublish');
+    try {
+      const { data } = await API.delete(`/results/event/${selectedEvent}/publish`);
+      toast.success(data.message);
+      fetchResults();
+      fetchPoints();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unpublish results');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const describeRegistration = (registration) => {
+    const who = registration.teamName || registration.user?.name || 'Unknown';
+    const college = registration.user?.college ? ` - ${registration.user.college}` : '';
+    return `${who}${college} (${registration.registrationNumber}${registration.status === 'attended' ? ', attended' : ''})`;
+  };
+
+  // Registrations in another category can't win this one
+  const candidatesFor = (category) => (manage?.registrations || []).filter((registration) =>
+    !category || !registration.registrationCategory || registration.registrationCategory === category
+  );
+
+  const savedResults = manage?.results || [];
+  const pendingNotifications = savedResults.filter((result) => !result.notifiedAt).length;
+
+  const sectionStyle = { backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' };
+  const headingStyle = { color: '#5C4033', fontFamily: 'Georgia, serif' };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-6"
+    >
+      <div className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+        <h2 className="text-2xl font-bold mb-1" style={headingStyle}>Results</h2>
+        <p className="text-xs mb-4" style={{ color: '#5C4033', opacity: 0.7 }}>
+          Results stay private until published. Publishing shows them on the event page and the results page, and emails each winning team once.
+        </p>
+        <select value={selectedEvent} onChange={(e) => setSelectedEvent(e.target.value)} className="input-field md:w-1/2">
+          <option value="">Select an event</option>
+          {events.map((event) => (
+            <option key={event._id} value={event._id}>{event.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {selectedEvent && loading && !manage && (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2" style={{ borderColor: '#FA812F' }}></div>
+        </div>
+      )}
+
+      {selectedEvent && manage && (
+        <div className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div>
+              <h3 className="text-xl font-bold" style={headingStyle}>{eventName}</h3>
+              <p className="text-sm" style={{ color: manage.resultsPublishedAt ? '#2d7a3e' : '#5C4033' }}>
+                {manage.resultsPublishedAt
+                  ? `Published ${new Date(manage.resultsPublishedAt).toLocaleString('en-IN')}`
+                  : 'Not published'}
+                {manage.resultsPublishedAt && pendingNotifications > 0 && ` • ${pendingNotifications} new ${pendingNotifications === 1 ? 'result' : 'results'} not yet announced`}
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={handleSave} disabled={Boolean(busy)} className="btn-secondary text-sm disabled:opacity-50">
+                {busy === 'save' ? 'Saving...' : 'Save Results'}
+              </button>
+              <button
+                onClick={handlePublish}
+                disabled={Boolean(busy) || savedResults.length === 0 || (manage.resultsPublishedAt && pendingNotifications === 0)}
+                className="btn-primary text-sm disabled:opacity-50"
+              >
+                {busy === 'publish' ? 'Publishing...' : manage.resultsPublishedAt ? 'Announce New Results' : 'Publish'}
+              </button>
+              {manage.resultsPublishedAt && (
+                <button onClick={handleUnpublish} disabled={Boolean(busy)} className="px-4 py-2 rounded-lg text-sm font-semibold disabled:opacity-50" style={{ color: '#a83232', border: '2px solid rgba(168, 50, 50, 0.4)' }}>
+                  Unpublish
+                </button>
+              )}
+            </div>
+          </div>
+
+          {manage.registrations.length === 0 ? (
+            <p className="text-sm" style={{ color: '#5C4033', opacity: 0.7 }}>No active registrations for this event</p>
+          ) : (
+            <div className="space-y-6">
+              {groups.map((category) => (
+                <div key={category || 'all'}>
+                  {category && <h4 className="font-bold mb-2" style={{ color: '#8b4513' }}>{category}</h4>}
+                  <div className="space-y-2">
+                    {results.map((result, index) => result.category === category && (
+                      <div key={index} className="flex flex-wrap gap-2 items-center">
+                        <input
+                          type="number"
+                          min="1"
+                          value={result.position}
+                          onChange={(e) => updateResult(index, { position: e.target.value })}
+                          className="input-field w-20"
+                          title="Position"
+                        />
+                        <select
+                          value={result.registration}
+                          onChange={(e) => updateResult(index, { registration: e.target.value })}
+                          className="input-field flex-1 min-w-[12rem]"
+                        >
+                          <option value="">Select registration</option>
+                          {candidatesFor(category).map((registration) => (
+                            <option key={registration._id} value={registration._id}>{describeRegistration(registration)}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={result.title}
+                          onChange={(e) => updateResult(index, { title: e.target.value })}
+                          className="input-field md:w-48"
+                          placeholder="Title (optional)"
+                        />
+                        <button onClick={() => setResults(results.filter((_, i) => i !== index))} className="p-2 rounded-lg" style={{ color: '#a83232' }} title="Remove">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button onClick={() => addResult(category)} className="btn-secondary text-sm flex items-center gap-1">
+                      <Plus className="w-4 h-4" /> Add Position
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Points table */}
+      <div className="rounded-2xl shadow-lg p-6" style={sectionStyle}>
+        <h3 className="text-xl font-bold mb-1" style={headingStyle}>Points Table</h3>
+        <p className="text-xs mb-4" style={{ color: '#5C4033', opacity: 0.7 }}>
+          From published results only - 10 / 6 / 4 points for the top three, 2 for any other position.
+        </p>
+        {!points || points.colleges.length === 0 ? (
+          <p className="text-sm" style={{ color: '#5C4033', opacity: 0.7 }}>No results published yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left" style={{ color: '#5C4033', borderBottom: '2px solid rgba(92, 64, 51, 0.2)' }}>
+                  <th className="py-2 pr-2">#</th>
+                  <th className="py-2 pr-2">College</th>
+                  {points.departments.map((department) => (
+                    <th key={department} className="py-2 pr-2 text-center">{department}</th>
+                  ))}
+                  <th className="py-2 text-center">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {points.colleges.map((row, index) => (
+                  <tr key={row.college} style={{ borderBottom: '1px solid rgba(92, 64, 51, 0.1)', color: '#2C1810' }}>
+                    <td className="py-2 pr-2">{index + 1}</td>
+                    <td className="py-2 pr-2 font-semibold">{row.college}</td>
+                    {points.departments.map((department) => (
+                      <td key={department} className="py-2 pr-2 text-center">{row.byDepartment[department] || '-'}</td>
+                    ))}
+                    <td className="py-2 text-center font-bold" style={{ color: '#FA812F' }}>{row.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default ResultsManagement;
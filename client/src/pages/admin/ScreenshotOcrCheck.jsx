@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+// What OCR read off the payment screenshot, with a warning when it disagrees with what was typed
+const ScreenshotOcrCheck = ({ payment, onRefresh }) => {
+  const [rereading, setRereading] = useState(false);
+  const ocr = payment?.screenshotOcr;
+
+  if (!payment?.screenshotUrl || !ocr?.status) return null;
+
+  const handleReread = async () => {
+    setRereading(true);
+    try {
+      const { data } = await API.post(`/payments/${payment._id}/ocr`);
+      toast.success(data.message);
+      await onRefresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read screenshot');
+    } finally {
+      setRereading(false);
+    }
+  };
+
+  const rereadButton = onRefresh && (
+    <button
+      onClick={handleReread}
+      disabled={rereading}
+      className="inline-flex items-center gap-1 text-xs font-semibold underline disabled:opacity-50"
+      style={{ color: '#5C4033' }}
+    >
+      <RefreshCw className={`w-3 h-3 ${rereading ? 'animate-spin' : ''}`} />
+      {rereading ? 'Reading...' : 'Re-read'}
+    </button>
+  );
+
+  if (ocr.status === 'pending') {
+    return (
+      <p className="text-xs mt-2" style={{ color: '#5C4033', opacity: 0.7 }}>🔍 Reading screenshot...</p>
+    );
+  }
+
+  if (ocr.status === 'failed') {
+    return (
+      <div className="flex items-center gap-2 text-xs mt-2" style={{ color: '#5C4033', opacity: 0.8 }}>
+        <span>🔍 Could not read the screenshot{ocr.error ? ` (${ocr.error})` : ''}</span>
+        {rereadButton}
+      </div>
+    );
+  }
+
+  const mismatches = [];
+  if (ocr.utrMatches === false) {
+    mismatches.push(`UTR on screenshot is ${ocr.utrNumber}, typed ${payment.utrNumber}`);
+  }
+  if (ocr.amountMatches === false) {
+    mismatches.push(`Amount on screenshot is ₹${ocr.amount}, expected ₹${payment.amount}`);
+  }
+
+  return (
+    <div className="mt-2 p-3 rounded-lg text-xs" style={{
+      backgroundColor: mismatches.length > 0 ? 'rgba(168, 50, 50, 0.1)' : 'rgba(92, 64, 51, 0.06)',
+      border: `1px solid ${mismatches.length > 0 ? 'rgba(168, 50, 50, 0.4)' : 'rgba(92, 64, 51, 0.15)'}`
+    }}>
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <span className="font-semibold" style={{ color: '#5C4033' }}>
+          🔍 Read from screenshot{ocr.confidence ? ` (${ocr.confidence}% confidence)` : ''}
+        </span>
+        {rereadButton}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1" style={{ color: '#5C4033' }}>
+        <span>
+          <strong>UTR:</strong> <span className="font-mono">{ocr.utrNumber || 'not found'}</span>
+          {ocr.utrMatches === true && <span style={{ color: '#2d7a3e' }}> ✓</span>}
+        </span>
+        <span>
+          <strong>Amount:</strong> {ocr.amount != null ? `₹${ocr.amount}` : 'not found'}
+          {ocr.amountMatches === true && <span style={{ color: '#2d7a3e' }}> ✓</span>}
+        </span>
+        {ocr.paidAt && (
+          <span><strong>Paid:</strong> {new Date(ocr.paidAt).toLocaleString('en-IN')}</span>
+        )}
+      </div>
+      {mismatches.map((mismatch) => (
+        <p key={mismatch} className="mt-1 font-semibold" style={{ color: '#a83232' }}>⚠️ {mismatch}</p>
+      ))}
+    </div>
+  );
+};
+
+export default ScreenshotOcrCheck;
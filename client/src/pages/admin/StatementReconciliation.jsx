@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import { FileSpreadsheet } from 'lucide-react';
+import API from '../../services/api';
+import toast from 'react-hot-toast';
+
+const StatementReconciliation = ({ events, onApproved }) => {
+  const [open, setOpen] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const [upiId, setUpiId] = useState('');
+  const [eventId, setEventId] = useState('');
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      fetchAccounts();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  const fetchAccounts = async () => {
+    try {
+      const { data } = await API.get('/payments/reconcile/accounts');
+      setAccounts(data.accounts || []);
+      if (!upiId && data.accounts?.length) {
+        setUpiId(data.accounts[0].upiId);
+      }
+    } catch (error) {
+      console.error('Failed to fetch receiving accounts:', error);
+      toast.error('Failed to load receiving accounts');
+    }
+  };
+
+  const submitStatement = async (approve) => {
+    if (!file || !upiId) {
+      toast.error('Choose the receiving account and a statement file');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('statement', file);
+    formData.append('upiId', upiId);
+    if (eventId) formData.append('eventId', eventId);
+    formData.append('approve', approve ? 'true' : 'false');
+
+    setWorking(true);
+    const loadingToast = toast.loading(approve ? 'Approving matched payments...' : 'Reading statement...');
+    try {
+      const { data } = await API.post('/payments/reconcile', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.dismiss(loadingToast);
+      toast.success(data.message);
+      setReport(data);
+      if (approve) {
+        await onApproved();
+        fetchAccounts();
+      }
+    } catch (error) {
+      toast.dismiss(loadingToast);
+      toast.error(error.response?.data?.message || 'Failed to reconcile statement');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleApproveMatches = () => {
+    if (!window.confirm(`Approve ${report.matched.length} payment(s) whose UTR and amount match the statement? Participants will be emailed their entry passes.`)) {
+      return;
+    }
+    submitStatement(true);
+  };
+
+  const selectedAccount = accounts.find((account) => account.upiId === upiId);
+  const accountEvents = selectedAccount
+    ? events.filter((event) => selectedAccount.events.some((e) => e._id === event._id))
+    : [];
+  const failedApprovals = (report?.approvals || []).filter((result) => !result.success);
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '-');
+
+  const sectionStyle = { backgroundColor: '#FFF8DC', border: '2px solid rgba(92, 64, 51, 0.2)' };
+  const renderLine = (line) => (
+    <>
+      <span className="font-mono">{line.utr}</span> • ₹{line.amount} • {formatDate(line.date)} <span className="text-xs" style={{ opacity: 0.7 }}>(row {line.row})</span>
+    </>
+  );
+  const renderPayment = (payment) => (
+    <>
+      <span className="font-semibold">{payment.user?.name}</span> • {payment.event?.name} • <span className="font-mono text-xs">{payment.registrationNumber}</span>
+    </>
+  );
+
+  return (
+    <div className="rounded-2xl shadow-lg p-6" style={{ backgroundColor: '#FEF3E2', border: '2px solid rgba(92, 64, 51, 0.2)' }}>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <FileSpreadsheet className="w-6 h-6" style={{ color: '#FA812F' }} />
+          <div>
+            <h2 className="text-2xl font-bold" style={{ color: '#5C4033', fontFamily: 'Georgia, serif' }}>Reconcile Bank Statement</h2>
+            <p className="text-xs" style={{ color: '#5C4033', opacity: 0.7 }}>
+              Upload a CSV/XLSX statement for one receiving UPI account to match pending payments by UTR and amount
+            </p>
+          </div>
+        </div>
+        <button onClick={() => setOpen(!open)} className="btn-secondary">
+          {open ? 'Hide' : 'Open'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-6 space-y-4">
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm mb-1 font-semibold" style={{ color: '#5C4033' }}>Receiving Account</label>
+              <select value={upiId} onChange={(e) => { setUpiId(e.target.value); setEventId(''); setReport(null); }} className="input-field">
+                {accounts.length === 0 && <option value="">No UPI accounts configured</option>}
+                {accounts.map((account) => (
+                  <option key={account.upiId} value={account.upiId}>
+                    {account.upiId}{account.accountName ? ` (${account.accountName})` : ''} - {account.pendingCount} pending
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1 font-semibold" style={{ color: '#5C4033' }}>Event (optional)</label>
+              <select value={eventId} onChange={(e) => { setEventId(e.target.value); setReport(null); }} className="input-field">
+                <option value="">All events on this account</option>
+                {accountEvents.map((event) => (
+                  <option key={event._id} value={event._id}>{event.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm mb-1 font-semibold" style={{ color: '#5C4033' }}>Statement File</label>
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={(e) => { setFile(e.target.files[0] || null); setReport(null); }}
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          <button onClick={() => submitStatement(false)} disabled={working || !file || !upiId} className="btn-primary disabled:opacity-50">
+            {working ? 'Working...' : 'Check Statement'}
+          </button>
+
+          {report && (
+            <div className="space-y-4 text-sm" style={{ color: '#5C4033' }}>
+              <div className="flex flex-wrap gap-3">
+                {[
+                  { label: 'Statement credits', value: report.summary.statementLines, color: '#5C4033' },
+                  { label: 'Pending payments', value: report.summary.pendingPayments, color: '#5C4033' },
+                  { label: 'Exact matches', value: report.summary.matched, color: '#2d7a3e' },
+                  { label: 'Amount mismatch', value: report.summary.mismatched, color: '#a83232' },
+                  { label: 'Unknown UTRs', value: report.summary.unknown, color: '#8b4513' },
+                  { label: 'Not in statement', value: report.summary.missing, color: '#8b4513' }
+                ].map((stat) => (
+                  <div key={stat.label} className="px-4 py-2 rounded-lg text-center" style={sectionStyle}>
+                    <p className="text-xl font-bold" style={{ color: stat.color }}>{stat.value}</p>
+                    <p className="text-xs">{stat.label}</p>
+                  </div>
+                ))}
+              </div>
+
+              {report.period?.from && (
+                <p className="text-xs">Statement covers {formatDate(report.period.from)} - {formatDate(report.period.to)}</p>
+              )}
+
+              {report.approvals?.length > 0 && failedApprovals.length > 0 && (
+                <div className="p-3 rounded-lg" style={{ backgroundColor: 'rgba(168, 50, 50, 0.1)', border: '2px solid rgba(168, 50, 50, 0.3)', color: '#a83232' }}>
+                  {failedApprovals.length} match(es) could not be approved: {failedApprovals.map((result) => result.message).join('; ')}
+                </div>
+              )}
+
+              {report.matched.length > 0 && !report.approvals?.length && (
+                <div className="p-3 rounded-lg" style={sectionStyle}>
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <p className="font-bold" style={{ color: '#2d7a3e' }}>Exact Matches</p>
+                    <button onClick={handleApproveMatches} disabled={working} className="btn-primary text-sm disabled:opacity-50">
+                      Approve {report.matched.length} Payment(s)
+                    </button>
+                  </div>
+                  <ul className="space-y-1">
+                    {report.matched.map(({ line, payment }) => (
+                      <li key={payment._id}>{renderPayment(payment)} - {renderLine(line)}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {report.mismatched.length > 0 && (
+                <div className="p-3 rounded-lg" style={{ ...sectionStyle, border: '2px solid rgba(168, 50, 50, 0.3)' }}>
+                  <p className="font-bold mb-2" style={{ color: '#a83232' }}>Amount Mismatch - review manually</p>
+                  <ul className="space-y-1">
+                    {report.mismatched.map(({ line, payment, difference }) => (
+                      <li key={payment._id}>
+                        {renderPayment(payment)} - expected ₹{payment.amount}, statement shows ₹{line.amount}
+                        <span className="font-semibold" style={{ color: '#a83232' }}> ({difference > 0 ? '+' : ''}{difference})</span>
+                        <span className="font-mono text-xs ml-1">UTR {line.utr}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {report.unknown.length > 0 && (
+                <div className="p-3 rounded-lg" style={sectionStyle}>
+                  <p className="font-bold mb-2" style={{ color: '#8b4513' }}>Statement Lines With No Pending Payment</p>
+                  <ul className="space-y-1">
+                    {report.unknown.map(({ line, note }) => (
+                      <li key={`${line.row}-${line.utr}`}>{renderLine(line)} - <span className="italic">{note}</span></li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {report.missing.length > 0 && (
+                <div className="p-3 rounded-lg" style={sectionStyle}>
+                  <p className="font-bold mb-2" style={{ color: '#8b4513' }}>Pending Payments Not Found In Statement</p>
+                  <ul className="space-y-1">
+                    {report.missing.map(({ payment, afterStatement }) => (
+                      <li key={payment._id}>
+                        {renderPayment(payment)} - UTR <span className="font-mono">{payment.utrNumber}</span>, ₹{payment.amount}, submitted {formatDate(payment.submittedAt)}
+                        {afterStatement && <span className="text-xs ml-1">(after statement period)</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {report.unreadable?.length > 0 && (
+                <p className="text-xs">
+                  {report.unreadable.length} credit line(s) had no UTR and were skipped (rows {report.unreadable.map((line) => line.row).join(', ')}).
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatementReconciliation;
@@ -97,5 +97,19 @@ export const uploadPaymentScreenshot = multer({
   fileFilter: fileFilter
 });
 
+// Bank / UPI statement exports for reconciliation - kept in memory, never stored
+export const uploadStatement = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV or XLSX statement files are allowed!'));
+  }
+});
+
 // Default export for backward compatibility
 export default uploadAvatar;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const certificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'Public code printed on the certificate and used in its verification URL'
+  },
+  type: {
+    type: String,
+    enum: ['participation', 'winner'],
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  // Set when the recipient has an account - team members may not
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recipientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recipientEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  college: String,
+  teamName: String,
+  registrationCategory: String,
+  // Winner certificates only
+  position: Number,
+  positionTitle: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One certificate of each type per person per event
+certificateSchema.index({ event: 1, type: 1, recipientEmail: 1 }, { unique: true });
+certificateSchema.index({ user: 1 });
+certificateSchema.index({ recipientEmail: 1 });
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+export default Certificate;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const CERTIFICATE_FIELD_KEYS = [
+  'name', 'event', 'college', 'teamName', 'position', 'category', 'date', 'certificateId', 'text', 'qr'
+];
+
+const certificateTemplateSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['participation', 'winner'],
+    required: true
+  },
+  backgroundUrl: {
+    type: String,
+    trim: true,
+    comment: 'Full-page background image - without one the default bordered design is drawn'
+  },
+  orientation: {
+    type: String,
+    enum: ['landscape', 'portrait'],
+    default: 'landscape'
+  },
+  // Where each value is printed - x / y / width are percentages of the page
+  fields: [{
+    key: {
+      type: String,
+      enum: CERTIFICATE_FIELD_KEYS,
+      required: true
+    },
+    text: {
+      type: String,
+      comment: 'For key "text": fixed wording, may use {name}, {event}, {college}, {position}, {date} ...'
+    },
+    x: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 10
+    },
+    y: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 50
+    },
+    width: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: 80
+    },
+    fontSize: {
+      type: Number,
+      min: 6,
+      max: 120,
+      default: 20,
+      comment: 'For key "qr": size of the QR code in points'
+    },
+    font: {
+      type: String,
+      enum: ['Helvetica', 'Helvetica-Bold', 'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+      default: 'Helvetica'
+    },
+    color: {
+      type: String,
+      default: '#2C1810'
+    },
+    align: {
+      type: String,
+      enum: ['left', 'center', 'right'],
+      default: 'center'
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+certificateTemplateSchema.index({ event: 1, type: 1 }, { unique: true });
+
+const CertificateTemplate = mongoose.model('CertificateTemplate', certificateTemplateSchema);
+
+export default CertificateTemplate;
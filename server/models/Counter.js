@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    comment: 'Name of the sequence, e.g. "waitlist:<eventId>"'
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to take the next number of a sequence (atomic, starts at 1)
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon codes use 3-30 letters, numbers, - or _']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  maxDiscount: {
+    type: Number,
+    comment: 'Upper limit in ₹ for percent discounts'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    comment: 'Event the coupon is valid for - empty means every event'
+  },
+  validFrom: Date,
+  validUntil: Date,
+  usageLimit: {
+    type: Number,
+    default: 0,
+    comment: 'Total redemptions allowed - 0 means unlimited'
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  allowedColleges: {
+    type: [String],
+    default: [],
+    comment: 'Only participants from these colleges can use it - empty means anyone'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration'
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    originalAmount: Number,
+    discount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when the registration is cancelled or its payment rejected - frees the use again
+    releasedAt: Date
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ 'redemptions.registration': 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -52,6 +52,8 @@ const eventSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide event time']
   },
+  // Last time the name, date, time, duration or venue changed (drives calendar feed updates)
+  scheduleUpdatedAt: Date,
   venue: {
     type: String,
     required: [true, 'Please provide event venue']
@@ -154,6 +156,11 @@ const eventSchema = new mongoose.Schema({
       default: true,
       comment: 'Whether this QR code is currently active'
     },
+    dailyAmountCap: {
+      type: Number,
+      default: 100000,
+      comment: 'Most this UPI ID should receive per day in ₹ (daily_cap rotation) - 0 means no cap'
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -164,6 +171,12 @@ const eventSchema = new mongoose.Schema({
     default: 0,
     comment: 'Index of currently active QR code'
   },
+  qrRotation: {
+    type: String,
+    enum: ['sequential', 'round_robin', 'least_used', 'daily_cap'],
+    default: 'sequential',
+    comment: 'How a payment account is picked for each registration (see utils/qrRotation.js)'
+  },
   maxParticipants: {
     type: Number,
     default: 100
@@ -195,6 +208,63 @@ const eventSchema = new mongoose.Schema({
     trim: true,
     comment: 'WhatsApp group/community link for event participants'
   },
+  // Reminder emails to confirmed participants before the event (see services/eventReminders.js)
+  reminders: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    hoursBefore: {
+      type: [Number],
+      default: () => [24, 2],
+      validate: {
+        validator: (hours) => hours.every((hour) => hour > 0 && hour <= 168),
+        message: 'Reminder times must be between 0 and 168 hours before the event'
+      },
+      comment: 'Send a reminder this many hours before the start time'
+    }
+  },
+  // Reminders already sent - startsAt is the start time each was sent for, so a restart never
+  // sends one twice but moving the event sends them again for the new time
+  remindersSent: [{
+    hoursBefore: Number,
+    startsAt: Date,
+    sentAt: Date,
+    recipients: Number,
+    skipped: {
+      type: Boolean,
+      comment: 'Became due while the server was down and a later reminder was sent instead'
+    }
+  }],
+  // Winning registrations - public once resultsPublishedAt is set, also used for winner certificates
+  results: [{
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration',
+      required: true
+    },
+    category: {
+      type: String,
+      trim: true,
+      comment: 'registrationCategories entry the result is for (e.g. "DSLR") - empty for events without categories'
+    },
+    position: {
+      type: Number,
+      required: true,
+      min: 1,
+      comment: '1 = first place, 2 = second, ...'
+    },
+    title: {
+      type: String,
+      trim: true,
+      comment: 'Shown instead of the place when set (e.g. "Best Design")'
+    },
+    notifiedAt: {
+      type: Date,
+      comment: 'When the winners were emailed - each result is only announced once'
+    }
+  }],
+  resultsPublishedAt: Date,
   coordinators: [{
     name: String,
     phone: String,
@@ -218,10 +288,25 @@ eventSchema.virtual('isFull').get(function() {
   return this.currentParticipants >= this.maxParticipants;
 });
 
-// Method to increment participants
-eventSchema.methods.incrementParticipants = async function() {
-  this.currentParticipants += 1;
-  await this.save();
+// Seat counts are only ever changed with single atomic updates - never read-modify-save -
+// so concurrent registrations near the limit can't overbook the event.
+
+// Atomically claim a seat. Resolves to the updated event, or null if the event is full.
+eventSchema.statics.reserveSeat = function(eventId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, $expr: { $lt: ['$currentParticipants', '$maxParticipants'] } },
+    { $inc: { currentParticipants: 1 } },
+    { new: true }
+  );
+};
+
+// Atomically give a seat back (never drops below zero)
+eventSchema.statics.releaseSeat = function(eventId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, currentParticipants: { $gt: 0 } },
+    { $inc: { currentParticipants: -1 } },
+    { new: true }
+  );
 };
 
 // Method to get active QR code
@@ -250,20 +335,31 @@ eventSchema.methods.getActiveQRCode = function() {
   };
 };
 
+// Fee before any coupon - the selected category's fee when the event has categories
+eventSchema.methods.getRegistrationFee = function(registrationCategory) {
+  if (registrationCategory && this.registrationCategories && this.registrationCategories.length > 0) {
+    const category = this.registrationCategories.find(cat => cat.categoryName === registrationCategory);
+    if (category) {
+      return category.fee;
+    }
+  }
+  return this.registrationFee;
+};
+
 // Method to increment QR code usage and switch if needed
-eventSchema.methods.incrementQRUsage = async function() {
+eventSchema.methods.incrementQRUsage = async function(count = 1, qrIndex = this.currentQRIndex) {
   if (!this.qrCodes || this.qrCodes.length === 0) {
     return; // No QR codes to manage
   }
   
-  const currentQR = this.qrCodes[this.currentQRIndex];
-  if (!currentQR) return;
+  const usedQR = this.qrCodes[qrIndex];
+  if (!usedQR) return;
   
   // Increment usage count
-  currentQR.usageCount += 1;
+  usedQR.usageCount += count;
   
   // Check if we need to switch to next QR code
-  if (currentQR.usageCount >= currentQR.maxUsage) {
+  if (qrIndex === this.currentQRIndex && usedQR.usageCount >= usedQR.maxUsage) {
     // Find next active QR code
     let nextIndex = this.currentQRIndex + 1;
     while (nextIndex < this.qrCodes.length) {
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// One person taking part in one event - the unique index is what stops two registrations
+// made at the same moment from both including them (see utils/teamMembership.js)
+const eventMembershipSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    comment: '"email:<address>" or "phone:<last 10 digits>" - a person holds one of each'
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true,
+    comment: 'Registration (team leader or individual) the person is on'
+  }
+}, {
+  timestamps: true
+});
+
+eventMembershipSchema.index({ event: 1, key: 1 }, { unique: true });
+eventMembershipSchema.index({ registration: 1 });
+
+const EventMembership = mongoose.model('EventMembership', eventMembershipSchema);
+
+export default EventMembership;
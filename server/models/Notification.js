@@ -22,14 +22,56 @@ const notificationSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  text: {
+    type: String,
+    comment: 'Plain text version - derived from content when empty'
+  },
+  attachments: [{
+    filename: String,
+    content: Buffer,
+    contentType: String,
+    cid: String
+  }],
+  
+  // Email outbox (see services/emailOutbox.js)
   status: {
     type: String,
     enum: ['pending', 'sent', 'failed'],
-    default: 'pending'
+    default: 'pending',
+    comment: 'pending = waiting to be sent or retried, failed = gave up after the last attempt (dead letter)'
+  },
+  attempts: {
+    type: Number,
+    default: 0
   },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    comment: 'Set while a worker is sending - an expired lock means the send was interrupted'
+  },
+  smtpAccount: {
+    type: String,
+    enum: ['primary', 'fallback'],
+    comment: 'Account used for the last attempt'
+  },
+  messageId: String,
   sentAt: Date,
   error: String,
   
+  // In-app inbox (see utils/inbox.js)
+  inbox: {
+    type: Boolean,
+    default: false,
+    comment: 'Shown in the user\'s in-app inbox - set when a participant notice is queued, never for admin reports'
+  },
+  summary: {
+    type: String,
+    comment: 'One-line plain-text summary shown in the inbox'
+  },
+  
   // Read status for in-app notifications
   isRead: {
     type: Boolean,
@@ -51,9 +93,9 @@ const notificationSchema = new mongoose.Schema({
 });
 
 // Indexes
-notificationSchema.index({ user: 1 });
+notificationSchema.index({ user: 1, inbox: 1, createdAt: -1 }); // in-app inbox, newest first
 notificationSchema.index({ type: 1 });
-notificationSchema.index({ status: 1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
 notificationSchema.index({ createdAt: -1 });
 
 const Notification = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const passSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a pass name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please provide the pass price'],
+    min: [0, 'Price cannot be negative']
+  },
+  eventLimit: {
+    type: Number,
+    default: 0,
+    min: 0,
+    comment: 'Events a holder can register for with the pass - 0 means all-access'
+  },
+  categories: [{
+    type: String,
+    enum: ['Technical', 'Non-Technical', 'Cultural']
+  }],
+  events: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+  // Where pass payments go - same fields as an event's single QR code
+  paymentQRCode: String,
+  paymentUPI: String,
+  paymentAccountName: String,
+  paymentInstructions: String,
+  validUntil: {
+    type: Date,
+    comment: 'Last day the pass can be bought'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Whether an event can be registered for with this pass - listed events win over categories
+passSchema.methods.covers = function(event) {
+  if (this.events && this.events.length > 0) {
+    return this.events.some((id) => (id._id || id).toString() === event._id.toString());
+  }
+  if (this.categories && this.categories.length > 0) {
+    return this.categories.includes(event.category);
+  }
+  return true;
+};
+
+const Pass = mongoose.model('Pass', passSchema);
+
+export default Pass;
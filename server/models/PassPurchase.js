@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const passPurchaseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pass',
+    required: true
+  },
+  passNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  eventLimit: {
+    type: Number,
+    default: 0,
+    comment: 'Copied from the pass when bought - 0 means all-access'
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'verification_pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['offline', 'free'],
+    default: 'offline'
+  },
+  paidAt: Date,
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration'
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when the registration is cancelled - the entitlement can be used again
+    releasedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Events still available on the pass - null for all-access
+passPurchaseSchema.virtual('remaining').get(function() {
+  return this.eventLimit > 0 ? Math.max(0, this.eventLimit - this.usedCount) : null;
+});
+
+passPurchaseSchema.set('toJSON', { virtuals: true });
+passPurchaseSchema.set('toObject', { virtuals: true });
+
+passPurchaseSchema.index({ user: 1, pass: 1 });
+passPurchaseSchema.index({ 'redemptions.registration': 1 });
+
+const PassPurchase = mongoose.model('PassPurchase', passPurchaseSchema);
+
+export default PassPurchase;
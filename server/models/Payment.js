@@ -9,12 +9,17 @@ const paymentSchema = new mongoose.Schema({
   registration: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Registration',
-    required: true
+    required: function() { return !this.passPurchase; }
   },
   event: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Event',
-    required: true
+    required: function() { return !this.passPurchase; }
+  },
+  // Set instead of registration/event when the payment is for a combo pass
+  passPurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassPurchase'
   },
   amount: {
     type: Number,
@@ -61,6 +66,37 @@ const paymentSchema = new mongoose.Schema({
     qrIndex: Number
   },
   
+  // Read from the screenshot by OCR, compared with what the participant typed
+  screenshotOcr: {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed']
+    },
+    utrNumber: String,
+    amount: Number,
+    paidAt: Date,
+    confidence: Number,
+    utrMatches: Boolean,
+    amountMatches: Boolean,
+    error: String,
+    processedAt: Date
+  },
+  
+  // Set when approved from a bank statement match
+  reconciliation: {
+    statementFile: String,
+    statementRow: Number,
+    statementAmount: Number,
+    statementDate: Date,
+    reconciledAt: Date
+  },
+  
+  // Issued once the payment is captured - numbers are sequential per year (see utils/receipts.js)
+  receipt: {
+    number: String,
+    issuedAt: Date
+  },
+
   status: {
     type: String,
     enum: ['created', 'captured', 'failed', 'refunded'],
@@ -68,13 +104,30 @@ const paymentSchema = new mongoose.Schema({
   },
   method: {
     type: String,
-    enum: ['card', 'upi', 'netbanking', 'wallet', 'offline'],
+    enum: ['card', 'upi', 'netbanking', 'wallet', 'emi', 'cardless_emi', 'paylater', 'offline'],
   },
   
   // Refund details
-  refundId: String,
+  refundStatus: {
+    type: String,
+    enum: ['requested', 'approved', 'denied']
+  },
+  refundRequestedAt: Date,
+  refundRequestNote: String, // Participant's note when requesting
+  refundUpiId: String, // Where the participant wants the money sent
+  // Decided by the refund policy when the request is made
+  refundEligibility: {
+    eligible: Boolean,
+    amount: Number,
+    reason: String
+  },
+  refundId: String, // UTR of the outgoing refund transfer
   refundAmount: Number,
-  refundReason: String,
+  refundReason: String, // Admin's reason for approving or denying
+  refundProcessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   refundedAt: Date,
   
   paidAt: Date
@@ -85,7 +138,10 @@ const paymentSchema = new mongoose.Schema({
 // Indexes
 paymentSchema.index({ user: 1 });
 paymentSchema.index({ registration: 1 });
+paymentSchema.index({ passPurchase: 1 });
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ refundStatus: 1 });
+paymentSchema.index({ 'receipt.number': 1 }, { unique: true, sparse: true });
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
@@ -37,7 +37,23 @@ const registrationSchema = new mongoose.Schema({
     isExternal: {
       type: Boolean,
       default: false
-    }
+    },
+    // Invitation sent to the member - linked to their account once known
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    inviteStatus: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    },
+    inviteToken: {
+      type: String,
+      select: false
+    },
+    invitedAt: Date,
+    respondedAt: Date
   }],
   paymentStatus: {
     type: String,
@@ -56,6 +72,17 @@ const registrationSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Combo pass the registration was paid with (amount is then 0)
+  passPurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassPurchase'
+  },
+  // Coupon applied when registering - amount above is after the discount
+  coupon: {
+    code: String,
+    discount: Number,
+    originalAmount: Number
+  },
   registrationCategory: {
     type: String,
     comment: 'Selected category for events with multiple registration options (e.g., "DSLR", "Mobile")'
@@ -71,9 +98,14 @@ const registrationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['registered', 'cancelled', 'attended', 'no-show'],
+    enum: ['registered', 'waitlisted', 'cancelled', 'attended', 'no-show'],
     default: 'registered'
   },
+  // 1-based queue position while status is 'waitlisted' (renumbered from waitlistTicket, see utils/waitlist.js)
+  waitlistPosition: Number,
+  // Place in the event's waitlist queue from an atomic counter - unique per event, never reused
+  waitlistTicket: Number,
+  promotedFromWaitlistAt: Date,
   specialRequirements: String,
   emergencyContact: {
     name: String,
@@ -88,7 +120,19 @@ const registrationSchema = new mongoose.Schema({
   checkedInBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }
+  },
+  // Status before check-in set it to 'attended', restored if the check-in is undone
+  statusBeforeCheckIn: String,
+  // UPI account this registration was asked to pay (picked by the event's QR rotation)
+  paymentAccount: {
+    upiId: String,
+    accountName: String,
+    qrIndex: Number,
+    assignedAt: Date
+  },
+  // Signed entry pass (rendered as a QR code) issued once payment is confirmed
+  entryPass: String,
+  entryPassIssuedAt: Date
 }, {
   timestamps: true
 });
@@ -96,6 +140,31 @@ const registrationSchema = new mongoose.Schema({
 // Compound index to prevent duplicate registrations
 registrationSchema.index({ user: 1, event: 1 }, { unique: true });
 
+// Round-robin QR rotation looks up the latest assignment per UPI ID
+registrationSchema.index({ 'paymentAccount.upiId': 1, 'paymentAccount.assignedAt': -1 });
+
+// Waitlist ordering per event
+registrationSchema.index({ event: 1, status: 1, waitlistTicket: 1, waitlistPosition: 1 });
+
+// Team registrations a user has been invited to
+registrationSchema.index({ 'teamMembers.user': 1 });
+registrationSchema.index({ 'teamMembers.email': 1 });
+registrationSchema.index({ 'teamMembers.inviteToken': 1 }, { sparse: true });
+
+// Filter for registrations that occupy a seat in an event: one per individual or team
+// (member registrations created alongside a leader share the leader's seat),
+// excluding cancelled and waitlisted registrations
+registrationSchema.statics.seatFilter = function(eventId) {
+  const filter = {
+    status: { $nin: ['cancelled', 'waitlisted'] },
+    isTeamLeader: { $ne: false }
+  };
+  if (eventId) {
+    filter.event = eventId;
+  }
+  return filter;
+};
+
 const Registration = mongoose.model('Registration', registrationSchema);
 
 export default Registration;
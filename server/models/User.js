@@ -72,6 +72,13 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpire: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Secret in the personal calendar (.ics) feed URL so calendar apps can subscribe without logging in
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -119,6 +126,12 @@ userSchema.methods.generateResetToken = function() {
   return resetToken;
 };
 
+// Generate (or rotate) the calendar feed token
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
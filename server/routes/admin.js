@@ -2,9 +2,16 @@ import express from 'express';
 import User from '../models/User.js';
 import Event from '../models/Event.js';
 import Registration from '../models/Registration.js';
+import PassPurchase from '../models/PassPurchase.js';
+import Certificate from '../models/Certificate.js';
+import CertificateTemplate from '../models/CertificateTemplate.js';
 import Payment from '../models/Payment.js';
 import Notification from '../models/Notification.js';
 import Settings from '../models/Settings.js';
+import { findMembershipCollisions } from '../utils/teamMembership.js';
+import { requeueEmails } from '../utils/emailQueue.js';
+import { listEmailTemplates, previewEmail } from '../utils/emailRegistry.js';
+import { previewBroadcast, sendBroadcast } from '../utils/broadcasts.js';
 import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -192,6 +199,13 @@ router.post('/clear-database', protect, authorize('admin'), async (req, res) =>
     // Delete all payments
     const paymentsDeleted = await Payment.deleteMany({});
     
+    // Delete all pass purchases (the passes on sale stay)
+    const passPurchasesDeleted = await PassPurchase.deleteMany({});
+    
+    // Delete all certificates and their templates
+    const certificatesDeleted = await Certificate.deleteMany({});
+    await CertificateTemplate.deleteMany({});
+    
     // Delete all registrations
     const registrationsDeleted = await Registration.deleteMany({});
     
@@ -211,6 +225,8 @@ router.post('/clear-database', protect, authorize('admin'), async (req, res) =>
         notifications: notificationsDeleted.deletedCount,
         payments: paymentsDeleted.deletedCount,
         registrations: registrationsDeleted.deletedCount,
+        passPurchases: passPurchasesDeleted.deletedCount,
+        certificates: certificatesDeleted.deletedCount,
         events: eventsDeleted.deletedCount,
         users: usersDeleted.deletedCount
       },
@@ -487,4 +503,331 @@ router.put('/registration-auto-disable', protect, authorize('admin'), async (req
   }
 });
 
+// @route   GET /api/admin/participant-reconciliation
+// @desc    Get the latest participant count reconciliation report
+// @access  Private/Admin
+router.get('/participant-reconciliation', protect, authorize('admin'), async (req, res) => {
+  try {
+    const participantReconciliation = (await import('../services/participantReconciliation.js')).default;
+    
+    res.json({
+      success: true,
+      ...participantReconciliation.getLastReport()
+    });
+  } catch (error) {
+    console.error('Get participant reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/participant-reconciliation/run
+// @desc    Recompute participant counts from registrations now
+// @access  Private/Admin
+router.post('/participant-reconciliation/run', protect, authorize('admin'), async (req, res) => {
+  try {
+    const participantReconciliation = (await import('../services/participantReconciliation.js')).default;
+    const report = await participantReconciliation.run({ triggeredBy: req.user.name });
+    
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reconciliation is already running. Please try again shortly.'
+      });
+    }
+    
+    console.log(`✅ Participant reconciliation run by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: report.drift.length > 0
+        ? `Corrected participant counts for ${report.drift.length} event(s)`
+        : 'All participant counts match registrations',
+      report
+    });
+  } catch (error) {
+    console.error('Participant reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/event-reminders
+// @desc    Get the latest event reminder run
+// @access  Private/Admin
+router.get('/event-reminders', protect, authorize('admin'), async (req, res) => {
+  try {
+    const eventReminders = (await import('../services/eventReminders.js')).default;
+    
+    res.json({
+      success: true,
+      ...eventReminders.getLastReport()
+    });
+  } catch (error) {
+    console.error('Get event reminder report error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/event-reminders/run
+// @desc    Send any event reminders that are due now instead of waiting for the scheduler
+// @access  Private/Admin
+router.post('/event-reminders/run', protect, authorize('admin'), async (req, res) => {
+  try {
+    const eventReminders = (await import('../services/eventReminders.js')).default;
+    const report = await eventReminders.run({ triggeredBy: req.user.name });
+    
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reminders are already being sent. Please try again shortly.'
+      });
+    }
+    
+    console.log(`✅ Event reminders run by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: report.sent.length > 0
+        ? `Sent reminders for ${report.sent.length} event(s)`
+        : 'No reminders are due right now',
+      report
+    });
+  } catch (error) {
+    console.error('Event reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/emails?status=failed&search=&page=1
+// @desc    Browse the email outbox - pending, sent and failed emails, with worker status
+// @access  Private/Admin
+router.get('/emails', protect, authorize('admin'), async (req, res) => {
+  try {
+    const emailOutbox = (await import('../services/emailOutbox.js')).default;
+    const { status, type, search } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = 50;
+
+    const query = {};
+    if (['pending', 'sent', 'failed'].includes(status)) query.status = status;
+    if (type) query.type = type;
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ email: pattern }, { subject: pattern }];
+    }
+
+    const [emails, total, outbox] = await Promise.all([
+      Notification.find(query)
+        .select('-content -text -attachments.content')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      emailOutbox.getStatus()
+    ]);
+
+    res.json({
+      success: true,
+      emails,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      outbox
+    });
+  } catch (error) {
+    console.error('Email outbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/emails/:id
+// @desc    Get one outbox email with its content
+// @access  Private/Admin
+router.get('/emails/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const email = await Notification.findById(req.params.id).select('-attachments.content');
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      email
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/emails/resend
+// @desc    Resend every failed email (or the given ids) through the outbox
+// @access  Private/Admin
+router.post('/emails/resend', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const filter = Array.isArray(ids) && ids.length > 0 ? { _id: { $in: ids } } : { status: 'failed' };
+    const requeued = await requeueEmails(filter);
+
+    console.log(`📬 ${requeued} email(s) requeued by ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: requeued > 0 ? `${requeued} email(s) queued to be sent again` : 'No emails to resend',
+      requeued
+    });
+  } catch (error) {
+    console.error('Resend emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/email-templates
+// @desc    Every registered email template with its variables
+// @access  Private/Admin
+router.get('/email-templates', protect, authorize('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      templates: listEmailTemplates()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/email-templates/:name/preview
+// @desc    Render a template with its sample data
+// @access  Private/Admin
+router.get('/email-templates/:name/preview', protect, authorize('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preview: previewEmail(req.params.name)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/email-templates/:name/preview
+// @desc    Render a template with sample data, overridden by the given variables
+// @access  Private/Admin
+router.post('/email-templates/:name/preview', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { variables } = req.body;
+
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      return res.status(400).json({
+        success: false,
+        message: 'variables must be an object'
+      });
+    }
+
+    res.json({
+      success: true,
+      preview: previewEmail(req.params.name, variables)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/broadcasts/preview
+// @desc    Recipient count and rendered email for a broadcast, without sending
+// @access  Private/Admin
+router.post('/broadcasts/preview', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { segment, subject, message } = req.body;
+    const result = await previewBroadcast({ segment, subject, message });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/broadcasts
+// @desc    Email a message to every recipient in a segment (through the outbox)
+// @access  Private/Admin
+router.post('/broadcasts', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { segment, subject, message } = req.body;
+    const { queued } = await sendBroadcast({ segment, subject, message });
+
+    console.log(`📣 Broadcast "${subject}" queued for ${queued} recipient(s) by ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: `Broadcast queued for ${queued} recipient(s)`,
+      queued
+    });
+  } catch (error) {
+    console.error('Broadcast error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/member-collisions
+// @desc    People listed on more than one registration/team for the same event (matched by email or phone)
+// @access  Private/Admin
+router.get('/member-collisions', protect, authorize('admin'), async (req, res) => {
+  try {
+    const collisions = await findMembershipCollisions(req.query.eventId);
+    
+    res.json({
+      success: true,
+      count: collisions.length,
+      collisions
+    });
+  } catch (error) {
+    console.error('Member collision report error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 export default router;
@@ -7,7 +7,7 @@ import generateToken from '../utils/generateToken.js';
 import sendEmail from '../utils/sendEmail.js';
 import generateUserCode from '../utils/generateUserCode.js';
 import { protect } from '../middleware/auth.js';
-import { otpEmailTemplate, welcomeEmailTemplate, passwordResetTemplate, userCodeTemplate, newOtpTemplate } from '../utils/emailTemplates.js';
+import { renderEmail } from '../utils/emailRegistry.js';
 
 const router = express.Router();
 
@@ -146,8 +146,7 @@ router.post('/signup', signupLimiter, [
       try {
         await sendEmail({
           email: user.email,
-          subject: 'Verify Your Email - Savishkar 2025',
-          html: otpEmailTemplate(otp, user.name)
+          ...renderEmail('email-verification', { otp, userName: user.name })
         });
         console.log('✅ OTP Email sent successfully to', user.email);
       } catch (emailError) {
@@ -248,8 +247,7 @@ router.post('/verify-otp', async (req, res) => {
       try {
         await sendEmail({
           email: user.email,
-          subject: 'Welcome to Savishkar 2025 - Your Unique Code',
-          html: welcomeEmailTemplate(user.name, user.userCode)
+          ...renderEmail('welcome', { userName: user.name, userCode: user.userCode })
         });
         console.log('✅ Welcome email sent successfully to', user.email);
       } catch (emailError) {
@@ -329,20 +327,7 @@ router.post('/login', loginLimiter, [
       try {
         await sendEmail({
           email: user.email,
-          subject: 'Email Verification Required - Savishkar 2025',
-          html: `
-            <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 40px; border-radius: 12px; border: 3px solid #5C4033;">
-              <h1 style="color: #1e40af; text-align: center; margin-bottom: 30px; font-size: 32px; font-weight: bold;">Email Verification Required</h1>
-              <p style="color: #8b4513; font-size: 18px; margin-bottom: 10px;">Hi ${user.name},</p>
-              <p style="color: #8b4513; font-size: 16px; margin-bottom: 30px;">Your OTP is:</p>
-              <div style="background: #FFF8DC; padding: 30px; border-radius: 12px; text-align: center; margin: 30px 0; border: 3px solid #FAB12F; box-shadow: 0 4px 12px rgba(250, 177, 47, 0.3);">
-                <h2 style="color: #000000; font-size: 42px; margin: 0; letter-spacing: 8px; font-weight: bold; white-space: nowrap; overflow-x: auto;">${otp}</h2>
-              </div>
-              <p style="color: #8b4513; font-size: 16px; margin-top: 30px;">⏰ <strong>This OTP will expire in 10 minutes.</strong></p>
-              <hr style="margin: 40px 0; border: none; border-top: 2px solid #5C4033;">
-              <p style="color: #1e40af; font-size: 14px; text-align: center; font-weight: 600; margin: 0;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-            </div>
-          `
+          ...renderEmail('email-verification', { otp, userName: user.name })
         });
         console.log('✅ OTP email sent to', user.email);
       } catch (emailError) {
@@ -368,8 +353,7 @@ router.post('/login', loginLimiter, [
       try {
         await sendEmail({
           email: user.email,
-          subject: 'Your Savishkar 2025 Unique Code',
-          html: userCodeTemplate(user.name, user.userCode)
+          ...renderEmail('user-code', { userName: user.name, userCode: user.userCode })
         });
         console.log('✅ User code email sent to', user.email);
       } catch (emailError) {
@@ -471,8 +455,7 @@ router.post('/resend-otp', otpLimiter, async (req, res) => {
     // Send OTP email
     await sendEmail({
       email: user.email,
-      subject: 'New OTP Request - Savishkar 2025',
-      html: newOtpTemplate(otp, user.name)
+      ...renderEmail('otp-resend', { otp, userName: user.name })
     });
 
     res.json({
@@ -526,8 +509,7 @@ router.post('/forgot-password', passwordResetLimiter, [
     try {
       await sendEmail({
         email: user.email,
-        subject: 'Password Reset - Savishkar 2025',
-        html: passwordResetTemplate(resetUrl, user.name)
+        ...renderEmail('password-reset', { resetUrl, userName: user.name })
       });
       console.log('✅ Password reset email sent to', user.email);
     } catch (emailError) {
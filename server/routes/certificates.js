@@ -0,0 +1,337 @@
+import express from 'express';
+import Certificate from '../models/Certificate.js';
+import CertificateTemplate from '../models/CertificateTemplate.js';
+import Event from '../models/Event.js';
+import Registration from '../models/Registration.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { getCertificateTemplate, renderCertificatesPDF, issueCertificates } from '../utils/certificates.js';
+import { formatPosition } from '../utils/results.js';
+import { normalizeEmail } from '../utils/teamMembership.js';
+
+const router = express.Router();
+
+const CERTIFICATE_TYPES = ['participation', 'winner'];
+
+const TEMPLATE_FIELD_KEYS = ['key', 'text', 'x', 'y', 'width', 'fontSize', 'font', 'color', 'align'];
+
+// Keep only known field settings, and only colours PDFKit understands
+const pickTemplateFields = (fields) => {
+  return (Array.isArray(fields) ? fields : []).map((field) => {
+    const picked = {};
+    for (const key of TEMPLATE_FIELD_KEYS) {
+      if (field[key] !== undefined && field[key] !== '') picked[key] = field[key];
+    }
+    if (picked.color && !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(picked.color)) delete picked.color;
+    return picked;
+  });
+};
+
+const sendPDF = (res, filename, pdf) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+const fileName = (text) => String(text).replace(/[^a-z0-9]+/gi, '-').replace(/(^-|-$)/g, '');
+
+const isOwnCertificate = (certificate, user) => {
+  return certificate.user?.toString() === user._id.toString() ||
+    certificate.recipientEmail === normalizeEmail(user.email);
+};
+
+// @route   GET /api/certificates/verify/:certificateId
+// @desc    Check that a certificate is genuine (linked from its QR code)
+// @access  Public
+router.get('/verify/:certificateId', async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId.trim().toUpperCase() })
+      .populate('event', 'name date category');
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate with this ID was issued by Savishkar'
+      });
+    }
+
+    res.json({
+      success: true,
+      certificate: {
+        certificateId: certificate.certificateId,
+        type: certificate.type,
+        recipientName: certificate.recipientName,
+        college: certificate.college,
+        teamName: certificate.teamName,
+        position: certificate.position ? formatPosition(certificate.position, certificate.positionTitle) : null,
+        event: certificate.event,
+        issuedAt: certificate.issuedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/certificates/my
+// @desc    Get the logged in user's certificates (including ones as a team member)
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({
+      $or: [{ user: req.user._id }, { recipientEmail: normalizeEmail(req.user.email) }]
+    })
+      .populate('event', 'name date category')
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      count: certificates.length,
+      certificates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/certificates/templates/:eventId
+// @desc    Get the participation and winner templates of an event (Admin)
+// @access  Private/Admin
+router.get('/templates/:eventId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const [participation, winner] = await Promise.all(
+      CERTIFICATE_TYPES.map((type) => getCertificateTemplate(req.params.eventId, type))
+    );
+
+    res.json({
+      success: true,
+      templates: { participation, winner }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/certificates/templates/:eventId/:type
+// @desc    Save an event's certificate template - background and field positions (Admin)
+// @access  Private/Admin
+router.put('/templates/:eventId/:type', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { eventId, type } = req.params;
+    if (!CERTIFICATE_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Unknown certificate type' });
+    }
+
+    if (!(await Event.exists({ _id: eventId }))) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const template = await CertificateTemplate.findOneAndUpdate(
+      { event: eventId, type },
+      {
+        $set: {
+          backgroundUrl: req.body.backgroundUrl || null,
+          orientation: req.body.orientation || 'landscape',
+          fields: pickTemplateFields(req.body.fields),
+          updatedBy: req.user._id
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: `${type === 'winner' ? 'Winner' : 'Participation'} certificate template saved`,
+      template
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/certificates/templates/:eventId/:type
+// @desc    Go back to the default certificate design (Admin)
+// @access  Private/Admin
+router.delete('/templates/:eventId/:type', protect, authorize('admin'), async (req, res) => {
+  try {
+    await CertificateTemplate.deleteOne({ event: req.params.eventId, type: req.params.type });
+
+    res.json({
+      success: true,
+      message: 'Template reset to the default design'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/certificates/templates/:eventId/:type/preview
+// @desc    Preview a template (saved or as being edited) with sample data (Admin)
+// @access  Private/Admin
+router.post('/templates/:eventId/:type/preview', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { eventId, type } = req.params;
+    const event = await Event.findById(eventId).select('name date category');
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const template = req.body.fields
+      ? { type, backgroundUrl: req.body.backgroundUrl, orientation: req.body.orientation, fields: pickTemplateFields(req.body.fields) }
+      : await getCertificateTemplate(eventId, type);
+
+    const sample = {
+      certificateId: 'SAV25-PREVIEW',
+      recipientName: 'Participant Name',
+      college: 'College Name',
+      teamName: 'Team Name',
+      position: type === 'winner' ? 1 : undefined
+    };
+
+    sendPDF(res, `${fileName(event.name)}-${type}-preview.pdf`, await renderCertificatesPDF([sample], { event, template }));
+  } catch (error) {
+    console.error('Certificate preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/certificates/event/:eventId
+// @desc    Get issued certificates, results and eligible counts for an event (Admin)
+// @access  Private/Admin
+router.get('/event/:eventId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select('name date results')
+      .populate({ path: 'results.registration', select: 'registrationNumber teamName user status', populate: { path: 'user', select: 'name college' } });
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const [certificates, attended] = await Promise.all([
+      Certificate.find({ event: event._id }).sort({ type: 1, position: 1, recipientName: 1 }),
+      Registration.find({ event: event._id, status: 'attended' })
+        .select('registrationNumber teamName user teamMembers.inviteStatus')
+        .populate('user', 'name college')
+        .sort({ registrationNumber: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      results: event.results,
+      attended,
+      certificates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/certificates/event/:eventId/issue
+// @desc    Issue or refresh participation / winner certificates for an event (Admin)
+// @access  Private/Admin
+router.post('/event/:eventId/issue', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { type } = req.body;
+    if (!CERTIFICATE_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Unknown certificate type' });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const summary = await issueCertificates(event, type, req.user);
+
+    res.json({
+      success: true,
+      message: `${summary.total} ${type} certificates ready (${summary.issued} new, ${summary.removed} removed)`,
+      ...summary
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Issue certificates error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/certificates/event/:eventId/pdf?type=participation
+// @desc    Download every certificate of a type for an event as one PDF (Admin)
+// @access  Private/Admin
+router.get('/event/:eventId/pdf', protect, authorize('admin'), async (req, res) => {
+  try {
+    const type = CERTIFICATE_TYPES.includes(req.query.type) ? req.query.type : 'participation';
+    const event = await Event.findById(req.params.eventId).select('name date category');
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const certificates = await Certificate.find({ event: event._id, type }).sort({ position: 1, recipientName: 1 });
+    if (certificates.length === 0) {
+      return res.status(404).json({ success: false, message: `No ${type} certificates have been issued yet` });
+    }
+
+    const template = await getCertificateTemplate(event._id, type);
+    sendPDF(res, `${fileName(event.name)}-${type}-certificates.pdf`, await renderCertificatesPDF(certificates, { event, template }));
+  } catch (error) {
+    console.error('Bulk certificate PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/certificates/:certificateId/pdf
+// @desc    Download a certificate
+// @access  Private (recipient or admin)
+router.get('/:certificateId/pdf', protect, async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+    if (!certificate) {
+      return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+
+    if (!isOwnCertificate(certificate, req.user) && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const event = await Event.findById(certificate.event).select('name date category');
+    const template = await getCertificateTemplate(certificate.event, certificate.type);
+
+    sendPDF(res, `${certificate.certificateId}.pdf`, await renderCertificatesPDF([certificate], { event, template }));
+  } catch (error) {
+    console.error('Certificate PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
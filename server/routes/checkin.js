@@ -0,0 +1,353 @@
+import express from 'express';
+import Registration from '../models/Registration.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { isEntryPass, verifyEntryPass, getEntryPassPublicKey } from '../utils/entryPass.js';
+
+const router = express.Router();
+
+// Registration numbers look like SAV2025-0001, user codes like SAV25A3B7
+const REGISTRATION_NUMBER_PATTERN = /^SAV\d{4}-\d+$/;
+
+// Find a registration for an event by registration number or participant user code
+const findRegistrationByCode = async (eventId, rawCode) => {
+  const code = String(rawCode || '').trim().toUpperCase();
+
+  if (!code) {
+    return null;
+  }
+
+  const findOne = (query) => Registration.findOne(query)
+    .populate('user', 'name email phone college userCode')
+    .populate('event', 'name date time venue')
+    .populate('checkedInBy', 'name');
+
+  if (REGISTRATION_NUMBER_PATTERN.test(code)) {
+    return findOne({ event: eventId, registrationNumber: code });
+  }
+
+  const user = await User.findOne({ userCode: code }).select('_id');
+  if (!user) {
+    return null;
+  }
+
+  // The participant's own registration, else the team they accepted an invitation to
+  return await findOne({ event: eventId, user: user._id }) ||
+    findOne({
+      event: eventId,
+      teamMembers: { $elemMatch: { user: user._id, inviteStatus: 'accepted' } }
+    });
+};
+
+// Resolve a scanned entry pass or a typed code to a registration for the event.
+// Passes are verified by signature before anything is looked up.
+const resolveRegistration = async (eventId, code) => {
+  if (isEntryPass(code)) {
+    const { valid, payload, reason } = verifyEntryPass(code);
+    if (!valid) {
+      return { status: 400, message: reason };
+    }
+    if (payload.e !== String(eventId)) {
+      return { status: 400, message: 'This pass is for a different event' };
+    }
+
+    const registration = await findRegistrationByCode(eventId, payload.r);
+    if (!registration) {
+      return { status: 404, message: `No registration found for pass ${payload.r}` };
+    }
+    if (registration.entryPass !== code.trim()) {
+      return { status: 400, message: 'This pass has been replaced or revoked' };
+    }
+    return { registration, verifiedBy: 'pass' };
+  }
+
+  const registration = await findRegistrationByCode(eventId, code);
+  if (!registration) {
+    return { status: 404, message: `No registration found for "${code}" in this event` };
+  }
+  return { registration, verifiedBy: 'code' };
+};
+
+// Returns the reason a registration cannot be checked in, or null if it can
+const getCheckInBlocker = (registration) => {
+  if (registration.status === 'cancelled') {
+    return 'Registration has been cancelled';
+  }
+  if (registration.paymentStatus !== 'completed') {
+    return registration.paymentStatus === 'verification_pending'
+      ? 'Payment is still awaiting verification'
+      : `Payment not completed (status: ${registration.paymentStatus})`;
+  }
+  if (registration.checkedIn) {
+    return 'Already checked in';
+  }
+  return null;
+};
+
+// Shape a registration for the check-in screen
+const formatCheckIn = (registration) => ({
+  id: registration._id,
+  registrationNumber: registration.registrationNumber,
+  name: registration.user?.name,
+  userCode: registration.user?.userCode,
+  email: registration.user?.email,
+  phone: registration.user?.phone,
+  college: registration.user?.college,
+  event: registration.event?.name,
+  teamName: registration.teamName,
+  teamSize: registration.teamMembers?.length || 1,
+  isTeamLeader: registration.isTeamLeader,
+  registrationCategory: registration.registrationCategory,
+  paymentStatus: registration.paymentStatus,
+  status: registration.status,
+  checkedIn: registration.checkedIn,
+  checkedInAt: registration.checkedInAt,
+  checkedInBy: registration.checkedInBy?.name
+});
+
+// @route   GET /api/checkin/pass-key
+// @desc    Public key entry passes are signed with, so the desk can verify scans while offline
+// @access  Private/Admin
+router.get('/pass-key', protect, authorize('admin'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      algorithm: 'Ed25519',
+      publicKey: getEntryPassPublicKey()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/checkin/lookup
+// @desc    Look up a registration by entry pass, user code or registration number without checking in
+// @access  Private/Admin
+router.get('/lookup', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { eventId, code } = req.query;
+
+    if (!eventId || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide event ID and a user code or registration number'
+      });
+    }
+
+    const { registration, verifiedBy, status, message } = await resolveRegistration(eventId, code);
+
+    if (!registration) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const blocker = getCheckInBlocker(registration);
+
+    res.json({
+      success: true,
+      canCheckIn: !blocker,
+      reason: blocker,
+      verifiedBy,
+      registration: formatCheckIn(registration)
+    });
+  } catch (error) {
+    console.error('Check-in lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/checkin
+// @desc    Check in a participant by entry pass, user code or registration number
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { eventId, code } = req.body;
+
+    if (!eventId || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide event ID and a user code or registration number'
+      });
+    }
+
+    const { registration, verifiedBy, status, message } = await resolveRegistration(eventId, code);
+
+    if (!registration) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const blocker = getCheckInBlocker(registration);
+    if (blocker) {
+      return res.status(registration.checkedIn ? 409 : 400).json({
+        success: false,
+        message: blocker,
+        registration: formatCheckIn(registration)
+      });
+    }
+
+    // Conditional update so two volunteers scanning the same code can't both succeed.
+    // Matching the status just read also keeps statusBeforeCheckIn true if it changed meanwhile.
+    const updated = await Registration.findOneAndUpdate(
+      {
+        _id: registration._id,
+        checkedIn: { $ne: true },
+        status: registration.status,
+        paymentStatus: 'completed'
+      },
+      {
+        $set: {
+          checkedIn: true,
+          checkedInAt: new Date(),
+          checkedInBy: req.user._id,
+          statusBeforeCheckIn: registration.status,
+          status: 'attended'
+        }
+      },
+      { new: true }
+    )
+      .populate('user', 'name email phone college userCode')
+      .populate('event', 'name date time venue')
+      .populate('checkedInBy', 'name');
+
+    if (!updated) {
+      const current = await findRegistrationByCode(eventId, registration.registrationNumber);
+      return res.status(409).json({
+        success: false,
+        message: 'Already checked in',
+        registration: current ? formatCheckIn(current) : undefined
+      });
+    }
+
+    console.log(`✅ Checked in ${updated.registrationNumber} for ${updated.event?.name} by ${req.user.name} (${verifiedBy})`);
+
+    res.json({
+      success: true,
+      message: `${updated.user?.name || 'Participant'} checked in successfully`,
+      verifiedBy,
+      registration: formatCheckIn(updated)
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/checkin/:registrationId/undo
+// @desc    Revert a check-in recorded by mistake
+// @access  Private/Admin
+router.put('/:registrationId/undo', protect, authorize('admin'), async (req, res) => {
+  try {
+    const current = await Registration.findOne({ _id: req.params.registrationId, checkedIn: true })
+      .select('status statusBeforeCheckIn');
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'No checked-in registration found'
+      });
+    }
+
+    if (current.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration has been cancelled since it was checked in'
+      });
+    }
+
+    const registration = await Registration.findOneAndUpdate(
+      { _id: current._id, checkedIn: true, status: current.status },
+      {
+        $set: { checkedIn: false, status: current.statusBeforeCheckIn || 'registered' },
+        $unset: { checkedInAt: '', checkedInBy: '', statusBeforeCheckIn: '' }
+      },
+      { new: true }
+    )
+      .populate('user', 'name email phone college userCode')
+      .populate('event', 'name date time venue');
+
+    if (!registration) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration changed while reverting - reload and try again'
+      });
+    }
+
+    console.log(`↩️  Check-in reverted for ${registration.registrationNumber} by ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: 'Check-in reverted',
+      registration: formatCheckIn(registration)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/checkin/event/:eventId/stats
+// @desc    Get check-in progress and recent check-ins for an event
+// @access  Private/Admin
+router.get('/event/:eventId/stats', protect, authorize('admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('name date time venue');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const confirmedQuery = {
+      event: event._id,
+      status: { $ne: 'cancelled' },
+      paymentStatus: 'completed'
+    };
+
+    const [confirmed, checkedIn, recent] = await Promise.all([
+      Registration.countDocuments(confirmedQuery),
+      Registration.countDocuments({ ...confirmedQuery, checkedIn: true }),
+      Registration.find({ event: event._id, checkedIn: true })
+        .populate('user', 'name email phone college userCode')
+        .populate('checkedInBy', 'name')
+        .sort({ checkedInAt: -1 })
+        .limit(10)
+    ]);
+
+    res.json({
+      success: true,
+      event,
+      stats: {
+        confirmed,
+        checkedIn,
+        remaining: Math.max(0, confirmed - checkedIn)
+      },
+      recent: recent.map(formatCheckIn)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,268 @@
+import express from 'express';
+import Coupon from '../models/Coupon.js';
+import Event from '../models/Event.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { evaluateCoupon, normalizeCouponCode } from '../utils/coupons.js';
+
+const router = express.Router();
+
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'event',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'allowedColleges', 'isActive'
+];
+
+// Pick the editable fields from a request body, tidying empty values from the form
+const pickCouponFields = (body) => {
+  const fields = {};
+  for (const key of COUPON_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+
+  if (fields.code !== undefined) fields.code = normalizeCouponCode(fields.code);
+  for (const key of ['event', 'validFrom', 'validUntil']) {
+    if (fields[key] === '') fields[key] = null;
+  }
+  if (typeof fields.allowedColleges === 'string') {
+    fields.allowedColleges = fields.allowedColleges.split(',');
+  }
+  if (Array.isArray(fields.allowedColleges)) {
+    fields.allowedColleges = fields.allowedColleges.map((college) => String(college).trim()).filter(Boolean);
+  }
+  return fields;
+};
+
+const validateCoupon = (coupon) => {
+  if (coupon.discountType === 'percent' && coupon.discountValue > 100) {
+    return 'A percent discount cannot be more than 100';
+  }
+  if (coupon.validFrom && coupon.validUntil && new Date(coupon.validUntil) < new Date(coupon.validFrom)) {
+    return 'Valid until must be after valid from';
+  }
+  return null;
+};
+
+// Redemptions still in use (not released by a cancellation or rejection)
+const summarizeRedemptions = (coupon) => {
+  const active = coupon.redemptions.filter((redemption) => !redemption.releasedAt);
+  return {
+    activeRedemptions: active.length,
+    releasedRedemptions: coupon.redemptions.length - active.length,
+    totalDiscount: active.reduce((sum, redemption) => sum + (redemption.discount || 0), 0)
+  };
+};
+
+// @route   POST /api/coupons/validate
+// @desc    Check a coupon code for an event and show the discount before registering
+// @access  Private
+router.post('/validate', protect, async (req, res) => {
+  try {
+    const { code, eventId, registrationCategory } = req.body;
+
+    if (!code || !eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code and event are required'
+      });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { coupon, discount, originalAmount, finalAmount } = await evaluateCoupon(code, {
+      event,
+      user: req.user,
+      amount: event.getRegistrationFee(registrationCategory)
+    });
+
+    res.json({
+      success: true,
+      message: `Coupon ${coupon.code} applied - ₹${discount} off`,
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue
+      },
+      discount,
+      originalAmount,
+      finalAmount
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Validate coupon error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    Get all coupons with redemption totals
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find()
+      .populate('event', 'name')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      coupons: coupons.map((coupon) => {
+        const { redemptions, ...rest } = coupon.toObject();
+        return { ...rest, ...summarizeRedemptions({ redemptions }) };
+      })
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+
+    const invalid = validateCoupon(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const coupon = await Coupon.create({ ...fields, createdBy: req.user._id });
+    console.log(`🏷️ Coupon ${coupon.code} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Coupon ${coupon.code} created`,
+      coupon
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon (activate/deactivate, limits, validity)
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const fields = pickCouponFields(req.body);
+    // The code is printed on posters once it has been handed out
+    if (fields.code && fields.code !== coupon.code && coupon.redemptions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The code of a coupon that has been used cannot be changed'
+      });
+    }
+
+    coupon.set(fields);
+    const invalid = validateCoupon(coupon);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: `Coupon ${coupon.code} updated`,
+      coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon that has never been used (used ones can only be deactivated)
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    if (coupon.redemptions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This coupon has been used - deactivate it instead so its redemptions stay on record'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Coupon ${coupon.code} deleted`
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/coupons/:id/redemptions
+// @desc    Get who used a coupon, on which registration and for how much
+// @access  Private/Admin
+router.get('/:id/redemptions', protect, authorize('admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.user', 'name email college userCode')
+      .populate('redemptions.registration', 'registrationNumber status paymentStatus amount')
+      .populate('redemptions.event', 'name');
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    res.json({
+      success: true,
+      code: coupon.code,
+      ...summarizeRedemptions(coupon),
+      redemptions: [...coupon.redemptions].sort((a, b) => b.redeemedAt - a.redeemedAt)
+    });
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
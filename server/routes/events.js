@@ -2,6 +2,7 @@ import express from 'express';
 import Event from '../models/Event.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { uploadEventImage } from '../middleware/upload.js';
+import { promoteFromWaitlist } from '../utils/waitlist.js';
 
 const router = express.Router();
 
@@ -29,7 +30,9 @@ router.get('/', async (req, res) => {
       ];
     }
     
+    // Results are only public once published (see /api/results)
     const events = await Event.find(query)
+      .select('-results -remindersSent')
       .sort({ date: 1 })
       .populate('createdBy', 'name email');
     
@@ -52,6 +55,7 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
+      .select('-results -remindersSent')
       .populate('createdBy', 'name email');
     
     if (!event) {
@@ -218,12 +222,39 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
         .replace(/(^-|-$)/g, '');
     }
     
+    // The seat counter is only changed atomically by registrations and the reconciliation job -
+    // writing back a value the edit form loaded earlier would undo concurrent registrations
+    delete req.body.currentParticipants;
+    
+    // Results are managed and published from /api/results
+    delete req.body.results;
+    delete req.body.resultsPublishedAt;
+    
+    // Written only by the reminder scheduler
+    delete req.body.remindersSent;
+    
+    // Let calendar feeds know the schedule changed
+    const scheduleFields = ['name', 'date', 'time', 'duration', 'venue'];
+    const scheduleChanged = scheduleFields.some(field => {
+      if (req.body[field] === undefined) return false;
+      if (field === 'date') return new Date(req.body.date).getTime() !== new Date(event.date).getTime();
+      return String(req.body[field] ?? '') !== String(event[field] ?? '');
+    });
+    if (scheduleChanged) {
+      req.body.scheduleUpdatedAt = new Date();
+    }
+    
     event = await Event.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
     );
     
+    // Raising the capacity frees seats for anyone on the waitlist
+    if (event.maxParticipants > event.currentParticipants) {
+      await promoteFromWaitlist(event._id);
+    }
+    
     res.json({
       success: true,
       message: 'Event updated successfully',
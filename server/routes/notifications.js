@@ -0,0 +1,132 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { protect } from '../middleware/auth.js';
+import { formatInboxItem } from '../utils/inbox.js';
+
+const router = express.Router();
+
+const PAGE_SIZE = 15;
+
+const inboxFilter = (userId) => ({ user: userId, inbox: true });
+
+// @route   GET /api/notifications?page=1&unread=true
+// @desc    Current user's notifications, newest first
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const filter = inboxFilter(req.user._id);
+    if (req.query.unread === 'true') {
+      filter.isRead = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .select('type subject summary isRead readAt createdAt user relatedEvent relatedRegistration')
+        .populate('relatedEvent', 'name')
+        .populate('relatedRegistration', 'user paymentStatus status')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ ...inboxFilter(req.user._id), isRead: false })
+    ]);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(formatInboxItem),
+      unreadCount,
+      page,
+      pages: Math.max(Math.ceil(total / PAGE_SIZE), 1)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications (for the navbar badge)
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ ...inboxFilter(req.user._id), isRead: false });
+
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { ...inboxFilter(req.user._id), isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, ...inboxFilter(req.user._id) }).select('isRead readAt');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await Notification.updateOne({ _id: notification._id }, { $set: { isRead: true, readAt: notification.readAt } });
+    }
+
+    res.json({
+      success: true,
+      notification: { _id: notification._id, isRead: notification.isRead, readAt: notification.readAt }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
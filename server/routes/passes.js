@@ -0,0 +1,407 @@
+import express from 'express';
+import Pass from '../models/Pass.js';
+import PassPurchase from '../models/PassPurchase.js';
+import Payment from '../models/Payment.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { generatePassNumber } from '../utils/passes.js';
+import { buildUpiIntent, generateUpiQR } from '../utils/upiIntent.js';
+
+const router = express.Router();
+
+const PASS_FIELDS = [
+  'name', 'description', 'price', 'eventLimit', 'categories', 'events',
+  'paymentQRCode', 'paymentUPI', 'paymentAccountName', 'paymentInstructions', 'validUntil', 'isActive'
+];
+
+const pickPassFields = (body) => {
+  const fields = {};
+  for (const key of PASS_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (fields.validUntil === '') fields.validUntil = null;
+  return fields;
+};
+
+const populateEvents = { path: 'events', select: 'name category' };
+
+// @route   GET /api/passes
+// @desc    Get the combo passes on sale
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const passes = await Pass.find({
+      isActive: true,
+      $or: [{ validUntil: null }, { validUntil: { $gte: new Date() } }]
+    })
+      .select('-paymentQRCode -paymentUPI -paymentAccountName -createdBy')
+      .populate(populateEvents)
+      .sort({ price: 1 });
+
+    res.json({
+      success: true,
+      count: passes.length,
+      passes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/passes/my
+// @desc    Get the logged in user's passes with remaining events
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const purchases = await PassPurchase.find({ user: req.user._id })
+      .populate({ path: 'pass', select: 'name description eventLimit categories events', populate: populateEvents })
+      .populate('redemptions.event', 'name date')
+      .sort({ createdAt: -1 });
+
+    // Approved payment of each pass, for its receipt
+    const payments = await Payment.find({
+      passPurchase: { $in: purchases.map((purchase) => purchase._id) },
+      status: 'captured'
+    }).select('passPurchase receipt amount');
+    const paymentByPurchase = new Map(payments.map((payment) => [payment.passPurchase.toString(), payment]));
+
+    res.json({
+      success: true,
+      count: purchases.length,
+      purchases: purchases.map((purchase) => ({
+        ...purchase.toObject(),
+        payment: paymentByPurchase.get(purchase._id.toString()) || null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/passes/all
+// @desc    Get every pass with sales totals (Admin)
+// @access  Private/Admin
+router.get('/all', protect, authorize('admin'), async (req, res) => {
+  try {
+    const [passes, sales] = await Promise.all([
+      Pass.find().populate(populateEvents).sort({ createdAt: -1 }),
+      PassPurchase.aggregate([
+        {
+          $group: {
+            _id: { pass: '$pass', status: '$paymentStatus' },
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' },
+            eventsUsed: { $sum: '$usedCount' }
+          }
+        }
+      ])
+    ]);
+
+    const salesByPass = new Map();
+    for (const { _id, count, amount, eventsUsed } of sales) {
+      const key = _id.pass.toString();
+      if (!salesByPass.has(key)) {
+        salesByPass.set(key, { sold: 0, revenue: 0, pending: 0, eventsUsed: 0 });
+      }
+      const totals = salesByPass.get(key);
+      if (_id.status === 'completed') {
+        totals.sold += count;
+        totals.revenue += amount;
+        totals.eventsUsed += eventsUsed;
+      } else if (['pending', 'verification_pending'].includes(_id.status)) {
+        totals.pending += count;
+      }
+    }
+
+    res.json({
+      success: true,
+      count: passes.length,
+      passes: passes.map((pass) => ({
+        ...pass.toObject(),
+        ...(salesByPass.get(pass._id.toString()) || { sold: 0, revenue: 0, pending: 0, eventsUsed: 0 })
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/passes/purchases
+// @desc    Get pass purchases with their payment proof (Admin)
+// @access  Private/Admin
+router.get('/purchases', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { status, passId } = req.query;
+
+    const query = {};
+    if (status) query.paymentStatus = status;
+    if (passId) query.pass = passId;
+
+    const purchases = await PassPurchase.find(query)
+      .populate('user', 'name email phone college userCode')
+      .populate('pass', 'name')
+      .populate('redemptions.event', 'name')
+      .sort({ createdAt: -1 });
+
+    const payments = await Payment.find({ passPurchase: { $in: purchases.map((purchase) => purchase._id) } })
+      .select('passPurchase utrNumber screenshotUrl screenshotOcr status transactionDate rejectionReason qrCodeUsed amount');
+    const paymentByPurchase = new Map(payments.map((payment) => [payment.passPurchase.toString(), payment]));
+
+    res.json({
+      success: true,
+      count: purchases.length,
+      purchases: purchases.map((purchase) => ({
+        ...purchase.toObject(),
+        payment: paymentByPurchase.get(purchase._id.toString()) || null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Owner or admin - used by the payment page
+const findOwnPurchase = async (req, res) => {
+  const purchase = await PassPurchase.findById(req.params.purchaseId).populate('pass');
+
+  if (!purchase) {
+    res.status(404).json({ success: false, message: 'Pass purchase not found' });
+    return null;
+  }
+
+  if (purchase.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+
+  return purchase;
+};
+
+// @route   GET /api/passes/purchases/:purchaseId
+// @desc    Get a pass purchase with where to pay for it
+// @access  Private
+router.get('/purchases/:purchaseId', protect, async (req, res) => {
+  try {
+    const purchase = await findOwnPurchase(req, res);
+    if (!purchase) return;
+
+    res.json({
+      success: true,
+      purchase
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/passes/purchases/:purchaseId/upi-intent
+// @desc    UPI deep link and QR for the exact pass price, with the pass number as the note
+// @access  Private
+router.get('/purchases/:purchaseId/upi-intent', protect, async (req, res) => {
+  try {
+    const purchase = await findOwnPurchase(req, res);
+    if (!purchase) return;
+
+    if (purchase.paymentStatus === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment already completed'
+      });
+    }
+
+    const pass = purchase.pass;
+    if (!pass?.paymentUPI && !pass?.paymentQRCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment details are not set up for this pass'
+      });
+    }
+
+    const intent = {
+      upiId: pass.paymentUPI,
+      accountName: pass.paymentAccountName,
+      qrCodeUrl: pass.paymentQRCode,
+      amount: purchase.amount,
+      note: purchase.passNumber
+    };
+
+    if (pass.paymentUPI) {
+      intent.upiUrl = buildUpiIntent({
+        upiId: pass.paymentUPI,
+        payeeName: pass.paymentAccountName,
+        amount: purchase.amount,
+        note: purchase.passNumber
+      });
+      intent.qrCode = await generateUpiQR(intent.upiUrl);
+    }
+
+    res.json({
+      success: true,
+      ...intent
+    });
+  } catch (error) {
+    console.error('Pass UPI intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/passes/:id/purchase
+// @desc    Start buying a pass - paid through the offline payment flow
+// @access  Private
+router.post('/:id/purchase', protect, async (req, res) => {
+  try {
+    const pass = await Pass.findById(req.params.id);
+
+    if (!pass || !pass.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pass not found'
+      });
+    }
+
+    if (pass.validUntil && pass.validUntil < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `${pass.name} is no longer on sale`
+      });
+    }
+
+    // One live purchase per pass - a rejected one can be bought again
+    const existing = await PassPurchase.findOne({
+      user: req.user._id,
+      pass: pass._id,
+      paymentStatus: { $ne: 'failed' }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: existing.paymentStatus === 'completed'
+          ? `You already have the ${pass.name}`
+          : `You have already started buying the ${pass.name} - complete its payment from your dashboard`,
+        purchase: existing
+      });
+    }
+
+    const free = pass.price === 0;
+    const purchase = await PassPurchase.create({
+      user: req.user._id,
+      pass: pass._id,
+      passNumber: await generatePassNumber(),
+      amount: pass.price,
+      eventLimit: pass.eventLimit,
+      paymentStatus: free ? 'completed' : 'pending',
+      paymentMethod: free ? 'free' : 'offline',
+      paidAt: free ? new Date() : undefined
+    });
+
+    console.log(`🎫 ${req.user.email} started buying ${pass.name} (${purchase.passNumber})`);
+
+    res.status(201).json({
+      success: true,
+      message: free ? `${pass.name} added to your account` : 'Complete the payment to activate your pass',
+      purchase
+    });
+  } catch (error) {
+    console.error('Pass purchase error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/passes
+// @desc    Create a pass (Admin)
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const pass = await Pass.create({ ...pickPassFields(req.body), createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: `${pass.name} created`,
+      pass
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/passes/:id
+// @desc    Update a pass - purchases already made keep their event limit (Admin)
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const pass = await Pass.findById(req.params.id);
+    if (!pass) {
+      return res.status(404).json({ success: false, message: 'Pass not found' });
+    }
+
+    pass.set(pickPassFields(req.body));
+    await pass.save();
+
+    res.json({
+      success: true,
+      message: `${pass.name} updated`,
+      pass
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/passes/:id
+// @desc    Delete a pass nobody has bought (Admin)
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const pass = await Pass.findById(req.params.id);
+    if (!pass) {
+      return res.status(404).json({ success: false, message: 'Pass not found' });
+    }
+
+    if (await PassPurchase.exists({ pass: pass._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This pass has been bought - take it off sale instead'
+      });
+    }
+
+    await pass.deleteOne();
+
+    res.json({
+      success: true,
+      message: `${pass.name} deleted`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
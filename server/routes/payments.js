@@ -1,22 +1,124 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Payment from '../models/Payment.js';
 import Registration from '../models/Registration.js';
 import Event from '../models/Event.js';
+import PassPurchase from '../models/PassPurchase.js';
 import { protect, authorize } from '../middleware/auth.js';
-import { uploadPaymentScreenshot } from '../middleware/upload.js';
+import { uploadPaymentScreenshot, uploadStatement } from '../middleware/upload.js';
+import { getRefundPolicy, saveRefundPolicy, evaluateRefundEligibility, findPaidPayment, requestRefund, sendRefundEmail } from '../utils/refunds.js';
+import {
+  isRazorpayEnabled,
+  getCheckoutScriptUrl,
+  createRazorpayOrder,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  captureRazorpayPayment,
+  markRazorpayPaymentFailed
+} from '../utils/razorpay.js';
+import { approveOfflinePayment, rejectOfflinePayment } from '../utils/paymentApproval.js';
+import { getEmailQueueLength } from '../utils/emailQueue.js';
+import { isOcrEnabled, runScreenshotOcr } from '../utils/paymentOcr.js';
+import { createRegistrationUpiIntent } from '../utils/upiIntent.js';
+import { getAssignedPaymentAccount, getPaymentAccountsSummary } from '../utils/qrRotation.js';
+import { parseStatement, getReceivingAccounts, reconcileStatement } from '../utils/statementReconciliation.js';
+import { buildReceipt } from '../utils/receipts.js';
 
 const router = express.Router();
 
+// Largest batch the bulk approve / reject endpoint accepts
+const BULK_PAYMENT_LIMIT = 500;
+
+// @route   GET /api/payments/gateway
+// @desc    Online payment (Razorpay) availability for the payment page
+// @access  Private
+router.get('/gateway', protect, (req, res) => {
+  const enabled = isRazorpayEnabled();
+
+  res.json({
+    success: true,
+    enabled,
+    keyId: enabled ? process.env.RAZORPAY_KEY_ID : undefined,
+    checkoutUrl: enabled ? getCheckoutScriptUrl() : undefined
+  });
+});
+
+// @route   GET /api/payments/upi-intent/:registrationId
+// @desc    UPI deep link and QR for a registration - exact amount, registration number as the note
+// @access  Private
+router.get('/upi-intent/:registrationId', protect, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (registration.paymentStatus === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment already completed'
+      });
+    }
+
+    if (registration.status === 'waitlisted') {
+      return res.status(400).json({
+        success: false,
+        message: `You are on the waitlist (#${registration.waitlistPosition}). Payment opens once a seat is available.`
+      });
+    }
+
+    const event = await Event.findById(registration.event);
+    const intent = event && registration.amount > 0
+      ? await createRegistrationUpiIntent(registration, event)
+      : null;
+
+    if (!intent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment details are not set up for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...intent
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/payments/create-order
-// @desc    Create payment order and get QR code details
+// @desc    Create a Razorpay order for a registration
 // @access  Private
 router.post('/create-order', protect, async (req, res) => {
   try {
     const { registrationId } = req.body;
 
+    if (!isRazorpayEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Online payments are not available right now. Please pay using the UPI QR code.'
+      });
+    }
+
     // Get registration details
     const registration = await Registration.findById(registrationId)
-      .populate('event');
+      .populate('event', 'name');
 
     if (!registration) {
       return res.status(404).json({
@@ -41,50 +143,80 @@ router.post('/create-order', protect, async (req, res) => {
       });
     }
 
-    // Create payment record
-    const payment = await Payment.create({
-      user: req.user._id,
-      registration: registrationId,
-      event: registration.event._id,
-      amount: registration.amount,
+    if (registration.paymentStatus === 'verification_pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment proof already submitted. Awaiting verification.'
+      });
+    }
+
+    if (registration.status === 'waitlisted') {
+      return res.status(400).json({
+        success: false,
+        message: `You are on the waitlist (#${registration.waitlistPosition}). Payment opens once a seat is available.`
+      });
+    }
+
+    if (registration.status === 'cancelled' || registration.amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No payment is due for this registration'
+      });
+    }
+
+    // Reuse an open order so retries don't pile up orders at the gateway
+    let payment = await Payment.findOne({
+      registration: registration._id,
+      razorpayOrderId: { $exists: true },
       status: 'created',
-      method: 'upi'
-    });
+      amount: registration.amount
+    }).sort({ createdAt: -1 });
 
-    // Get event-specific QR code details or use default
-    const event = registration.event;
-    
-    // Get active QR code from the event
-    const activeQR = event.getActiveQRCode();
-    
-    const paymentDetails = {
-      paymentId: payment._id,
-      amount: registration.amount,
-      eventName: event.name,
-      registrationNumber: registration.registrationNumber,
-      // Use active QR code from qrCodes array, or fallback to legacy single QR code, or default
-      qrCodeUrl: activeQR.qrCodeUrl || event.paymentQRCode || process.env.QR_CODE_URL || '/images/payment-qr.png',
-      upiId: activeQR.upiId || event.paymentUPI || process.env.UPI_ID || 'savishkar@paytm',
-      accountName: activeQR.accountName || event.paymentAccountName || 'Savishkar Techfest',
-      instructions: event.paymentInstructions || [
-        'Scan the QR code using any UPI app',
-        'Enter the exact amount shown: ₹' + registration.amount,
-        'Complete the payment',
-        'Take a screenshot of the payment confirmation',
-        'Upload the screenshot and enter UTR number below'
-      ].join('\n')
-    };
+    if (!payment) {
+      const order = await createRazorpayOrder({
+        amount: registration.amount,
+        receipt: registration.registrationNumber,
+        notes: {
+          registrationId: registration._id.toString(),
+          event: registration.event.name
+        }
+      });
+
+      payment = await Payment.create({
+        user: req.user._id,
+        registration: registration._id,
+        event: registration.event._id,
+        amount: registration.amount,
+        status: 'created',
+        razorpayOrderId: order.id
+      });
+
+      console.log(`✅ Razorpay order ${order.id} created for ${registration.registrationNumber}`);
+    }
 
     res.json({
       success: true,
       message: 'Payment order created',
-      paymentDetails
+      order: {
+        id: payment.razorpayOrderId,
+        amount: Math.round(payment.amount * 100),
+        currency: payment.currency
+      },
+      keyId: process.env.RAZORPAY_KEY_ID,
+      checkoutUrl: getCheckoutScriptUrl(),
+      eventName: registration.event.name,
+      registrationNumber: registration.registrationNumber,
+      prefill: {
+        name: req.user.name,
+        email: req.user.email,
+        contact: req.user.phone
+      }
     });
   } catch (error) {
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
-      message: error.message
+      message: error.message || error.error?.description || 'Failed to create payment order'
     });
   }
 });
@@ -94,10 +226,10 @@ router.post('/create-order', protect, async (req, res) => {
 // @access  Private
 router.post('/offline', protect, uploadPaymentScreenshot.single('screenshot'), async (req, res) => {
   try {
-    const { registrationId, utrNumber, amount } = req.body;
+    const { registrationId, passPurchaseId, utrNumber, amount } = req.body;
     const screenshot = req.file;
 
-    if (!registrationId || !utrNumber) {
+    if ((!registrationId && !passPurchaseId) || !utrNumber) {
       return res.status(400).json({
         success: false,
         message: 'Please provide registration ID and UTR number'
@@ -120,6 +252,73 @@ router.post('/offline', protect, uploadPaymentScreenshot.single('screenshot'), a
       });
     }
 
+    // Cloudinary returns full URL in screenshot.path, local storage uses filename
+    const screenshotUrl = screenshot.path || `${process.env.SERVER_URL || 'http://localhost:5000'}/uploads/payments/${screenshot.filename}`;
+
+    // Combo pass - same proof and review, recorded against the pass purchase instead
+    if (passPurchaseId) {
+      const purchase = await PassPurchase.findById(passPurchaseId).populate('pass');
+
+      if (!purchase || purchase.user.toString() !== req.user._id.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pass purchase not found'
+        });
+      }
+
+      if (['completed', 'failed'].includes(purchase.paymentStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: purchase.paymentStatus === 'completed' ? 'Payment already completed' : 'This pass purchase was rejected - please buy the pass again'
+        });
+      }
+
+      const passAccount = purchase.pass?.paymentUPI
+        ? { upiId: purchase.pass.paymentUPI, accountName: purchase.pass.paymentAccountName }
+        : undefined;
+
+      let payment = await Payment.findOne({ passPurchase: purchase._id });
+
+      if (!payment) {
+        payment = await Payment.create({
+          user: req.user._id,
+          passPurchase: purchase._id,
+          amount: purchase.amount,
+          status: 'created',
+          method: 'offline',
+          utrNumber,
+          screenshotUrl,
+          transactionDate: new Date(),
+          qrCodeUsed: passAccount
+        });
+      } else {
+        payment.utrNumber = utrNumber;
+        payment.screenshotUrl = screenshotUrl;
+        payment.transactionDate = new Date();
+        payment.qrCodeUsed = passAccount;
+        await payment.save();
+      }
+
+      purchase.paymentStatus = 'verification_pending';
+      await purchase.save();
+
+      setImmediate(() => {
+        runScreenshotOcr(payment._id, screenshot.path).catch((error) => {
+          console.error('❌ Screenshot OCR error:', error.message);
+        });
+      });
+
+      return res.json({
+        success: true,
+        message: 'Payment proof submitted successfully! Your pass will be activated once verified.',
+        payment: {
+          id: payment._id,
+          utrNumber: payment.utrNumber,
+          status: payment.status
+        }
+      });
+    }
+
     // Find registration
     const registration = await Registration.findById(registrationId)
       .populate('event', 'name date time venue');
@@ -147,18 +346,29 @@ router.post('/offline', protect, uploadPaymentScreenshot.single('screenshot'), a
       });
     }
 
-    // Cloudinary returns full URL in screenshot.path, local storage uses filename
-    const screenshotUrl = screenshot.path || `${process.env.SERVER_URL || 'http://localhost:5000'}/uploads/payments/${screenshot.filename}`;
+    if (registration.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This registration was cancelled - no payment is due'
+      });
+    }
+
+    if (registration.status === 'waitlisted') {
+      return res.status(400).json({
+        success: false,
+        message: `You are on the waitlist (#${registration.waitlistPosition}). Payment opens once a seat is available.`
+      });
+    }
 
-    // Get the event to track which QR code was used
+    // Record the account this registration was asked to pay, as stored - never re-pick after they've paid
     const event = await Event.findById(registration.event._id);
-    const activeQR = event ? event.getActiveQRCode() : null;
+    const account = event ? await getAssignedPaymentAccount(registration, event) : null;
     
     // Prepare QR code tracking info
-    const qrCodeUsed = activeQR ? {
-      upiId: activeQR.upiId,
-      accountName: activeQR.accountName,
-      qrIndex: event.currentQRIndex
+    const qrCodeUsed = account ? {
+      upiId: account.upiId,
+      accountName: account.accountName,
+      qrIndex: account.qrIndex
     } : undefined;
 
     // Create or update payment record
@@ -191,6 +401,13 @@ router.post('/offline', protect, uploadPaymentScreenshot.single('screenshot'), a
     registration.paymentStatus = 'verification_pending';
     await registration.save();
 
+    // Read the UTR and amount off the screenshot for the reviewer (async, non-blocking)
+    setImmediate(() => {
+      runScreenshotOcr(payment._id, screenshot.path).catch((error) => {
+        console.error('❌ Screenshot OCR error:', error.message);
+      });
+    });
+
     res.json({
       success: true,
       message: 'Payment proof submitted successfully! Awaiting admin verification.',
@@ -219,35 +436,37 @@ router.post('/offline', protect, uploadPaymentScreenshot.single('screenshot'), a
 });
 
 // @route   POST /api/payments/verify
-// @desc    Submit payment proof (screenshot + UTR)
+// @desc    Verify the Razorpay Checkout signature and confirm the registration
 // @access  Private
 router.post('/verify', protect, async (req, res) => {
   try {
-    const { paymentId, utrNumber, screenshotUrl, transactionDate } = req.body;
+    const { razorpay_order_id: orderId, razorpay_payment_id: paymentId, razorpay_signature: signature } = req.body;
 
-    if (!paymentId || !utrNumber || !screenshotUrl) {
+    if (!orderId || !paymentId || !signature) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide payment ID, UTR number, and screenshot'
+        message: 'Please provide order ID, payment ID and signature'
       });
     }
 
-    // Check if UTR number already exists (excluding current payment)
-    const existingPayment = await Payment.findOne({ 
-      utrNumber,
-      _id: { $ne: paymentId }
-    });
-    if (existingPayment) {
+    if (!isRazorpayEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Online payments are not configured'
+      });
+    }
+
+    if (!verifyPaymentSignature(orderId, paymentId, signature)) {
+      console.warn(`⚠️ Invalid Razorpay signature for order ${orderId}`);
       return res.status(400).json({
         success: false,
-        message: 'This UTR number has already been used. Please verify your UTR number or contact support if you believe this is an error.'
+        message: 'Payment verification failed. If money was deducted, it will be confirmed automatically or refunded.'
       });
     }
 
-    // Find payment
-    const payment = await Payment.findById(paymentId);
+    const existing = await Payment.findOne({ razorpayOrderId: orderId });
 
-    if (!payment) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Payment not found'
@@ -255,96 +474,89 @@ router.post('/verify', protect, async (req, res) => {
     }
 
     // Check ownership
-    if (payment.user.toString() !== req.user._id.toString()) {
+    if (existing.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
       });
     }
 
-    // Update payment with proof and auto-approve
-    payment.utrNumber = utrNumber;
-    payment.screenshotUrl = screenshotUrl;
-    payment.transactionDate = transactionDate || new Date();
-    payment.status = 'captured'; // Auto-approve
-    payment.paidAt = new Date();
-    await payment.save();
-
-    // Update registration status to completed
-    const registration = await Registration.findById(payment.registration)
-      .populate('event', 'name date time venue');
-    registration.paymentStatus = 'completed';
-    registration.paymentId = paymentId;
-    registration.paidAt = new Date();
-    await registration.save();
-
-    // Send confirmation email
-    try {
-      const emailContent = `
-        <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #2d7a3e;">
-          <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Payment Confirmed! ✅</h1>
-          <p style="color: #2C1810; font-size: 16px;">Hi ${req.user.name},</p>
-          <p style="color: #2C1810;">Your payment has been successfully verified and your registration is now confirmed!</p>
-          
-          <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-            <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Payment Details:</h3>
-            <p style="color: #2C1810;"><strong>UTR Number:</strong> <span style="color: #8b4513;">${utrNumber}</span></p>
-            <p style="color: #2C1810;"><strong>Amount:</strong> <span style="color: #8b4513; font-size: 18px;">₹${payment.amount}</span></p>
-            <p style="color: #2C1810;"><strong>Event:</strong> ${registration.event.name}</p>
-            <p style="color: #2C1810;"><strong>Date:</strong> ${new Date(registration.event.date).toLocaleDateString('en-IN')}</p>
-            <p style="color: #2C1810;"><strong>Time:</strong> ${registration.event.time}</p>
-            <p style="color: #2C1810;"><strong>Venue:</strong> ${registration.event.venue}</p>
-            <p style="color: #2C1810;"><strong>Registration Number:</strong> <span style="color: #8b4513;">${registration.registrationNumber}</span></p>
-          </div>
-          
-          <div style="background: rgba(45, 122, 62, 0.1); padding: 20px; border-radius: 10px; border-left: 4px solid #2d7a3e; margin: 20px 0;">
-            <p style="color: #2d7a3e; margin: 0; font-weight: bold; text-align: center; font-size: 16px;"><strong>✅ Your registration is confirmed! See you at the event!</strong></p>
-          </div>
-          
-          <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-          <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-        </div>
-      `;
-
-      const sendEmail = (await import('../utils/sendEmail.js')).default;
-      await sendEmail({
-        email: req.user.email,
-        subject: `Payment Confirmed - ${registration.event.name}`,
-        html: emailContent
-      });
-
-      console.log('✅ Payment confirmation email sent to', req.user.email);
-    } catch (emailError) {
-      console.error('❌ Email error:', emailError.message);
-      // Continue even if email fails
-    }
+    const { payment, registration } = await captureRazorpayPayment({
+      orderId,
+      paymentId,
+      signature,
+      source: 'checkout'
+    });
 
     res.json({
       success: true,
-      message: 'Payment verified successfully! Your registration is confirmed.',
+      message: registration?.status === 'cancelled'
+        ? 'Payment received, but this registration was cancelled. You can request a refund from your dashboard.'
+        : 'Payment successful! Your registration is confirmed.',
       payment: {
         id: payment._id,
         status: payment.status,
-        utrNumber: payment.utrNumber,
+        razorpayPaymentId: payment.razorpayPaymentId,
         paidAt: payment.paidAt
       },
-      registration: {
+      registration: registration && {
         registrationNumber: registration.registrationNumber,
         paymentStatus: registration.paymentStatus
       }
     });
   } catch (error) {
     console.error('Payment verification error:', error);
-    
-    // Handle duplicate UTR error
-    if (error.code === 11000 && error.keyPattern?.utrNumber) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Razorpay webhook - captures payments even if the browser never returns
+// @access  Public (signed with RAZORPAY_WEBHOOK_SECRET)
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+      console.warn('⚠️ Rejected Razorpay webhook with invalid signature');
       return res.status(400).json({
         success: false,
-        message: 'This UTR number has already been used. Please verify your UTR number or contact support if you believe this is an error.'
+        message: 'Invalid signature'
       });
     }
-    
-    res.status(500).json({
+
+    const { event } = req.body;
+    const entity = req.body.payload?.payment?.entity;
+
+    if (!entity?.order_id) {
+      // Events we don't act on are still acknowledged so Razorpay stops retrying
+      return res.json({ success: true, message: `Ignored ${event}` });
+    }
+
+    if (event === 'payment.captured' || event === 'order.paid') {
+      const { alreadyCaptured } = await captureRazorpayPayment({
+        orderId: entity.order_id,
+        paymentId: entity.id,
+        method: entity.method,
+        amountPaise: entity.amount,
+        source: `webhook ${event}`
+      });
+
+      return res.json({ success: true, message: alreadyCaptured ? 'Already captured' : 'Captured' });
+    }
+
+    if (event === 'payment.failed') {
+      await markRazorpayPaymentFailed({
+        orderId: entity.order_id,
+        reason: entity.error_description
+      });
+    }
+
+    res.json({ success: true, message: `Handled ${event}` });
+  } catch (error) {
+    console.error('❌ Razorpay webhook error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -405,34 +617,16 @@ router.get('/all', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @route   GET /api/payments/:id
-// @desc    Get single payment details
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @route   GET /api/payments/accounts
+// @desc    What each receiving UPI account has collected and has pending (Admin)
+// @access  Private/Admin
+router.get('/accounts', protect, authorize('admin'), async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id)
-      .populate('event', 'name date venue')
-      .populate('registration', 'registrationNumber teamName')
-      .populate('user', 'name email phone');
-
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found'
-      });
-    }
-
-    // Check if user owns this payment or is admin
-    if (payment.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    const accounts = await getPaymentAccountsSummary();
 
     res.json({
       success: true,
-      payment
+      accounts
     });
   } catch (error) {
     res.status(500).json({
@@ -442,100 +636,16 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/payments/:id/approve
-// @desc    Approve payment (Admin)
+// @route   GET /api/payments/reconcile/accounts
+// @desc    Receiving UPI accounts with pending payment counts (Admin)
 // @access  Private/Admin
-router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
+router.get('/reconcile/accounts', protect, authorize('admin'), async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id)
-      .populate('user', 'name email')
-      .populate('event', 'name date time venue');
-
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found'
-      });
-    }
-
-    // Update payment status
-    payment.status = 'captured';
-    payment.paidAt = new Date();
-    payment.verifiedBy = req.user._id;
-    
-    // Update registration in parallel
-    const [savedPayment, registration] = await Promise.all([
-      payment.save(),
-      Registration.findByIdAndUpdate(
-        payment.registration,
-        { 
-          paymentStatus: 'completed',
-          paidAt: new Date()
-        },
-        { new: true }
-      )
-    ]);
-
-    // Increment QR code usage for the event (async, non-blocking)
-    setImmediate(async () => {
-      try {
-        const event = await Event.findById(payment.event);
-        if (event) {
-          await event.incrementQRUsage();
-          console.log(`✅ QR usage incremented for event: ${event.name}`);
-        }
-      } catch (error) {
-        console.error('❌ Error incrementing QR usage:', error.message);
-      }
-    });
+    const accounts = await getReceivingAccounts();
 
-    // Send response immediately, then send email asynchronously
     res.json({
       success: true,
-      message: 'Payment approved successfully',
-      payment: savedPayment
-    });
-
-    // Send confirmation email asynchronously (non-blocking)
-    setImmediate(async () => {
-      try {
-        const emailContent = `
-          <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #2d7a3e;">
-            <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Payment Approved! ✅</h1>
-            <p style="color: #2C1810; font-size: 16px;">Hi ${payment.user.name},</p>
-            <p style="color: #2C1810;">Great news! Your payment has been verified and approved by our admin team.</p>
-            
-            <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-              <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Payment Details:</h3>
-              <p style="color: #2C1810;"><strong>UTR Number:</strong> <span style="color: #8b4513;">${payment.utrNumber}</span></p>
-              <p style="color: #2C1810;"><strong>Amount:</strong> <span style="color: #8b4513; font-size: 18px;">₹${payment.amount}</span></p>
-              <p style="color: #2C1810;"><strong>Event:</strong> ${payment.event.name}</p>
-              <p style="color: #2C1810;"><strong>Date:</strong> ${new Date(payment.event.date).toLocaleDateString('en-IN')}</p>
-              <p style="color: #2C1810;"><strong>Time:</strong> ${payment.event.time}</p>
-              <p style="color: #2C1810;"><strong>Venue:</strong> ${payment.event.venue}</p>
-              <p style="color: #2C1810;"><strong>Registration Number:</strong> <span style="color: #8b4513;">${registration.registrationNumber}</span></p>
-            </div>
-            
-            <div style="background: rgba(45, 122, 62, 0.1); padding: 20px; border-radius: 10px; border-left: 4px solid #2d7a3e; margin: 20px 0;">
-              <p style="color: #2d7a3e; margin: 0; font-weight: bold; text-align: center; font-size: 16px;"><strong>✅ Your registration is confirmed! See you at the event!</strong></p>
-            </div>
-            
-            <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-            <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-          </div>
-        `;
-
-        const sendEmail = (await import('../utils/sendEmail.js')).default;
-        await sendEmail({
-          email: payment.user.email,
-          subject: `Payment Approved - ${payment.event.name}`,
-          html: emailContent
-        });
-
-        console.log('✅ Payment approval email sent to', payment.user.email);
-      } catch (emailError) {
-        console.error('❌ Email error:', emailError.message);
-      }
+      accounts
     });
   } catch (error) {
     res.status(500).json({
@@ -545,132 +655,616 @@ router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @route   PUT /api/payments/:id/reject
-// @desc    Reject payment (Admin)
+// @route   POST /api/payments/reconcile
+// @desc    Match a bank/UPI statement against pending payments; approve exact matches when approve=true (Admin)
 // @access  Private/Admin
-router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
+router.post('/reconcile', protect, authorize('admin'), uploadStatement.single('statement'), async (req, res) => {
   try {
-    const { reason } = req.body;
-
-    const payment = await Payment.findById(req.params.id)
-      .populate('user', 'name email')
-      .populate('event', 'name date time venue');
+    const { upiId, eventId } = req.body;
+    const approve = req.body.approve === 'true' || req.body.approve === true;
 
-    if (!payment) {
-      return res.status(404).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Payment not found'
+        message: 'Please upload a statement file (CSV or XLSX)'
       });
     }
 
-    // Get registration before deleting
-    const registration = await Registration.findById(payment.registration)
-      .populate('event', 'name date time venue currentParticipants');
-
-    if (!registration) {
-      return res.status(404).json({
+    if (!upiId) {
+      return res.status(400).json({
         success: false,
-        message: 'Registration not found'
+        message: 'Please choose the receiving account this statement belongs to'
       });
     }
 
-    // Store event info for email
-    const eventInfo = {
-      name: payment.event.name,
-      date: payment.event.date,
-      time: payment.event.time,
-      venue: payment.event.venue
-    };
-    
-    // Store event ID before deletion
-    const eventId = registration.event._id;
-
-    // Update payment status
-    payment.status = 'failed';
-    payment.rejectionReason = reason || 'Payment verification failed';
-    payment.verifiedBy = req.user._id;
-    await payment.save();
-
-    // Delete the registration to free up the slot
-    await Registration.findByIdAndDelete(payment.registration);
-
-    // Decrease event participant count AFTER deleting registration
-    const event = await Event.findById(eventId);
-    if (event && event.currentParticipants > 0) {
-      event.currentParticipants -= 1;
-      await event.save();
-      console.log(`✅ Decreased participant count for event ${event.name}: ${event.currentParticipants}`);
-    }
-
-    // Send rejection email to user
-    try {
-      const emailContent = `
-        <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #8b4513;">
-          <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Payment Verification Failed ❌</h1>
-          <p style="color: #2C1810; font-size: 16px;">Hi ${payment.user.name},</p>
-          <p style="color: #2C1810;">We regret to inform you that your payment verification was unsuccessful, and your registration has been cancelled.</p>
-          
-          <div style="background: rgba(139, 69, 19, 0.15); padding: 20px; border-radius: 10px; margin: 20px 0; border-left: 4px solid #8b4513;">
-            <h3 style="margin-top: 0; color: #8b4513; font-size: 18px;">Reason:</h3>
-            <p style="color: #2C1810; font-weight: bold;">${payment.rejectionReason}</p>
-          </div>
-
-          <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-            <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Payment Details:</h3>
-            <p style="color: #2C1810;"><strong>UTR Number:</strong> <span style="color: #8b4513;">${payment.utrNumber || 'N/A'}</span></p>
-            <p style="color: #2C1810;"><strong>Amount:</strong> <span style="color: #8b4513; font-size: 18px;">₹${payment.amount}</span></p>
-            <p style="color: #2C1810;"><strong>Event:</strong> ${eventInfo.name}</p>
-            <p style="color: #2C1810;"><strong>Registration Number:</strong> <span style="color: #8b4513;">${registration.registrationNumber}</span></p>
-          </div>
-          
-          <div style="background: rgba(139, 69, 19, 0.1); padding: 20px; border-radius: 10px; margin: 20px 0; border-left: 4px solid #8b4513;">
-            <h3 style="margin-top: 0; color: #8b4513; font-size: 18px;">⚠️ Registration Cancelled</h3>
-            <p style="color: #2C1810;">Your registration for <strong style="color: #1e40af;">${eventInfo.name}</strong> has been removed from our system.</p>
-            <p style="color: #2C1810;">This means you can now:</p>
-            <ul style="color: #2C1810;">
-              <li>Register for this event again with correct payment details</li>
-              <li>Register for other events, even if they have the same timing</li>
-            </ul>
-          </div>
-          
-          <div style="background: #f5f5dc; padding: 20px; border-radius: 10px; margin: 20px 0; border: 2px solid #5C4033;">
-            <h3 style="margin-top: 0; color: #1e40af; font-size: 18px;">What to do next?</h3>
-            <p style="color: #2C1810;">If you still want to participate in <strong style="color: #1e40af;">${eventInfo.name}</strong>, please:</p>
-            <ol style="color: #2C1810;">
-              <li>Register for the event again from the Events page</li>
-              <li>Make the payment with correct details</li>
-              <li>Ensure the screenshot is clear and readable</li>
-              <li>Verify the UTR number is correct (12 digits)</li>
-              <li>Make sure the payment amount matches exactly</li>
-            </ol>
-            <p style="color: #2C1810;"><strong>Note:</strong> You are now free to register for any other event as well!</p>
-          </div>
-          
-          <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-          <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-        </div>
-      `;
-
-      const sendEmail = (await import('../utils/sendEmail.js')).default;
-      await sendEmail({
-        email: payment.user.email,
-        subject: `Payment Verification Failed - ${payment.event.name}`,
-        html: emailContent
-      });
-
-      console.log('✅ Payment rejection email sent to', payment.user.email);
-    } catch (emailError) {
-      console.error('❌ Email error:', emailError.message);
-      // Continue even if email fails
+    const { lines, unreadable, period } = await parseStatement(req.file.buffer, req.file.originalname);
+    const report = await reconcileStatement({ lines, period, upiId, eventId: eventId || undefined });
+
+    const approvals = [];
+    if (approve) {
+      // One at a time - each approval saves the registration and queues an email
+      for (const { line, payment } of report.matched) {
+        try {
+          await approveOfflinePayment(payment._id, req.user, {
+            extra: {
+              reconciliation: {
+                statementFile: req.file.originalname,
+                statementRow: line.row,
+                statementAmount: line.amount,
+                statementDate: line.date,
+                reconciledAt: new Date()
+              }
+            }
+          });
+          approvals.push({ paymentId: payment._id, success: true });
+        } catch (error) {
+          approvals.push({ paymentId: payment._id, success: false, message: error.message });
+        }
+      }
+
+      const approvedCount = approvals.filter((result) => result.success).length;
+      console.log(`✅ Statement ${req.file.originalname} (${upiId}): ${approvedCount}/${report.matched.length} matched payments approved by ${req.user.name}`);
     }
 
     res.json({
       success: true,
-      message: 'Payment rejected',
-      payment
+      message: approve
+        ? `${approvals.filter((result) => result.success).length} payment(s) approved from the statement`
+        : `${report.summary.matched} exact match(es) ready to approve`,
+      period,
+      unreadable,
+      ...report,
+      approvals
     });
   } catch (error) {
-    res.status(500).json({
+    console.error('Statement reconciliation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/refund-policy
+// @desc    Get the refund policy
+// @access  Private
+router.get('/refund-policy', protect, async (req, res) => {
+  try {
+    const policy = await getRefundPolicy();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payments/refund-policy
+// @desc    Update the refund policy (Admin)
+// @access  Private/Admin
+router.put('/refund-policy', protect, authorize('admin'), async (req, res) => {
+  try {
+    const policy = await saveRefundPolicy(req.body, req.user._id);
+
+    console.log(`✅ Refund policy updated by ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: 'Refund policy updated',
+      policy
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/refunds
+// @desc    Get refund requests (Admin)
+// @access  Private/Admin
+router.get('/refunds', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const payments = await Payment.find(status ? { refundStatus: status } : { refundStatus: { $exists: true } })
+      .populate('user', 'name email phone')
+      .populate('event', 'name date')
+      .populate('registration', 'registrationNumber teamName status')
+      .populate('refundProcessedBy', 'name')
+      .sort({ refundRequestedAt: -1 });
+
+    res.json({
+      success: true,
+      count: payments.length,
+      payments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/registration/:registrationId/refund-eligibility
+// @desc    Preview what the refund policy would give if the registration were cancelled now
+// @access  Private
+router.get('/registration/:registrationId/refund-eligibility', protect, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId)
+      .populate('event', 'name date time duration');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const policy = await getRefundPolicy();
+    const payment = await findPaidPayment(registration._id, policy);
+    if (!payment || payment.amount <= 0) {
+      return res.json({
+        success: true,
+        refundable: false,
+        reason: 'No payment has been received for this registration'
+      });
+    }
+
+    res.json({
+      success: true,
+      refundable: true,
+      paymentId: payment._id,
+      amountPaid: payment.amount,
+      requiresUpiId: payment.method === 'offline',
+      eligibility: evaluateRefundEligibility(payment, registration.event, policy)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/refund-request
+// @desc    Request a refund for a cancelled registration or rejected payment
+// @access  Private
+router.post('/:id/refund-request', protect, async (req, res) => {
+  try {
+    const { upiId, note } = req.body;
+
+    const payment = await Payment.findById(req.params.id)
+      .populate('event', 'name date time duration');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (payment.passPurchase) {
+      return res.status(400).json({
+        success: false,
+        message: 'Combo pass refunds are handled by the organizers - please contact them'
+      });
+    }
+
+    const registration = await Registration.findById(payment.registration);
+    const updated = await requestRefund({ payment, registration, event: payment.event, upiId, note });
+
+    res.json({
+      success: true,
+      message: updated.refundStatus === 'denied'
+        ? `Refund not available: ${updated.refundReason}`
+        : `Refund of ₹${updated.refundEligibility.amount} requested. We'll email you once it's sent.`,
+      payment: updated
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payments/:id/refund/approve
+// @desc    Mark a refund as sent, recording the outgoing UTR (Admin)
+// @access  Private/Admin
+router.put('/:id/refund/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { utr, amount, reason } = req.body;
+
+    if (!utr || !String(utr).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter the UTR of the refund transfer'
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Denied requests can be approved too, so admins can override the policy
+    if (!['requested', 'denied'].includes(payment.refundStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: payment.refundStatus === 'approved' ? 'This refund has already been processed' : 'No refund has been requested for this payment'
+      });
+    }
+
+    const refundAmount = amount !== undefined && amount !== '' ? Number(amount) : (payment.refundEligibility?.amount || payment.amount);
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > payment.amount) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between ₹1 and ₹${payment.amount}`
+      });
+    }
+
+    // Conditional on the status we checked so two admins can't both process it
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, refundStatus: payment.refundStatus },
+      {
+        $set: {
+          refundStatus: 'approved',
+          status: 'refunded',
+          refundId: String(utr).trim(),
+          refundAmount,
+          refundReason: reason || payment.refundEligibility?.reason,
+          refundProcessedBy: req.user._id,
+          refundedAt: new Date()
+        }
+      },
+      { new: true }
+    )
+      .populate('user', 'name email')
+      .populate('event', 'name date');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This refund was updated by another request. Please refresh.'
+      });
+    }
+
+    await Registration.updateOne({ _id: updated.registration }, { $set: { paymentStatus: 'refunded' } });
+
+    console.log(`✅ Refund of ₹${refundAmount} for payment ${updated._id} approved by ${req.user.name} (UTR ${updated.refundId})`);
+    await sendRefundEmail(updated);
+
+    res.json({
+      success: true,
+      message: 'Refund recorded and participant notified',
+      payment: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payments/:id/refund/deny
+// @desc    Deny a refund request (Admin)
+// @access  Private/Admin
+router.put('/:id/refund/deny', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for denying the refund'
+      });
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: req.params.id, refundStatus: 'requested' },
+      {
+        $set: {
+          refundStatus: 'denied',
+          refundReason: String(reason).trim(),
+          refundProcessedBy: req.user._id
+        }
+      },
+      { new: true }
+    )
+      .populate('user', 'name email')
+      .populate('event', 'name date');
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending refund requests can be denied'
+      });
+    }
+
+    console.log(`⚠️ Refund for payment ${updated._id} denied by ${req.user.name}: ${updated.refundReason}`);
+    await sendRefundEmail(updated);
+
+    res.json({
+      success: true,
+      message: 'Refund denied and participant notified',
+      payment: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payments/bulk
+// @desc    Approve or reject many pending payments at once (Admin)
+// @access  Private/Admin
+router.put('/bulk', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { action, paymentIds, reason } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be approve or reject'
+      });
+    }
+
+    if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select at least one payment'
+      });
+    }
+
+    const ids = [...new Set(paymentIds.map(String))];
+    if (ids.length > BULK_PAYMENT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${BULK_PAYMENT_LIMIT} payments can be processed at once`
+      });
+    }
+
+    const results = [];
+    const approvedPerQR = new Map();
+
+    // One at a time - each transition is conditional on the payment still being pending,
+    // so anything approved or rejected elsewhere in the meantime is reported, not redone
+    for (const paymentId of ids) {
+      if (!mongoose.isValidObjectId(paymentId)) {
+        results.push({ paymentId, success: false, message: 'Invalid payment ID' });
+        continue;
+      }
+
+      try {
+        if (action === 'approve') {
+          const { payment, registration, passPurchase } = await approveOfflinePayment(paymentId, req.user, {
+            fromStatuses: ['created'],
+            deferQRUsage: true
+          });
+          if (payment.event) {
+            const key = `${payment.event._id}:${payment.qrCodeUsed?.qrIndex ?? ''}`;
+            approvedPerQR.set(key, (approvedPerQR.get(key) || 0) + 1);
+          }
+          results.push({ paymentId, success: true, registrationNumber: registration?.registrationNumber || passPurchase.passNumber });
+        } else {
+          const { payment } = await rejectOfflinePayment(paymentId, req.user, reason, { fromStatuses: ['created'] });
+          results.push({ paymentId, success: true, utrNumber: payment.utrNumber });
+        }
+      } catch (error) {
+        results.push({ paymentId, success: false, message: error.message });
+      }
+    }
+
+    // Count QR usage once per event QR rather than saving the event for every approval
+    for (const [key, count] of approvedPerQR) {
+      const [eventId, qrIndex] = key.split(':');
+      try {
+        const event = await Event.findById(eventId);
+        if (event) {
+          await event.incrementQRUsage(count, qrIndex === '' ? undefined : Number(qrIndex));
+        }
+      } catch (error) {
+        console.error('❌ Error incrementing QR usage:', error.message);
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    console.log(`✅ Bulk ${action} by ${req.user.name}: ${succeeded}/${ids.length} payments`);
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${ids.length} payment(s) ${action === 'approve' ? 'approved' : 'rejected'}`,
+      summary: {
+        requested: ids.length,
+        succeeded,
+        failed: ids.length - succeeded
+      },
+      results,
+      emailsQueued: await getEmailQueueLength()
+    });
+  } catch (error) {
+    console.error('Bulk payment action error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get single payment details
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('event', 'name date venue')
+      .populate('registration', 'registrationNumber teamName')
+      .populate('user', 'name email phone');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Check if user owns this payment or is admin
+    if (payment.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    res.json({
+      success: true,
+      payment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/:id/receipt
+// @desc    Download the receipt PDF of an approved payment
+// @access  Private
+router.get('/:id/receipt', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id).select('user status');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const { filename, pdf } = await buildReceipt(payment._id);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    if (!error.statusCode) console.error('Receipt error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/ocr
+// @desc    Re-read the payment screenshot with OCR (Admin)
+// @access  Private/Admin
+router.post('/:id/ocr', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!isOcrEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Screenshot OCR is turned off on this server'
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id).select('screenshotUrl');
+
+    if (!payment || !payment.screenshotUrl) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment screenshot not found'
+      });
+    }
+
+    const screenshotOcr = await runScreenshotOcr(payment._id);
+
+    res.json({
+      success: true,
+      message: screenshotOcr?.status === 'completed' ? 'Screenshot read' : 'Could not read the screenshot',
+      screenshotOcr
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payments/:id/approve
+// @desc    Approve payment (Admin)
+// @access  Private/Admin
+router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { payment } = await approveOfflinePayment(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Payment approved successfully',
+      payment
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payments/:id/reject
+// @desc    Reject payment (Admin)
+// @access  Private/Admin
+router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { payment } = await rejectOfflinePayment(req.params.id, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Payment rejected',
+      payment
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
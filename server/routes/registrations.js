@@ -1,20 +1,43 @@
   import express from 'express';
+import mongoose from 'mongoose';
 import ExcelJS from 'exceljs';
 import Registration from '../models/Registration.js';
 import Event from '../models/Event.js';
-import Notification from '../models/Notification.js';
 import Settings from '../models/Settings.js';
+import User from '../models/User.js';
 import sendEmail from '../utils/sendEmail.js';
+import { queueEmail } from '../utils/emailQueue.js';
+import { renderEmail } from '../utils/emailRegistry.js';
+import { attachEntryPass } from '../utils/entryPass.js';
+import { findConflicts, describeConflict } from '../utils/eventSchedule.js';
+import { takeWaitlistTicket, renumberWaitlist, sendWaitlistJoinedEmail, promoteFromWaitlist } from '../utils/waitlist.js';
+import { normalizeEmail, normalizePhone, findMembershipConflicts, claimMemberships, releaseMemberships, describeMembershipConflict } from '../utils/teamMembership.js';
+import { findPaidPayment, requestRefund } from '../utils/refunds.js';
+import { evaluateCoupon, redeemCoupon, releaseCouponRedemption } from '../utils/coupons.js';
+import { findUsablePass, redeemPass, releasePassRedemption } from '../utils/passes.js';
+import { hashInviteToken, createInviteToken, prepareTeamMembers, sendTeamInvite, sendTeamInvites, sendInviteResponseEmail } from '../utils/teamInvites.js';
 import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Events the user is already registered for whose time range overlaps the given event
+const getScheduleConflicts = async (userId, event) => {
+  const userRegistrations = await Registration.find({
+    user: userId,
+    event: { $ne: event._id },
+    status: { $ne: 'cancelled' },
+    paymentStatus: { $in: ['completed', 'pending', 'verification_pending'] }
+  }).populate('event', 'name date time duration venue');
+  
+  return findConflicts(event, userRegistrations.map(reg => reg.event));
+};
+
 // @route   POST /api/registrations
 // @desc    Register for an event
 // @access  Private
 router.post('/', protect, async (req, res) => {
   try {
-    const { eventId, teamName, teamMembers, registrationCategory } = req.body;
+    const { eventId, teamName, teamMembers, registrationCategory, couponCode, passPurchaseId } = req.body;
     
     // Check if event exists
     const event = await Event.findById(eventId);
@@ -33,14 +56,6 @@ router.post('/', protect, async (req, res) => {
       });
     }
     
-    // Check if event is full
-    if (event.isFull) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Event is full' 
-      });
-    }
-    
     // Check if already registered
     const existingRegistration = await Registration.findOne({
       user: req.user._id,
@@ -54,40 +69,53 @@ router.post('/', protect, async (req, res) => {
       });
     }
     
-    // Check for time conflicts with other registered events (notification only, doesn't block)
-    const userRegistrations = await Registration.find({
-      user: req.user._id,
-      status: { $ne: 'cancelled' },
-      paymentStatus: { $in: ['completed', 'pending', 'verification_pending'] }
-    }).populate('event');
-    
-    // Check if any registered event has the same date and time
-    const conflictingEvent = userRegistrations.find(reg => {
-      if (!reg.event) return false;
-      
-      const registeredEventDate = new Date(reg.event.date).toDateString();
-      const newEventDate = new Date(event.date).toDateString();
-      
-      // If dates match, check if times overlap
-      if (registeredEventDate === newEventDate) {
-        const registeredEventTime = reg.event.time;
-        const newEventTime = event.time;
-        
-        return registeredEventTime === newEventTime;
+    // Everyone on the team needs their own email and phone number
+    const leaderEmail = normalizeEmail(req.user.email);
+    const otherMembers = (teamMembers || []).filter(member => normalizeEmail(member.email) !== leaderEmail);
+    const seenEmails = new Set([leaderEmail]);
+    const seenPhones = new Set([normalizePhone(req.user.phone)]);
+    for (const member of otherMembers) {
+      const email = normalizeEmail(member.email);
+      const phone = normalizePhone(member.phone);
+      if (seenEmails.has(email) || (phone && seenPhones.has(phone))) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `${member.name || email} is listed more than once - each team member needs a different email and phone number` 
+        });
       }
-      
-      return false;
-    });
+      seenEmails.add(email);
+      seenPhones.add(phone);
+    }
+    
+    // A person can take part in an event only once - on their own or on one team
+    const membershipConflicts = await findMembershipConflicts(eventId, [req.user, ...otherMembers]);
+    if (membershipConflicts.length > 0) {
+      const messages = membershipConflicts.map(conflict =>
+        describeMembershipConflict(conflict, { self: conflict.person === req.user })
+      );
+      return res.status(409).json({ 
+        success: false, 
+        message: messages.length === 1 ? messages[0] : `${messages.length} people are already taking part in this event: ${messages.join('; ')}`,
+        conflicts: messages
+      });
+    }
+    
+    // Check for time conflicts with other registered events (notification only, doesn't block)
+    const conflicts = await getScheduleConflicts(req.user._id, event);
     
     // Log conflict for tracking but don't block registration
     let conflictWarning = null;
-    if (conflictingEvent) {
+    if (conflicts.length > 0) {
       conflictWarning = {
-        message: `Note: You are already registered for "${conflictingEvent.event.name}" which is scheduled at the same time (${conflictingEvent.event.time} on ${new Date(conflictingEvent.event.date).toLocaleDateString('en-IN')}).`,
+        message: conflicts.length === 1
+          ? `Note: This event overlaps with ${describeConflict(conflicts[0])}, which you are already registered for.`
+          : `Note: This event overlaps with ${conflicts.length} events you are already registered for: ${conflicts.map(describeConflict).join(', ')}.`,
+        conflicts,
+        // First conflict kept for older clients
         conflictingEvent: {
-          name: conflictingEvent.event.name,
-          date: conflictingEvent.event.date,
-          time: conflictingEvent.event.time
+          name: conflicts[0].name,
+          date: conflicts[0].date,
+          time: conflicts[0].time
         }
       };
       console.log(`⚠️ Time conflict warning for user ${req.user._id}: ${conflictWarning.message}`);
@@ -98,109 +126,163 @@ router.post('/', protect, async (req, res) => {
     const registrationNumber = `SAV2025-${String(count + 1).padStart(4, '0')}`;
     
     // Determine registration fee based on category
-    let registrationFee = event.registrationFee;
-    let selectedCategoryData = null;
+    let registrationFee = event.getRegistrationFee(registrationCategory);
     
-    if (registrationCategory && event.registrationCategories && event.registrationCategories.length > 0) {
-      // Find the selected category
-      selectedCategoryData = event.registrationCategories.find(
-        cat => cat.categoryName === registrationCategory
-      );
-      
-      if (selectedCategoryData) {
-        registrationFee = selectedCategoryData.fee;
+    // A combo pass covers the whole fee - nothing left to discount
+    let passPurchase = null;
+    if (passPurchaseId) {
+      try {
+        passPurchase = await findUsablePass(passPurchaseId, { user: req.user, event });
+      } catch (passError) {
+        return res.status(passError.statusCode || 400).json({ 
+          success: false, 
+          message: passError.message 
+        });
+      }
+      registrationFee = 0;
+    }
+    
+    // Apply a coupon - an invalid code stops the registration rather than charging full price silently
+    let couponQuote = null;
+    if (!passPurchase && couponCode && String(couponCode).trim()) {
+      try {
+        couponQuote = await evaluateCoupon(couponCode, { event, user: req.user, amount: registrationFee });
+      } catch (couponError) {
+        return res.status(couponError.statusCode || 400).json({ 
+          success: false, 
+          message: couponError.message 
+        });
       }
+      registrationFee = couponQuote.finalAmount;
+    }
+    
+    // Team members other than the leader are invited and confirm for themselves
+    const { members: invitedMembers, inviteTokens } = await prepareTeamMembers(teamMembers, req.user);
+    
+    // Claim everyone on the team - the check above can't stop a registration made at the same moment
+    const registrationId = new mongoose.Types.ObjectId();
+    const claimConflicts = await claimMemberships(eventId, registrationId, [req.user, ...otherMembers]);
+    if (claimConflicts.length > 0) {
+      return res.status(409).json({ 
+        success: false, 
+        message: describeMembershipConflict(claimConflicts[0], { self: claimConflicts[0].person === req.user }),
+        conflicts: claimConflicts.map(conflict => describeMembershipConflict(conflict, { self: conflict.person === req.user }))
+      });
     }
     
+    // Claim a seat atomically. Full events - or events where others are already
+    // queued for the next free seat - put new registrations on the waitlist instead.
+    const hasQueue = await Registration.exists({ event: eventId, status: 'waitlisted' });
+    const seatReserved = hasQueue ? null : await Event.reserveSeat(eventId);
+    const joinWaitlist = !seatReserved;
+    
     // Create registration
-    const registration = await Registration.create({
-      user: req.user._id,
-      event: eventId,
-      teamName,
-      teamMembers: teamMembers || [],
-      registrationCategory: registrationCategory || null,
-      amount: registrationFee,
-      registrationNumber,
-      paymentStatus: registrationFee === 0 ? 'completed' : 'pending'
-    });
+    let registration;
+    try {
+      // Take the coupon or pass use first so the last one can't go to two registrations
+      if (passPurchase) {
+        await redeemPass({ purchase: passPurchase, registrationId, event });
+      }
+      if (couponQuote) {
+        await redeemCoupon({
+          coupon: couponQuote.coupon,
+          user: req.user,
+          registrationId,
+          event,
+          originalAmount: couponQuote.originalAmount,
+          discount: couponQuote.discount
+        });
+      }
+      
+      registration = await Registration.create({
+        _id: registrationId,
+        user: req.user._id,
+        event: eventId,
+        teamName,
+        teamMembers: invitedMembers,
+        registrationCategory: registrationCategory || null,
+        amount: registrationFee,
+        coupon: couponQuote ? {
+          code: couponQuote.coupon.code,
+          discount: couponQuote.discount,
+          originalAmount: couponQuote.originalAmount
+        } : undefined,
+        registrationNumber,
+        paymentStatus: registrationFee === 0 && !joinWaitlist ? 'completed' : 'pending',
+        passPurchase: passPurchase?._id,
+        paymentMethod: registrationFee === 0 && (couponQuote || passPurchase) ? 'free' : undefined,
+        status: joinWaitlist ? 'waitlisted' : 'registered',
+        waitlistTicket: joinWaitlist ? await takeWaitlistTicket(eventId) : undefined
+      });
+    } catch (createError) {
+      // Hand the seat, pass, coupon use and team claims back if the registration couldn't be saved
+      if (seatReserved) {
+        await Event.releaseSeat(eventId);
+      }
+      await releaseMemberships(registrationId);
+      if (passPurchase) {
+        await releasePassRedemption(registrationId);
+      }
+      if (couponQuote) {
+        await releaseCouponRedemption(registrationId);
+      }
+      if (createError.statusCode) {
+        return res.status(createError.statusCode).json({ 
+          success: false, 
+          message: createError.message 
+        });
+      }
+      throw createError;
+    }
+    
+    if (inviteTokens.size > 0) {
+      await sendTeamInvites(registration, event, req.user, inviteTokens);
+    }
+    
+    if (joinWaitlist) {
+      const positions = await renumberWaitlist(eventId);
+      registration.waitlistPosition = positions.get(registration._id.toString());
+      
+      console.log(`⚠️ ${event.name} is full - ${registration.registrationNumber} waitlisted at #${registration.waitlistPosition}`);
+      await sendWaitlistJoinedEmail(req.user, event, registration);
+      
+      return res.status(201).json({
+        success: true,
+        message: `Event is full - you have been added to the waitlist at position #${registration.waitlistPosition}`,
+        waitlisted: true,
+        registration,
+        conflictWarning
+      });
+    }
     
-    // Increment participant count
-    await event.incrementParticipants();
+    // Free registrations are confirmed immediately, so they get their entry pass now
+    if (registration.paymentStatus === 'completed') {
+      attachEntryPass(registration, req.user.userCode);
+      await registration.save();
+    }
+
 
     // Send confirmation email
     try {
-      const emailContent = `
-        <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #5C4033;">
-          <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Registration Successful! 🎉</h1>
-          <p style="color: #2C1810; font-size: 16px;">Hi ${req.user.name},</p>
-          <p style="color: #2C1810;">You have successfully registered for <strong style="color: #1e40af;">${event.name}</strong>!</p>
-          
-          <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-            <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Registration Details:</h3>
-            <p style="color: #2C1810;"><strong>Registration Number:</strong> <span style="color: #8b4513;">${registration.registrationNumber}</span></p>
-            <p style="color: #2C1810;"><strong>Event:</strong> ${event.name}</p>
-            <p style="color: #2C1810;"><strong>Date:</strong> ${new Date(event.date).toLocaleDateString('en-IN')}</p>
-            <p style="color: #2C1810;"><strong>Time:</strong> ${event.time}</p>
-            <p style="color: #2C1810;"><strong>Venue:</strong> ${event.venue}</p>
-            ${registration.registrationCategory ? `
-              <p style="color: #2C1810;"><strong>Category:</strong> <span style="color: #FA812F; font-weight: bold;">${registration.registrationCategory}</span></p>
-            ` : ''}
-            ${registration.teamName ? `
-              <p style="color: #2C1810;"><strong>Team Name:</strong> ${registration.teamName}</p>
-              <div style="margin-top: 15px;">
-                <p style="color: #2C1810; font-weight: bold; margin-bottom: 10px;">Team Members:</p>
-                ${registration.teamMembers.map((member, idx) => `
-                  <div style="background: rgba(250, 129, 47, 0.1); padding: 10px; margin-bottom: 8px; border-radius: 5px;">
-                    <p style="color: #2C1810; margin: 2px 0;"><strong>${idx + 1}. ${member.name}</strong> ${idx === 0 ? '(Team Leader - You)' : ''}</p>
-                    <p style="color: #5C4033; margin: 2px 0; font-size: 13px;">📧 ${member.email} | 📱 ${member.phone}</p>
-                    ${member.college ? `<p style="color: #5C4033; margin: 2px 0; font-size: 13px;">🏫 ${member.college}</p>` : ''}
-                  </div>
-                `).join('')}
-              </div>
-            ` : ''}
-            <p style="color: #2C1810;"><strong>Amount:</strong> <span style="color: #8b4513; font-size: 18px;">₹${registration.amount}</span></p>
-            <p style="color: #2C1810;"><strong>Payment Status:</strong> <span style="color: ${registration.paymentStatus === 'pending' ? '#8b4513' : '#2d7a3e'};">${registration.paymentStatus.toUpperCase()}</span></p>
-          </div>
-          
-          ${registration.amount > 0 && registration.paymentStatus === 'pending' ? 
-            '<div style="background: rgba(139, 69, 19, 0.1); padding: 20px; border-radius: 10px; border-left: 4px solid #8b4513; margin: 20px 0;"><p style="color: #8b4513; margin: 0; font-weight: bold;"><strong>⚠️ Please complete the payment to confirm your registration.</strong></p></div>' : 
-            '<div style="background: rgba(45, 122, 62, 0.1); padding: 20px; border-radius: 10px; border-left: 4px solid #2d7a3e; margin: 20px 0;"><p style="color: #2d7a3e; margin: 0; font-weight: bold;"><strong>✅ Your registration is confirmed!</strong></p></div>'
-          }
-          
-          ${event.whatsappLink ? `
-            <div style="background: linear-gradient(135deg, #25D366 0%, #128C7E 100%); padding: 25px; border-radius: 12px; text-align: center; margin: 25px 0; box-shadow: 0 4px 15px rgba(37, 211, 102, 0.3);">
-              <p style="color: #FEF3E2; font-size: 16px; margin: 0 0 15px 0; font-weight: 600;">📱 Join Our WhatsApp Community</p>
-              <p style="color: #FEF3E2; font-size: 14px; margin: 0 0 20px 0;">Stay updated with event announcements, schedules, and connect with other participants!</p>
-              <a href="${event.whatsappLink}" style="display: inline-block; background: #FEF3E2; color: #128C7E; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Join WhatsApp Community</a>
-            </div>
-          ` : ''}
-          
-          <p style="color: #2C1810; text-align: center; font-size: 16px;">See you at the event!</p>
-          <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-          <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-        </div>
-      `;
-
-      await sendEmail({
-        email: req.user.email,
-        subject: `Registration Confirmed - ${event.name}`,
-        html: emailContent
+      const content = renderEmail('registration-confirmed', {
+        userName: req.user.name,
+        eventName: event.name,
+        registrationNumber: registration.registrationNumber,
+        eventDate: event.date,
+        time: event.time,
+        venue: event.venue,
+        category: registration.registrationCategory,
+        teamName: registration.teamName,
+        teamMembers: registration.teamMembers.map(({ name, email, phone, college }) => ({ name, email, phone, college })),
+        amount: registration.amount,
+        paymentStatus: registration.paymentStatus,
+        whatsappLink: event.whatsappLink
       });
 
-      // Log notification
-      await Notification.create({
-        user: req.user._id,
+      await queueEmail({
         email: req.user.email,
-        type: 'registration',
-        subject: `Registration Confirmed - ${event.name}`,
-        content: emailContent,
-        status: 'sent',
-        sentAt: new Date(),
-        relatedEvent: event._id,
-        relatedRegistration: registration._id
-      });
-
-      console.log('✅ Registration email sent to', req.user.email);
+        ...content
+      }, { type: 'registration', user: req.user._id, relatedEvent: event._id, relatedRegistration: registration._id });
     } catch (emailError) {
       console.error('❌ Email error:', emailError.message);
       // Continue even if email fails
@@ -259,10 +341,281 @@ router.get('/my', protect, async (req, res) => {
       .populate('event')
       .sort({ createdAt: -1 });
     
+    // Team registrations the user was invited to (by account, or by email before they signed up)
+    const email = req.user.email.toLowerCase();
+    const ownEventIds = new Set(registrations.map(reg => reg.event?._id?.toString()));
+    const teamRegistrations = await Registration.find({
+      user: { $ne: req.user._id },
+      status: { $ne: 'cancelled' },
+      $or: [{ 'teamMembers.user': req.user._id }, { 'teamMembers.email': email }]
+    })
+      .populate('event')
+      .populate('user', 'name email phone')
+      .sort({ createdAt: -1 });
+    
+    const memberRegistrations = [];
+    for (const registration of teamRegistrations) {
+      const member = registration.teamMembers.find(m =>
+        m.user?.toString() === req.user._id.toString() || m.email?.toLowerCase() === email
+      );
+      
+      // Admin-created teams already give members their own registration
+      if (!member || member.inviteStatus === 'declined' || ownEventIds.has(registration.event?._id?.toString())) {
+        continue;
+      }
+      
+      // Link invites sent before the member had an account
+      if (!member.user) {
+        await Registration.updateOne(
+          { _id: registration._id, teamMembers: { $elemMatch: { _id: member._id, user: { $exists: false } } } },
+          { $set: { 'teamMembers.$.user': req.user._id } }
+        );
+      }
+      
+      memberRegistrations.push({
+        ...registration.toObject(),
+        viewerRole: 'member',
+        myInvite: {
+          memberId: member._id,
+          inviteStatus: member.inviteStatus,
+          invitedAt: member.invitedAt,
+          respondedAt: member.respondedAt
+        }
+      });
+    }
+    
+    const allRegistrations = [
+      ...registrations.map(reg => ({ ...reg.toObject(), viewerRole: reg.isTeamLeader === false ? 'member' : 'leader' })),
+      ...memberRegistrations
+    ];
+    
     res.json({
       success: true,
-      count: registrations.length,
-      registrations
+      count: allRegistrations.length,
+      registrations: allRegistrations
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/registrations/invites/:token
+// @desc    Get a team invitation from its emailed link
+// @access  Public (token)
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const registration = await Registration.findOne({ 'teamMembers.inviteToken': hashInviteToken(req.params.token) })
+      .select('+teamMembers.inviteToken')
+      .populate('event', 'name date time venue image teamSize')
+      .populate('user', 'name email');
+    
+    if (!registration) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'This invitation link is invalid or has been replaced by a newer one' 
+      });
+    }
+    
+    const member = registration.teamMembers.find(m => m.inviteToken === hashInviteToken(req.params.token));
+    const hasAccount = Boolean(member.user) || Boolean(await User.exists({ email: member.email.toLowerCase() }));
+    
+    res.json({
+      success: true,
+      invite: {
+        registrationId: registration._id,
+        registrationNumber: registration.registrationNumber,
+        teamName: registration.teamName,
+        status: registration.status,
+        event: registration.event,
+        leaderName: registration.user?.name,
+        member: {
+          _id: member._id,
+          name: member.name,
+          email: member.email,
+          inviteStatus: member.inviteStatus
+        },
+        hasAccount,
+        teamMembers: registration.teamMembers.map(m => ({
+          name: m.name,
+          inviteStatus: m.inviteStatus,
+          isLeader: m.email?.toLowerCase() === registration.user?.email?.toLowerCase()
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// Accept or decline a member's invitation - only while it's still pending
+const respondToInvite = async (res, registration, member, user, action) => {
+  if (!['accept', 'decline'].includes(action)) {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'Action must be accept or decline' 
+    });
+  }
+  
+  if (registration.status === 'cancelled') {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'This team registration has been cancelled' 
+    });
+  }
+  
+  if (member.email.toLowerCase() !== user.email.toLowerCase()) {
+    return res.status(403).json({ 
+      success: false, 
+      message: `This invitation was sent to ${member.email}. Please log in with that account to respond.` 
+    });
+  }
+  
+  const inviteStatus = action === 'accept' ? 'accepted' : 'declined';
+  const updated = await Registration.findOneAndUpdate(
+    { _id: registration._id, teamMembers: { $elemMatch: { _id: member._id, inviteStatus: 'pending' } } },
+    {
+      $set: {
+        'teamMembers.$.inviteStatus': inviteStatus,
+        'teamMembers.$.user': user._id,
+        'teamMembers.$.respondedAt': new Date()
+      }
+    },
+    { new: true }
+  )
+    .populate('event', 'name')
+    .populate('user', 'name email');
+  
+  if (!updated) {
+    return res.status(409).json({ 
+      success: false, 
+      message: 'You have already responded to this invitation' 
+    });
+  }
+  
+  const respondedMember = updated.teamMembers.id(member._id);
+  console.log(`✅ ${user.email} ${inviteStatus} team invite for ${updated.registrationNumber}`);
+  await sendInviteResponseEmail(updated, respondedMember);
+  
+  res.json({
+    success: true,
+    message: inviteStatus === 'accepted'
+      ? `You've joined ${updated.teamName ? `team ${updated.teamName}` : 'the team'} for ${updated.event?.name}`
+      : 'Invitation declined',
+    inviteStatus,
+    registrationId: updated._id
+  });
+};
+
+// @route   POST /api/registrations/invites/:token/respond
+// @desc    Accept or decline a team invitation from its emailed link
+// @access  Private
+router.post('/invites/:token/respond', protect, async (req, res) => {
+  try {
+    const tokenHash = hashInviteToken(req.params.token);
+    const registration = await Registration.findOne({ 'teamMembers.inviteToken': tokenHash })
+      .select('+teamMembers.inviteToken');
+    
+    if (!registration) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'This invitation link is invalid or has been replaced by a newer one' 
+      });
+    }
+    
+    const member = registration.teamMembers.find(m => m.inviteToken === tokenHash);
+    await respondToInvite(res, registration, member, req.user, req.body.action);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// @route   PUT /api/registrations/:id/team-invite
+// @desc    Accept or decline a team invitation from the dashboard
+// @access  Private
+router.put('/:id/team-invite', protect, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id);
+    
+    if (!registration) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Registration not found' 
+      });
+    }
+    
+    const email = req.user.email.toLowerCase();
+    const member = registration.teamMembers.find(m =>
+      m.user?.toString() === req.user._id.toString() || m.email?.toLowerCase() === email
+    );
+    
+    if (!member || registration.user.toString() === req.user._id.toString()) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No team invitation found for you on this registration' 
+      });
+    }
+    
+    await respondToInvite(res, registration, member, req.user, req.body.action);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/registrations/:id/team-invite/:memberId/resend
+// @desc    Re-send a pending team invitation (new link, old one stops working)
+// @access  Private (team leader)
+router.post('/:id/team-invite/:memberId/resend', protect, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id).populate('event', 'name date venue');
+    
+    if (!registration) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Registration not found' 
+      });
+    }
+    
+    if (registration.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the team leader can re-send invitations' 
+      });
+    }
+    
+    const member = registration.teamMembers.id(req.params.memberId);
+    if (!member || member.inviteStatus !== 'pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only pending invitations can be re-sent' 
+      });
+    }
+    
+    const { token, hash } = createInviteToken();
+    const account = await User.findOne({ email: member.email.toLowerCase() }).select('_id');
+    member.inviteToken = hash;
+    member.invitedAt = new Date();
+    if (account) {
+      member.user = account._id;
+    }
+    await registration.save();
+    
+    await sendTeamInvite({ registration, member, event: registration.event, leader: req.user, token });
+    
+    res.json({
+      success: true,
+      message: `Invitation re-sent to ${member.email}`
     });
   } catch (error) {
     res.status(500).json({ 
@@ -286,34 +639,50 @@ router.get('/check-conflict/:eventId', protect, async (req, res) => {
       });
     }
     
-    // Get user's active registrations
-    const userRegistrations = await Registration.find({
-      user: req.user._id,
-      status: { $ne: 'cancelled' }
-    }).populate('event');
+    const conflicts = await getScheduleConflicts(req.user._id, event);
     
-    // Check for conflicts
-    const conflictingEvent = userRegistrations.find(reg => {
-      if (!reg.event) return false;
-      
-      const registeredEventDate = new Date(reg.event.date).toDateString();
-      const newEventDate = new Date(event.date).toDateString();
-      
-      if (registeredEventDate === newEventDate) {
-        return reg.event.time === event.time;
-      }
-      
-      return false;
+    res.json({
+      success: true,
+      hasConflict: conflicts.length > 0,
+      conflicts,
+      // First conflict kept for older clients
+      conflictingEvent: conflicts.length > 0 ? {
+        name: conflicts[0].name,
+        date: conflicts[0].date,
+        time: conflicts[0].time
+      } : null
     });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/registrations/event/:eventId/waitlist
+// @desc    Get the waitlist for an event in queue order
+// @access  Private/Admin
+router.get('/event/:eventId/waitlist', protect, authorize('admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('name maxParticipants currentParticipants');
+    
+    if (!event) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Event not found' 
+      });
+    }
+    
+    const waitlist = await Registration.find({ event: event._id, status: 'waitlisted' })
+      .populate('user', 'name email phone college userCode')
+      .sort({ waitlistTicket: 1, waitlistPosition: 1 });
     
     res.json({
       success: true,
-      hasConflict: !!conflictingEvent,
-      conflictingEvent: conflictingEvent ? {
-        name: conflictingEvent.event.name,
-        date: conflictingEvent.event.date,
-        time: conflictingEvent.event.time
-      } : null
+      event,
+      count: waitlist.length,
+      waitlist
     });
   } catch (error) {
     res.status(500).json({ 
@@ -361,8 +730,11 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
     
-    // Check if user owns this registration or is admin
-    if (registration.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns this registration, is an invited team member, or is admin
+    const isTeamMember = registration.teamMembers.some(m =>
+      m.user?.toString() === req.user._id.toString() && m.inviteStatus !== 'declined'
+    );
+    if (registration.user._id.toString() !== req.user._id.toString() && !isTeamMember && req.user.role !== 'admin') {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized' 
@@ -388,8 +760,6 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
   try {
     const { userId, eventId, teamName, teamMembers, newUser } = req.body;
     
-    // Import User model
-    const User = (await import('../models/User.js')).default;
     const generateUserCode = (await import('../utils/generateUserCode.js')).default;
     
     // ============================================
@@ -434,6 +804,19 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
       phoneSet.add(item.phone);
     }
     
+    // Nobody can be on two registrations for the same event (solo or on another team)
+    if (eventId) {
+      const mainUser = newUser?.email ? newUser : userId ? await User.findById(userId).select('name email phone') : null;
+      const people = [
+        ...(mainUser ? [mainUser] : []),
+        ...(teamMembers || []).filter(member => member.name && member.email && member.phone)
+      ];
+      const membershipConflicts = await findMembershipConflicts(eventId, people);
+      for (const conflict of membershipConflicts) {
+        validationErrors.push(describeMembershipConflict(conflict));
+      }
+    }
+    
     // Only check if the MAIN USER (new user being created) already exists
     // Team members can be existing users who participate in multiple events
     if (newUser && newUser.email) {
@@ -460,6 +843,7 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
           '• The main user must be a NEW user with unique email and phone',
           '• Team members can be existing users (they can participate in multiple events)',
           '• Check for duplicate entries within your team',
+          '• A person can only be on one registration or team per event',
           '• Verify all information before submitting'
         ]
       });
@@ -508,45 +892,16 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
       console.log('   User Code:', user.userCode);
       console.log('   User ID:', user._id);
       
-      // Send welcome email with credentials
+      // Send welcome email with credentials - sent directly, so the password is never stored in the outbox
       try {
         await sendEmail({
           email: user.email,
-          subject: 'Welcome to Savishkar 2025 - Account Created',
-          html: `
-            <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #5C4033;">
-              <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Welcome to Savishkar 2025! 🎉</h1>
-              <p style="color: #2C1810; font-size: 16px;">Hi ${user.name},</p>
-              <p style="color: #2C1810;">An account has been created for you by the admin team. Here are your login credentials:</p>
-              
-              <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-                <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Login Credentials:</h3>
-                <p style="color: #2C1810;"><strong>Email:</strong> ${user.email}</p>
-                <p style="color: #2C1810;"><strong>Temporary Password:</strong> <span style="color: #8b4513; font-family: monospace; font-size: 16px;">${tempPassword}</span></p>
-              </div>
-              
-              <div style="background: linear-gradient(135deg, #FA812F 0%, #FAB12F 100%); padding: 30px; border-radius: 12px; text-align: center; margin: 25px 0; box-shadow: 0 4px 15px rgba(250, 129, 47, 0.3); overflow-x: auto;">
-                <p style="color: #FEF3E2; font-size: 14px; margin: 0 0 10px 0; font-weight: 600; letter-spacing: 2px;">YOUR UNIQUE CODE</p>
-                <h2 style="color: #FEF3E2; font-size: 32px; margin: 0; letter-spacing: 2px; font-weight: bold; text-shadow: 2px 2px 4px rgba(0,0,0,0.2); white-space: nowrap; display: inline-block;">${user.userCode}</h2>
-              </div>
-              
-              <div style="background: rgba(250, 177, 47, 0.1); padding: 20px; border-radius: 8px; border-left: 4px solid #FA812F; margin: 20px 0;">
-                <p style="color: #2C1810; margin: 0; font-weight: 600;">⚠️ Important:</p>
-                <ul style="color: #5C4033; margin: 10px 0; padding-left: 20px;">
-                  <li>Please change your password after first login</li>
-                  <li>Keep your unique code safe - you'll need it for event check-ins</li>
-                  <li>This code is unique to you and cannot be changed</li>
-                </ul>
-              </div>
-              
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}/login" style="display: inline-block; background: linear-gradient(to right, #FA812F, #FAB12F); color: #FEF3E2; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Login Now</a>
-              </div>
-              
-              <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-              <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-            </div>
-          `
+          ...renderEmail('account-created', {
+            userName: user.name,
+            email: user.email,
+            tempPassword,
+            userCode: user.userCode
+          })
         });
         console.log('✅ Welcome email with credentials sent to', user.email);
       } catch (emailError) {
@@ -613,7 +968,10 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
         name: user.name,
         email: user.email,
         phone: user.phone,
-        college: user.college
+        college: user.college,
+        user: user._id,
+        inviteStatus: 'accepted',
+        respondedAt: new Date()
       });
     }
     
@@ -675,11 +1033,15 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
         }
         
         // Add to processed team members
+        // Admin-added members are confirmed by the admin, so no invitation is needed
         processedTeamMembers.push({
           name: memberUser.name,
           email: memberUser.email,
           phone: memberUser.phone,
-          college: memberUser.college
+          college: memberUser.college,
+          user: memberUser._id,
+          inviteStatus: 'accepted',
+          respondedAt: new Date()
         });
         
         // Store user object for creating individual registrations
@@ -689,18 +1051,51 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
       }
     }
     
+    // Claim everyone on the team so a registration made at the same moment can't include them too
+    const registrationId = new mongoose.Types.ObjectId();
+    const claimConflicts = await claimMemberships(eventId, registrationId, [user, ...processedTeamMembers]);
+    if (claimConflicts.length > 0) {
+      return res.status(409).json({ 
+        success: false, 
+        message: describeMembershipConflict(claimConflicts[0])
+      });
+    }
+    
+    // Claim the team's seat atomically (only once for the team, not per member)
+    const seatReserved = await Event.reserveSeat(eventId);
+    if (!seatReserved) {
+      await releaseMemberships(registrationId);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Event is full' 
+      });
+    }
+    
     // Create registration for the main user (team leader)
-    const registration = await Registration.create({
-      user: user._id,
-      event: eventId,
-      teamName,
-      teamMembers: processedTeamMembers,
-      amount: event.registrationFee,
-      registrationNumber,
-      paymentStatus: event.registrationFee === 0 ? 'completed' : 'pending',
-      paymentMethod: event.registrationFee === 0 ? 'free' : undefined,
-      isTeamLeader: true
-    });
+    let registration;
+    try {
+      registration = await Registration.create({
+        _id: registrationId,
+        user: user._id,
+        event: eventId,
+        teamName,
+        teamMembers: processedTeamMembers,
+        amount: event.registrationFee,
+        registrationNumber,
+        paymentStatus: event.registrationFee === 0 ? 'completed' : 'pending',
+        paymentMethod: event.registrationFee === 0 ? 'free' : undefined,
+        isTeamLeader: true
+      });
+    } catch (createError) {
+      await Event.releaseSeat(eventId);
+      await releaseMemberships(registrationId);
+      throw createError;
+    }
+    
+    if (registration.paymentStatus === 'completed') {
+      attachEntryPass(registration, user.userCode);
+      await registration.save();
+    }
     
     // Create individual registrations for each team member
     const teamMemberRegistrations = [];
@@ -717,7 +1112,7 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
         const memberRegCount = await Registration.countDocuments();
         const memberRegNumber = `SAV2025-${String(memberRegCount + 1).padStart(4, '0')}`;
         
-        const memberRegistration = await Registration.create({
+        const memberRegistration = new Registration({
           user: memberUser._id,
           event: eventId,
           teamName,
@@ -728,6 +1123,8 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
           paymentMethod: 'free',
           isTeamLeader: false
         });
+        attachEntryPass(memberRegistration, memberUser.userCode);
+        await memberRegistration.save();
         
         teamMemberRegistrations.push(memberRegistration);
         console.log(`✅ Created registration for team member: ${memberUser.name} (${memberRegNumber})`);
@@ -735,51 +1132,21 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
         console.log(`ℹ️ Team member ${memberUser.name} already registered for this event`);
       }
     }
-    
-    // Increment participant count (only once for the team, not per member)
-    await event.incrementParticipants();
+
     
     // Send login credentials ONLY to new team members (not event registration)
     for (const memberCred of newTeamMemberCredentials) {
       try {
+        // Sent directly, so the password is never stored in the outbox
         await sendEmail({
           email: memberCred.user.email,
-          subject: 'Welcome to Savishkar 2025 - Account Created',
-          html: `
-            <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #5C4033;">
-              <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Welcome to Savishkar 2025! 🎉</h1>
-              <p style="color: #2C1810; font-size: 16px;">Hi ${memberCred.user.name},</p>
-              <p style="color: #2C1810;">An account has been created for you by the admin team. Here are your login credentials:</p>
-              
-              <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-                <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Login Credentials:</h3>
-                <p style="color: #2C1810;"><strong>Email:</strong> ${memberCred.user.email}</p>
-                <p style="color: #2C1810;"><strong>Temporary Password:</strong> <span style="color: #8b4513; font-family: monospace; font-size: 16px;">${memberCred.tempPassword}</span></p>
-              </div>
-              
-              <div style="background: linear-gradient(135deg, #FA812F 0%, #FAB12F 100%); padding: 30px; border-radius: 12px; text-align: center; margin: 25px 0; box-shadow: 0 4px 15px rgba(250, 129, 47, 0.3);">
-                <p style="color: #FEF3E2; font-size: 14px; margin: 0 0 10px 0; font-weight: 600; letter-spacing: 2px;">YOUR UNIQUE CODE</p>
-                <h2 style="color: #FEF3E2; font-size: 32px; margin: 0; letter-spacing: 2px; font-weight: bold; text-shadow: 2px 2px 4px rgba(0,0,0,0.2);">${memberCred.user.userCode}</h2>
-              </div>
-              
-              <div style="background: rgba(250, 177, 47, 0.1); padding: 20px; border-radius: 8px; border-left: 4px solid #FA812F; margin: 20px 0;">
-                <p style="color: #2C1810; margin: 0; font-weight: 600;">⚠️ Important:</p>
-                <ul style="color: #5C4033; margin: 10px 0; padding-left: 20px;">
-                  <li>Please change your password after first login</li>
-                  <li>Keep your unique code safe - you'll need it for event check-ins</li>
-                  <li>This code is unique to you and cannot be changed</li>
-                  <li>You will receive a separate email with event registration details</li>
-                </ul>
-              </div>
-              
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}/login" style="display: inline-block; background: linear-gradient(to right, #FA812F, #FAB12F); color: #FEF3E2; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Login Now</a>
-              </div>
-              
-              <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-              <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-            </div>
-          `
+          ...renderEmail('account-created', {
+            userName: memberCred.user.name,
+            email: memberCred.user.email,
+            tempPassword: memberCred.tempPassword,
+            userCode: memberCred.user.userCode,
+            teamMember: true
+          })
         });
         console.log('✅ Login credentials email sent to new team member:', memberCred.user.email);
       } catch (emailError) {
@@ -789,71 +1156,23 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
 
     // Send registration email to user
     try {
-      const emailContent = `
-        <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #5C4033;">
-          <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Event Registration Created! 🎉</h1>
-          <p style="color: #2C1810; font-size: 16px;">Hi ${user.name},</p>
-          <p style="color: #2C1810;">You have been registered for <strong style="color: #1e40af;">${event.name}</strong> by the admin team!</p>
-          
-          <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-            <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Registration Details:</h3>
-            <p style="color: #2C1810;"><strong>Registration Number:</strong> <span style="color: #8b4513;">${registration.registrationNumber}</span></p>
-            <p style="color: #2C1810;"><strong>Event:</strong> ${event.name}</p>
-            <p style="color: #2C1810;"><strong>Date:</strong> ${new Date(event.date).toLocaleDateString('en-IN')}</p>
-            <p style="color: #2C1810;"><strong>Time:</strong> ${event.time}</p>
-            <p style="color: #2C1810;"><strong>Venue:</strong> ${event.venue}</p>
-            ${registration.teamName ? `<p style="color: #2C1810;"><strong>Team Name:</strong> ${registration.teamName}</p>` : ''}
-            <p style="color: #2C1810;"><strong>Amount:</strong> <span style="color: #8b4513; font-size: 18px;">₹${registration.amount}</span></p>
-            <p style="color: #2C1810;"><strong>Payment Status:</strong> <span style="color: ${registration.paymentStatus === 'pending' ? '#8b4513' : '#2d7a3e'};">${registration.paymentStatus.toUpperCase()}</span></p>
-          </div>
-          
-          ${registration.amount > 0 && registration.paymentStatus === 'pending' ? 
-            `<div style="background: rgba(139, 69, 19, 0.1); padding: 20px; border-radius: 10px; border-left: 4px solid #8b4513; margin: 20px 0;">
-              <p style="color: #8b4513; margin: 0 0 10px 0; font-weight: bold;"><strong>⚠️ Payment Required</strong></p>
-              <p style="color: #5C4033; margin: 0;">Please login to your account and complete the payment to confirm your registration.</p>
-            </div>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}/login" style="display: inline-block; background: linear-gradient(to right, #FA812F, #FAB12F); color: #FEF3E2; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Login & Pay Now</a>
-            </div>` : 
-            `<div style="background: rgba(45, 122, 62, 0.1); padding: 20px; border-radius: 10px; border-left: 4px solid #2d7a3e; margin: 20px 0;">
-              <p style="color: #2d7a3e; margin: 0; font-weight: bold;"><strong>✅ Your registration is confirmed!</strong></p>
-            </div>`
-          }
-          
-          ${event.whatsappLink ? `
-            <div style="background: linear-gradient(135deg, #25D366 0%, #128C7E 100%); padding: 25px; border-radius: 12px; text-align: center; margin: 25px 0; box-shadow: 0 4px 15px rgba(37, 211, 102, 0.3);">
-              <p style="color: #FEF3E2; font-size: 16px; margin: 0 0 15px 0; font-weight: 600;">📱 Join Our WhatsApp Community</p>
-              <p style="color: #FEF3E2; font-size: 14px; margin: 0 0 20px 0;">Stay updated with event announcements, schedules, and connect with other participants!</p>
-              <a href="${event.whatsappLink}" style="display: inline-block; background: #FEF3E2; color: #128C7E; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Join WhatsApp Community</a>
-            </div>
-          ` : ''}
-          
-          <p style="color: #2C1810; text-align: center; font-size: 16px;">See you at the event!</p>
-          <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-          <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-        </div>
-      `;
-
-      await sendEmail({
-        email: user.email,
-        subject: `Event Registration - ${event.name}`,
-        html: emailContent
+      const content = renderEmail('admin-registration', {
+        userName: user.name,
+        eventName: event.name,
+        registrationNumber: registration.registrationNumber,
+        eventDate: event.date,
+        time: event.time,
+        venue: event.venue,
+        teamName: registration.teamName,
+        amount: registration.amount,
+        paymentStatus: registration.paymentStatus,
+        whatsappLink: event.whatsappLink
       });
 
-      // Log notification
-      await Notification.create({
-        user: user._id,
+      await queueEmail({
         email: user.email,
-        type: 'registration',
-        subject: `Event Registration - ${event.name}`,
-        content: emailContent,
-        status: 'sent',
-        sentAt: new Date(),
-        relatedEvent: event._id,
-        relatedRegistration: registration._id
-      });
-
-      console.log('✅ Admin registration email sent to team leader:', user.email);
+        ...content
+      }, { type: 'registration', user: user._id, relatedEvent: event._id, relatedRegistration: registration._id });
     } catch (emailError) {
       console.error('❌ Email error:', emailError.message);
       // Continue even if email fails
@@ -862,51 +1181,20 @@ router.post('/admin-register', protect, authorize('admin'), async (req, res) =>
     // Send event registration confirmation to ALL team members
     for (const memberUser of teamMemberUsers) {
       try {
-        const confirmationEmail = `
-          <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #FEF3E2; padding: 30px; border-radius: 12px; border: 2px solid #5C4033;">
-            <h1 style="color: #1e40af; text-align: center; margin-bottom: 20px; font-size: 28px;">Event Registration Confirmed! 🎉</h1>
-            <p style="color: #2C1810; font-size: 16px;">Hi ${memberUser.name},</p>
-            <p style="color: #2C1810;">You have been registered for <strong style="color: #1e40af;">${event.name}</strong> as part of team <strong>${teamName}</strong>!</p>
-            
-            <div style="background: #f5f5dc; padding: 25px; border-radius: 10px; margin: 25px 0; border: 2px solid #8b4513;">
-              <h3 style="margin-top: 0; color: #1e40af; font-size: 20px;">Event Details:</h3>
-              <p style="color: #2C1810;"><strong>Event:</strong> ${event.name}</p>
-              <p style="color: #2C1810;"><strong>Team Name:</strong> ${teamName}</p>
-              <p style="color: #2C1810;"><strong>Date:</strong> ${new Date(event.date).toLocaleDateString('en-IN')}</p>
-              <p style="color: #2C1810;"><strong>Time:</strong> ${event.time}</p>
-              <p style="color: #2C1810;"><strong>Venue:</strong> ${event.venue}</p>
-            </div>
-            
-            <div style="background: rgba(45, 122, 62, 0.1); padding: 20px; border-radius: 10px; border-left: 4px solid #2d7a3e; margin: 20px 0;">
-              <p style="color: #2d7a3e; margin: 0; font-weight: bold;"><strong>✅ Your registration is confirmed!</strong></p>
-              <p style="color: #5C4033; margin: 10px 0 0 0;">Please login to your account to view more details.</p>
-            </div>
-            
-            ${event.whatsappLink ? `
-              <div style="background: linear-gradient(135deg, #25D366 0%, #128C7E 100%); padding: 25px; border-radius: 12px; text-align: center; margin: 25px 0; box-shadow: 0 4px 15px rgba(37, 211, 102, 0.3);">
-                <p style="color: #FEF3E2; font-size: 16px; margin: 0 0 15px 0; font-weight: 600;">📱 Join Our WhatsApp Group</p>
-                <p style="color: #FEF3E2; font-size: 14px; margin: 0 0 20px 0;">Stay updated with event announcements, schedules, and connect with other participants!</p>
-                <a href="${event.whatsappLink}" style="display: inline-block; background: #FEF3E2; color: #128C7E; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Join WhatsApp Group</a>
-              </div>
-            ` : ''}
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}/login" style="display: inline-block; background: linear-gradient(to right, #FA812F, #FAB12F); color: #FEF3E2; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">View Dashboard</a>
-            </div>
-            
-            <p style="color: #2C1810; text-align: center; font-size: 16px;">See you at the event!</p>
-            <hr style="margin: 30px 0; border: none; border-top: 2px solid #5C4033;">
-            <p style="color: #5C4033; font-size: 12px; text-align: center; font-weight: 600;">Savishkar 2025 - Where Innovation Meets Excellence</p>
-          </div>
-        `;
-        
-        await sendEmail({
-          email: memberUser.email,
-          subject: `Event Registration Confirmed - ${event.name}`,
-          html: confirmationEmail
+        const content = renderEmail('team-member-registered', {
+          userName: memberUser.name,
+          eventName: event.name,
+          teamName,
+          eventDate: event.date,
+          time: event.time,
+          venue: event.venue,
+          whatsappLink: event.whatsappLink
         });
         
-        console.log('✅ Event confirmation email sent to team member:', memberUser.email);
+        await queueEmail({
+          email: memberUser.email,
+          ...content
+        }, { type: 'registration', user: memberUser._id, relatedEvent: event._id });
       } catch (emailError) {
         console.error('❌ Email error for team member confirmation:', emailError.message);
       }
@@ -955,20 +1243,73 @@ router.put('/:id/cancel', protect, async (req, res) => {
       });
     }
     
-    registration.status = 'cancelled';
-    await registration.save();
+    const wasWaitlisted = registration.status === 'waitlisted';
+    
+    // Conditional update so a double-submitted cancel can't release the seat twice
+    const cancelled = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: registration.status },
+      { $set: { status: 'cancelled' }, $unset: { waitlistPosition: '', waitlistTicket: '' } },
+      { new: true }
+    );
+    
+    if (!cancelled) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Registration was updated by another request. Please refresh and try again.' 
+      });
+    }
     
-    // Decrement participant count
-    const event = await Event.findById(registration.event);
-    if (event) {
-      event.currentParticipants = Math.max(0, event.currentParticipants - 1);
-      await event.save();
+    // A coupon or pass event used on this registration can be used again, and its people can join another team
+    await releaseCouponRedemption(registration._id);
+    await releasePassRedemption(registration._id);
+    await releaseMemberships(registration._id);
+    
+    let promoted = [];
+    if (wasWaitlisted) {
+      // Leaving the waitlist doesn't free a seat, it just moves everyone behind up
+      await renumberWaitlist(registration.event);
+    } else if (registration.isTeamLeader !== false) {
+      // Team members registered with a leader share the leader's seat, so only seat holders release one
+      await Event.releaseSeat(registration.event);
+      
+      // Hand the freed seat to the next person on the waitlist
+      promoted = await promoteFromWaitlist(registration.event);
+    }
+    
+    // Optional refund request made together with the cancellation - a refused
+    // refund doesn't undo the cancellation, it's reported alongside it
+    let refund = null;
+    if (req.body.requestRefund) {
+      const payment = await findPaidPayment(registration._id);
+      if (!payment) {
+        refund = { error: 'No payment has been received for this registration' };
+      } else {
+        try {
+          const event = await Event.findById(registration.event).select('name date time duration');
+          const updated = await requestRefund({
+            payment,
+            registration: cancelled,
+            event,
+            upiId: req.body.refundUpiId,
+            note: req.body.refundNote
+          });
+          refund = {
+            status: updated.refundStatus,
+            amount: updated.refundEligibility.amount,
+            reason: updated.refundEligibility.reason
+          };
+        } catch (refundError) {
+          refund = { error: refundError.message };
+        }
+      }
     }
     
     res.json({
       success: true,
-      message: 'Registration cancelled successfully',
-      registration
+      message: wasWaitlisted ? 'You have left the waitlist' : 'Registration cancelled successfully',
+      registration: cancelled,
+      promotedCount: promoted.length,
+      refund
     });
   } catch (error) {
     res.status(500).json({ 
@@ -0,0 +1,192 @@
+import express from 'express';
+import Event from '../models/Event.js';
+import Registration from '../models/Registration.js';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  RESULT_POINTS,
+  validateResults,
+  populateWinners,
+  formatResults,
+  getPublishedResults,
+  computePointsTable,
+  publishResults
+} from '../utils/results.js';
+
+const router = express.Router();
+
+// @route   GET /api/results
+// @desc    Published results of every event and the college / department points table
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const events = await getPublishedResults();
+
+    res.json({
+      success: true,
+      count: events.length,
+      events,
+      points: computePointsTable(events),
+      pointsPerPosition: RESULT_POINTS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/results/event/:eventId
+// @desc    Published results of an event
+// @access  Public
+router.get('/event/:eventId', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select('name results resultsPublishedAt')
+      .populate(populateWinners);
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (!event.resultsPublishedAt || event.results.length === 0) {
+      return res.json({ success: true, published: false, groups: [] });
+    }
+
+    res.json({
+      success: true,
+      published: true,
+      resultsPublishedAt: event.resultsPublishedAt,
+      groups: formatResults(event)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/results/event/:eventId/manage
+// @desc    Results being entered for an event, with the registrations they can link to (Admin)
+// @access  Private/Admin
+router.get('/event/:eventId/manage', protect, authorize('admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select('name department registrationCategories results resultsPublishedAt');
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const registrations = await Registration.find({ event: event._id, status: { $ne: 'cancelled' } })
+      .select('registrationNumber teamName registrationCategory status user')
+      .populate('user', 'name college')
+      .sort({ registrationNumber: 1 });
+
+    res.json({
+      success: true,
+      results: event.results,
+      resultsPublishedAt: event.resultsPublishedAt,
+      categories: event.registrationCategories.map((category) => category.categoryName),
+      registrations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/results/event/:eventId
+// @desc    Save an event's results (Admin) - already published results update immediately
+// @access  Private/Admin
+router.put('/event/:eventId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    event.results = await validateResults(event, req.body.results);
+    if (event.results.length === 0) {
+      event.resultsPublishedAt = undefined;
+    }
+    await event.save();
+
+    res.json({
+      success: true,
+      message: event.resultsPublishedAt
+        ? 'Results saved - publish again to email any new winners'
+        : 'Results saved',
+      results: event.results,
+      resultsPublishedAt: event.resultsPublishedAt
+    });
+  } catch (error) {
+    res.status(error.statusCode || (error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/results/event/:eventId/publish
+// @desc    Publish an event's results and email the winners (Admin)
+// @access  Private/Admin
+router.post('/event/:eventId/publish', protect, authorize('admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const { notified } = await publishResults(event);
+
+    res.json({
+      success: true,
+      message: notified > 0
+        ? `Results published - ${notified} winning ${notified === 1 ? 'entry' : 'entries'} notified by email`
+        : 'Results published',
+      results: event.results,
+      resultsPublishedAt: event.resultsPublishedAt
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Publish results error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/results/event/:eventId/publish
+// @desc    Hide an event's results again (Admin)
+// @access  Private/Admin
+router.delete('/event/:eventId/publish', protect, authorize('admin'), async (req, res) => {
+  try {
+    const event = await Event.findByIdAndUpdate(
+      req.params.eventId,
+      { $unset: { resultsPublishedAt: 1 } },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Results unpublished'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,209 @@
+import express from 'express';
+import Registration from '../models/Registration.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { getEventInterval } from '../utils/eventSchedule.js';
+import { buildCalendar } from '../utils/icalendar.js';
+
+const router = express.Router();
+
+// Registrations that belong on a personal schedule - the user's own and teams they've joined
+const scheduleQuery = (userId) => ({
+  $or: [
+    { user: userId },
+    { teamMembers: { $elemMatch: { user: userId, inviteStatus: 'accepted' } } }
+  ],
+  status: { $in: ['registered', 'attended', 'waitlisted'] },
+  paymentStatus: { $nin: ['failed', 'refunded'] }
+});
+
+const getScheduleRegistrations = async (userId) => {
+  const registrations = await Registration.find(scheduleQuery(userId))
+    .populate('event', 'name category department date time duration venue scheduleUpdatedAt createdAt')
+    .sort({ createdAt: 1 });
+
+  // One entry per event, preferring the user's own registration over the team leader's
+  const byEvent = new Map();
+  for (const registration of registrations) {
+    const key = registration.event?._id?.toString() || registration._id.toString();
+    if (!byEvent.has(key) || registration.user.toString() === userId.toString()) {
+      byEvent.set(key, registration);
+    }
+  }
+  return [...byEvent.values()];
+};
+
+const getFeedUrl = (token) => {
+  return `${process.env.SERVER_URL || 'http://localhost:5000'}/api/schedule/feed/${token}.ics`;
+};
+
+const formatFeed = (token) => {
+  const url = getFeedUrl(token);
+  return {
+    url,
+    // webcal:// makes most devices open the "subscribe to calendar" flow directly
+    webcalUrl: url.replace(/^https?:\/\//, 'webcal://')
+  };
+};
+
+// @route   GET /api/schedule/my
+// @desc    Get the logged in user's registered events laid out with real start/end times (IST)
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const registrations = await getScheduleRegistrations(req.user._id);
+
+    const scheduled = [];
+    const unscheduled = [];
+
+    for (const registration of registrations) {
+      if (!registration.event) continue;
+
+      const item = {
+        registrationId: registration._id,
+        registrationNumber: registration.registrationNumber,
+        status: registration.status,
+        paymentStatus: registration.paymentStatus,
+        waitlistPosition: registration.waitlistPosition,
+        teamName: registration.teamName,
+        event: registration.event
+      };
+
+      const interval = getEventInterval(registration.event);
+      if (interval) {
+        scheduled.push({ ...item, ...interval });
+      } else {
+        // Time text we couldn't read (e.g. "TBA") - still shown, just not on the grid
+        unscheduled.push(item);
+      }
+    }
+
+    scheduled.sort((a, b) => a.start - b.start);
+
+    res.json({
+      success: true,
+      timezone: 'Asia/Kolkata',
+      scheduled,
+      unscheduled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/schedule/calendar-link
+// @desc    Get the user's personal calendar feed URL (created on first use)
+// @access  Private
+router.get('/calendar-link', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      ...formatFeed(user.calendarToken)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/schedule/calendar-link/reset
+// @desc    Replace the calendar feed URL (old subscriptions stop working)
+// @access  Private
+router.post('/calendar-link/reset', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    user.generateCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Calendar link reset. Re-subscribe with the new link.',
+      ...formatFeed(user.calendarToken)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/schedule/feed/:token.ics
+// @desc    Personal iCalendar feed - authenticated by the secret token in the URL, not a JWT
+// @access  Public (token)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token }).select('name');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const registrations = await getScheduleRegistrations(user._id);
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+    const events = [];
+    for (const registration of registrations) {
+      const event = registration.event;
+      const interval = event ? getEventInterval(event) : null;
+      if (!interval) continue;
+
+      const details = [
+        `Registration Number: ${registration.registrationNumber}`,
+        registration.teamName ? `Team: ${registration.teamName}` : null,
+        registration.status === 'waitlisted' ? `Waitlisted (#${registration.waitlistPosition})` : null,
+        registration.paymentStatus !== 'completed' && registration.status !== 'waitlisted' ? 'Payment pending' : null,
+        interval.estimatedEnd ? 'End time is an estimate' : null
+      ].filter(Boolean);
+
+      events.push({
+        uid: `${registration._id}@savishkar`,
+        start: interval.start,
+        end: interval.end,
+        summary: `${event.name} - Savishkar`,
+        description: details.join('\n'),
+        location: event.venue,
+        url: `${clientUrl}/events/${event._id}`,
+        lastModified: event.scheduleUpdatedAt || event.createdAt,
+        // Bumps whenever an admin changes the schedule so calendar apps replace their copy
+        sequence: event.scheduleUpdatedAt ? Math.floor(new Date(event.scheduleUpdatedAt).getTime() / 1000) : 0,
+        status: registration.status === 'waitlisted' ? 'TENTATIVE' : 'CONFIRMED'
+      });
+    }
+
+    const calendar = buildCalendar({
+      name: `Savishkar 2025 - ${user.name}`,
+      description: 'Your registered Savishkar 2025 events',
+      events
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="savishkar-schedule.ics"',
+      'Cache-Control': 'no-cache'
+    });
+    res.send(calendar);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Registration from '../models/Registration.js';
+import '../models/User.js';
+import { attachEntryPass } from '../utils/entryPass.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from server directory
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+// Issue entry passes for confirmed registrations that don't have one (made before passes existed)
+const backfillEntryPasses = async () => {
+  try {
+    const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!mongoUri) {
+      console.error('❌ MONGODB_URI not found in .env file');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const registrations = await Registration.find({
+      paymentStatus: 'completed',
+      status: { $ne: 'cancelled' },
+      $or: [{ entryPass: { $exists: false } }, { entryPass: null }, { entryPass: '' }]
+    }).populate('user', 'userCode');
+
+    console.log(`📊 Found ${registrations.length} registrations to issue passes for`);
+
+    let issued = 0;
+    for (const registration of registrations) {
+      attachEntryPass(registration, registration.user?.userCode);
+      await Registration.updateOne(
+        { _id: registration._id },
+        { $set: { entryPass: registration.entryPass, entryPassIssuedAt: registration.entryPassIssuedAt } }
+      );
+      issued++;
+    }
+
+    console.log(`✅ Issued ${issued} entry passes`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+backfillEntryPasses();
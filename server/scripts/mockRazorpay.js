@@ -0,0 +1,218 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import express from 'express';
+import cors from 'cors';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Local mock of the Razorpay gateway for testing online payments end to end.
+ *
+ * Point the server at it in .env:
+ *   RAZORPAY_API_URL=http://localhost:5055
+ *   RAZORPAY_CHECKOUT_URL=http://localhost:5055/v1/checkout.js
+ *   RAZORPAY_WEBHOOK_SECRET=<anything>
+ *
+ * It implements order creation, a stand-in Checkout script (a browser prompt
+ * decides success or failure) and signed webhooks sent back to the server.
+ * POST /mock/payments/:id/replay re-sends a payment's webhook to test idempotency.
+ */
+
+const PORT = process.env.MOCK_RAZORPAY_PORT || 5055;
+const WEBHOOK_URL = process.env.RAZORPAY_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+const WEBHOOK_DELAY_MS = Number(process.env.MOCK_WEBHOOK_DELAY_MS || 2000);
+const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET } = process.env;
+
+if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+  console.log('❌ RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set (any values work with the mock)');
+  process.exit(1);
+}
+
+const orders = new Map();
+const payments = new Map();
+
+const randomId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const sendWebhook = async (event, payment) => {
+  if (!RAZORPAY_WEBHOOK_SECRET) {
+    console.log('⚠️ RAZORPAY_WEBHOOK_SECRET not set - skipping webhook');
+    return;
+  }
+
+  const body = JSON.stringify({
+    entity: 'event',
+    event,
+    contains: ['payment'],
+    payload: { payment: { entity: payment } },
+    created_at: Math.floor(Date.now() / 1000)
+  });
+
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': sign(body, RAZORPAY_WEBHOOK_SECRET)
+      },
+      body
+    });
+    console.log(`📨 Webhook ${event} for ${payment.id} → ${response.status} ${await response.text()}`);
+  } catch (error) {
+    console.error(`❌ Webhook ${event} failed:`, error.message);
+  }
+};
+
+const app = express();
+app.use(cors());
+app.use(express.json());
+
+// Basic auth with the key pair, like the real API
+const requireAuth = (req, res, next) => {
+  const expected = `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString('base64')}`;
+  if (req.headers.authorization !== expected) {
+    return res.status(401).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+  }
+  next();
+};
+
+app.post('/v1/orders', requireAuth, (req, res) => {
+  const { amount, currency = 'INR', receipt, notes = {} } = req.body;
+
+  if (!Number.isInteger(amount) || amount < 100) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be atleast INR 1.00' } });
+  }
+
+  const order = {
+    id: randomId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    amount_due: amount,
+    currency,
+    receipt,
+    status: 'created',
+    attempts: 0,
+    notes,
+    created_at: Math.floor(Date.now() / 1000)
+  };
+  orders.set(order.id, order);
+
+  console.log(`🧾 Order ${order.id} created: ₹${amount / 100} (${receipt})`);
+  res.json(order);
+});
+
+app.get('/v1/orders/:id', requireAuth, (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  }
+  res.json(order);
+});
+
+// Stand-in for checkout.js - exposes window.Razorpay with the same options/handler contract
+app.get('/v1/checkout.js', (req, res) => {
+  const base = `${req.protocol}://${req.get('host')}`;
+
+  res.type('application/javascript').send(`
+(function () {
+  function Razorpay(options) {
+    this.options = options;
+    this.listeners = {};
+  }
+  Razorpay.prototype.on = function (event, callback) {
+    this.listeners[event] = callback;
+  };
+  Razorpay.prototype.open = function () {
+    var options = this.options;
+    var listeners = this.listeners;
+    var answer = window.prompt(
+      '[Mock Razorpay] ' + (options.name || '') + ' - ' + (options.description || '') +
+      '\\nAmount: ₹' + (options.amount / 100) +
+      '\\n\\nType "pay" to succeed or "fail" to simulate a failed payment.',
+      'pay'
+    );
+    if (answer === null) {
+      if (options.modal && options.modal.ondismiss) options.modal.ondismiss();
+      return;
+    }
+    fetch('${base}/mock/orders/' + options.order_id + '/pay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outcome: answer.trim().toLowerCase() === 'fail' ? 'failed' : 'success' })
+    })
+      .then(function (response) { return response.json(); })
+      .then(function (data) {
+        if (data.error) {
+          if (listeners['payment.failed']) listeners['payment.failed']({ error: data.error });
+        } else {
+          options.handler(data);
+        }
+      });
+  };
+  window.Razorpay = Razorpay;
+})();
+`);
+});
+
+// Simulate the customer completing (or failing) a payment in Checkout
+app.post('/mock/orders/:id/pay', (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Order not found' } });
+  }
+
+  order.attempts += 1;
+  const failed = req.body.outcome === 'failed';
+  const payment = {
+    id: randomId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: failed ? 'failed' : 'captured',
+    order_id: order.id,
+    method: 'upi',
+    captured: !failed,
+    error_code: failed ? 'BAD_REQUEST_ERROR' : null,
+    error_description: failed ? 'Payment was declined by the mock gateway' : null,
+    created_at: Math.floor(Date.now() / 1000)
+  };
+  payments.set(payment.id, payment);
+
+  setTimeout(() => sendWebhook(failed ? 'payment.failed' : 'payment.captured', payment), WEBHOOK_DELAY_MS);
+
+  if (failed) {
+    console.log(`❌ Payment ${payment.id} failed for ${order.id}`);
+    return res.json({ error: { code: payment.error_code, description: payment.error_description, metadata: { order_id: order.id, payment_id: payment.id } } });
+  }
+
+  order.status = 'paid';
+  order.amount_paid = order.amount;
+  order.amount_due = 0;
+
+  console.log(`✅ Payment ${payment.id} captured for ${order.id}`);
+  res.json({
+    razorpay_order_id: order.id,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: sign(`${order.id}|${payment.id}`, RAZORPAY_KEY_SECRET)
+  });
+});
+
+// Re-deliver a payment's webhook (Razorpay retries webhooks, so handlers must be idempotent)
+app.post('/mock/payments/:id/replay', async (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) {
+    return res.status(404).json({ error: { description: 'Payment not found' } });
+  }
+
+  await sendWebhook(payment.status === 'failed' ? 'payment.failed' : 'payment.captured', payment);
+  res.json({ success: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`\n💳 Mock Razorpay gateway running on http://localhost:${PORT}`);
+  console.log(`   Checkout script: http://localhost:${PORT}/v1/checkout.js`);
+  console.log(`   Webhooks sent to: ${WEBHOOK_URL}\n`);
+});
@@ -23,6 +23,13 @@ import paymentRoutes from './routes/payments.js';
 import adminRoutes from './routes/admin.js';
 import testRoutes from './routes/test.js';
 import rulebookRoutes from './routes/rulebook.js';
+import checkinRoutes from './routes/checkin.js';
+import scheduleRoutes from './routes/schedule.js';
+import couponRoutes from './routes/coupons.js';
+import passRoutes from './routes/passes.js';
+import certificateRoutes from './routes/certificates.js';
+import resultRoutes from './routes/results.js';
+import notificationRoutes from './routes/notifications.js';
 
 // Load environment variables
 dotenv.config();
@@ -220,7 +227,15 @@ app.use(cors({
 }));
 
 // Body parser with size limits
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes of gateway webhooks - their signature is computed over the exact body
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Response caching middleware for static data
@@ -253,6 +268,13 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/test', testRoutes);
 app.use('/api/rulebook', rulebookRoutes);
+app.use('/api/checkin', checkinRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/passes', passRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/results', resultRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -314,6 +336,30 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error('⚠️  Failed to start registration auto-disable scheduler:', error.message);
   }
+
+  // Start email outbox worker
+  try {
+    const emailOutbox = (await import('./services/emailOutbox.js')).default;
+    emailOutbox.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start email outbox worker:', error.message);
+  }
+
+  // Start participant count reconciliation job
+  try {
+    const participantReconciliation = (await import('./services/participantReconciliation.js')).default;
+    participantReconciliation.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start participant reconciliation:', error.message);
+  }
+
+  // Start event reminder scheduler
+  try {
+    const eventReminders = (await import('./services/eventReminders.js')).default;
+    eventReminders.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start event reminder scheduler:', error.message);
+  }
 });
 
 export default app;
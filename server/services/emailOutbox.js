@@ -0,0 +1,223 @@
+import Notification from '../models/Notification.js';
+import { sendEmailWithAccount, getSmtpAccounts } from '../utils/sendEmail.js';
+import { outboxEvents } from '../utils/emailQueue.js';
+
+const POLL_INTERVAL = 30 * 1000; // picks up retries that have come due
+const LOCK_DURATION = 2 * 60 * 1000; // a send stuck longer than this is retried
+const RATE_WINDOW = 60 * 1000;
+const MAX_BACKOFF = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const settings = () => ({
+  maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS || 6),
+  retryBaseMs: Number(process.env.EMAIL_RETRY_BASE_MS || 60000),
+  pauseMs: Number(process.env.EMAIL_QUEUE_DELAY_MS || 500),
+  ratePerMinute: {
+    primary: Number(process.env.EMAIL_RATE_PER_MINUTE || 20),
+    fallback: Number(process.env.FALLBACK_EMAIL_RATE_PER_MINUTE || process.env.EMAIL_RATE_PER_MINUTE || 20)
+  }
+});
+
+class EmailOutbox {
+  constructor() {
+    this.pollInterval = null;
+    this.isDraining = false;
+    this.recentSends = { primary: [], fallback: [] };
+    this.stats = { sent: 0, retried: 0, deadLettered: 0, lastSentAt: null, lastError: null };
+    this.wake = this.wake.bind(this);
+  }
+
+  /**
+   * Start draining the outbox
+   */
+  start() {
+    console.log('📮 Starting Email Outbox worker...');
+
+    outboxEvents.on('queued', this.wake);
+    this.pollInterval = setInterval(this.wake, POLL_INTERVAL);
+    this.wake();
+
+    console.log('✅ Email Outbox worker started successfully');
+  }
+
+  /**
+   * Send whatever is due, unless a drain is already running
+   */
+  wake() {
+    if (this.isDraining) return;
+    this.drain().catch((error) => {
+      console.error('❌ Email outbox drain failed:', error.message);
+    });
+  }
+
+  async drain() {
+    this.isDraining = true;
+    const { pauseMs } = settings();
+
+    try {
+      while (true) {
+        const capacityAt = this.nextCapacityAt();
+        if (capacityAt > Date.now()) {
+          await sleep(capacityAt - Date.now());
+        }
+
+        const notification = await this.claim();
+        if (!notification) break;
+
+        await this.deliver(notification);
+        await sleep(pauseMs);
+      }
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  // Atomically take the oldest due email, so two workers (or a restart mid-send) never send it twice at once
+  claim() {
+    const now = new Date();
+    return Notification.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Sends in the last minute per account
+  usage(account) {
+    const cutoff = Date.now() - RATE_WINDOW;
+    this.recentSends[account] = this.recentSends[account].filter((time) => time > cutoff);
+    return this.recentSends[account].length;
+  }
+
+  hasCapacity(account) {
+    return this.usage(account) < settings().ratePerMinute[account];
+  }
+
+  // When the first account will have room for another send
+  nextCapacityAt() {
+    const accounts = getSmtpAccounts();
+    if (accounts.some((account) => this.hasCapacity(account))) return Date.now();
+    return Math.min(...accounts.map((account) => this.recentSends[account][0] + RATE_WINDOW));
+  }
+
+  // Accounts to try for this email - the one that failed it last time goes last
+  accountsFor(notification) {
+    const accounts = getSmtpAccounts().filter((account) => this.hasCapacity(account));
+    return notification.smtpAccount && accounts.length > 1
+      ? [...accounts.filter((account) => account !== notification.smtpAccount), notification.smtpAccount]
+      : accounts;
+  }
+
+  async deliver(notification) {
+    const { maxAttempts, retryBaseMs } = settings();
+    const options = {
+      email: notification.email,
+      subject: notification.subject,
+      html: notification.content,
+      text: notification.text || undefined,
+      attachments: notification.attachments.map(({ filename, content, contentType, cid }) => ({
+        filename,
+        content: Buffer.from(content),
+        contentType,
+        cid
+      }))
+    };
+
+    let lastError = null;
+    let lastAccount = notification.smtpAccount;
+    for (const account of this.accountsFor(notification)) {
+      this.recentSends[account].push(Date.now());
+      lastAccount = account;
+      try {
+        const info = await sendEmailWithAccount(options, account);
+        await Notification.updateOne(
+          { _id: notification._id },
+          {
+            $set: { status: 'sent', sentAt: new Date(), smtpAccount: account, messageId: info.messageId },
+            $unset: { lockedUntil: 1, error: 1 }
+          }
+        );
+        this.stats.sent++;
+        this.stats.lastSentAt = new Date();
+        return;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    const message = lastError?.message || 'No SMTP account available';
+    this.stats.lastError = message;
+
+    if (notification.attempts >= maxAttempts) {
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $set: { status: 'failed', error: message, smtpAccount: lastAccount }, $unset: { lockedUntil: 1 } }
+      );
+      this.stats.deadLettered++;
+      console.error(`❌ Email to ${notification.email} failed after ${notification.attempts} attempts - moved to failed: ${message}`);
+      return;
+    }
+
+    const backoff = Math.min(retryBaseMs * 2 ** (notification.attempts - 1), MAX_BACKOFF);
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: { error: message, smtpAccount: lastAccount, nextAttemptAt: new Date(Date.now() + backoff) },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+    this.stats.retried++;
+    console.log(`⏳ Email to ${notification.email} failed (attempt ${notification.attempts}/${maxAttempts}) - retrying in ${Math.round(backoff / 1000)}s`);
+  }
+
+  /**
+   * Outbox counts and worker state for the admin dashboard
+   */
+  async getStatus() {
+    const { maxAttempts, ratePerMinute } = settings();
+    const counts = await Notification.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return {
+      counts: Object.fromEntries(counts.map((item) => [item._id, item.count])),
+      isDraining: this.isDraining,
+      isRunning: Boolean(this.pollInterval),
+      maxAttempts,
+      accounts: getSmtpAccounts().map((account) => ({
+        account,
+        sentLastMinute: this.usage(account),
+        ratePerMinute: ratePerMinute[account]
+      })),
+      stats: this.stats
+    };
+  }
+
+  /**
+   * Stop the worker (an email being sent finishes; the rest wait for the next start)
+   */
+  stop() {
+    console.log('🛑 Stopping Email Outbox worker...');
+
+    outboxEvents.off('queued', this.wake);
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+
+    console.log('✅ Email Outbox worker stopped');
+  }
+}
+
+// Create singleton instance
+const emailOutbox = new EmailOutbox();
+
+export default emailOutbox;
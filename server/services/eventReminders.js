@@ -0,0 +1,296 @@
+import Event from '../models/Event.js';
+import Registration from '../models/Registration.js';
+import User from '../models/User.js';
+import { queueEmails } from '../utils/emailQueue.js';
+import { renderEmail } from '../utils/emailRegistry.js';
+import { getEventInterval } from '../utils/eventSchedule.js';
+
+const CHECK_INTERVAL = 5 * 60 * 1000; // every 5 minutes
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_HOURS_BEFORE = [24, 2];
+const MAX_HOURS_BEFORE = 168; // same limit as Event.reminders.hoursBefore
+
+// "in 24 hours", "in 45 minutes", "in 3 days"
+const describeStartsIn = (ms) => {
+  const minutes = Math.max(Math.round(ms / 60000), 1);
+  if (minutes < 60) {
+    return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) {
+    return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `in ${Math.round(hours / 24)} days`;
+};
+
+/**
+ * The reminder an event should send now, if any
+ * When several are due at once (the server was down) only the latest is sent and the others are skipped.
+ * @param {Object} event - Event with date, time, duration, reminders and remindersSent
+ * @param {Date} now
+ * @returns {{ startsAt: Date, hoursBefore: number, skipped: number[] } | null}
+ */
+export const getDueReminders = (event, now = new Date()) => {
+  const interval = getEventInterval(event);
+  if (!interval || interval.start <= now) {
+    return null;
+  }
+
+  const startsAt = interval.start;
+  const logged = (hours) => (event.remindersSent || []).some(
+    (entry) => entry.hoursBefore === hours && entry.startsAt?.getTime() === startsAt.getTime()
+  );
+
+  const due = [...new Set(event.reminders?.hoursBefore ?? DEFAULT_HOURS_BEFORE)]
+    .filter((hours) => startsAt.getTime() - hours * HOUR <= now.getTime() && !logged(hours))
+    .sort((a, b) => a - b);
+
+  if (due.length === 0) {
+    return null;
+  }
+
+  const [hoursBefore, ...skipped] = due;
+  return { startsAt, hoursBefore, skipped };
+};
+
+class EventReminders {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Start the reminder scheduler
+   */
+  start() {
+    console.log('⏰ Starting Event Reminder Scheduler...');
+
+    // Failures are already logged by run(); the next interval retries
+    this.run({ triggeredBy: 'startup' }).catch(() => {});
+
+    this.checkInterval = setInterval(() => {
+      this.run({ triggeredBy: 'scheduler' }).catch(() => {});
+    }, CHECK_INTERVAL);
+
+    console.log('✅ Event Reminder Scheduler started successfully');
+  }
+
+  /**
+   * Send every reminder that has come due and hasn't been sent yet
+   * @returns {Promise<Object|null>} - Report of this run, or null if a run is already in progress
+   */
+  async run({ triggeredBy = 'manual' } = {}) {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const now = new Date();
+
+      // `date` is only the event's day (the start time comes from `time`), so search a day either side
+      const events = await Event.find({
+        isActive: true,
+        status: { $nin: ['cancelled', 'completed'] },
+        'reminders.enabled': { $ne: false },
+        date: {
+          $gte: new Date(now.getTime() - 24 * HOUR),
+          $lte: new Date(now.getTime() + (MAX_HOURS_BEFORE + 24) * HOUR)
+        }
+      }).select('name date time duration venue whatsappLink reminders remindersSent');
+
+      const sent = [];
+      for (const event of events) {
+        try {
+          const result = await this.remindEvent(event, now);
+          if (result) {
+            sent.push(result);
+          }
+        } catch (error) {
+          console.error(`❌ Failed to send reminders for ${event.name}:`, error.message);
+        }
+      }
+
+      this.lastReport = {
+        ranAt: now,
+        triggeredBy,
+        eventsChecked: events.length,
+        sent
+      };
+
+      return this.lastReport;
+    } catch (error) {
+      console.error('❌ Event reminder run failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Send an event's due reminder, if it has one
+   * @returns {Promise<Object|null>} - { eventId, name, hoursBefore, startsAt, recipients, skipped }
+   */
+  async remindEvent(event, now) {
+    const due = getDueReminders(event, now);
+    if (!due) {
+      return null;
+    }
+
+    const { startsAt, hoursBefore, skipped } = due;
+
+    // Claim the reminder before sending, so an overlapping run or another server instance can't send it too
+    const claimed = await Event.findOneAndUpdate(
+      { _id: event._id, remindersSent: { $not: { $elemMatch: { hoursBefore, startsAt } } } },
+      {
+        $push: {
+          remindersSent: {
+            $each: [
+              { hoursBefore, startsAt, sentAt: now },
+              ...skipped.map((hours) => ({ hoursBefore: hours, startsAt, sentAt: now, skipped: true }))
+            ]
+          }
+        }
+      }
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    let queued;
+    try {
+      const startsIn = describeStartsIn(startsAt - now);
+      const recipients = await this.getRecipients(event);
+
+      const emails = recipients.map((person) => ({
+        email: person.email,
+        user: person.user,
+        ...renderEmail('event-reminder', {
+          userName: person.name,
+          eventName: event.name,
+          startsIn,
+          eventDate: event.date,
+          time: event.time,
+          venue: event.venue,
+          registrationNumber: person.registrationNumber,
+          teamName: person.teamName,
+          userCode: person.userCode,
+          whatsappLink: event.whatsappLink
+        })
+      }));
+
+      queued = await queueEmails(emails, { type: 'reminder', relatedEvent: event._id });
+    } catch (error) {
+      // Release the whole claim (including the skipped entries) so the next run tries again
+      await Event.updateOne(
+        { _id: event._id },
+        { $pull: { remindersSent: { hoursBefore: { $in: [hoursBefore, ...skipped] }, startsAt, sentAt: now } } }
+      );
+      throw error;
+    }
+
+    await Event.updateOne(
+      { _id: event._id, remindersSent: { $elemMatch: { hoursBefore, startsAt, skipped: { $ne: true } } } },
+      { $set: { 'remindersSent.$.recipients': queued } }
+    );
+
+    console.log(`⏰ ${hoursBefore}h reminder for ${event.name} queued for ${queued} participant(s)${skipped.length > 0 ? ` (skipped ${skipped.map((hours) => `${hours}h`).join(', ')})` : ''}`);
+
+    return {
+      eventId: event._id,
+      name: event.name,
+      hoursBefore,
+      startsAt,
+      recipients: queued,
+      skipped
+    };
+  }
+
+  /**
+   * Everyone on a confirmed registration for the event - the leader and team members who
+   * haven't declined - one entry per email address
+   * @returns {Promise<Array<{ user, name, email, userCode, teamName, registrationNumber }>>}
+   */
+  async getRecipients(event) {
+    // Free registrations are completed as soon as they're made, paid ones once payment is verified
+    const registrations = await Registration.find({
+      event: event._id,
+      status: 'registered',
+      isTeamLeader: { $ne: false },
+      paymentStatus: 'completed'
+    })
+      .populate('user', 'name email userCode')
+      .select('user teamMembers teamName registrationNumber');
+
+    const memberEmails = registrations.flatMap((registration) => registration.teamMembers.map((member) => member.email?.toLowerCase()));
+    const accounts = await User.find({ email: { $in: memberEmails.filter(Boolean) } }).select('email userCode');
+    const userCodes = new Map(accounts.map((account) => [account.email, account.userCode]));
+
+    const recipients = new Map();
+    const add = (person) => {
+      const key = person.email?.toLowerCase();
+      if (key && !recipients.has(key)) {
+        recipients.set(key, person);
+      }
+    };
+
+    for (const registration of registrations) {
+      const team = { teamName: registration.teamName, registrationNumber: registration.registrationNumber };
+
+      if (registration.user) {
+        add({
+          user: registration.user._id,
+          name: registration.user.name,
+          email: registration.user.email,
+          userCode: registration.user.userCode,
+          ...team
+        });
+      }
+
+      registration.teamMembers
+        .filter((member) => member.inviteStatus !== 'declined')
+        .forEach((member) => add({
+          user: member.user,
+          name: member.name,
+          email: member.email,
+          userCode: userCodes.get(member.email?.toLowerCase()),
+          ...team
+        }));
+    }
+
+    return [...recipients.values()];
+  }
+
+  /**
+   * Get the result of the most recent run
+   */
+  getLastReport() {
+    return {
+      lastReport: this.lastReport,
+      isRunning: this.isRunning,
+      intervalMinutes: CHECK_INTERVAL / 60000
+    };
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    console.log('🛑 Stopping Event Reminder Scheduler...');
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    console.log('✅ Event Reminder Scheduler stopped');
+  }
+}
+
+// Create singleton instance
+const eventReminders = new EventReminders();
+
+export default eventReminders;
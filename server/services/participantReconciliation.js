@@ -0,0 +1,170 @@
+import Event from '../models/Event.js';
+import Registration from '../models/Registration.js';
+import User from '../models/User.js';
+import { queueEmail } from '../utils/emailQueue.js';
+import { renderEmail } from '../utils/emailRegistry.js';
+import { promoteFromWaitlist } from '../utils/waitlist.js';
+
+const RUN_INTERVAL = 30 * 60 * 1000; // every 30 minutes
+const SETTLE_DELAY = 5000; // re-check suspects after this long so in-flight registrations aren't counted as drift
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class ParticipantReconciliation {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Start the periodic reconciliation job
+   */
+  start() {
+    console.log('🧮 Starting Participant Count Reconciliation...');
+
+    // Failures are already logged by run(); the next interval retries
+    this.run({ triggeredBy: 'startup' }).catch(() => {});
+
+    this.checkInterval = setInterval(() => {
+      this.run({ triggeredBy: 'scheduler' }).catch(() => {});
+    }, RUN_INTERVAL);
+
+    console.log('✅ Participant Count Reconciliation started successfully');
+  }
+
+  /**
+   * Recompute every event's currentParticipants from its seat-holding registrations,
+   * correct any drift and report it to admins
+   */
+  async run({ triggeredBy = 'manual' } = {}) {
+    if (this.isRunning) {
+      return this.lastReport;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const [events, counts] = await Promise.all([
+        Event.find().select('name currentParticipants maxParticipants'),
+        Registration.aggregate([
+          { $match: Registration.seatFilter() },
+          { $group: { _id: '$event', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const actualByEvent = new Map(counts.map((item) => [item._id.toString(), item.count]));
+      const suspects = events.filter(
+        (event) => (actualByEvent.get(event._id.toString()) || 0) !== event.currentParticipants
+      );
+
+      if (suspects.length > 0) {
+        await sleep(SETTLE_DELAY);
+      }
+
+      const drift = [];
+      for (const event of suspects) {
+        const firstActual = actualByEvent.get(event._id.toString()) || 0;
+        const [current, actual] = await Promise.all([
+          Event.findById(event._id).select('name currentParticipants maxParticipants'),
+          Registration.countDocuments(Registration.seatFilter(event._id))
+        ]);
+
+        // Skip events that changed while we waited - they're mid-registration, not drifted.
+        // The next run will look at them again.
+        if (!current || current.currentParticipants !== event.currentParticipants || actual !== firstActual) {
+          continue;
+        }
+
+        // Conditional on the value we checked, so a registration landing right now isn't overwritten
+        const corrected = await Event.findOneAndUpdate(
+          { _id: current._id, currentParticipants: current.currentParticipants },
+          { $set: { currentParticipants: actual } },
+          { new: true }
+        );
+
+        drift.push({
+          eventId: current._id,
+          name: current.name,
+          recorded: current.currentParticipants,
+          actual,
+          maxParticipants: current.maxParticipants,
+          corrected: Boolean(corrected)
+        });
+
+        console.log(`⚠️ Participant drift for ${current.name}: stored ${current.currentParticipants}, actual ${actual}${corrected ? ' (corrected)' : ''}`);
+
+        // A lower corrected count may have freed seats for the waitlist
+        if (corrected && actual < corrected.maxParticipants) {
+          await promoteFromWaitlist(current._id);
+        }
+      }
+
+      this.lastReport = {
+        ranAt: new Date(),
+        triggeredBy,
+        eventsChecked: events.length,
+        drift
+      };
+
+      if (drift.length > 0) {
+        await this.notifyAdmins(drift);
+      } else {
+        console.log(`✅ Participant counts verified for ${events.length} events - no drift`);
+      }
+
+      return this.lastReport;
+    } catch (error) {
+      console.error('❌ Participant reconciliation failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Queue the drift report email for every admin
+   */
+  async notifyAdmins(drift) {
+    const admins = await User.find({ role: 'admin' }).select('name email');
+    const content = renderEmail('participant-drift', { drift });
+
+    for (const admin of admins) {
+      try {
+        await queueEmail({ email: admin.email, ...content }, { type: 'update', user: admin._id });
+      } catch (emailError) {
+        console.error(`❌ Failed to queue drift report for ${admin.email}:`, emailError.message);
+      }
+    }
+  }
+
+  /**
+   * Get the result of the most recent run
+   */
+  getLastReport() {
+    return {
+      lastReport: this.lastReport,
+      isRunning: this.isRunning,
+      intervalMinutes: RUN_INTERVAL / 60000
+    };
+  }
+
+  /**
+   * Stop the job
+   */
+  stop() {
+    console.log('🛑 Stopping Participant Count Reconciliation...');
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    console.log('✅ Participant Count Reconciliation stopped');
+  }
+}
+
+// Create singleton instance
+const participantReconciliation = new ParticipantReconciliation();
+
+export default participantReconciliation;
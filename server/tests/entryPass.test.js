@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.ENTRY_PASS_SECRET = 'test-entry-pass-secret';
+const { createEntryPass, verifyEntryPass, getEntryPassPublicKey } = await import('../utils/entryPass.js');
+
+const fromBase64Url = (text) => Buffer.from(text, 'base64url');
+
+test('passes verify with only the public key handed to the check-in desk', async () => {
+  const pass = createEntryPass({ registrationNumber: 'SAV2025-0001', eventId: 'event1', userCode: 'SAV25A3B7' });
+  const [prefix, payload, signature] = pass.split('.');
+
+  const key = await crypto.webcrypto.subtle.importKey('raw', fromBase64Url(getEntryPassPublicKey()), { name: 'Ed25519' }, false, ['verify']);
+  const valid = await crypto.webcrypto.subtle.verify({ name: 'Ed25519' }, key, fromBase64Url(signature), Buffer.from(`${prefix}.${payload}`));
+
+  assert.equal(prefix, 'SAVPASS2');
+  assert.equal(valid, true);
+  assert.equal(verifyEntryPass(pass).payload.r, 'SAV2025-0001');
+});
+
+test('rejects a pass whose payload was edited', () => {
+  const [prefix, , signature] = createEntryPass({ registrationNumber: 'SAV2025-0001', eventId: 'event1' }).split('.');
+  const forged = Buffer.from(JSON.stringify({ r: 'SAV2025-0002', e: 'event1', u: '', t: 0 })).toString('base64url');
+
+  assert.equal(verifyEntryPass(`${prefix}.${forged}.${signature}`).valid, false);
+});
+
+test('rejects values that are not an entry pass', () => {
+  const payload = Buffer.from(JSON.stringify({ r: 'SAV2025-0003', e: 'event1', u: '', t: 0 })).toString('base64url');
+
+  assert.equal(verifyEntryPass(`SAVPASS1.${payload}.signature`).valid, false);
+  assert.equal(verifyEntryPass('SAV2025-0003').valid, false);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDueReminders } from '../services/eventReminders.js';
+
+// Imported event: 12 Nov 2025, "2:00:00 PM" IST = 08:30 UTC
+const importedEvent = (remindersSent = []) => ({
+  date: new Date('2025-11-12T00:00:00+05:30'),
+  time: '2:00:00 PM',
+  reminders: { enabled: true, hoursBefore: [24, 2] },
+  remindersSent
+});
+
+test('sends the 2h reminder for a 2:00:00 PM event at noon, not at midnight', () => {
+  assert.equal(getDueReminders(importedEvent(), new Date('2025-11-12T00:00:00+05:30'))?.hoursBefore, 24);
+
+  const startsAt = new Date('2025-11-12T14:00:00+05:30');
+  const sent24h = [{ hoursBefore: 24, startsAt }];
+  assert.equal(getDueReminders(importedEvent(sent24h), new Date('2025-11-12T11:59:00+05:30')), null);
+  assert.deepEqual(getDueReminders(importedEvent(sent24h), new Date('2025-11-12T12:00:00+05:30')), {
+    startsAt,
+    hoursBefore: 2,
+    skipped: []
+  });
+});
+
+test('sends only the latest reminder when several are due and skips the rest', () => {
+  const due = getDueReminders(importedEvent(), new Date('2025-11-12T13:00:00+05:30'));
+
+  assert.equal(due.hoursBefore, 2);
+  assert.deepEqual(due.skipped, [24]);
+});
+
+test('sends nothing once the event has started', () => {
+  assert.equal(getDueReminders(importedEvent(), new Date('2025-11-12T14:00:00+05:30')), null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEventTime, getEventInterval, findConflicts } from '../utils/eventSchedule.js';
+
+const EVENT_DAY = new Date('2025-11-12T00:00:00+05:30');
+
+test('reads the HH:MM:SS AM/PM times written by the CSV import', () => {
+  assert.deepEqual(parseEventTime('2:00:00 PM'), { start: 14 * 60, end: null });
+  assert.deepEqual(parseEventTime('11:00:00 AM'), { start: 11 * 60, end: null });
+  assert.deepEqual(parseEventTime('10:00:00 AM'), { start: 10 * 60, end: null });
+});
+
+test('reads admin-entered times and ranges', () => {
+  assert.deepEqual(parseEventTime('14:30'), { start: 14 * 60 + 30, end: null });
+  assert.deepEqual(parseEventTime('10 AM - 1 PM'), { start: 10 * 60, end: 13 * 60 });
+  assert.deepEqual(parseEventTime('10 - 12 PM'), { start: 10 * 60, end: 12 * 60 });
+  assert.deepEqual(parseEventTime('2:00 PM to 4:30 PM'), { start: 14 * 60, end: 16 * 60 + 30 });
+  assert.deepEqual(parseEventTime('noon'), { start: 12 * 60, end: null });
+});
+
+test('reads a range without AM/PM that crosses noon as one afternoon, not past midnight', () => {
+  assert.deepEqual(parseEventTime('11:30 - 1:30'), { start: 11 * 60 + 30, end: 13 * 60 + 30 });
+  assert.deepEqual(parseEventTime('23:00 - 1:00'), { start: 23 * 60, end: 60 });
+
+  const interval = getEventInterval({ date: EVENT_DAY, time: '11:30 - 1:30' });
+  assert.equal(interval.start.toISOString(), '2025-11-12T06:00:00.000Z');
+  assert.equal(interval.end.toISOString(), '2025-11-12T08:00:00.000Z');
+});
+
+test('ignores bare numbers that are not part of a time', () => {
+  assert.deepEqual(parseEventTime('Day 2, 10:00 AM'), { start: 10 * 60, end: null });
+  assert.deepEqual(parseEventTime('12/11/2025 10:30 AM'), { start: 10 * 60 + 30, end: null });
+  assert.equal(parseEventTime('TBA'), null);
+});
+
+test('gives imported PM events an afternoon interval in IST', () => {
+  const interval = getEventInterval({ date: EVENT_DAY, time: '2:00:00 PM' });
+
+  assert.equal(interval.start.toISOString(), '2025-11-12T08:30:00.000Z');
+  assert.equal(interval.end.toISOString(), '2025-11-12T09:30:00.000Z');
+});
+
+test('does not report a conflict between a morning and an afternoon imported event', () => {
+  const morning = { _id: 'a', name: 'Code Sprint', date: EVENT_DAY, time: '10:30:00 AM' };
+  const afternoon = { _id: 'b', name: 'Robo Race', date: EVENT_DAY, time: '2:00:00 PM' };
+
+  assert.deepEqual(findConflicts(afternoon, [morning]), []);
+});
@@ -0,0 +1,32 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Notification from '../models/Notification.js';
+import { queueEmail } from '../utils/emailQueue.js';
+import { renderEmail } from '../utils/emailRegistry.js';
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(Notification, 'create', async (doc) => doc);
+});
+
+test('puts participant notices in the inbox with a plain-text summary', async () => {
+  const content = renderEmail('waitlist-joined', {
+    userName: 'Aarav <b>Patil</b>',
+    eventName: 'Code & Chai',
+    registrationNumber: 'SAV2025-0042',
+    position: 3
+  });
+  const notification = await queueEmail({ email: 'aarav@example.com', ...content }, { type: 'registration', user: 'user1' });
+
+  assert.equal(notification.inbox, true);
+  assert.equal(notification.summary, "Code & Chai is full - you're on the waitlist at position 3.");
+});
+
+test('keeps admin reports out of the inbox', async () => {
+  const content = renderEmail('participant-drift', {
+    drift: [{ name: 'Code Sprint', recorded: 42, actual: 40, maxParticipants: 50 }]
+  });
+  const notification = await queueEmail({ email: 'admin@example.com', ...content }, { type: 'update', user: 'admin1' });
+
+  assert.equal(notification.inbox, false);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPaymentDetails } from '../utils/paymentOcr.js';
+
+// Tesseract output of UPI app screenshots, status bar included
+const GPAY = `10:32 4G 78%
+Paid to
+SAVISHKAR FEST
+savishkar@okaxis
+%500
+Completed
+19 Oct 2025, 10:32 am
+UPI transaction ID
+512345678901
+To: SAVISHKAR FEST
+Google transaction ID
+CICAgKDw9fXpZQ`;
+
+const PHONEPE = `Transaction Successful
+10:32 am on 19 Oct 2025
+Paid to
+Savishkar Fest
+₹ 1,200
+Transfer Details
+Transaction ID
+T2510191032123456789
+Debited from
+XXXXXXXX4321 ₹1,200
+UTR: 512345678902`;
+
+const PAYTM = `Paid Successfully
+Rs. 350
+To: SAVISHKAR FEST
+UPI Ref No: 5123 4567 8903
+Oct 19, 2025 10:32 AM`;
+
+test('reads a Google Pay screenshot whose ₹ was misread', () => {
+  const details = extractPaymentDetails(GPAY);
+
+  assert.equal(details.utrNumber, '512345678901');
+  assert.equal(details.amount, 500);
+  assert.equal(details.paidAt.toISOString(), '2025-10-19T05:02:00.000Z');
+});
+
+test('reads a PhonePe screenshot with a grouped amount and a labelled UTR', () => {
+  const details = extractPaymentDetails(PHONEPE);
+
+  assert.equal(details.utrNumber, '512345678902');
+  assert.equal(details.amount, 1200);
+});
+
+test('reads a Paytm screenshot with a split reference number', () => {
+  const details = extractPaymentDetails(PAYTM);
+
+  assert.equal(details.utrNumber, '512345678903');
+  assert.equal(details.amount, 350);
+  assert.equal(details.paidAt.toISOString(), '2025-10-19T05:02:00.000Z');
+});
+
+test('does not take a bare number on its own line as the amount', () => {
+  const details = extractPaymentDetails(`9:41
+4
+Payment successful
+Paid to Savishkar Fest
+12
+UPI Ref No 512345678904`);
+
+  assert.equal(details.utrNumber, '512345678904');
+  assert.equal(details.amount, null);
+});
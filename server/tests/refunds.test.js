@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_REFUND_POLICY, evaluateRefundEligibility, getRefundBlocker } from '../utils/refunds.js';
+
+const event = { date: new Date('2025-11-12T00:00:00+05:30'), time: '2:00:00 PM' };
+const now = new Date('2025-11-01T12:00:00+05:30');
+
+test('does not refund rejected payments under the default policy', () => {
+  const result = evaluateRefundEligibility({ status: 'failed', amount: 200 }, event, DEFAULT_REFUND_POLICY, now);
+
+  assert.equal(result.eligible, false);
+  assert.equal(result.amount, 0);
+});
+
+test('refunds rejected payments in full when the policy allows it', () => {
+  const policy = { ...DEFAULT_REFUND_POLICY, refundRejectedPayments: true, refundPercent: 50 };
+  const result = evaluateRefundEligibility({ status: 'failed', amount: 200 }, event, policy, now);
+
+  assert.equal(result.eligible, true);
+  assert.equal(result.amount, 200);
+});
+
+test('refunds approved payments cancelled in time', () => {
+  const result = evaluateRefundEligibility({ status: 'captured', amount: 200 }, event, DEFAULT_REFUND_POLICY, now);
+
+  assert.equal(result.eligible, true);
+  assert.equal(result.amount, 200);
+});
+
+test('does not refund a UTR that was never verified', () => {
+  const payment = { status: 'created', amount: 200, method: 'offline', utrNumber: '512345678901' };
+
+  assert.equal(getRefundBlocker(payment, { status: 'cancelled' }, DEFAULT_REFUND_POLICY), 'No money was received for this payment');
+  assert.equal(getRefundBlocker({ ...payment, status: 'captured' }, { status: 'cancelled' }, DEFAULT_REFUND_POLICY), null);
+});
+
+test('lets rejected payments be refunded only when the policy allows it', () => {
+  const payment = { status: 'failed', amount: 200, method: 'offline', utrNumber: '512345678901' };
+
+  assert.equal(getRefundBlocker(payment, null, DEFAULT_REFUND_POLICY), 'No money was received for this payment');
+  assert.equal(getRefundBlocker(payment, null, { ...DEFAULT_REFUND_POLICY, refundRejectedPayments: true }), null);
+});
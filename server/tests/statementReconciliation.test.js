@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatementDate } from '../utils/statementReconciliation.js';
+
+test('reads dd/mm/yyyy as an IST day, not mm/dd', () => {
+  assert.equal(parseStatementDate('12/11/2025').toISOString(), '2025-11-11T18:30:00.000Z');
+  assert.equal(parseStatementDate('03-02-25').toISOString(), '2025-02-02T18:30:00.000Z');
+});
+
+test('reads dd/mm/yyyy with a time as IST', () => {
+  assert.equal(parseStatementDate('12/11/2025 10:30 AM').toISOString(), '2025-11-12T05:00:00.000Z');
+  assert.equal(parseStatementDate('12/11/2025 2:05:09 PM').toISOString(), '2025-11-12T08:35:09.000Z');
+  assert.equal(parseStatementDate('12/11/2025 12:15 am').toISOString(), '2025-11-11T18:45:00.000Z');
+  assert.equal(parseStatementDate('12.11.2025 18:45').toISOString(), '2025-11-12T13:15:00.000Z');
+});
+
+test('rejects dates that do not exist', () => {
+  assert.equal(parseStatementDate('31/02/2025'), null);
+  assert.equal(parseStatementDate('not a date'), null);
+});
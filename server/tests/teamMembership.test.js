@@ -0,0 +1,74 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EventMembership from '../models/EventMembership.js';
+import Registration from '../models/Registration.js';
+import { claimMemberships } from '../utils/teamMembership.js';
+
+// In-memory stand-in for the EventMembership collection and its unique (event, key) index
+const claims = new Map();
+const registrations = new Map();
+
+beforeEach(() => {
+  claims.clear();
+  registrations.clear();
+  mock.restoreAll();
+
+  mock.method(EventMembership, 'create', async ({ event, key, registration }) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    const id = `${event}|${key}`;
+    if (claims.has(id)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    claims.set(id, { _id: id, event, key, registration, createdAt: new Date() });
+  });
+  mock.method(EventMembership, 'findOne', async ({ event, key }) => claims.get(`${event}|${key}`) || null);
+  mock.method(EventMembership, 'deleteOne', async ({ _id }) => claims.delete(_id));
+  mock.method(EventMembership, 'deleteMany', async ({ registration }) => {
+    for (const [id, claim] of claims) {
+      if (claim.registration === registration) claims.delete(id);
+    }
+  });
+  mock.method(Registration, 'findById', (id) => ({
+    select: () => ({ populate: async () => registrations.get(id) || null })
+  }));
+});
+
+const alice = { name: 'Alice', email: 'Alice@example.com', phone: '+91 98765 43210' };
+const bob = { name: 'Bob', email: 'bob@example.com', phone: '9123456789' };
+
+test('lets only one of two simultaneous registrations include the same person', async () => {
+  const results = await Promise.all([
+    claimMemberships('event1', 'regA', [alice]),
+    claimMemberships('event1', 'regB', [bob, alice])
+  ]);
+
+  assert.equal(results.filter((conflicts) => conflicts.length === 0).length, 1);
+  const loser = results[0].length > 0 ? 'regA' : 'regB';
+  assert.equal([...claims.values()].some((claim) => claim.registration === loser), false);
+});
+
+test('reports who already holds the person', async () => {
+  registrations.set('regA', {
+    _id: 'regA',
+    user: alice,
+    teamName: 'Byte Me',
+    teamMembers: [{ ...alice }, { name: 'Carol', email: 'carol@example.com', phone: '9000000000', inviteStatus: 'pending' }],
+    registrationNumber: 'SAV2025-0001',
+    status: 'registered'
+  });
+  assert.deepEqual(await claimMemberships('event1', 'regA', [alice]), []);
+
+  const [conflict] = await claimMemberships('event1', 'regB', [{ name: 'Alice', email: 'alice@example.com' }]);
+  assert.equal(conflict.matchedOn, 'email');
+  assert.equal(conflict.existing.role, 'leader');
+  assert.equal(conflict.existing.teamName, 'Byte Me');
+});
+
+test('takes over a claim whose registration was cancelled', async () => {
+  registrations.set('regA', { _id: 'regA', user: alice, teamMembers: [], registrationNumber: 'SAV2025-0001', status: 'registered' });
+  await claimMemberships('event1', 'regA', [alice]);
+  registrations.get('regA').status = 'cancelled';
+
+  assert.deepEqual(await claimMemberships('event1', 'regB', [alice]), []);
+  assert.equal(claims.get('event1|email:alice@example.com').registration, 'regB');
+});
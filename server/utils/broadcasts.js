@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import Registration from '../models/Registration.js';
+import User from '../models/User.js';
+import Event from '../models/Event.js';
+import { queueEmails } from './emailQueue.js';
+import { renderEmail } from './emailRegistry.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Admin broadcasts
+ *
+ * A broadcast is one message sent to a segment:
+ *   - participants: everyone on a registration (leader and team members who
+ *     haven't declined), narrowed by event, payment status, check-in and college
+ *   - users: every verified participant account, optionally by college
+ * Each recipient gets their own outbox email (Notification type 'update').
+ */
+
+export const PAYMENT_STATUSES = ['pending', 'verification_pending', 'completed', 'failed', 'refunded'];
+export const MAX_SUBJECT_LENGTH = 150;
+export const MAX_MESSAGE_LENGTH = 5000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check a segment and fill in defaults
+ * @param {Object} segment - { audience, event, paymentStatus, checkedIn, college }
+ * @returns {Promise<Object>} - Normalized segment, with the event document when one is targeted
+ */
+export const normalizeSegment = async (segment = {}) => {
+  const audience = segment.audience || 'participants';
+  if (!['participants', 'users'].includes(audience)) {
+    throw httpError('Audience must be participants or users');
+  }
+
+  const college = typeof segment.college === 'string' ? segment.college.trim() : '';
+
+  if (audience === 'users') {
+    return { audience, college };
+  }
+
+  const { paymentStatus, checkedIn } = segment;
+  if (paymentStatus && !PAYMENT_STATUSES.includes(paymentStatus)) {
+    throw httpError('Invalid payment status');
+  }
+  if (checkedIn && !['yes', 'no'].includes(checkedIn)) {
+    throw httpError('Checked in must be yes or no');
+  }
+
+  let event = null;
+  if (segment.event) {
+    if (!mongoose.isValidObjectId(segment.event)) {
+      throw httpError('Invalid event');
+    }
+    event = await Event.findById(segment.event).select('name');
+    if (!event) {
+      throw httpError('Event not found', 404);
+    }
+  }
+
+  return { audience, event, paymentStatus: paymentStatus || '', checkedIn: checkedIn || '', college };
+};
+
+/**
+ * Everyone a segment reaches, one entry per email address
+ * @param {Object} segment - Normalized segment (from normalizeSegment)
+ * @returns {Promise<Array<{ user: string, name: string, email: string, college: string }>>}
+ */
+export const resolveRecipients = async (segment) => {
+  const collegePattern = segment.college ? new RegExp(escapeRegex(segment.college), 'i') : null;
+  const recipients = new Map();
+  const add = (person) => {
+    const key = person.email?.toLowerCase();
+    if (!key || recipients.has(key)) return;
+    if (collegePattern && !collegePattern.test(person.college || '')) return;
+    recipients.set(key, person);
+  };
+
+  if (segment.audience === 'users') {
+    const users = await User.find({ role: 'user', isEmailVerified: true }).select('name email college');
+    users.forEach((user) => add({ user: user._id, name: user.name, email: user.email, college: user.college }));
+    return [...recipients.values()];
+  }
+
+  const filter = { status: { $ne: 'cancelled' } };
+  if (segment.event) filter.event = segment.event._id;
+  if (segment.paymentStatus) filter.paymentStatus = segment.paymentStatus;
+  if (segment.checkedIn) filter.checkedIn = segment.checkedIn === 'yes';
+
+  const registrations = await Registration.find(filter)
+    .populate('user', 'name email college')
+    .select('user teamMembers');
+
+  for (const registration of registrations) {
+    if (registration.user) {
+      add({ user: registration.user._id, name: registration.user.name, email: registration.user.email, college: registration.user.college });
+    }
+    registration.teamMembers
+      .filter((member) => member.inviteStatus !== 'declined')
+      .forEach((member) => add({ user: member.user, name: member.name, email: member.email, college: member.college }));
+  }
+
+  return [...recipients.values()];
+};
+
+const validateMessage = ({ subject, message }) => {
+  const trimmedSubject = typeof subject === 'string' ? subject.trim() : '';
+  const trimmedMessage = typeof message === 'string' ? message.trim() : '';
+
+  if (!trimmedSubject || !trimmedMessage) {
+    throw httpError('Subject and message are required');
+  }
+  if (trimmedSubject.length > MAX_SUBJECT_LENGTH) {
+    throw httpError(`Subject must be at most ${MAX_SUBJECT_LENGTH} characters`);
+  }
+  if (trimmedMessage.length > MAX_MESSAGE_LENGTH) {
+    throw httpError(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  return { subject: trimmedSubject, message: trimmedMessage };
+};
+
+/**
+ * Recipient count, a sample of recipients and the rendered email, without sending anything
+ * @param {Object} options - { segment, subject, message }
+ * @returns {Promise<{ count: number, recipients: Array, preview: Object }>}
+ */
+export const previewBroadcast = async ({ segment, subject, message }) => {
+  const content = validateMessage({ subject, message });
+  const normalized = await normalizeSegment(segment);
+  const recipients = await resolveRecipients(normalized);
+
+  return {
+    count: recipients.length,
+    recipients: recipients.slice(0, 20).map(({ name, email, college }) => ({ name, email, college })),
+    preview: renderEmail('broadcast', {
+      ...content,
+      userName: recipients[0]?.name,
+      eventName: normalized.event?.name
+    })
+  };
+};
+
+/**
+ * Queue a broadcast for every recipient in the segment
+ * @param {Object} options - { segment, subject, message }
+ * @returns {Promise<{ queued: number }>}
+ */
+export const sendBroadcast = async ({ segment, subject, message }) => {
+  const content = validateMessage({ subject, message });
+  const normalized = await normalizeSegment(segment);
+  const recipients = await resolveRecipients(normalized);
+
+  if (recipients.length === 0) {
+    throw httpError('No recipients match this segment');
+  }
+
+  const emails = recipients.map((person) => ({
+    email: person.email,
+    user: person.user,
+    ...renderEmail('broadcast', { ...content, userName: person.name, eventName: normalized.event?.name })
+  }));
+
+  const queued = await queueEmails(emails, { type: 'update', relatedEvent: normalized.event?._id });
+  return { queued };
+};
+
+export default {
+  PAYMENT_STATUSES,
+  normalizeSegment,
+  resolveRecipients,
+  previewBroadcast,
+  sendBroadcast
+};
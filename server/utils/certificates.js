@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+import Certificate from '../models/Certificate.js';
+import CertificateTemplate from '../models/CertificateTemplate.js';
+import Registration from '../models/Registration.js';
+import User from '../models/User.js';
+import { normalizeEmail } from './teamMembership.js';
+import { formatPosition } from './results.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Participation and winner certificates
+ *
+ * Issuing creates one Certificate per person - the registering participant
+ * plus their team members - for every attended registration (participation)
+ * or every registration in the event's results (winner). Re-issuing keeps
+ * existing certificate IDs, so printed verification links stay valid, and
+ * removes certificates of people no longer eligible.
+ *
+ * PDFs are drawn on demand from the event's template: an optional background
+ * image with fields placed at percentage positions of the page.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PAGE_SIZES = {
+  landscape: [841.89, 595.28],
+  portrait: [595.28, 841.89]
+};
+
+// Used until an admin saves a template for the event
+const DEFAULT_FIELDS = {
+  participation: [
+    { key: 'text', text: 'SAVISHKAR 2025', y: 12, fontSize: 20, font: 'Helvetica-Bold', color: '#FA812F' },
+    { key: 'text', text: 'CERTIFICATE OF PARTICIPATION', y: 20, fontSize: 32, font: 'Times-Bold', color: '#5C4033' },
+    { key: 'text', text: 'This is to certify that', y: 35, fontSize: 16, font: 'Times-Italic' },
+    { key: 'name', y: 43, fontSize: 34, font: 'Times-Bold' },
+    { key: 'college', y: 54, fontSize: 14 },
+    { key: 'text', text: 'has participated in {event} held on {date}.', y: 62, fontSize: 16, font: 'Times-Roman' },
+    { key: 'text', text: 'Certificate ID: {certificateId}', x: 6, y: 90, width: 50, fontSize: 9, align: 'left', color: '#5C4033' },
+    { key: 'qr', x: 85, y: 76, fontSize: 70 }
+  ],
+  winner: [
+    { key: 'text', text: 'SAVISHKAR 2025', y: 12, fontSize: 20, font: 'Helvetica-Bold', color: '#FA812F' },
+    { key: 'text', text: 'CERTIFICATE OF ACHIEVEMENT', y: 20, fontSize: 32, font: 'Times-Bold', color: '#5C4033' },
+    { key: 'text', text: 'This is to certify that', y: 35, fontSize: 16, font: 'Times-Italic' },
+    { key: 'name', y: 43, fontSize: 34, font: 'Times-Bold' },
+    { key: 'college', y: 54, fontSize: 14 },
+    { key: 'text', text: 'secured {position} in {event} held on {date}.', y: 62, fontSize: 16, font: 'Times-Roman' },
+    { key: 'text', text: 'Certificate ID: {certificateId}', x: 6, y: 90, width: 50, fontSize: 9, align: 'left', color: '#5C4033' },
+    { key: 'qr', x: 85, y: 76, fontSize: 70 }
+  ]
+};
+
+const FIELD_DEFAULTS = { x: 10, y: 50, width: 80, fontSize: 20, font: 'Helvetica', color: '#2C1810', align: 'center' };
+
+/**
+ * Public page where anyone can check a certificate
+ * @param {string} certificateId - Certificate ID
+ * @returns {string}
+ */
+export const getVerifyUrl = (certificateId) => {
+  return `${process.env.CLIENT_URL || 'http://localhost:5173'}/certificates/verify/${certificateId}`;
+};
+
+const generateCertificateId = () => `SAV25-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+/**
+ * Saved template of an event, or the default design
+ * @param {string} eventId - Event ID
+ * @param {string} type - 'participation' or 'winner'
+ * @returns {Promise<Object>} - Template (isDefault is true when none is saved)
+ */
+export const getCertificateTemplate = async (eventId, type) => {
+  const template = await CertificateTemplate.findOne({ event: eventId, type }).lean();
+  return template || { event: eventId, type, orientation: 'landscape', fields: DEFAULT_FIELDS[type], isDefault: true };
+};
+
+// Background bytes from Cloudinary or the local uploads folder, as a JPEG PDFKit can embed
+const loadBackground = async (source) => {
+  let buffer;
+  const localMatch = source.match(/\/uploads\/events\/([^/?#]+)$/);
+  if (/^https?:\/\//i.test(source) && !localMatch) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Could not download certificate background (${response.status})`);
+    }
+    buffer = Buffer.from(await response.arrayBuffer());
+  } else {
+    buffer = await fs.promises.readFile(
+      path.join(__dirname, '..', 'uploads', 'events', path.basename(localMatch ? localMatch[1] : source))
+    );
+  }
+  return sharp(buffer).flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer();
+};
+
+const certificateValues = (certificate, event) => ({
+  name: certificate.recipientName,
+  event: event.name,
+  college: certificate.college || '',
+  teamName: certificate.teamName || '',
+  position: certificate.position ? formatPosition(certificate.position, certificate.positionTitle) : '',
+  category: certificate.registrationCategory || event.category || '',
+  date: event.date ? new Date(event.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }) : '',
+  certificateId: certificate.certificateId
+});
+
+const fillText = (text, values) => String(text || '').replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+// The bordered design drawn when the template has no background image
+const drawDefaultBackground = (doc, width, height) => {
+  doc.rect(0, 0, width, height).fill('#FEF3E2');
+  doc.rect(20, 20, width - 40, height - 40).lineWidth(4).stroke('#5C4033');
+  doc.rect(32, 32, width - 64, height - 64).lineWidth(1.5).stroke('#FA812F');
+};
+
+const drawCertificatePage = async (doc, { certificate, event, template, background }) => {
+  const [width, height] = PAGE_SIZES[template.orientation] || PAGE_SIZES.landscape;
+  const values = certificateValues(certificate, event);
+
+  if (background) {
+    doc.image(background, 0, 0, { width, height });
+  } else {
+    drawDefaultBackground(doc, width, height);
+  }
+
+  for (const rawField of template.fields) {
+    const field = { ...FIELD_DEFAULTS, ...rawField };
+    const x = (field.x / 100) * width;
+    const y = (field.y / 100) * height;
+
+    if (field.key === 'qr') {
+      const qr = await QRCode.toBuffer(getVerifyUrl(certificate.certificateId), { margin: 1, width: 300 });
+      doc.image(qr, x, y, { width: field.fontSize, height: field.fontSize });
+      continue;
+    }
+
+    const value = field.key === 'text' ? fillText(field.text, values) : values[field.key];
+    if (!value) continue;
+
+    doc.font(field.font).fontSize(field.fontSize).fillColor(field.color)
+      .text(value, x, y, { width: (field.width / 100) * width, align: field.align });
+  }
+};
+
+/**
+ * Draw certificates into one PDF, a page each
+ * @param {Array} certificates - Certificate documents
+ * @param {Object} options - { event, template }
+ * @returns {Promise<Buffer>}
+ */
+export const renderCertificatesPDF = async (certificates, { event, template }) => {
+  const size = PAGE_SIZES[template.orientation] || PAGE_SIZES.landscape;
+  const doc = new PDFDocument({ size, margin: 0, autoFirstPage: false, info: { Title: `${event.name} certificates` } });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // Opened once so every page reuses the same embedded image
+  const background = template.backgroundUrl ? doc.openImage(await loadBackground(template.backgroundUrl)) : null;
+
+  for (const certificate of certificates) {
+    doc.addPage({ size, margin: 0 });
+    await drawCertificatePage(doc, { certificate, event, template, background });
+  }
+
+  doc.end();
+  return done;
+};
+
+// Everyone on a registration: the registering user, then team members who accepted their invite
+// or checked in on their own member registration (checkedInUsers)
+const registrationPeople = (registration, checkedInUsers) => {
+  const people = [];
+  if (registration.user?.email) {
+    people.push({ name: registration.user.name, email: registration.user.email, college: registration.user.college, user: registration.user._id });
+  }
+  for (const member of registration.teamMembers || []) {
+    const checkedIn = member.user && checkedInUsers.has(member.user.toString());
+    if (member.inviteStatus !== 'accepted' && !checkedIn) continue;
+    people.push({ name: member.name, email: member.email, college: member.college, user: member.user });
+  }
+  return people;
+};
+
+/**
+ * Issue (or refresh) the certificates of an event
+ * @param {Object} event - Event document
+ * @param {string} type - 'participation' (attended registrations) or 'winner' (event results)
+ * @param {Object} admin - Admin issuing them
+ * @returns {Promise<{ issued: number, updated: number, removed: number, total: number }>}
+ */
+export const issueCertificates = async (event, type, admin) => {
+  let entries;
+  if (type === 'winner') {
+    if (!event.results?.length) {
+      throw httpError('Add the results of this event before issuing winner certificates');
+    }
+    const registrations = await Registration.find({
+      _id: { $in: event.results.map((result) => result.registration) },
+      status: { $ne: 'cancelled' }
+    }).populate('user', 'name email college');
+    const byId = new Map(registrations.map((registration) => [registration._id.toString(), registration]));
+    entries = event.results
+      .filter((result) => byId.has(result.registration.toString()))
+      .map((result) => ({ registration: byId.get(result.registration.toString()), position: result.position, positionTitle: result.title }));
+  } else {
+    const registrations = await Registration.find({ event: event._id, status: 'attended' })
+      .populate('user', 'name email college');
+    entries = registrations.map((registration) => ({ registration }));
+  }
+
+  // Team members with their own (member) registration for this event that was checked in
+  const checkedInMembers = await Registration.find({
+    event: event._id,
+    isTeamLeader: false,
+    $or: [{ checkedIn: true }, { status: 'attended' }]
+  }).select('user');
+  const checkedInUsers = new Set(checkedInMembers.map((registration) => registration.user.toString()));
+
+  // Link recipients to their accounts where one exists
+  const recipients = new Map();
+  for (const { registration, position, positionTitle } of entries) {
+    for (const person of registrationPeople(registration, checkedInUsers)) {
+      const email = normalizeEmail(person.email);
+      if (!email || recipients.has(email)) continue;
+      recipients.set(email, {
+        ...person,
+        email,
+        registration: registration._id,
+        teamName: registration.teamName,
+        registrationCategory: registration.registrationCategory,
+        position,
+        positionTitle
+      });
+    }
+  }
+
+  const accounts = await User.find({ email: { $in: [...recipients.keys()] } }).select('_id email');
+  const accountByEmail = new Map(accounts.map((account) => [normalizeEmail(account.email), account._id]));
+
+  let issued = 0;
+  let updated = 0;
+  for (const [email, person] of recipients) {
+    const result = await Certificate.findOneAndUpdate(
+      { event: event._id, type, recipientEmail: email },
+      {
+        $set: {
+          recipientName: person.name,
+          college: person.college,
+          user: person.user || accountByEmail.get(email),
+          registration: person.registration,
+          teamName: person.teamName,
+          registrationCategory: person.registrationCategory,
+          position: person.position,
+          positionTitle: person.positionTitle
+        },
+        $setOnInsert: { certificateId: generateCertificateId(), issuedAt: new Date(), issuedBy: admin._id }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    if (result.lastErrorObject?.updatedExisting) {
+      updated++;
+    } else {
+      issued++;
+    }
+  }
+
+  // No longer attended / no longer among the winners
+  const { deletedCount: removed } = await Certificate.deleteMany({
+    event: event._id,
+    type,
+    recipientEmail: { $nin: [...recipients.keys()] }
+  });
+
+  console.log(`📜 ${type} certificates for ${event.name}: ${issued} issued, ${updated} updated, ${removed} removed`);
+
+  return { issued, updated, removed, total: recipients.size };
+};
+
+export default {
+  getVerifyUrl,
+  getCertificateTemplate,
+  renderCertificatesPDF,
+  issueCertificates
+};
@@ -0,0 +1,166 @@
+import Coupon from '../models/Coupon.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Coupon / discount codes on registration fees
+ *
+ * A coupon takes a percent or flat amount off the fee, for one event or all of
+ * them, within a validity window, usage limits and optional college list.
+ * Redemptions are recorded on the coupon; cancelling a registration or
+ * rejecting its payment releases the use so the code can be used again.
+ */
+
+/**
+ * Normalize a typed coupon code
+ * @param {*} code - Code as entered
+ * @returns {string}
+ */
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Discount a coupon gives on an amount (never more than the amount)
+ * @param {Object} coupon - Coupon document
+ * @param {number} amount - Fee in ₹
+ * @returns {number} - Discount in ₹
+ */
+export const calculateDiscount = (coupon, amount) => {
+  let discount = coupon.discountType === 'percent'
+    ? Math.round((amount * coupon.discountValue) / 100)
+    : coupon.discountValue;
+
+  if (coupon.discountType === 'percent' && coupon.maxDiscount > 0) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return Math.max(0, Math.min(discount, amount));
+};
+
+const activeRedemptionsBy = (coupon, userId) => {
+  return coupon.redemptions.filter((redemption) =>
+    !redemption.releasedAt && redemption.user?.toString() === userId.toString()
+  ).length;
+};
+
+/**
+ * Check a coupon code for a registration and work out the discount
+ * @param {string} code - Coupon code as entered
+ * @param {Object} options - { event, user, amount (fee before discount) }
+ * @returns {Promise<{ coupon: Object, discount: number, originalAmount: number, finalAmount: number }>}
+ */
+export const evaluateCoupon = async (code, { event, user, amount }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+
+  if (!coupon || !coupon.isActive) {
+    throw httpError('This coupon code is not valid');
+  }
+
+  if (coupon.event && coupon.event.toString() !== event._id.toString()) {
+    throw httpError(`Coupon ${coupon.code} can't be used for ${event.name}`);
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw httpError(`Coupon ${coupon.code} can be used from ${coupon.validFrom.toLocaleDateString('en-IN')}`);
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw httpError(`Coupon ${coupon.code} has expired`);
+  }
+
+  if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(`Coupon ${coupon.code} has been fully used`);
+  }
+
+  if (activeRedemptionsBy(coupon, user._id) >= coupon.perUserLimit) {
+    throw httpError(`You have already used coupon ${coupon.code}`);
+  }
+
+  if (coupon.allowedColleges.length > 0) {
+    const college = String(user.college || '').trim().toLowerCase();
+    if (!coupon.allowedColleges.some((allowed) => allowed.trim().toLowerCase() === college)) {
+      throw httpError(`Coupon ${coupon.code} is only for students of ${coupon.allowedColleges.join(', ')}`);
+    }
+  }
+
+  if (!amount || amount <= 0) {
+    throw httpError('This registration is already free');
+  }
+
+  const discount = calculateDiscount(coupon, amount);
+  return { coupon, discount, originalAmount: amount, finalAmount: amount - discount };
+};
+
+/**
+ * Record a redemption, re-checking the limits atomically so two registrations
+ * can't both take the last use
+ * @param {Object} options - { coupon, user, registrationId, event, originalAmount, discount }
+ * @returns {Promise<Object>} - Updated coupon
+ */
+export const redeemCoupon = async ({ coupon, user, registrationId, event, originalAmount, discount }) => {
+  const userRedemptions = {
+    $size: {
+      $filter: {
+        input: '$redemptions',
+        cond: { $and: [{ $eq: ['$$this.user', user._id] }, { $eq: [{ $ifNull: ['$$this.releasedAt', null] }, null] }] }
+      }
+    }
+  };
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $expr: {
+        $and: [
+          { $or: [{ $lte: ['$usageLimit', 0] }, { $lt: ['$usedCount', '$usageLimit'] }] },
+          { $lt: [userRedemptions, '$perUserLimit'] }
+        ]
+      }
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: {
+        redemptions: {
+          user: user._id,
+          registration: registrationId,
+          event: event._id,
+          originalAmount,
+          discount,
+          redeemedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw httpError(`Coupon ${coupon.code} is no longer available`, 409);
+  }
+
+  console.log(`🏷️ Coupon ${coupon.code} redeemed by ${user.email}: ₹${discount} off ₹${originalAmount}`);
+  return updated;
+};
+
+/**
+ * Give back the coupon use of a registration that was cancelled or removed
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<Object|null>} - Updated coupon, or null if the registration used none
+ */
+export const releaseCouponRedemption = async (registrationId) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    { redemptions: { $elemMatch: { registration: registrationId, releasedAt: { $exists: false } } } },
+    { $set: { 'redemptions.$.releasedAt': new Date() }, $inc: { usedCount: -1 } },
+    { new: true }
+  );
+
+  if (coupon) {
+    console.log(`🏷️ Coupon ${coupon.code} use released for registration ${registrationId}`);
+  }
+  return coupon;
+};
+
+export default {
+  normalizeCouponCode,
+  calculateDiscount,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCouponRedemption
+};
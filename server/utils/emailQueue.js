@@ -0,0 +1,108 @@
+import { EventEmitter } from 'events';
+import Notification from '../models/Notification.js';
+
+/**
+ * Email outbox
+ *
+ * Emails are stored as Notification documents (status 'pending') before
+ * anything is sent, so a crash, restart or SMTP outage can't lose them.
+ * services/emailOutbox.js drains the outbox: it sends one email at a time,
+ * keeps each SMTP account under its rate limit, retries failures with
+ * backoff and marks emails 'failed' once they run out of attempts.
+ * Admins can inspect and resend failed emails from the dashboard.
+ *
+ * An email queued for a user with a summary (participant notices rendered
+ * from the registry) is also flagged for that user's in-app inbox.
+ */
+
+// Lets the worker start sending as soon as something is queued instead of waiting for its next poll
+export const outboxEvents = new EventEmitter();
+
+/**
+ * Add an email to the outbox
+ * @param {Object} email - { email, subject, html, text, summary, attachments }
+ * @param {Object} meta - { type, user, relatedEvent, relatedRegistration } stored on the notification
+ * @returns {Promise<Object>} - The queued Notification
+ */
+export const queueEmail = async ({ email, subject, html, text, summary, attachments }, meta = {}) => {
+  const notification = await Notification.create({
+    type: 'update',
+    ...meta,
+    email,
+    subject,
+    content: html,
+    text,
+    summary,
+    inbox: Boolean(meta.user && summary),
+    attachments: (attachments || []).map(({ filename, content, contentType, cid }) => ({ filename, content, contentType, cid })),
+    status: 'pending',
+    nextAttemptAt: new Date()
+  });
+
+  console.log(`📬 Email queued for ${email}: ${subject}`);
+  outboxEvents.emit('queued');
+  return notification;
+};
+
+/**
+ * Add many emails to the outbox in one write (broadcasts)
+ * @param {Array<Object>} emails - [{ email, subject, html, text, summary, user }]
+ * @param {Object} meta - { type, relatedEvent } shared by every notification
+ * @returns {Promise<number>} - Emails queued
+ */
+export const queueEmails = async (emails, meta = {}) => {
+  if (emails.length === 0) return 0;
+
+  const now = new Date();
+  const notifications = await Notification.insertMany(emails.map(({ email, subject, html, text, summary, user }) => ({
+    type: 'update',
+    ...meta,
+    user,
+    email,
+    subject,
+    content: html,
+    text,
+    summary,
+    inbox: Boolean(user && summary),
+    status: 'pending',
+    nextAttemptAt: now
+  })));
+
+  console.log(`📬 ${notifications.length} emails queued: ${emails[0].subject}`);
+  outboxEvents.emit('queued');
+  return notifications.length;
+};
+
+/**
+ * Number of emails waiting to be sent (including ones waiting for a retry)
+ * @returns {Promise<number>}
+ */
+export const getEmailQueueLength = () => Notification.countDocuments({ status: 'pending' });
+
+/**
+ * Put failed emails back in the outbox with a fresh set of attempts
+ * @param {Object} filter - Which notifications to resend (only failed or sent ones are touched)
+ * @returns {Promise<number>} - Emails requeued
+ */
+export const requeueEmails = async (filter) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { ...filter, status: { $in: ['failed', 'sent'] } },
+    {
+      $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { error: 1, lockedUntil: 1 }
+    }
+  );
+
+  if (modifiedCount > 0) {
+    outboxEvents.emit('queued');
+  }
+  return modifiedCount;
+};
+
+export default {
+  outboxEvents,
+  queueEmail,
+  queueEmails,
+  getEmailQueueLength,
+  requeueEmails
+};
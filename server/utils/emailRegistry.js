@@ -0,0 +1,473 @@
+import {
+  otpEmailTemplate,
+  welcomeEmailTemplate,
+  passwordResetTemplate,
+  userCodeTemplate,
+  newOtpTemplate,
+  accountCreatedTemplate,
+  registrationConfirmedTemplate,
+  adminRegistrationTemplate,
+  teamMemberRegisteredTemplate,
+  teamInviteTemplate,
+  teamInviteResponseTemplate,
+  waitlistJoinedTemplate,
+  waitlistPromotedTemplate,
+  paymentApprovedTemplate,
+  paymentRejectedTemplate,
+  onlinePaymentConfirmedTemplate,
+  passApprovedTemplate,
+  passRejectedTemplate,
+  refundRequestedTemplate,
+  refundApprovedTemplate,
+  refundDeniedTemplate,
+  resultWinnerTemplate,
+  participantDriftTemplate,
+  broadcastTemplate,
+  eventReminderTemplate
+} from './emailTemplates.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Email template registry
+ *
+ * Every transactional email is rendered by name from here, so subject,
+ * HTML (laid out by emailWrapper) and the plain-text alternative always
+ * come from the same place:
+ *
+ *   await queueEmail({ email, ...renderEmail('waitlist-joined', { ... }) }, meta);
+ *
+ * Each entry lists the variables it needs and sample values, which the
+ * admin preview endpoint uses to render any template without real data.
+ * Entries with a `summary` are notices to participants: the one-line
+ * plain-text summary is stored with the email and shown in their in-app inbox.
+ */
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+const SAMPLE_DATE = '2025-03-15';
+
+const templates = {
+  'email-verification': {
+    description: 'OTP sent after signup, and when an unverified account tries to log in',
+    required: ['otp'],
+    subject: () => 'Verify Your Email - Savishkar 2025',
+    html: ({ otp, userName }) => otpEmailTemplate(otp, userName),
+    sample: () => ({ otp: '482913', userName: 'Aarav Patil' })
+  },
+  'otp-resend': {
+    description: 'New OTP requested from the verification page',
+    required: ['otp'],
+    subject: () => 'New OTP Request - Savishkar 2025',
+    html: ({ otp, userName }) => newOtpTemplate(otp, userName),
+    sample: () => ({ otp: '905127', userName: 'Aarav Patil' })
+  },
+  welcome: {
+    description: 'Email verified - welcome with the unique user code',
+    required: ['userCode'],
+    subject: () => 'Welcome to Savishkar 2025 - Your Unique Code',
+    html: ({ userName, userCode }) => welcomeEmailTemplate(userName, userCode),
+    sample: () => ({ userName: 'Aarav Patil', userCode: 'SAV-AP-4821' })
+  },
+  'user-code': {
+    description: 'Unique code generated for an existing account on login',
+    required: ['userCode'],
+    subject: () => 'Your Savishkar 2025 Unique Code',
+    html: ({ userName, userCode }) => userCodeTemplate(userName, userCode),
+    sample: () => ({ userName: 'Aarav Patil', userCode: 'SAV-AP-4821' })
+  },
+  'password-reset': {
+    description: 'Password reset link',
+    required: ['resetUrl'],
+    subject: () => 'Password Reset - Savishkar 2025',
+    html: ({ resetUrl, userName }) => passwordResetTemplate(resetUrl, userName),
+    sample: () => ({ resetUrl: `${clientUrl()}/reset-password/sample-token`, userName: 'Aarav Patil' })
+  },
+  'account-created': {
+    description: 'Account created by an admin, with temporary login credentials (sent directly, never stored)',
+    required: ['email', 'tempPassword', 'userCode'],
+    subject: () => 'Welcome to Savishkar 2025 - Account Created',
+    html: accountCreatedTemplate,
+    sample: () => ({
+      userName: 'Sneha Kulkarni',
+      email: 'sneha@example.com',
+      tempPassword: 'Tmp#8k2Lq9',
+      userCode: 'SAV-SK-1937',
+      teamMember: false
+    })
+  },
+  'registration-confirmed': {
+    description: 'Participant registered for an event themselves',
+    required: ['eventName', 'registrationNumber'],
+    subject: ({ eventName }) => `Registration Confirmed - ${eventName}`,
+    summary: ({ eventName, registrationNumber }) => `You're registered for ${eventName} (${registrationNumber}).`,
+    html: registrationConfirmedTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      registrationNumber: 'SAV2025-0042',
+      eventDate: SAMPLE_DATE,
+      time: '10:00 AM',
+      venue: 'Lab 3, Main Building',
+      category: 'UG',
+      teamName: 'Null Pointers',
+      teamMembers: [
+        { name: 'Aarav Patil', email: 'aarav@example.com', phone: '9876543210', college: 'JCER' },
+        { name: 'Sneha Kulkarni', email: 'sneha@example.com', phone: '9876501234', college: 'JCER' }
+      ],
+      amount: 200,
+      paymentStatus: 'pending',
+      whatsappLink: 'https://chat.whatsapp.com/sample'
+    })
+  },
+  'admin-registration': {
+    description: 'Admin registered a participant (or team leader) for an event',
+    required: ['eventName', 'registrationNumber'],
+    subject: ({ eventName }) => `Event Registration - ${eventName}`,
+    summary: ({ eventName, registrationNumber }) => `The organisers registered you for ${eventName} (${registrationNumber}).`,
+    html: adminRegistrationTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      registrationNumber: 'SAV2025-0042',
+      eventDate: SAMPLE_DATE,
+      time: '10:00 AM',
+      venue: 'Lab 3, Main Building',
+      teamName: 'Null Pointers',
+      amount: 200,
+      paymentStatus: 'pending',
+      whatsappLink: 'https://chat.whatsapp.com/sample'
+    })
+  },
+  'team-member-registered': {
+    description: 'Team member of an admin-created team registration',
+    required: ['eventName', 'teamName'],
+    subject: ({ eventName }) => `Event Registration Confirmed - ${eventName}`,
+    summary: ({ eventName, teamName }) => `You're on team ${teamName} for ${eventName}.`,
+    html: teamMemberRegisteredTemplate,
+    sample: () => ({
+      userName: 'Sneha Kulkarni',
+      eventName: 'Code Sprint',
+      teamName: 'Null Pointers',
+      eventDate: SAMPLE_DATE,
+      time: '10:00 AM',
+      venue: 'Lab 3, Main Building',
+      whatsappLink: 'https://chat.whatsapp.com/sample'
+    })
+  },
+  'team-invite': {
+    description: 'Invitation to confirm a place on a team',
+    required: ['eventName', 'inviteUrl'],
+    subject: ({ eventName }) => `Team Invitation - ${eventName}`,
+    summary: ({ leaderName, eventName }) => `${leaderName || 'Your team leader'} invited you to their team for ${eventName}.`,
+    html: teamInviteTemplate,
+    sample: () => ({
+      memberName: 'Sneha Kulkarni',
+      leaderName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      teamName: 'Null Pointers',
+      eventDate: SAMPLE_DATE,
+      venue: 'Lab 3, Main Building',
+      inviteUrl: `${clientUrl()}/team-invite/sample-token`,
+      hasAccount: true
+    })
+  },
+  'team-invite-response': {
+    description: 'Team leader told that a member accepted or declined',
+    required: ['memberName', 'eventName'],
+    subject: ({ memberName, eventName, accepted }) => `${memberName} ${accepted ? 'joined' : 'declined'} your team - ${eventName}`,
+    summary: ({ memberName, eventName, accepted }) => `${memberName} ${accepted ? 'accepted' : 'declined'} your team invitation for ${eventName}.`,
+    html: teamInviteResponseTemplate,
+    sample: () => ({
+      leaderName: 'Aarav Patil',
+      memberName: 'Sneha Kulkarni',
+      eventName: 'Code Sprint',
+      teamName: 'Null Pointers',
+      accepted: true
+    })
+  },
+  'waitlist-joined': {
+    description: 'Event full - participant added to the waitlist',
+    required: ['eventName', 'registrationNumber'],
+    subject: ({ eventName }) => `Waitlisted - ${eventName}`,
+    summary: ({ eventName, position }) => `${eventName} is full - you're on the waitlist${position ? ` at position ${position}` : ''}.`,
+    html: ({ userName, eventName, registrationNumber, position }) =>
+      waitlistJoinedTemplate(userName, eventName, registrationNumber, position),
+    sample: () => ({ userName: 'Aarav Patil', eventName: 'Code Sprint', registrationNumber: 'SAV2025-0042', position: 3 })
+  },
+  'waitlist-promoted': {
+    description: 'A seat opened up for a waitlisted participant',
+    required: ['eventName', 'registrationNumber'],
+    subject: ({ eventName }) => `Seat Available - ${eventName}`,
+    summary: ({ eventName, amount }) => `A seat opened up in ${eventName}${amount > 0 ? ' - complete your payment to keep it' : ''}.`,
+    html: ({ userName, eventName, registrationNumber, amount }) =>
+      waitlistPromotedTemplate(userName, eventName, registrationNumber, amount),
+    sample: () => ({ userName: 'Aarav Patil', eventName: 'Code Sprint', registrationNumber: 'SAV2025-0042', amount: 200 })
+  },
+  'payment-approved': {
+    description: 'Offline (UTR) payment approved - entry pass inline (cid:entry-pass), receipt attached',
+    required: ['eventName', 'registrationNumber'],
+    subject: ({ eventName }) => `Payment Approved - ${eventName}`,
+    summary: ({ eventName }) => `Your payment for ${eventName} was approved. Your entry pass is ready.`,
+    html: paymentApprovedTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      utrNumber: '412345678901',
+      amount: 200,
+      eventDate: SAMPLE_DATE,
+      time: '10:00 AM',
+      venue: 'Lab 3, Main Building',
+      registrationNumber: 'SAV2025-0042'
+    })
+  },
+  'payment-rejected': {
+    description: 'Offline (UTR) payment rejected and the registration removed',
+    required: ['eventName', 'reason'],
+    subject: ({ eventName }) => `Payment Verification Failed - ${eventName}`,
+    summary: ({ eventName, reason }) => `Your payment for ${eventName} could not be verified: ${reason}`,
+    html: paymentRejectedTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      utrNumber: '412345678901',
+      amount: 200,
+      registrationNumber: 'SAV2025-0042',
+      reason: 'UTR number not found in our bank statement'
+    })
+  },
+  'online-payment-confirmed': {
+    description: 'Razorpay payment captured - entry pass inline (cid:entry-pass)',
+    required: ['eventName', 'registrationNumber'],
+    subject: ({ eventName }) => `Payment Confirmed - ${eventName}`,
+    summary: ({ eventName }) => `Your payment for ${eventName} was received. Your entry pass is ready.`,
+    html: onlinePaymentConfirmedTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      amount: 200,
+      paymentId: 'pay_SAMPLE123456',
+      eventDate: SAMPLE_DATE,
+      time: '10:00 AM',
+      venue: 'Lab 3, Main Building',
+      registrationNumber: 'SAV2025-0042'
+    })
+  },
+  'pass-approved': {
+    description: 'Combo pass payment approved - receipt attached',
+    required: ['passName', 'passNumber'],
+    subject: ({ passName }) => `Pass Activated - ${passName}`,
+    summary: ({ passName }) => `Your ${passName} is active.`,
+    html: passApprovedTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      passName: 'Tech Trio Pass',
+      passNumber: 'PASS2025-0007',
+      amount: 450,
+      utrNumber: '412345678901',
+      eventLimit: 3,
+      coverage: 'technical events'
+    })
+  },
+  'pass-rejected': {
+    description: 'Combo pass payment rejected',
+    required: ['passName', 'reason'],
+    subject: ({ passName }) => `Pass Payment Not Verified - ${passName}`,
+    summary: ({ passName, reason }) => `Your payment for ${passName} could not be verified: ${reason}`,
+    html: passRejectedTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      passName: 'Tech Trio Pass',
+      passNumber: 'PASS2025-0007',
+      amount: 450,
+      utrNumber: '412345678901',
+      reason: 'Amount paid does not match the pass price'
+    })
+  },
+  'refund-requested': {
+    description: 'Refund request received',
+    required: ['eventName'],
+    subject: ({ eventName }) => `Refund Requested - ${eventName}`,
+    summary: ({ eventName }) => `We received your refund request for ${eventName}.`,
+    html: ({ userName, eventName, amount }) => refundRequestedTemplate(userName, eventName, amount),
+    sample: () => ({ userName: 'Aarav Patil', eventName: 'Code Sprint', amount: 200 })
+  },
+  'refund-approved': {
+    description: 'Refund processed',
+    required: ['eventName'],
+    subject: ({ eventName }) => `Refund Processed - ${eventName}`,
+    summary: ({ eventName, amount }) => `Your refund${amount ? ` of ₹${amount}` : ''} for ${eventName} has been processed.`,
+    html: ({ userName, eventName, amount, utr, note }) => refundApprovedTemplate(userName, eventName, amount, utr, note),
+    sample: () => ({ userName: 'Aarav Patil', eventName: 'Code Sprint', amount: 200, utr: '512345678901', note: 'Refunded to your UPI ID' })
+  },
+  'refund-denied': {
+    description: 'Refund request declined',
+    required: ['eventName'],
+    subject: ({ eventName }) => `Refund Request Declined - ${eventName}`,
+    summary: ({ eventName, reason }) => `Your refund request for ${eventName} was declined${reason ? `: ${reason}` : '.'}`,
+    html: ({ userName, eventName, reason }) => refundDeniedTemplate(userName, eventName, reason),
+    sample: () => ({ userName: 'Aarav Patil', eventName: 'Code Sprint', reason: 'Refund window closed 48 hours before the event' })
+  },
+  'result-winner': {
+    description: 'Results published - sent to each winner',
+    required: ['eventName', 'position'],
+    subject: ({ eventName, position }) => `Congratulations! ${position} in ${eventName}`,
+    summary: ({ eventName, position }) => `You won ${position} in ${eventName}!`,
+    html: resultWinnerTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      position: '1st Place',
+      category: 'UG',
+      teamName: 'Null Pointers',
+      prize: '₹5,000'
+    })
+  },
+  'event-reminder': {
+    description: 'Reminder to a confirmed participant or team member before their event',
+    required: ['eventName', 'startsIn'],
+    subject: ({ eventName, startsIn }) => `Reminder: ${eventName} starts ${startsIn}`,
+    summary: ({ eventName, startsIn }) => `${eventName} starts ${startsIn}.`,
+    html: eventReminderTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      eventName: 'Code Sprint',
+      startsIn: 'in 24 hours',
+      eventDate: SAMPLE_DATE,
+      time: '10:00 AM',
+      venue: 'Lab 3, Main Building',
+      registrationNumber: 'SAV2025-0042',
+      teamName: 'Null Pointers',
+      userCode: 'SAV-AP-4821',
+      whatsappLink: 'https://chat.whatsapp.com/sample'
+    })
+  },
+  broadcast: {
+    description: 'Message composed by an admin for a segment of participants or users',
+    required: ['subject', 'message'],
+    subject: ({ subject }) => subject,
+    summary: ({ message }) => message.split('\n').map((line) => line.trim()).find(Boolean) || '',
+    html: broadcastTemplate,
+    sample: () => ({
+      userName: 'Aarav Patil',
+      subject: 'Venue change for Code Sprint',
+      message: 'Code Sprint has moved to Seminar Hall 2.\n\nPlease report by 9:30 AM with your college ID.',
+      eventName: 'Code Sprint'
+    })
+  },
+  'participant-drift': {
+    description: 'Admin report of corrected participant counts',
+    required: ['drift'],
+    subject: ({ drift }) => `Participant Count Drift - ${drift.length} event${drift.length === 1 ? '' : 's'}`,
+    html: ({ drift }) => participantDriftTemplate(drift),
+    sample: () => ({
+      drift: [
+        { name: 'Code Sprint', recorded: 42, actual: 40, maxParticipants: 50 },
+        { name: 'Robo Race', recorded: 30, actual: 31, maxParticipants: 30 }
+      ]
+    })
+  }
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape every string variable (including inside arrays and plain objects) before it goes into HTML
+const escapeVariables = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  }
+  if (Array.isArray(value)) {
+    return value.map(escapeVariables);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, escapeVariables(item)]));
+  }
+  return value;
+};
+
+const TEXT_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ' };
+
+/**
+ * Plain-text alternative of a rendered email
+ * @param {string} html - Rendered HTML
+ * @returns {string}
+ */
+export const htmlToText = (html) => html
+  .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/\s+/g, ' ')
+  .replace(/<img[^>]*>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    return text && text !== href ? `${text}: ${href}` : href;
+  })
+  .replace(/<li[^>]*>\s*/gi, '\n- ')
+  .replace(/<(br|\/tr)\s*\/?>/gi, '\n')
+  .replace(/<\/t[dh]>/gi, '  ')
+  .replace(/<\/(p|div|h[1-6]|ul|ol|table)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#\d+|\w+);/g, (match, code) => (
+    code.startsWith('#') ? String.fromCharCode(Number(code.slice(1))) : TEXT_ENTITIES[code] ?? match
+  ))
+  .split('\n')
+  .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Render a registered template
+ * @param {string} name - Template name
+ * @param {Object} variables - Template variables (strings are HTML-escaped)
+ * @returns {{ subject: string, html: string, text: string, summary?: string }}
+ */
+export const renderEmail = (name, variables = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw httpError(`Unknown email template: ${name}`, 404);
+  }
+
+  const missing = template.required.filter((key) => variables[key] === undefined || variables[key] === null || variables[key] === '');
+  if (missing.length > 0) {
+    throw httpError(`Email template ${name} is missing: ${missing.join(', ')}`);
+  }
+
+  const html = template.html(escapeVariables(variables));
+  return {
+    subject: template.subject(variables),
+    html,
+    text: htmlToText(html),
+    summary: template.summary?.(variables)
+  };
+};
+
+/**
+ * Render a template with its sample data, optionally overriding some variables
+ * @param {string} name - Template name
+ * @param {Object} overrides - Variables to use instead of the samples
+ * @returns {{ name: string, variables: Object, subject: string, html: string, text: string, summary?: string }}
+ */
+export const previewEmail = (name, overrides = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw httpError(`Unknown email template: ${name}`, 404);
+  }
+
+  const variables = { ...template.sample(), ...overrides };
+  return { name, variables, ...renderEmail(name, variables) };
+};
+
+/**
+ * Every registered template with its variables
+ * @returns {Array<{ name: string, description: string, variables: string[], required: string[] }>}
+ */
+export const listEmailTemplates = () => Object.entries(templates).map(([name, template]) => ({
+  name,
+  description: template.description,
+  variables: Object.keys(template.sample()),
+  required: template.required
+}));
+
+export default {
+  renderEmail,
+  previewEmail,
+  listEmailTemplates,
+  htmlToText
+};
@@ -308,11 +308,768 @@ export const newOtpTemplate = (otp, userName = 'User') => {
   return emailWrapper(content, 'New OTP Request - Savishkar 2025');
 };
 
+/**
+ * Waitlist Joined Email Template
+ */
+export const waitlistJoinedTemplate = (userName, eventName, registrationNumber, position) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">You're on the Waitlist</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;"><strong>${eventName}</strong> is currently full, so we've added you to the waitlist.</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Waitlist Position:</strong> <span style="color: #FA812F; font-size: 20px; font-weight: bold;">#${position}</span></p>
+    </div>
+    
+    <p style="color: #333333;">If a participant cancels, the next person on the waitlist gets their seat automatically and we'll email you right away. You don't need to pay anything until then.</p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}/dashboard" class="button">
+        View My Registrations
+      </a>
+    </div>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Waitlisted - ${eventName}`);
+};
+
+/**
+ * Waitlist Promotion Email Template
+ */
+export const waitlistPromotedTemplate = (userName, eventName, registrationNumber, amount) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">A Seat Opened Up! 🎉</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">Good news - a seat has freed up in <strong>${eventName}</strong> and you've been moved off the waitlist.</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>
+      ${amount > 0 ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount Due:</strong> ₹${amount}</p>` : ''}
+    </div>
+    
+    ${amount > 0 ? `
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Please complete your payment to confirm your seat.</p>
+    </div>
+    ` : `
+    <p style="color: #333333;">Your registration is confirmed - your entry pass is available on your dashboard.</p>
+    `}
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${clientUrl}/dashboard" class="button">
+        ${amount > 0 ? 'Complete Payment' : 'View My Registrations'}
+      </a>
+    </div>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Seat Available - ${eventName}`);
+};
+
+/**
+ * Team Invitation Email Template
+ * @param {Object} details - { memberName, leaderName, eventName, teamName, eventDate, venue, inviteUrl, hasAccount }
+ */
+export const teamInviteTemplate = ({ memberName, leaderName, eventName, teamName, eventDate, venue, inviteUrl, hasAccount }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">You're Invited to a Team! 🤝</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${memberName}</strong>,</p>
+    <p style="color: #333333;"><strong>${leaderName}</strong> has added you to their team for <strong>${eventName}</strong>. Please confirm whether you'll be taking part.</p>
+    
+    <div class="info-box">
+      ${teamName ? `<p style="margin: 0 0 10px 0; color: #333333;"><strong>Team:</strong> ${teamName}</p>` : ''}
+      <p style="margin: 0; color: #333333;"><strong>Event:</strong> ${eventName}</p>
+      ${eventDate ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Date:</strong> ${new Date(eventDate).toLocaleDateString('en-IN')}</p>` : ''}
+      ${venue ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Venue:</strong> ${venue}</p>` : ''}
+    </div>
+    
+    ${hasAccount ? '' : `
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">You don't have a Savishkar account yet. Sign up with this email address to accept - the invitation will be waiting on your dashboard.</p>
+    </div>
+    `}
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${inviteUrl}" class="button">
+        View Invitation
+      </a>
+    </div>
+    
+    <p style="color: #666666; font-size: 14px;">If you weren't expecting this, you can decline the invitation from the same link.</p>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Team Invitation - ${eventName}`);
+};
+
+/**
+ * Team Invitation Response Email Template (sent to the team leader)
+ * @param {Object} details - { leaderName, memberName, eventName, teamName, accepted }
+ */
+export const teamInviteResponseTemplate = ({ leaderName, memberName, eventName, teamName, accepted }) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">${accepted ? 'Team Member Confirmed ✅' : 'Team Invitation Declined'}</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${leaderName}</strong>,</p>
+    <p style="color: #333333;"><strong>${memberName}</strong> has ${accepted ? 'accepted' : 'declined'} your invitation to join ${teamName ? `team <strong>${teamName}</strong> for ` : ''}<strong>${eventName}</strong>.</p>
+    
+    ${accepted ? '' : `
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Please contact the organizers if you need to change your team line-up.</p>
+    </div>
+    `}
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${clientUrl}/dashboard" class="button">
+        View Team Status
+      </a>
+    </div>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Team Update - ${eventName}`);
+};
+
+/**
+ * Refund Requested Email Template
+ * @param {string} userName - Participant's name
+ * @param {string} eventName - Event name
+ * @param {number} amount - Amount eligible for refund
+ */
+export const refundRequestedTemplate = (userName, eventName, amount) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Refund Request Received</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">We've received your refund request for <strong>${eventName}</strong>.</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Refund Amount:</strong> ₹${amount}</p>
+    </div>
+    
+    <p style="color: #333333;">Our team will transfer the amount and email you the transaction reference (UTR) once it's done. This usually takes a few working days.</p>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Refund Requested - ${eventName}`);
+};
+
+/**
+ * Refund Approved Email Template
+ * @param {string} userName - Participant's name
+ * @param {string} eventName - Event name
+ * @param {number} amount - Amount refunded
+ * @param {string} utr - UTR of the outgoing transfer
+ * @param {string} note - Optional note from the admin
+ */
+export const refundApprovedTemplate = (userName, eventName, amount, utr, note) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Refund Processed ✅</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">Your refund for <strong>${eventName}</strong> has been sent.</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Amount Refunded:</strong> ₹${amount}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Transaction Reference (UTR):</strong> ${utr}</p>
+      ${note ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Note:</strong> ${note}</p>` : ''}
+    </div>
+    
+    <p style="color: #333333;">It may take a day or two to reflect in your account. If it hasn't arrived by then, reply with the UTR above and we'll look into it.</p>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Refund Processed - ${eventName}`);
+};
+
+/**
+ * Refund Denied Email Template
+ * @param {string} userName - Participant's name
+ * @param {string} eventName - Event name
+ * @param {string} reason - Why the refund was declined
+ */
+export const refundDeniedTemplate = (userName, eventName, reason) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Refund Request Declined</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">Unfortunately your refund request for <strong>${eventName}</strong> could not be approved.</p>
+    
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Reason: ${reason}</p>
+    </div>
+    
+    <p style="color: #333333;">If you think this is a mistake, please contact the organizers.</p>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Refund Declined - ${eventName}`);
+};
+
+/**
+ * Online Payment Confirmed Email Template
+ * The entry pass QR is attached inline with cid 'entry-pass'.
+ * @param {Object} options - { userName, eventName, amount, paymentId, eventDate, time, venue, registrationNumber }
+ */
+export const onlinePaymentConfirmedTemplate = ({ userName, eventName, amount, paymentId, eventDate, time, venue, registrationNumber }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Payment Confirmed! ✅</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">We've received your payment for <strong>${eventName}</strong> and your registration is confirmed.</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount Paid:</strong> ₹${amount}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Payment ID:</strong> ${paymentId}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Date:</strong> ${new Date(eventDate).toLocaleDateString('en-IN')}${time ? `, ${time}` : ''}</p>
+      ${venue ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Venue:</strong> ${venue}</p>` : ''}
+    </div>
+    
+    <div style="text-align: center; margin: 25px 0;">
+      <p style="color: #333333; font-weight: 600;">🎟️ Your Entry Pass</p>
+      <img src="cid:entry-pass" alt="Entry pass QR code" width="220" height="220" style="display: block; margin: 0 auto;">
+      <p style="color: #666666; font-size: 13px;">Show this QR code at the venue for check-in. It is also available on your dashboard.</p>
+    </div>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Payment Confirmed - ${eventName}`);
+};
+
+/**
+ * Pass Payment Approved Email Template
+ * @param {Object} options - { userName, passName, passNumber, amount, utrNumber, eventLimit, coverage }
+ */
+export const passApprovedTemplate = ({ userName, passName, passNumber, amount, utrNumber, eventLimit, coverage }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Your ${passName} is Active! 🎫</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">Your payment has been verified and your pass is ready to use.</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Pass Number:</strong> ${passNumber}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount Paid:</strong> ₹${amount}</p>
+      ${utrNumber ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>UTR Number:</strong> ${utrNumber}</p>` : ''}
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Covers:</strong> ${eventLimit > 0 ? `Any ${eventLimit} ${coverage}` : `All ${coverage}`}</p>
+    </div>
+    
+    <p style="color: #333333;">Register for events as usual and choose to use your pass - there's nothing more to pay. Your remaining events are shown on your dashboard.</p>
+    <p style="color: #333333;">Your payment receipt is attached as a PDF.</p>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Pass Activated - ${passName}`);
+};
+
+/**
+ * Pass Payment Rejected Email Template
+ * @param {Object} options - { userName, passName, passNumber, amount, utrNumber, reason }
+ */
+export const passRejectedTemplate = ({ userName, passName, passNumber, amount, utrNumber, reason }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Pass Payment Not Verified</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">We couldn't verify your payment for <strong>${passName}</strong> (${passNumber}), so the pass has not been activated.</p>
+    
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Reason: ${reason}</p>
+    </div>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>UTR Number:</strong> ${utrNumber || 'N/A'}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount:</strong> ₹${amount}</p>
+    </div>
+    
+    <p style="color: #333333;">You can buy the pass again from the Passes page with the correct payment details.</p>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Pass Payment Not Verified - ${passName}`);
+};
+
+/**
+ * Event Result (Winner) Email Template
+ * @param {Object} options - { userName, eventName, position, category, teamName, prize }
+ */
+export const resultWinnerTemplate = ({ userName, eventName, position, category, teamName, prize }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Congratulations! 🏆</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">The results of <strong>${eventName}</strong> are out, and you're among the winners!</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Position:</strong> ${position}</p>
+      ${category ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Category:</strong> ${category}</p>` : ''}
+      ${teamName ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Team:</strong> ${teamName}</p>` : ''}
+      ${prize ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Prize:</strong> ${prize}</p>` : ''}
+    </div>
+    
+    <p style="color: #333333;">Please collect your prize from the registration desk with your college ID. Your winner certificate will be available on your dashboard.</p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}/results" class="button">View All Results</a>
+    </div>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Results - ${eventName}`);
+};
+
+/**
+ * Participant Count Drift Report (admins)
+ * @param {Array} drift - [{ name, recorded, actual, maxParticipants }]
+ */
+export const participantDriftTemplate = (drift) => {
+  const rows = drift.map((item) => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #FAB12F; color: #333333;">${item.name}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #FAB12F; color: #333333; text-align: center;">${item.recorded}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #FAB12F; color: #333333; text-align: center;">${item.actual}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #FAB12F; text-align: center; color: ${item.actual > item.maxParticipants ? '#DD0303' : '#333333'};">${item.maxParticipants}</td>
+      </tr>
+  `).join('');
+
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Participant Count Drift Detected</h2>
+    <p style="color: #333333;">The reconciliation job found events whose stored participant count didn't match their registrations. The counts below have been corrected.</p>
+    
+    <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
+      <thead>
+        <tr style="background: #FA812F; color: #FFFFFF;">
+          <th style="padding: 8px; text-align: left;">Event</th>
+          <th style="padding: 8px;">Stored</th>
+          <th style="padding: 8px;">Actual</th>
+          <th style="padding: 8px;">Capacity</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    
+    ${drift.some(item => item.actual > item.maxParticipants) ? `
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Some events are overbooked - capacity shown in red. Please review their registrations.</p>
+    </div>
+    ` : ''}
+    
+    <p style="margin-top: 30px; color: #333333;">
+      <strong style="color: #FA812F;">Savishkar Admin</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, 'Participant Count Drift - Savishkar 2025');
+};
+
+// WhatsApp group invite shown in registration emails
+const whatsappBlock = (whatsappLink, label = 'Community') => `
+    <div style="background: linear-gradient(135deg, #25D366 0%, #128C7E 100%); padding: 25px; border-radius: 12px; text-align: center; margin: 25px 0;">
+      <p style="color: #FFFFFF; font-size: 16px; margin: 0 0 10px 0; font-weight: 600;">📱 Join Our WhatsApp ${label}</p>
+      <p style="color: #FFFFFF; font-size: 14px; margin: 0 0 20px 0;">Stay updated with event announcements, schedules, and connect with other participants!</p>
+      <a href="${whatsappLink}" style="display: inline-block; background: #FEF3E2; color: #128C7E; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Join WhatsApp ${label}</a>
+    </div>
+`;
+
+// Date / time / venue lines of an event info box
+const eventDetailLines = (eventDate, time, venue) => `
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Date:</strong> ${new Date(eventDate).toLocaleDateString('en-IN')}</p>
+      ${time ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Time:</strong> ${time}</p>` : ''}
+      ${venue ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Venue:</strong> ${venue}</p>` : ''}
+`;
+
+/**
+ * Registration Confirmed Email Template (participant registered themselves)
+ * @param {Object} options - { userName, eventName, registrationNumber, eventDate, time, venue, category,
+ *                             teamName, teamMembers, amount, paymentStatus, whatsappLink }
+ */
+export const registrationConfirmedTemplate = ({ userName, eventName, registrationNumber, eventDate, time, venue, category, teamName, teamMembers = [], amount, paymentStatus, whatsappLink }) => {
+  const paymentDue = amount > 0 && paymentStatus === 'pending';
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Registration Successful! 🎉</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">You have successfully registered for <strong>${eventName}</strong>!</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Event:</strong> ${eventName}</p>
+      ${eventDetailLines(eventDate, time, venue)}
+      ${category ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Category:</strong> ${category}</p>` : ''}
+      ${teamName ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Team Name:</strong> ${teamName}</p>` : ''}
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount:</strong> ₹${amount}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Payment Status:</strong> ${String(paymentStatus).toUpperCase()}</p>
+    </div>
+    
+    ${teamName && teamMembers.length > 0 ? `
+    <p style="color: #333333; font-weight: 600; margin-bottom: 10px;">Team Members:</p>
+    <ol style="margin: 0 0 20px 0; padding-left: 20px; color: #333333;">
+      ${teamMembers.map((member, idx) => `
+      <li style="margin-bottom: 8px;">
+        <strong>${member.name}</strong>${idx === 0 ? ' (Team Leader - You)' : ''}<br>
+        <span style="color: #666666; font-size: 13px;">${member.email}${member.phone ? ` | ${member.phone}` : ''}${member.college ? ` | ${member.college}` : ''}</span>
+      </li>
+      `).join('')}
+    </ol>
+    ` : ''}
+    
+    ${paymentDue ? `
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Please complete the payment to confirm your registration.</p>
+    </div>
+    ` : `
+    <p style="color: #333333; font-weight: 600;">✅ Your registration is confirmed! Your entry pass is available on your dashboard.</p>
+    `}
+    
+    ${whatsappLink ? whatsappBlock(whatsappLink) : ''}
+    
+    <p style="margin-top: 30px; color: #333333;">
+      See you at the event!<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Registration Confirmed - ${eventName}`);
+};
+
+/**
+ * Admin-Created Registration Email Template (sent to the registered participant / team leader)
+ * @param {Object} options - { userName, eventName, registrationNumber, eventDate, time, venue, teamName,
+ *                             amount, paymentStatus, whatsappLink }
+ */
+export const adminRegistrationTemplate = ({ userName, eventName, registrationNumber, eventDate, time, venue, teamName, amount, paymentStatus, whatsappLink }) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const paymentDue = amount > 0 && paymentStatus === 'pending';
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Event Registration Created! 🎉</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">You have been registered for <strong>${eventName}</strong> by the admin team!</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Event:</strong> ${eventName}</p>
+      ${eventDetailLines(eventDate, time, venue)}
+      ${teamName ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Team Name:</strong> ${teamName}</p>` : ''}
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount:</strong> ₹${amount}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Payment Status:</strong> ${String(paymentStatus).toUpperCase()}</p>
+    </div>
+    
+    ${paymentDue ? `
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Payment Required - please login to your account and complete the payment to confirm your registration.</p>
+    </div>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${clientUrl}/login" class="button">Login & Pay Now</a>
+    </div>
+    ` : `
+    <p style="color: #333333; font-weight: 600;">✅ Your registration is confirmed!</p>
+    `}
+    
+    ${whatsappLink ? whatsappBlock(whatsappLink) : ''}
+    
+    <p style="margin-top: 30px; color: #333333;">
+      See you at the event!<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Event Registration - ${eventName}`);
+};
+
+/**
+ * Team Member Registered Email Template (admin registered a team, sent to each member)
+ * @param {Object} options - { userName, eventName, teamName, eventDate, time, venue, whatsappLink }
+ */
+export const teamMemberRegisteredTemplate = ({ userName, eventName, teamName, eventDate, time, venue, whatsappLink }) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Event Registration Confirmed! 🎉</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">You have been registered for <strong>${eventName}</strong> as part of team <strong>${teamName}</strong>!</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Event:</strong> ${eventName}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Team Name:</strong> ${teamName}</p>
+      ${eventDetailLines(eventDate, time, venue)}
+    </div>
+    
+    <p style="color: #333333; font-weight: 600;">✅ Your registration is confirmed! Please login to your account to view more details.</p>
+    
+    ${whatsappLink ? whatsappBlock(whatsappLink, 'Group') : ''}
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${clientUrl}/login" class="button">View Dashboard</a>
+    </div>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      See you at the event!<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Event Registration Confirmed - ${eventName}`);
+};
+
+/**
+ * Account Created Email Template (account made by an admin, with login credentials)
+ * @param {Object} options - { userName, email, tempPassword, userCode, teamMember }
+ */
+export const accountCreatedTemplate = ({ userName, email, tempPassword, userCode, teamMember = false }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Welcome to Savishkar 2025! 🎉</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">An account has been created for you by the admin team. Here are your login credentials:</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Email:</strong> ${email}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Temporary Password:</strong> <span style="font-family: monospace; font-size: 16px; color: #FA812F;">${tempPassword}</span></p>
+    </div>
+    
+    <div class="code-box">
+      <p style="color: #FEF3E2; font-size: 14px; margin: 0 0 10px 0; font-weight: 600; letter-spacing: 2px;">YOUR UNIQUE CODE</p>
+      <h2 style="color: #FEF3E2; font-size: 32px; margin: 0; letter-spacing: 2px; font-weight: bold;">${userCode}</h2>
+    </div>
+    
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Important:</p>
+      <ul style="margin: 10px 0 0 0; padding-left: 20px; color: #333333;">
+        <li>Please change your password after first login</li>
+        <li>Keep your unique code safe - you'll need it for event check-ins</li>
+        <li>This code is unique to you and cannot be changed</li>
+        ${teamMember ? '<li>You will receive a separate email with event registration details</li>' : ''}
+      </ul>
+    </div>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${process.env.CLIENT_URL || 'http://localhost:5173'}/login" class="button">Login Now</a>
+    </div>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, 'Account Created - Savishkar 2025');
+};
+
+/**
+ * Offline Payment Approved Email Template
+ * The entry pass QR is attached inline with cid 'entry-pass'; the receipt PDF is attached.
+ * @param {Object} options - { userName, eventName, utrNumber, amount, eventDate, time, venue, registrationNumber }
+ */
+export const paymentApprovedTemplate = ({ userName, eventName, utrNumber, amount, eventDate, time, venue, registrationNumber }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Payment Approved! ✅</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">Great news! Your payment has been verified and approved by our admin team.</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>UTR Number:</strong> ${utrNumber}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount:</strong> ₹${amount}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Event:</strong> ${eventName}</p>
+      ${eventDetailLines(eventDate, time, venue)}
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>
+    </div>
+    
+    <p style="color: #666666; font-size: 13px;">Your payment receipt is attached as a PDF and can be downloaded again from your dashboard.</p>
+    
+    <div style="text-align: center; margin: 25px 0;">
+      <p style="color: #333333; font-weight: 600;">🎟️ Your Entry Pass</p>
+      <img src="cid:entry-pass" alt="Entry pass QR code" width="220" height="220" style="display: block; margin: 0 auto;">
+      <p style="color: #666666; font-size: 13px;">Show this QR code at the venue for check-in. It is also available on your dashboard.</p>
+    </div>
+    
+    <p style="color: #333333; font-weight: 600;">✅ Your registration is confirmed! See you at the event!</p>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Payment Approved - ${eventName}`);
+};
+
+/**
+ * Offline Payment Rejected Email Template (the registration has been removed)
+ * @param {Object} options - { userName, eventName, utrNumber, amount, registrationNumber, reason }
+ */
+export const paymentRejectedTemplate = ({ userName, eventName, utrNumber, amount, registrationNumber, reason }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">Payment Verification Failed</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName}</strong>,</p>
+    <p style="color: #333333;">We regret to inform you that your payment verification was unsuccessful, and your registration for <strong>${eventName}</strong> has been cancelled.</p>
+    
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Reason: ${reason}</p>
+    </div>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>UTR Number:</strong> ${utrNumber || 'N/A'}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Amount:</strong> ₹${amount}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Event:</strong> ${eventName}</p>
+      <p style="margin: 10px 0 0 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>
+    </div>
+    
+    <p style="color: #333333;">Your registration has been removed, so you can register for this event again - or for other events, even if they have the same timing.</p>
+    <p style="color: #333333; font-weight: 600; margin-bottom: 5px;">To register again:</p>
+    <ol style="margin: 0; padding-left: 20px; color: #333333;">
+      <li>Register for the event again from the Events page</li>
+      <li>Make the payment with correct details</li>
+      <li>Ensure the screenshot is clear and readable</li>
+      <li>Verify the UTR number is correct (12 digits)</li>
+      <li>Make sure the payment amount matches exactly</li>
+    </ol>
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Payment Verification Failed - ${eventName}`);
+};
+
+/**
+ * Admin Broadcast Email Template
+ * The message is plain text (already HTML-escaped): blank lines start a new paragraph.
+ * @param {Object} options - { userName, subject, message, eventName }
+ */
+export const broadcastTemplate = ({ userName, subject, message, eventName }) => {
+  const paragraphs = String(message)
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p style="color: #333333;">${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('\n    ');
+
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">${subject}</h2>
+    ${eventName ? `<p style="color: #666666; font-size: 14px; margin-top: -10px;">${eventName}</p>` : ''}
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName || 'Participant'}</strong>,</p>
+    ${paragraphs}
+    
+    <p style="margin-top: 30px; color: #333333;">
+      Best regards,<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, subject);
+};
+
+/**
+ * Event Reminder Email Template (sent a configurable time before the event)
+ * @param {Object} options - { userName, eventName, startsIn, eventDate, time, venue, registrationNumber,
+ *                             teamName, userCode, whatsappLink }
+ */
+export const eventReminderTemplate = ({ userName, eventName, startsIn, eventDate, time, venue, registrationNumber, teamName, userCode, whatsappLink }) => {
+  const content = `
+    <h2 style="color: #FA812F; margin-top: 0; font-size: 26px;">See You Soon! ⏰</h2>
+    <p style="font-size: 16px; color: #333333;">Hello <strong style="color: #FA812F;">${userName || 'Participant'}</strong>,</p>
+    <p style="color: #333333;"><strong>${eventName}</strong> starts ${startsIn}. Here are the details you need on the day:</p>
+    
+    <div class="info-box">
+      <p style="margin: 0; color: #333333;"><strong>Event:</strong> ${eventName}</p>
+      ${eventDetailLines(eventDate, time, venue)}
+      ${teamName ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Team Name:</strong> ${teamName}</p>` : ''}
+      ${registrationNumber ? `<p style="margin: 10px 0 0 0; color: #333333;"><strong>Registration Number:</strong> ${registrationNumber}</p>` : ''}
+    </div>
+    
+    ${userCode ? `
+    <div class="code-box">
+      <p style="color: #FEF3E2; font-size: 14px; margin: 0 0 10px 0; font-weight: 600; letter-spacing: 2px;">YOUR UNIQUE CODE</p>
+      <h2 style="color: #FEF3E2; font-size: 32px; margin: 0; letter-spacing: 2px; font-weight: bold;">${userCode}</h2>
+    </div>
+    ` : ''}
+    
+    <div class="warning-box">
+      <p style="margin: 0; color: #DD0303; font-weight: 600;">Please bring:</p>
+      <ul style="margin: 10px 0 0 0; padding-left: 20px; color: #333333;">
+        <li>${userCode ? 'Your unique code (shown above)' : 'Your registration number'} - it is checked at the venue</li>
+        <li>Your college ID card</li>
+      </ul>
+      <p style="margin: 10px 0 0 0; color: #333333;">Please arrive at the venue 15 minutes early.</p>
+    </div>
+    
+    ${whatsappLink ? whatsappBlock(whatsappLink, 'Group') : ''}
+    
+    <p style="margin-top: 30px; color: #333333;">
+      All the best!<br>
+      <strong style="color: #FA812F;">Team Savishkar</strong>
+    </p>
+  `;
+  
+  return emailWrapper(content, `Reminder - ${eventName}`);
+};
+
 export default {
   emailWrapper,
   otpEmailTemplate,
   welcomeEmailTemplate,
   passwordResetTemplate,
   userCodeTemplate,
-  newOtpTemplate
+  newOtpTemplate,
+  waitlistJoinedTemplate,
+  waitlistPromotedTemplate,
+  participantDriftTemplate,
+  teamInviteTemplate,
+  teamInviteResponseTemplate,
+  refundRequestedTemplate,
+  refundApprovedTemplate,
+  refundDeniedTemplate,
+  onlinePaymentConfirmedTemplate,
+  passApprovedTemplate,
+  passRejectedTemplate,
+  resultWinnerTemplate,
+  registrationConfirmedTemplate,
+  adminRegistrationTemplate,
+  teamMemberRegisteredTemplate,
+  accountCreatedTemplate,
+  paymentApprovedTemplate,
+  paymentRejectedTemplate,
+  broadcastTemplate,
+  eventReminderTemplate
 };
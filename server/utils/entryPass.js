@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+/**
+ * Signed entry passes for confirmed registrations
+ * Format: SAVPASS2.<base64url payload>.<base64url Ed25519 signature>
+ * Payload: { r: registrationNumber, e: eventId, u: userCode, t: issuedAt (unix seconds) }
+ *
+ * Passes are signed with an Ed25519 key derived from ENTRY_PASS_SECRET, and the
+ * public half is handed to the check-in desk (GET /api/checkin/pass-key), so a
+ * scanned pass can be verified even while the venue is offline - a typed,
+ * edited or forged pass fails verification.
+ */
+
+const PASS_PREFIX = 'SAVPASS2';
+
+// PKCS#8 DER header for an Ed25519 private key - followed by the 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const getSecret = () => {
+  const secret = process.env.ENTRY_PASS_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENTRY_PASS_SECRET (or JWT_SECRET) is required to sign entry passes');
+  }
+  return secret;
+};
+
+let signingKeys = null;
+
+// The key pair is derived from the secret, so every server instance (and restart) signs with the same key
+const getSigningKeys = () => {
+  if (!signingKeys) {
+    const seed = crypto.createHmac('sha256', getSecret()).update('savishkar-entry-pass-ed25519').digest();
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    signingKeys = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+  return signingKeys;
+};
+
+/**
+ * Public key the check-in desk verifies passes with
+ * @returns {string} - Raw 32-byte Ed25519 public key, base64url encoded
+ */
+export const getEntryPassPublicKey = () => {
+  return getSigningKeys().publicKey.export({ format: 'jwk' }).x;
+};
+
+/**
+ * Check whether a scanned value looks like an entry pass
+ * @param {string} value - Scanned or typed value
+ * @returns {boolean}
+ */
+export const isEntryPass = (value) => {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const trimmed = value.trim();
+  return trimmed.startsWith(`${PASS_PREFIX}.`);
+};
+
+/**
+ * Create a signed entry pass string
+ * @param {Object} details - { registrationNumber, eventId, userCode }
+ * @returns {string} - Signed pass
+ */
+export const createEntryPass = ({ registrationNumber, eventId, userCode }) => {
+  const payload = {
+    r: registrationNumber,
+    e: eventId.toString(),
+    u: userCode || '',
+    t: Math.floor(Date.now() / 1000)
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(`${PASS_PREFIX}.${encodedPayload}`), getSigningKeys().privateKey);
+  return `${PASS_PREFIX}.${encodedPayload}.${signature.toString('base64url')}`;
+};
+
+const hasValidSignature = (encodedPayload, signature) => {
+  return crypto.verify(
+    null,
+    Buffer.from(`${PASS_PREFIX}.${encodedPayload}`),
+    getSigningKeys().publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+};
+
+/**
+ * Verify a pass signature and decode its payload
+ * @param {string} pass - Scanned pass
+ * @returns {{ valid: boolean, payload?: Object, reason?: string }}
+ */
+export const verifyEntryPass = (pass) => {
+  const parts = String(pass || '').trim().split('.');
+
+  if (parts.length !== 3 || parts[0] !== PASS_PREFIX) {
+    return { valid: false, reason: 'Not a Savishkar entry pass' };
+  }
+
+  const [, encodedPayload, signature] = parts;
+
+  if (!hasValidSignature(encodedPayload, signature)) {
+    return { valid: false, reason: 'Invalid pass signature - this pass may have been tampered with' };
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    return { valid: true, payload };
+  } catch (error) {
+    return { valid: false, reason: 'Malformed pass payload' };
+  }
+};
+
+/**
+ * Issue (or re-issue) the entry pass for a registration
+ * @param {Object} registration - Registration document (not saved here)
+ * @param {string} userCode - Participant's unique code
+ * @returns {Object} - Registration with entryPass fields set
+ */
+export const attachEntryPass = (registration, userCode) => {
+  registration.entryPass = createEntryPass({
+    registrationNumber: registration.registrationNumber,
+    eventId: registration.event._id || registration.event,
+    userCode
+  });
+  registration.entryPassIssuedAt = new Date();
+  return registration;
+};
+
+/**
+ * Render a pass as a PNG QR code (for email attachments)
+ * @param {string} pass - Signed pass
+ * @returns {Promise<Buffer>}
+ */
+export const generateEntryPassQR = (pass) => {
+  return QRCode.toBuffer(pass, {
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 300,
+    color: { dark: '#2C1810', light: '#FFFFFF' }
+  });
+};
+
+export default {
+  getEntryPassPublicKey,
+  isEntryPass,
+  createEntryPass,
+  verifyEntryPass,
+  attachEntryPass,
+  generateEntryPassQR
+};
@@ -0,0 +1,230 @@
+/**
+ * Event scheduling helpers
+ *
+ * Events store a calendar `date` plus a free-form `time` string entered by admins
+ * ("14:30" from the time picker, "10:00 AM", "10 AM - 1 PM", "2:00 PM to 4:30 PM", ...)
+ * or written by the CSV import ("11:00:00 AM")
+ * and an optional `duration` in minutes. These helpers turn that into a real
+ * start/end interval in IST so schedules can be compared and exported.
+ */
+
+const IST_OFFSET_MINUTES = 330; // UTC+05:30
+const DEFAULT_DURATION_MINUTES = 60; // used when neither an end time nor a duration is given
+const MINUTES_PER_DAY = 24 * 60;
+
+// 9, 9:30, 09.30, 11:00:00, 9 AM, 9:30pm, 9 p.m., noon
+const TIME_TOKEN = /\b(noon|midnight)\b|\b(\d{1,2})(?:[:.](\d{2})(?::\d{2})?)?(?!\d)\s*(a\.?m\.?|p\.?m\.?)?/gi;
+
+// A bare number only counts as a time when it starts a range ("10 - 12 PM") or is the whole string,
+// so "Day 2, 10:00 AM" or a date in the text isn't read as a time
+const RANGE_AFTER = /^\s*(?:-|–|—|to)\s*\d/i;
+
+const isTimeToken = (match, time) => {
+  const [text, word, , minuteText, meridiemText] = match;
+  if (word || minuteText || meridiemText) {
+    return true;
+  }
+  return RANGE_AFTER.test(time.slice(match.index + text.length)) || time.trim() === text.trim();
+};
+
+const parseToken = (match) => {
+  const [, word, hourText, minuteText, meridiemText] = match;
+
+  if (word) {
+    return { minutes: word.toLowerCase() === 'noon' ? 12 * 60 : 0, meridiem: null, explicit: true };
+  }
+
+  const hour = parseInt(hourText, 10);
+  const minute = minuteText ? parseInt(minuteText, 10) : 0;
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+
+  return {
+    hour,
+    minute,
+    meridiem: meridiemText ? meridiemText.toLowerCase().replace(/\./g, '') : null
+  };
+};
+
+const toMinutes = ({ hour, minute }, meridiem) => {
+  if (!meridiem || hour > 12) {
+    return hour * 60 + minute;
+  }
+  const hour24 = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  return hour24 * 60 + minute;
+};
+
+/**
+ * Parse a free-form event time into minutes after midnight
+ * @param {string} time - e.g. "10:00 AM", "14:30", "10 AM - 1 PM", "2:00:00 PM"
+ * @returns {{ start: number, end: number|null } | null} - null if no time could be read
+ */
+export const parseEventTime = (time) => {
+  if (!time || typeof time !== 'string') {
+    return null;
+  }
+
+  const tokens = [...time.matchAll(TIME_TOKEN)]
+    .filter((match) => isTimeToken(match, time))
+    .map(parseToken)
+    .filter(Boolean)
+    .slice(0, 2);
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const [first, second] = tokens;
+  const resolve = (token, meridiem) => (token.explicit ? token.minutes : toMinutes(token, meridiem));
+
+  if (!second) {
+    return { start: resolve(first, first.meridiem), end: null };
+  }
+
+  let end = resolve(second, second.meridiem);
+
+  // "11:30 - 1:30": an end without AM/PM that comes before the start is read as afternoon
+  // rather than a range past midnight, as long as the shifted end still follows the start
+  const startMinutes = resolve(first, first.meridiem);
+  if (!second.meridiem && !second.explicit && second.hour < 12 && end <= startMinutes && end + 12 * 60 > startMinutes) {
+    end += 12 * 60;
+  }
+
+  // "10 - 12 PM": the start borrows the end's AM/PM unless that would put it after the end
+  let start = startMinutes;
+  if (!first.meridiem && !first.explicit && second.meridiem) {
+    const borrowed = resolve(first, second.meridiem);
+    start = borrowed <= end ? borrowed : resolve(first, 'am');
+  }
+
+  return { start, end };
+};
+
+// Midnight IST (as a UTC timestamp) of the IST calendar day the event falls on
+const getISTDayStart = (date) => {
+  const shifted = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60000);
+  return Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()) - IST_OFFSET_MINUTES * 60000;
+};
+
+/**
+ * Get an event's real start and end time
+ * End is taken from an explicit range in `time`, else `duration`, else a 1 hour default.
+ * @param {Object} event - Event with date, time and optional duration
+ * @returns {{ start: Date, end: Date, estimatedEnd: boolean } | null} - null if the time can't be parsed
+ */
+export const getEventInterval = (event) => {
+  if (!event?.date || isNaN(new Date(event.date).getTime())) {
+    return null;
+  }
+
+  const parsed = parseEventTime(event.time);
+  if (!parsed) {
+    return null;
+  }
+
+  let endMinutes = parsed.end;
+  let estimatedEnd = false;
+
+  if (endMinutes === null) {
+    estimatedEnd = !(event.duration > 0);
+    endMinutes = parsed.start + (event.duration > 0 ? event.duration : DEFAULT_DURATION_MINUTES);
+  } else if (endMinutes <= parsed.start) {
+    // Range runs past midnight
+    endMinutes += MINUTES_PER_DAY;
+  }
+
+  const dayStart = getISTDayStart(event.date);
+
+  return {
+    start: new Date(dayStart + parsed.start * 60000),
+    end: new Date(dayStart + endMinutes * 60000),
+    estimatedEnd
+  };
+};
+
+/**
+ * Format a time of day in IST, e.g. "2:30 pm"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatISTTime = (date) => {
+  return new Date(date).toLocaleTimeString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Find every event that overlaps the target event's time range
+ * Events whose time can't be parsed fall back to the old rule: same IST day and identical time text.
+ * @param {Object} target - Event being registered for
+ * @param {Array} events - Events the user is already registered for
+ * @returns {Array} - [{ _id, name, date, time, start, end, overlapMinutes }]
+ */
+export const findConflicts = (target, events) => {
+  const targetInterval = getEventInterval(target);
+  const targetDay = target?.date ? getISTDayStart(target.date) : null;
+  const conflicts = [];
+
+  for (const event of events) {
+    if (!event || String(event._id) === String(target._id)) {
+      continue;
+    }
+
+    const interval = getEventInterval(event);
+
+    if (targetInterval && interval) {
+      const overlapStart = Math.max(targetInterval.start, interval.start);
+      const overlapEnd = Math.min(targetInterval.end, interval.end);
+
+      if (overlapStart < overlapEnd) {
+        conflicts.push({
+          _id: event._id,
+          name: event.name,
+          date: event.date,
+          time: event.time,
+          venue: event.venue,
+          start: interval.start,
+          end: interval.end,
+          overlapMinutes: Math.round((overlapEnd - overlapStart) / 60000)
+        });
+      }
+    } else if (targetDay !== null && event.date && getISTDayStart(event.date) === targetDay &&
+      String(event.time || '').trim().toLowerCase() === String(target.time || '').trim().toLowerCase()) {
+      conflicts.push({
+        _id: event._id,
+        name: event.name,
+        date: event.date,
+        time: event.time,
+        venue: event.venue,
+        start: null,
+        end: null,
+        overlapMinutes: null
+      });
+    }
+  }
+
+  return conflicts.sort((a, b) => (a.start || 0) - (b.start || 0));
+};
+
+/**
+ * Describe a conflict for user-facing messages, e.g. "Hackathon (10:00 am – 1:00 pm on 12/11/2025)"
+ * @param {Object} conflict - Entry from findConflicts
+ * @returns {string}
+ */
+export const describeConflict = (conflict) => {
+  const day = new Date(conflict.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+  const when = conflict.start
+    ? `${formatISTTime(conflict.start)} – ${formatISTTime(conflict.end)}`
+    : conflict.time;
+  return `"${conflict.name}" (${when} on ${day})`;
+};
+
+export default {
+  parseEventTime,
+  getEventInterval,
+  formatISTTime,
+  findConflicts,
+  describeConflict
+};
@@ -0,0 +1,18 @@
+/**
+ * Errors that carry the HTTP status for the route to answer with
+ *
+ * Routes reply with res.status(error.statusCode || 500), so a rule a util
+ * rejects reaches the client as a 4xx with its message instead of a 500.
+ */
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Message shown to the client
+ * @param {number} statusCode - Defaults to 400
+ * @returns {Error}
+ */
+export const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+export default {
+  httpError
+};
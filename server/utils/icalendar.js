@@ -0,0 +1,97 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for participant schedule feeds
+ */
+
+const CRLF = '\r\n';
+
+// Escape text values: backslash, semicolon, comma and newlines
+const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// 20251112T043000Z
+const formatUTC = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options - { name, description, events: [{ uid, start, end, summary, description, location, url, lastModified, sequence, status }] }
+ * @returns {string} - .ics content
+ */
+export const buildCalendar = ({ name, description, events = [] }) => {
+  const now = formatUTC(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Savishkar 2025//Participant Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Kolkata',
+    // Ask subscribed calendar apps to re-fetch hourly so admin edits show up
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  if (description) {
+    lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  }
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${formatUTC(event.start)}`,
+      `DTEND:${formatUTC(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUTC(event.lastModified)}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+export default {
+  buildCalendar
+};
@@ -0,0 +1,55 @@
+/**
+ * In-app notification inbox
+ *
+ * Participant notices queued by email (registrations, payments, reminders,
+ * broadcasts...) are flagged `inbox` and carry a plain-text summary from the
+ * email registry, so the inbox lists only those - never admin reports - with
+ * the summary and a link to the page each one is about.
+ */
+
+const SUMMARY_LENGTH = 200;
+
+/**
+ * Client route a notification opens: the payment page while the user's own
+ * registration still needs paying, otherwise the related event
+ * @param {Object} notification - Notification with relatedEvent and relatedRegistration populated
+ * @returns {string}
+ */
+export const inboxLink = (notification) => {
+  const registration = notification.relatedRegistration;
+  if (
+    registration?.paymentStatus === 'pending' &&
+    registration.status === 'registered' &&
+    registration.user?.toString() === notification.user?.toString()
+  ) {
+    return `/payment/${registration._id}`;
+  }
+  if (notification.relatedEvent?._id) {
+    return `/events/${notification.relatedEvent._id}`;
+  }
+  return '/dashboard';
+};
+
+/**
+ * Notification as shown in the inbox
+ * @param {Object} notification - Notification with relatedEvent and relatedRegistration populated
+ * @returns {Object}
+ */
+export const formatInboxItem = (notification) => ({
+  _id: notification._id,
+  type: notification.type,
+  subject: notification.subject,
+  summary: notification.summary?.length > SUMMARY_LENGTH
+    ? `${notification.summary.slice(0, SUMMARY_LENGTH - 1)}…`
+    : notification.summary || '',
+  isRead: notification.isRead,
+  readAt: notification.readAt,
+  createdAt: notification.createdAt,
+  event: notification.relatedEvent ? { _id: notification.relatedEvent._id, name: notification.relatedEvent.name } : null,
+  link: inboxLink(notification)
+});
+
+export default {
+  inboxLink,
+  formatInboxItem
+};
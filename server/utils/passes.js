@@ -0,0 +1,230 @@
+import Payment from '../models/Payment.js';
+import PassPurchase from '../models/PassPurchase.js';
+import { queueEmail } from './emailQueue.js';
+import { renderEmail } from './emailRegistry.js';
+import { buildReceiptAttachment } from './receipts.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Combo passes
+ *
+ * A pass ("any 3 technical events", "all-access cultural") is bought once
+ * through the offline payment flow - its Payment points at the PassPurchase
+ * instead of a registration. Once approved, registrations for covered events
+ * can use it and are created with amount 0. Each use is recorded on the
+ * purchase; cancelling the registration gives the entitlement back.
+ */
+
+/**
+ * What a pass covers, in words
+ * @param {Object} pass - Pass document (events populated for names)
+ * @returns {string} - e.g. "Technical events"
+ */
+export const describePassCoverage = (pass) => {
+  if (pass.events?.length > 0) {
+    return pass.events.map((event) => event.name).filter(Boolean).join(', ') || 'selected events';
+  }
+  if (pass.categories?.length > 0) {
+    return `${pass.categories.join(' / ')} events`;
+  }
+  return 'events';
+};
+
+/**
+ * Next pass number (PASS2025-0001, ...)
+ * @returns {Promise<string>}
+ */
+export const generatePassNumber = async () => {
+  const count = await PassPurchase.countDocuments();
+  return `PASS2025-${String(count + 1).padStart(4, '0')}`;
+};
+
+/**
+ * Check that a user's pass can be used to register for an event
+ * @param {string} passPurchaseId - PassPurchase ID
+ * @param {Object} options - { user, event }
+ * @returns {Promise<Object>} - PassPurchase with pass populated
+ */
+export const findUsablePass = async (passPurchaseId, { user, event }) => {
+  const purchase = await PassPurchase.findById(passPurchaseId).populate('pass');
+
+  if (!purchase || purchase.user.toString() !== user._id.toString()) {
+    throw httpError('Pass not found', 404);
+  }
+  if (purchase.paymentStatus !== 'completed') {
+    throw httpError(`Your ${purchase.pass?.name || 'pass'} payment hasn't been verified yet`);
+  }
+  if (!purchase.pass?.covers(event)) {
+    throw httpError(`${purchase.pass?.name || 'This pass'} doesn't cover ${event.name}`);
+  }
+  if (purchase.remaining === 0) {
+    throw httpError(`You have used all ${purchase.eventLimit} events on your ${purchase.pass.name}`);
+  }
+  return purchase;
+};
+
+/**
+ * Record a registration against a pass, re-checking the limit atomically
+ * @param {Object} options - { purchase, registrationId, event }
+ * @returns {Promise<Object>} - Updated PassPurchase
+ */
+export const redeemPass = async ({ purchase, registrationId, event }) => {
+  const updated = await PassPurchase.findOneAndUpdate(
+    {
+      _id: purchase._id,
+      paymentStatus: 'completed',
+      $expr: { $or: [{ $lte: ['$eventLimit', 0] }, { $lt: ['$usedCount', '$eventLimit'] }] }
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { registration: registrationId, event: event._id, redeemedAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw httpError(`Your ${purchase.pass?.name || 'pass'} has no events left`, 409);
+  }
+
+  console.log(`🎫 Pass ${updated.passNumber} used for ${event.name} (${updated.usedCount}/${updated.eventLimit || '∞'})`);
+  return updated;
+};
+
+/**
+ * Give back the pass entitlement of a registration that was cancelled or removed
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<Object|null>} - Updated PassPurchase, or null if the registration used none
+ */
+export const releasePassRedemption = async (registrationId) => {
+  const purchase = await PassPurchase.findOneAndUpdate(
+    { redemptions: { $elemMatch: { registration: registrationId, releasedAt: { $exists: false } } } },
+    { $set: { 'redemptions.$.releasedAt': new Date() }, $inc: { usedCount: -1 } },
+    { new: true }
+  );
+
+  if (purchase) {
+    console.log(`🎫 Pass ${purchase.passNumber} event released for registration ${registrationId}`);
+  }
+  return purchase;
+};
+
+const sendPassApprovedEmail = async (payment, purchase) => {
+  try {
+    const receipt = await buildReceiptAttachment(payment._id);
+
+    await queueEmail({
+      email: payment.user.email,
+      ...renderEmail('pass-approved', {
+        userName: payment.user.name,
+        passName: purchase.pass.name,
+        passNumber: purchase.passNumber,
+        amount: payment.amount,
+        utrNumber: payment.utrNumber,
+        eventLimit: purchase.eventLimit,
+        coverage: describePassCoverage(purchase.pass)
+      }),
+      attachments: receipt ? [receipt] : []
+    }, { type: 'payment', user: payment.user._id });
+  } catch (emailError) {
+    console.error('❌ Email error:', emailError.message);
+  }
+};
+
+const sendPassRejectedEmail = async (payment, purchase) => {
+  try {
+    await queueEmail({
+      email: payment.user.email,
+      ...renderEmail('pass-rejected', {
+        userName: payment.user.name,
+        passName: purchase.pass.name,
+        passNumber: purchase.passNumber,
+        amount: payment.amount,
+        utrNumber: payment.utrNumber,
+        reason: payment.rejectionReason
+      })
+    }, { type: 'payment', user: payment.user._id });
+  } catch (emailError) {
+    console.error('❌ Email error:', emailError.message);
+  }
+};
+
+const loadPurchase = async (payment) => {
+  const purchase = await PassPurchase.findById(payment.passPurchase)
+    .populate({ path: 'pass', populate: { path: 'events', select: 'name' } });
+  if (!purchase) {
+    throw httpError('Pass purchase not found', 404);
+  }
+  return purchase;
+};
+
+/**
+ * Approve a pass payment and activate the pass
+ * Called by approveOfflinePayment for payments with a passPurchase.
+ * @param {Object} existing - Payment document
+ * @param {Object} admin - Admin approving it
+ * @param {Object} options - { extra, fromStatuses }
+ * @returns {Promise<{ payment: Object, passPurchase: Object }>}
+ */
+export const approvePassPayment = async (existing, admin, { extra = {}, fromStatuses } = {}) => {
+  const purchase = await loadPurchase(existing);
+
+  // Only a pending payment can be approved - never a rejected or refunded one
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $in: fromStatuses || ['created'] } },
+    { $set: { ...extra, status: 'captured', paidAt: new Date(), verifiedBy: admin._id } },
+    { new: true }
+  ).populate('user', 'name email');
+
+  if (!payment) {
+    throw httpError(existing.status === 'captured' ? 'Payment has already been approved' : `Payment is ${existing.status}, not pending`, 409);
+  }
+
+  purchase.paymentStatus = 'completed';
+  purchase.paidAt = new Date();
+  await purchase.save();
+
+  await sendPassApprovedEmail(payment, purchase);
+
+  return { payment, passPurchase: purchase };
+};
+
+/**
+ * Reject a pass payment - the pass stays inactive and can be bought again
+ * Called by rejectOfflinePayment for payments with a passPurchase.
+ * @param {Object} existing - Payment document
+ * @param {Object} admin - Admin rejecting it
+ * @param {string} reason - Shown to the participant
+ * @param {Object} options - { fromStatuses }
+ * @returns {Promise<{ payment: Object, passPurchase: Object }>}
+ */
+export const rejectPassPayment = async (existing, admin, reason, { fromStatuses } = {}) => {
+  const purchase = await loadPurchase(existing);
+
+  // Only a pending payment can be rejected - rejecting a verified one would throw away money that arrived
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $in: fromStatuses || ['created'] } },
+    { $set: { status: 'failed', rejectionReason: reason || 'Payment verification failed', verifiedBy: admin._id } },
+    { new: true }
+  ).populate('user', 'name email');
+
+  if (!payment) {
+    throw httpError(existing.status === 'failed' ? 'Payment has already been rejected' : `Payment is ${existing.status}, not pending`, 409);
+  }
+
+  purchase.paymentStatus = 'failed';
+  await purchase.save();
+
+  await sendPassRejectedEmail(payment, purchase);
+
+  return { payment, passPurchase: purchase };
+};
+
+export default {
+  describePassCoverage,
+  generatePassNumber,
+  findUsablePass,
+  redeemPass,
+  releasePassRedemption,
+  approvePassPayment,
+  rejectPassPayment
+};
@@ -0,0 +1,230 @@
+import Payment from '../models/Payment.js';
+import Registration from '../models/Registration.js';
+import Event from '../models/Event.js';
+import { attachEntryPass, generateEntryPassQR } from './entryPass.js';
+import { promoteFromWaitlist } from './waitlist.js';
+import { queueEmail } from './emailQueue.js';
+import { renderEmail } from './emailRegistry.js';
+import { releaseCouponRedemption } from './coupons.js';
+import { releaseMemberships } from './teamMembership.js';
+import { approvePassPayment, rejectPassPayment, releasePassRedemption } from './passes.js';
+import { buildReceiptAttachment } from './receipts.js';
+
+/**
+ * Approving and rejecting offline (UTR) payments
+ *
+ * Shared by the single-payment routes, bulk actions and statement
+ * reconciliation so every path confirms or removes the registration and
+ * emails the participant the same way. Each transition is a conditional
+ * update, so a payment can't be approved or rejected twice.
+ */
+
+// Email the approval with the entry pass and payment receipt attached
+const sendApprovalEmail = async (payment, registration) => {
+  try {
+    const content = renderEmail('payment-approved', {
+      userName: payment.user.name,
+      eventName: payment.event.name,
+      utrNumber: payment.utrNumber,
+      amount: payment.amount,
+      eventDate: payment.event.date,
+      time: payment.event.time,
+      venue: payment.event.venue,
+      registrationNumber: registration.registrationNumber
+    });
+
+    const entryPassQR = await generateEntryPassQR(registration.entryPass);
+    const receipt = await buildReceiptAttachment(payment._id);
+
+    await queueEmail({
+      email: payment.user.email,
+      ...content,
+      attachments: [{
+        filename: `${registration.registrationNumber}-entry-pass.png`,
+        content: entryPassQR,
+        cid: 'entry-pass'
+      }, ...(receipt ? [receipt] : [])]
+    }, { type: 'payment', user: payment.user._id, relatedEvent: payment.event._id, relatedRegistration: registration._id });
+  } catch (emailError) {
+    console.error('❌ Email error:', emailError.message);
+  }
+};
+
+// Email the rejection - the registration has already been removed
+const sendRejectionEmail = async (payment, registrationNumber) => {
+  try {
+    const content = renderEmail('payment-rejected', {
+      userName: payment.user.name,
+      eventName: payment.event.name,
+      utrNumber: payment.utrNumber,
+      amount: payment.amount,
+      registrationNumber,
+      reason: payment.rejectionReason
+    });
+
+    await queueEmail({
+      email: payment.user.email,
+      ...content
+    }, { type: 'payment', user: payment.user._id, relatedEvent: payment.event._id });
+  } catch (emailError) {
+    console.error('❌ Email error:', emailError.message);
+  }
+};
+
+/**
+ * Approve an offline payment and confirm its registration (or activate its combo pass)
+ * The approval email is queued; QR usage is counted in the background.
+ * @param {string} paymentId - Payment ID
+ * @param {Object} admin - Admin approving it
+ * @param {Object} options - { extra: fields to set on the payment, fromStatuses: statuses it may be approved from (default ['created']),
+ *                             deferQRUsage: caller counts QR usage itself (bulk) }
+ * @returns {Promise<{ payment: Object, registration?: Object, passPurchase?: Object }>}
+ */
+export const approveOfflinePayment = async (paymentId, admin, { extra = {}, fromStatuses, deferQRUsage = false } = {}) => {
+  const existing = await Payment.findById(paymentId);
+
+  if (!existing) {
+    const error = new Error('Payment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (existing.passPurchase) {
+    return approvePassPayment(existing, admin, { extra, fromStatuses });
+  }
+
+  const registration = await Registration.findById(existing.registration);
+
+  if (!registration) {
+    const error = new Error('Registration not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // A cancelled registration has given up its seat (and may have been refunded) - approving it would issue a pass
+  if (registration.status === 'cancelled') {
+    const error = new Error('Registration has been cancelled');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Conditional so the same payment is never approved (and emailed) twice - and a failed
+  // or refunded one is never approved at all
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $in: fromStatuses || ['created'] } },
+    { $set: { ...extra, status: 'captured', paidAt: new Date(), verifiedBy: admin._id } },
+    { new: true }
+  )
+    .populate('user', 'name email userCode')
+    .populate('event', 'name date time venue');
+
+  if (!payment) {
+    const error = new Error(existing.status === 'captured' ? 'Payment has already been approved' : `Payment is ${existing.status}, not pending`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Confirm registration and issue its signed entry pass
+  registration.paymentStatus = 'completed';
+  registration.paidAt = new Date();
+  attachEntryPass(registration, payment.user.userCode);
+  await registration.save();
+
+  // Increment QR code usage for the event (async, non-blocking)
+  if (!deferQRUsage) {
+    setImmediate(async () => {
+      try {
+        const event = await Event.findById(payment.event._id);
+        if (event) {
+          await event.incrementQRUsage(1, payment.qrCodeUsed?.qrIndex);
+          console.log(`✅ QR usage incremented for event: ${event.name}`);
+        }
+      } catch (error) {
+        console.error('❌ Error incrementing QR usage:', error.message);
+      }
+    });
+  }
+
+  await sendApprovalEmail(payment, registration);
+
+  return { payment, registration };
+};
+
+/**
+ * Reject an offline payment, remove its registration and free the seat
+ * (a combo pass payment just leaves the pass inactive). The rejection email is queued.
+ * @param {string} paymentId - Payment ID
+ * @param {Object} admin - Admin rejecting it
+ * @param {string} reason - Shown to the participant
+ * @param {Object} options - { fromStatuses: statuses it may be rejected from (default ['created']) }
+ * @returns {Promise<{ payment: Object }>}
+ */
+export const rejectOfflinePayment = async (paymentId, admin, reason, { fromStatuses } = {}) => {
+  const existing = await Payment.findById(paymentId);
+
+  if (!existing) {
+    const error = new Error('Payment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (existing.passPurchase) {
+    return rejectPassPayment(existing, admin, reason, { fromStatuses });
+  }
+
+  const registration = await Registration.findById(existing.registration);
+
+  if (!registration) {
+    const error = new Error('Registration not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Only a pending payment can be rejected - rejecting a verified one would throw away money that arrived
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $in: fromStatuses || ['created'] } },
+    { $set: { status: 'failed', rejectionReason: reason || 'Payment verification failed', verifiedBy: admin._id } },
+    { new: true }
+  )
+    .populate('user', 'name email')
+    .populate('event', 'name date time venue');
+
+  if (!payment) {
+    const error = new Error(existing.status === 'failed' ? 'Payment has already been rejected' : `Payment is ${existing.status}, not pending`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const eventId = registration.event;
+
+  // Delete the registration to free up the slot
+  const deletedRegistration = await Registration.findByIdAndDelete(registration._id);
+
+  // Release the seat AFTER deleting registration - only if this request removed a seat-holding one,
+  // so a double-clicked reject can't decrement twice
+  if (deletedRegistration && !['cancelled', 'waitlisted'].includes(deletedRegistration.status)) {
+    const event = await Event.releaseSeat(eventId);
+    if (event) {
+      console.log(`✅ Decreased participant count for event ${event.name}: ${event.currentParticipants}`);
+    }
+  }
+
+  // Hand the freed seat to the next person on the waitlist
+  await promoteFromWaitlist(eventId);
+
+  // Any coupon it used can be used again when they re-register, and so can its team
+  if (deletedRegistration) {
+    await releaseCouponRedemption(deletedRegistration._id);
+    await releasePassRedemption(deletedRegistration._id);
+    await releaseMemberships(deletedRegistration._id);
+  }
+
+  await sendRejectionEmail(payment, registration.registrationNumber);
+
+  return { payment };
+};
+
+export default {
+  approveOfflinePayment,
+  rejectOfflinePayment
+};
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import { createWorker, PSM } from 'tesseract.js';
+import Payment from '../models/Payment.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+/**
+ * Payment screenshot OCR
+ *
+ * Reads the UTR, amount and time off an uploaded UPI payment screenshot with
+ * Tesseract running locally (the English model ships in @tesseract.js-data/eng,
+ * nothing is sent to a cloud API). The result is stored on the payment so the
+ * reviewer sees it next to what the participant typed.
+ *
+ * One worker is shared and shut down after IDLE_TIMEOUT_MS to free its memory.
+ * Set PAYMENT_OCR=false to turn OCR off.
+ */
+
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+let workerPromise = null;
+let idleTimer = null;
+
+/**
+ * Whether screenshot OCR is turned on
+ * @returns {boolean}
+ */
+export const isOcrEnabled = () => process.env.PAYMENT_OCR !== 'false';
+
+const getWorker = () => {
+  if (!workerPromise) {
+    const { langPath, gzip } = require('@tesseract.js-data/eng');
+    workerPromise = createWorker('eng', 1, { langPath, gzip, cacheMethod: 'none' })
+      .then(async (worker) => {
+        // Sparse text - the large amount on payment screens is missed by the default page layout
+        await worker.setParameters({ tessedit_pageseg_mode: PSM.SPARSE_TEXT });
+        return worker;
+      })
+      .catch((error) => {
+        workerPromise = null;
+        throw error;
+      });
+  }
+
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    const pending = workerPromise;
+    workerPromise = null;
+    try {
+      await (await pending)?.terminate();
+    } catch {
+      // Already gone
+    }
+  }, IDLE_TIMEOUT_MS);
+  idleTimer.unref();
+
+  return workerPromise;
+};
+
+// Screenshot bytes from Cloudinary or the local uploads folder
+const loadScreenshot = async (source) => {
+  if (/^https?:\/\//i.test(source)) {
+    // Local uploads are served by this server - read them from disk instead
+    const localMatch = source.match(/\/uploads\/payments\/([^/?#]+)$/);
+    if (!localMatch) {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Could not download screenshot (${response.status})`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    }
+    source = localMatch[1];
+  }
+
+  const filePath = path.isAbsolute(source)
+    ? source
+    : path.join(__dirname, '..', 'uploads', 'payments', path.basename(source));
+  return fs.promises.readFile(filePath);
+};
+
+// Fixed width, grayscale, high-contrast PNG reads far better than a phone screenshot as is
+const prepareImage = (buffer) => {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: 1000 })
+    .grayscale()
+    .normalize()
+    .png()
+    .toBuffer();
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Screenshot times are IST wall-clock times
+const toIstDate = (year, monthIndex, day, hours = 0, minutes = 0, meridiem) => {
+  let h = Number(hours);
+  if (meridiem) {
+    const pm = /^p/i.test(meridiem);
+    if (pm && h < 12) h += 12;
+    if (!pm && h === 12) h = 0;
+  }
+  const fullYear = String(year).length === 2 ? 2000 + Number(year) : Number(year);
+  const date = new Date(Date.UTC(fullYear, monthIndex, Number(day), h, Number(minutes)) - 330 * 60 * 1000);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const findUtr = (text) => {
+  // Labelled reference first - "UPI Ref No", "UTR", "UPI transaction ID", "Ref No"
+  const labelled = text.match(/(?:utr|upi\s*ref(?:erence)?|ref(?:erence)?\.?\s*(?:no|number|id)|upi\s*transaction\s*id|transaction\s*id)[^\d\n]{0,15}((?:\d[ ]?){12})(?!\d)/i);
+  if (labelled) return labelled[1].replace(/\s/g, '');
+
+  // Otherwise a lone 12-digit number (OCR sometimes splits it into groups)
+  const candidates = text.match(/(?<![\d])(?:\d[ ]?){11}\d(?![\d])/g) || [];
+  const digits = candidates.map((candidate) => candidate.replace(/\s/g, '')).filter((candidate) => candidate.length === 12);
+  return digits[0] || null;
+};
+
+const findAmount = (text) => {
+  // "₹500", "Rs. 500.00", "INR 500", "Amount 500", or the amount alone on its line behind a ₹ that
+  // OCR misread as "%", "X", "=" or "z". A bare number is never taken - on a screenshot it is as
+  // likely the clock, the battery level or part of an account number.
+  const patterns = [
+    /(?:₹|\brs\.?|\binr)\s*([\d,]+(?:\.\d{1,2})?)/i,
+    /\bamount[^\d\n]{0,10}([\d,]+(?:\.\d{1,2})?)/i,
+    /^\s*[%X=z]\s?(\d{1,3}(?:,\d{2,3})+(?:\.\d{1,2})?|\d{1,6}(?:\.\d{1,2})?)\s*$/m
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const amount = parseFloat(match[1].replace(/,/g, ''));
+      if (!isNaN(amount) && amount > 0) return amount;
+    }
+  }
+  return null;
+};
+
+const findPaidAt = (text) => {
+  // Spaces only - a date never spans lines, and "...8903\nOct 19, 2025" must not read as 3 Oct 2019
+  const time = String.raw`(\d{1,2})[:.](\d{2})(?:[:.]\d{2})?[ \t]*([ap]\.?m\.?)?`;
+  const month = String.raw`(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*`;
+
+  // 19 Oct 2025, 10:32 am
+  let match = text.match(new RegExp(String.raw`(?<!\d)(\d{1,2})[ \t]+${month}\.?,?[ \t]+(\d{2,4})(?:[^\d\n]{0,8}${time})?`, 'i'));
+  if (match) {
+    return toIstDate(match[3], MONTHS.indexOf(match[2].toLowerCase()), match[1], match[4], match[5], match[6]);
+  }
+
+  // Oct 19, 2025 10:32 AM
+  match = text.match(new RegExp(String.raw`${month}\.?[ \t]+(\d{1,2}),?[ \t]+(\d{2,4})(?:[^\d\n]{0,8}${time})?`, 'i'));
+  if (match) {
+    return toIstDate(match[3], MONTHS.indexOf(match[1].toLowerCase()), match[2], match[4], match[5], match[6]);
+  }
+
+  // 19/10/2025 10:32
+  match = text.match(new RegExp(String.raw`(?<!\d)(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})(?:[^\d\n]{0,8}${time})?`, 'i'));
+  if (match) {
+    return toIstDate(match[3], Number(match[2]) - 1, match[1], match[4], match[5], match[6]);
+  }
+
+  return null;
+};
+
+/**
+ * Pull the UTR, amount and payment time out of OCR text
+ * @param {string} text - Recognized text
+ * @returns {{ utrNumber: string|null, amount: number|null, paidAt: Date|null }}
+ */
+export const extractPaymentDetails = (text) => ({
+  utrNumber: findUtr(text),
+  amount: findAmount(text),
+  paidAt: findPaidAt(text)
+});
+
+/**
+ * OCR a payment's screenshot and store what was read on the payment
+ * Reading failures are recorded on the payment instead of thrown.
+ * @param {string} paymentId - Payment ID
+ * @param {string} source - Screenshot location (defaults to the payment's screenshotUrl)
+ * @returns {Promise<Object|null>} - The stored screenshotOcr result
+ */
+export const runScreenshotOcr = async (paymentId, source) => {
+  if (!isOcrEnabled()) return null;
+
+  const payment = await Payment.findById(paymentId);
+  if (!payment || !(source || payment.screenshotUrl)) return null;
+
+  // The screenshot this run reads - a newer submission replaces it and its result
+  const screenshotUrl = payment.screenshotUrl;
+  await Payment.updateOne({ _id: payment._id }, { $set: { screenshotOcr: { status: 'pending' } } });
+
+  let result;
+  try {
+    const image = await prepareImage(await loadScreenshot(source || payment.screenshotUrl));
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+    const details = extractPaymentDetails(data.text || '');
+
+    result = {
+      status: 'completed',
+      ...details,
+      confidence: Math.round(data.confidence || 0),
+      utrMatches: details.utrNumber ? details.utrNumber === String(payment.utrNumber || '').replace(/\s/g, '') : undefined,
+      amountMatches: details.amount !== null ? Math.abs(details.amount - payment.amount) < 0.01 : undefined,
+      processedAt: new Date()
+    };
+
+    console.log(`✅ Screenshot OCR for payment ${payment._id}: UTR ${details.utrNumber || '?'}, ₹${details.amount ?? '?'}`);
+  } catch (error) {
+    console.error(`❌ Screenshot OCR failed for payment ${payment._id}:`, error.message);
+    result = { status: 'failed', error: error.message, processedAt: new Date() };
+  }
+
+  await Payment.updateOne({ _id: payment._id, screenshotUrl }, { $set: { screenshotOcr: result } });
+  return result;
+};
+
+export default {
+  isOcrEnabled,
+  extractPaymentDetails,
+  runScreenshotOcr
+};
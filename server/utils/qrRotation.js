@@ -0,0 +1,285 @@
+import Payment from '../models/Payment.js';
+import Registration from '../models/Registration.js';
+import { getReceivingAccounts } from './statementReconciliation.js';
+
+/**
+ * Payment account (QR / UPI ID) rotation
+ *
+ * Each registration is given one of the event's active QR codes to pay, chosen
+ * by the event's qrRotation strategy:
+ *   sequential  - first QR still under maxUsage, in list order
+ *   round_robin - the account that was handed out least recently
+ *   least_used  - the account with the fewest payments
+ *   daily_cap   - an account that stays under its dailyAmountCap today (IST)
+ *                 after this payment, keeping personal UPI IDs under bank limits
+ *
+ * Usage is counted per UPI ID across all events, and includes payments still
+ * waiting for verification, not only approved ones. Daily caps also count
+ * today's assignments that haven't been paid yet, so a burst of registrations
+ * is spread out instead of all landing on one account.
+ *
+ * The assignment is stored on the registration so the UPI shown, paid and
+ * recorded is always the same: a new account is only picked while generating
+ * a payment request, never once the participant has submitted their payment.
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Midnight IST today, as a Date
+const startOfIstDay = () => {
+  const now = new Date(Date.now() + IST_OFFSET_MS);
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - IST_OFFSET_MS);
+};
+
+const EMPTY_USAGE = {
+  pendingCount: 0,
+  pendingAmount: 0,
+  capturedCount: 0,
+  capturedAmount: 0,
+  todayAmount: 0,
+  reservedTodayAmount: 0,
+  lastAssignedAt: null
+};
+
+/**
+ * Payments received (or awaiting verification) per UPI ID, across all events
+ * @param {string[]} upiIds - UPI IDs to look up
+ * @returns {Promise<Map<string, Object>>} - upiId -> { pendingCount, pendingAmount, capturedCount, capturedAmount, todayAmount,
+ *                                             reservedTodayAmount, lastAssignedAt }
+ */
+export const getAccountUsage = async (upiIds) => {
+  const ids = [...new Set(upiIds.filter(Boolean))];
+  const usage = new Map(ids.map((upiId) => [upiId, { ...EMPTY_USAGE }]));
+  if (ids.length === 0) return usage;
+
+  const today = startOfIstDay();
+
+  const [payments, assignments] = await Promise.all([
+    Payment.aggregate([
+      {
+        $match: {
+          'qrCodeUsed.upiId': { $in: ids },
+          $or: [
+            { status: 'captured' },
+            { status: 'created', utrNumber: { $exists: true, $ne: null } }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { upiId: '$qrCodeUsed.upiId', status: '$status' },
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          todayAmount: {
+            $sum: { $cond: [{ $gte: [{ $ifNull: ['$transactionDate', '$createdAt'] }, today] }, '$amount', 0] }
+          }
+        }
+      }
+    ]),
+    Registration.aggregate([
+      { $match: { 'paymentAccount.upiId': { $in: ids } } },
+      {
+        $group: {
+          _id: '$paymentAccount.upiId',
+          lastAssignedAt: { $max: '$paymentAccount.assignedAt' },
+          // Assigned today but not paid yet - once a UTR is submitted the payment counts instead
+          reservedTodayAmount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $gte: ['$paymentAccount.assignedAt', today] },
+                    { $eq: ['$paymentStatus', 'pending'] },
+                    { $not: [{ $in: ['$status', ['cancelled', 'waitlisted']] }] }
+                  ]
+                },
+                '$amount',
+                0
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  for (const { _id, count, amount, todayAmount } of payments) {
+    const account = usage.get(_id.upiId);
+    if (_id.status === 'captured') {
+      account.capturedCount = count;
+      account.capturedAmount = amount;
+    } else {
+      account.pendingCount = count;
+      account.pendingAmount = amount;
+    }
+    account.todayAmount += todayAmount;
+  }
+
+  for (const { _id, lastAssignedAt, reservedTodayAmount } of assignments) {
+    const account = usage.get(_id);
+    account.lastAssignedAt = lastAssignedAt;
+    account.reservedTodayAmount = reservedTodayAmount;
+  }
+
+  return usage;
+};
+
+const usedCount = (usage) => usage.pendingCount + usage.capturedCount;
+
+const byFewestPayments = (a, b) => usedCount(a.usage) - usedCount(b.usage) || a.index - b.index;
+
+const STRATEGIES = {
+  sequential: (candidates) => {
+    return candidates.find(({ qr, usage }) => usedCount(usage) < (qr.maxUsage || Infinity))
+      // Every QR is full - spread the overflow instead of piling it on the last one
+      || [...candidates].sort(byFewestPayments)[0];
+  },
+
+  round_robin: (candidates) => {
+    return [...candidates].sort((a, b) => {
+      const aTime = a.usage.lastAssignedAt ? a.usage.lastAssignedAt.getTime() : 0;
+      const bTime = b.usage.lastAssignedAt ? b.usage.lastAssignedAt.getTime() : 0;
+      return aTime - bTime || a.index - b.index;
+    })[0];
+  },
+
+  least_used: (candidates) => [...candidates].sort(byFewestPayments)[0],
+
+  daily_cap: (candidates, amount) => {
+    const committed = (usage) => usage.todayAmount + usage.reservedTodayAmount;
+    const headroom = ({ qr, usage }) => (qr.dailyAmountCap > 0 ? qr.dailyAmountCap - committed(usage) : Infinity);
+    const withRoom = candidates.filter((candidate) => headroom(candidate) >= amount);
+    if (withRoom.length > 0) {
+      return withRoom.sort((a, b) => committed(a.usage) - committed(b.usage) || a.index - b.index)[0];
+    }
+
+    // Every account is at its cap - use the one furthest from it and flag it
+    const fallback = [...candidates].sort((a, b) => headroom(b) - headroom(a))[0];
+    console.warn(`⚠️ All UPI accounts are at their daily cap - assigning ${fallback.qr.upiId || `QR ${fallback.index + 1}`} anyway`);
+    return fallback;
+  }
+};
+
+/**
+ * Pick the account a new payment should go to
+ * @param {Object} event - Event document
+ * @param {number} amount - Payment amount in ₹
+ * @returns {Promise<Object|null>} - { upiId, accountName, qrCodeUrl, qrIndex }, or null if the event has no payment details
+ */
+export const selectPaymentAccount = async (event, amount = 0) => {
+  const candidates = (event.qrCodes || [])
+    .map((qr, index) => ({ qr, index }))
+    .filter(({ qr }) => qr.isActive !== false);
+
+  if (candidates.length === 0) {
+    // Legacy single QR code
+    if (!event.paymentUPI && !event.paymentQRCode) return null;
+    return {
+      upiId: event.paymentUPI,
+      accountName: event.paymentAccountName,
+      qrCodeUrl: event.paymentQRCode
+    };
+  }
+
+  const usage = await getAccountUsage(candidates.map(({ qr }) => qr.upiId));
+  for (const candidate of candidates) {
+    // QRs without a UPI ID can't be matched to payments elsewhere - fall back to this event's count
+    candidate.usage = usage.get(candidate.qr.upiId) || { ...EMPTY_USAGE, capturedCount: candidate.qr.usageCount || 0 };
+  }
+
+  const strategy = STRATEGIES[event.qrRotation] || STRATEGIES.sequential;
+  const { qr, index } = strategy(candidates, amount);
+
+  return {
+    upiId: qr.upiId,
+    accountName: qr.accountName,
+    qrCodeUrl: qr.qrCodeUrl,
+    qrIndex: index
+  };
+};
+
+/**
+ * The account a registration should pay - assigned once, then reused
+ * Only for generating a payment request: a new account is picked if the assigned one was
+ * deactivated, or on a new day with daily caps. Once the participant has paid, use
+ * getAssignedPaymentAccount instead - they paid the account they were shown.
+ * @param {Object} registration - Registration document
+ * @param {Object} event - Event document
+ * @returns {Promise<Object|null>} - { upiId, accountName, qrCodeUrl, qrIndex }
+ */
+export const assignPaymentAccount = async (registration, event) => {
+  const current = registration.paymentAccount;
+
+  if (current?.assignedAt) {
+    const qrCodes = event.qrCodes || [];
+    const index = qrCodes.findIndex((qr, i) =>
+      qr.isActive !== false && (current.upiId ? qr.upiId === current.upiId : i === current.qrIndex)
+    );
+    const legacy = qrCodes.length === 0 && current.upiId === event.paymentUPI;
+    const expired = event.qrRotation === 'daily_cap' && current.assignedAt < startOfIstDay();
+
+    if ((index !== -1 || legacy) && !expired) {
+      return {
+        upiId: current.upiId,
+        accountName: current.accountName,
+        qrCodeUrl: legacy ? event.paymentQRCode : qrCodes[index].qrCodeUrl,
+        qrIndex: legacy ? undefined : index
+      };
+    }
+  }
+
+  const account = await selectPaymentAccount(event, registration.amount);
+  if (!account) return null;
+
+  const paymentAccount = {
+    upiId: account.upiId,
+    accountName: account.accountName,
+    qrIndex: account.qrIndex,
+    assignedAt: new Date()
+  };
+  registration.paymentAccount = paymentAccount;
+  await Registration.updateOne({ _id: registration._id }, { $set: { paymentAccount } });
+
+  return account;
+};
+
+/**
+ * The account a registration was asked to pay, exactly as stored - for recording a submitted payment
+ * Registrations from before rotation existed have no stored account and get one assigned now.
+ * @param {Object} registration - Registration document
+ * @param {Object} event - Event document
+ * @returns {Promise<Object|null>} - { upiId, accountName, qrIndex }
+ */
+export const getAssignedPaymentAccount = async (registration, event) => {
+  const current = registration.paymentAccount;
+  if (current?.assignedAt) {
+    return {
+      upiId: current.upiId,
+      accountName: current.accountName,
+      qrIndex: current.qrIndex
+    };
+  }
+
+  return assignPaymentAccount(registration, event);
+};
+
+/**
+ * Every receiving account with what it has collected, for the admin view
+ * @returns {Promise<Array>} - getReceivingAccounts() entries plus getAccountUsage() totals
+ */
+export const getPaymentAccountsSummary = async () => {
+  const accounts = await getReceivingAccounts();
+  const usage = await getAccountUsage(accounts.map((account) => account.upiId));
+
+  return accounts
+    .map((account) => ({ ...account, ...usage.get(account.upiId) }))
+    .sort((a, b) => b.capturedAmount + b.pendingAmount - (a.capturedAmount + a.pendingAmount));
+};
+
+export default {
+  getAccountUsage,
+  selectPaymentAccount,
+  assignPaymentAccount,
+  getAssignedPaymentAccount,
+  getPaymentAccountsSummary
+};
@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import Payment from '../models/Payment.js';
+import Registration from '../models/Registration.js';
+import { queueEmail } from './emailQueue.js';
+import { attachEntryPass, generateEntryPassQR } from './entryPass.js';
+import { renderEmail } from './emailRegistry.js';
+
+/**
+ * Razorpay online payments
+ *
+ * Checkout on the client hands back { order_id, payment_id, signature } which
+ * is verified with the key secret; Razorpay also calls our webhook for the same
+ * payment. Whichever arrives first captures the payment and confirms the
+ * registration - the other is a no-op.
+ *
+ * Set RAZORPAY_API_URL and RAZORPAY_CHECKOUT_URL to point at the local mock
+ * gateway (npm run mock-razorpay) instead of the real one.
+ */
+
+let client = null;
+
+/**
+ * Whether online payments are configured
+ * @returns {boolean}
+ */
+export const isRazorpayEnabled = () => {
+  return Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+};
+
+/**
+ * URL of the checkout script the client loads
+ * @returns {string}
+ */
+export const getCheckoutScriptUrl = () => {
+  return process.env.RAZORPAY_CHECKOUT_URL || 'https://checkout.razorpay.com/v1/checkout.js';
+};
+
+const getClient = () => {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+
+    // The SDK has no host option, so redirect its HTTP client for the mock gateway
+    if (process.env.RAZORPAY_API_URL) {
+      client.api.rq.defaults.baseURL = process.env.RAZORPAY_API_URL;
+    }
+  }
+  return client;
+};
+
+/**
+ * Create a Razorpay order
+ * @param {Object} options - { amount (rupees), receipt, notes }
+ * @returns {Promise<Object>} - Razorpay order
+ */
+export const createRazorpayOrder = ({ amount, receipt, notes }) => {
+  return getClient().orders.create({
+    amount: Math.round(amount * 100),
+    currency: 'INR',
+    receipt,
+    notes
+  });
+};
+
+const safeEqual = (expected, received) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Verify the signature Checkout returns after a successful payment
+ * @param {string} orderId - razorpay_order_id
+ * @param {string} paymentId - razorpay_payment_id
+ * @param {string} signature - razorpay_signature
+ * @returns {boolean}
+ */
+export const verifyPaymentSignature = (orderId, paymentId, signature) => {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+  return safeEqual(expected, signature);
+};
+
+/**
+ * Verify a webhook's X-Razorpay-Signature against the raw request body
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET || !rawBody) return false;
+
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+  return safeEqual(expected, signature);
+};
+
+// Queue the confirmation email with the entry pass
+const sendPaymentConfirmation = async (payment, registration) => {
+  const user = payment.user;
+  const event = payment.event;
+
+  try {
+    const content = renderEmail('online-payment-confirmed', {
+      userName: user.name,
+      eventName: event.name,
+      amount: payment.amount,
+      paymentId: payment.razorpayPaymentId,
+      eventDate: event.date,
+      time: event.time,
+      venue: event.venue,
+      registrationNumber: registration.registrationNumber
+    });
+    const entryPassQR = await generateEntryPassQR(registration.entryPass);
+
+    await queueEmail({
+      email: user.email,
+      ...content,
+      attachments: [{
+        filename: `${registration.registrationNumber}-entry-pass.png`,
+        content: entryPassQR,
+        cid: 'entry-pass'
+      }]
+    }, { type: 'payment', user: user._id, relatedEvent: event._id, relatedRegistration: registration._id });
+  } catch (emailError) {
+    console.error('❌ Online payment email error:', emailError.message);
+  }
+};
+
+/**
+ * Capture a Razorpay payment and confirm its registration (idempotent)
+ * @param {Object} options - { orderId, paymentId, signature, method, amountPaise, source }
+ * @returns {Promise<{ payment: Object|null, registration: Object|null, alreadyCaptured: boolean }>}
+ */
+export const captureRazorpayPayment = async ({ orderId, paymentId, signature, method, amountPaise, source }) => {
+  const existing = await Payment.findOne({ razorpayOrderId: orderId });
+  if (!existing) {
+    console.warn(`⚠️ Razorpay ${source}: no payment for order ${orderId}`);
+    return { payment: null, registration: null, alreadyCaptured: false };
+  }
+
+  if (amountPaise !== undefined && amountPaise !== Math.round(existing.amount * 100)) {
+    const error = new Error(`Amount mismatch for order ${orderId}: expected ₹${existing.amount}, got ₹${amountPaise / 100}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const update = {
+    status: 'captured',
+    razorpayPaymentId: paymentId,
+    paidAt: new Date(),
+    transactionDate: new Date()
+  };
+  if (signature) update.razorpaySignature = signature;
+  if (method) update.method = method;
+
+  // Only the first of checkout / webhook gets past this
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $ne: 'captured' } },
+    { $set: update, $unset: { rejectionReason: '' } },
+    { new: true }
+  )
+    .populate('user', 'name email userCode')
+    .populate('event', 'name date time venue');
+
+  if (!payment) {
+    // Webhooks carry the payment method, which checkout doesn't
+    if (method && !existing.method) {
+      await Payment.updateOne({ _id: existing._id }, { $set: { method } });
+    }
+    const registration = await Registration.findById(existing.registration);
+    return { payment: existing, registration, alreadyCaptured: true };
+  }
+
+  const registration = await Registration.findById(payment.registration);
+  if (!registration) {
+    console.warn(`⚠️ Razorpay payment ${paymentId} captured but registration ${payment.registration} no longer exists`);
+    return { payment, registration: null, alreadyCaptured: false };
+  }
+
+  if (registration.status === 'cancelled') {
+    // Money arrived after the participant cancelled - leave it for a refund
+    console.warn(`⚠️ Razorpay payment ${paymentId} captured for cancelled registration ${registration.registrationNumber}`);
+    return { payment, registration, alreadyCaptured: false };
+  }
+
+  registration.paymentStatus = 'completed';
+  registration.paymentMethod = 'razorpay';
+  registration.paymentId = payment._id;
+  registration.paidAt = payment.paidAt;
+  attachEntryPass(registration, payment.user.userCode);
+  await registration.save();
+
+  console.log(`✅ Razorpay payment ${paymentId} captured via ${source} - ${registration.registrationNumber} confirmed`);
+
+  await sendPaymentConfirmation(payment, registration);
+
+  return { payment, registration, alreadyCaptured: false };
+};
+
+/**
+ * Record a failed attempt so the participant can retry (ignored once captured)
+ * @param {Object} options - { orderId, reason }
+ */
+export const markRazorpayPaymentFailed = async ({ orderId, reason }) => {
+  const payment = await Payment.findOneAndUpdate(
+    { razorpayOrderId: orderId, status: 'created' },
+    { $set: { rejectionReason: reason || 'Payment failed at the gateway' } },
+    { new: true }
+  );
+
+  if (payment) {
+    console.log(`⚠️ Razorpay payment failed for order ${orderId}: ${payment.rejectionReason}`);
+  }
+  return payment;
+};
+
+export default {
+  isRazorpayEnabled,
+  getCheckoutScriptUrl,
+  createRazorpayOrder,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  captureRazorpayPayment,
+  markRazorpayPaymentFailed
+};
@@ -0,0 +1,195 @@
+import PDFDocument from 'pdfkit';
+import Payment from '../models/Payment.js';
+import Counter from '../models/Counter.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Payment receipts
+ *
+ * Every captured payment gets a receipt number from a sequence per year of
+ * payment (RCPT2025-0001, ...) the first time it is approved or its receipt
+ * is downloaded. Numbers are unique and increasing but not gapless: if two
+ * requests number the same payment at once, the loser's number is skipped.
+ * The PDF itself is built on demand from the payment, so it always shows
+ * the current payer and event details.
+ */
+
+const METHOD_LABELS = {
+  offline: 'UPI / bank transfer',
+  upi: 'UPI (online)',
+  card: 'Card (online)',
+  netbanking: 'Net banking (online)',
+  wallet: 'Wallet (online)'
+};
+
+// Receipts are numbered per calendar year (IST) of the payment: RCPT2025-0001, RCPT2026-0001, ...
+const receiptYear = (payment) => new Date(payment.paidAt || payment.createdAt || Date.now())
+  .toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric' });
+
+/**
+ * Give a captured payment its receipt number if it doesn't have one yet
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} - Payment with receipt set
+ */
+export const ensureReceiptNumber = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment) {
+    throw httpError('Payment not found', 404);
+  }
+  if (!['captured', 'refunded'].includes(payment.status)) {
+    throw httpError('A receipt is only issued once the payment is approved');
+  }
+  if (payment.receipt?.number) {
+    return payment;
+  }
+
+  const year = receiptYear(payment);
+  const seq = await Counter.next(`receipt:${year}`);
+  const number = `RCPT${year}-${String(seq).padStart(4, '0')}`;
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'receipt.number': { $exists: false } },
+    { $set: { receipt: { number, issuedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Another request numbered the payment first - its number stands and this one goes unused
+    console.warn(`⚠️  Receipt ${number} not used - payment ${payment._id} was numbered by another request`);
+    return Payment.findById(payment._id);
+  }
+
+  console.log(`🧾 Receipt ${number} issued for payment ${payment._id}`);
+  return updated;
+};
+
+const loadReceiptPayment = (paymentId) => {
+  return Payment.findById(paymentId)
+    .populate('user', 'name email phone college userCode')
+    .populate('event', 'name category date')
+    .populate('registration', 'registrationNumber registrationCategory teamName')
+    .populate({ path: 'passPurchase', select: 'passNumber pass', populate: { path: 'pass', select: 'name' } })
+    .populate('verifiedBy', 'name');
+};
+
+const formatDate = (date) => {
+  return date
+    ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+    : '-';
+};
+
+// Rows printed in the details table, skipping what doesn't apply
+const receiptRows = (payment) => {
+  const isPass = Boolean(payment.passPurchase);
+  const rows = [
+    ['Received from', payment.user?.name],
+    ['Email', payment.user?.email],
+    ['College', payment.user?.college],
+    ['Participant ID', payment.user?.userCode],
+    isPass
+      ? ['Combo pass', payment.passPurchase.pass?.name]
+      : ['Event', payment.event?.name],
+    isPass
+      ? ['Pass number', payment.passPurchase.passNumber]
+      : ['Category', [payment.event?.category, payment.registration?.registrationCategory].filter(Boolean).join(' - ')],
+    ['Registration number', payment.registration?.registrationNumber],
+    ['Team', payment.registration?.teamName],
+    ['Payment mode', METHOD_LABELS[payment.method] || payment.method],
+    [payment.razorpayPaymentId ? 'Transaction ID' : 'UTR number', payment.razorpayPaymentId || payment.utrNumber],
+    ['Paid on', formatDate(payment.transactionDate || payment.paidAt)],
+    ['Verified by', payment.verifiedBy?.name || (payment.razorpayPaymentId ? 'Payment gateway' : null)]
+  ];
+  return rows.filter(([, value]) => value);
+};
+
+/**
+ * Build the receipt PDF of a payment (which must already have its receipt number)
+ * @param {Object} payment - Payment with user, event, registration, passPurchase and verifiedBy populated
+ * @returns {Promise<Buffer>}
+ */
+export const generateReceiptPDF = (payment) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${payment.receipt.number}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 110).fill('#5C4033');
+    doc.fillColor('#FEF3E2').font('Helvetica-Bold').fontSize(26).text('SAVISHKAR 2025', left, 35);
+    doc.font('Helvetica').fontSize(12).text('Where Innovation Meets Excellence', left, 68);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#FAB12F').text('PAYMENT RECEIPT', left, 45, { width, align: 'right' });
+
+    // Receipt number and date
+    doc.fillColor('#2C1810').font('Helvetica-Bold').fontSize(12).text(`Receipt No: ${payment.receipt.number}`, left, 140);
+    doc.font('Helvetica').text(`Date: ${formatDate(payment.receipt.issuedAt)}`, left, 140, { width, align: 'right' });
+
+    // Amount
+    doc.roundedRect(left, 170, width, 60, 8).fillAndStroke('#FEF3E2', '#FA812F');
+    doc.fillColor('#5C4033').font('Helvetica').fontSize(12).text('Amount received', left + 20, 182);
+    doc.fillColor('#2C1810').font('Helvetica-Bold').fontSize(22).text(`Rs. ${payment.amount.toFixed(2)}`, left + 20, 198);
+    doc.fillColor('#2d7a3e').fontSize(12).text('PAID', left, 192, { width: width - 20, align: 'right' });
+
+    // Details table
+    let y = 255;
+    for (const [label, value] of receiptRows(payment)) {
+      doc.fillColor('#5C4033').font('Helvetica').fontSize(11).text(label, left, y, { width: 160 });
+      doc.fillColor('#2C1810').font('Helvetica-Bold').text(String(value), left + 170, y, { width: width - 170 });
+      y = Math.max(y + 24, doc.y + 8);
+      doc.moveTo(left, y - 6).lineTo(left + width, y - 6).lineWidth(0.5).strokeColor('#E8D5B7').stroke();
+    }
+
+    if (payment.refundStatus === 'approved' || payment.status === 'refunded') {
+      doc.fillColor('#a83232').font('Helvetica-Bold').fontSize(11)
+        .text(`Refunded Rs. ${payment.refundAmount ?? payment.amount} on ${formatDate(payment.refundedAt)}`, left, y + 6);
+      y += 30;
+    }
+
+    doc.fillColor('#5C4033').font('Helvetica').fontSize(9).text(
+      'This is a computer-generated receipt and does not need a signature. ' +
+      'The receipt number can be quoted to the Savishkar organizing team for verification.',
+      left, Math.max(y + 20, 700), { width, align: 'center' }
+    );
+
+    doc.end();
+  });
+};
+
+/**
+ * Receipt PDF of a captured payment, numbering it first if needed
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<{ payment: Object, filename: string, pdf: Buffer }>}
+ */
+export const buildReceipt = async (paymentId) => {
+  await ensureReceiptNumber(paymentId);
+  const payment = await loadReceiptPayment(paymentId);
+  const pdf = await generateReceiptPDF(payment);
+  return { payment, filename: `${payment.receipt.number}.pdf`, pdf };
+};
+
+/**
+ * Receipt as an email attachment - null if it couldn't be built, so the email still goes out
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object|null>} - Nodemailer attachment
+ */
+export const buildReceiptAttachment = async (paymentId) => {
+  try {
+    const { filename, pdf } = await buildReceipt(paymentId);
+    return { filename, content: pdf, contentType: 'application/pdf' };
+  } catch (error) {
+    console.error(`❌ Receipt error for payment ${paymentId}:`, error.message);
+    return null;
+  }
+};
+
+export default {
+  ensureReceiptNumber,
+  generateReceiptPDF,
+  buildReceipt,
+  buildReceiptAttachment
+};
@@ -0,0 +1,298 @@
+import Payment from '../models/Payment.js';
+import Settings from '../models/Settings.js';
+import { queueEmail } from './emailQueue.js';
+import { getEventInterval } from './eventSchedule.js';
+import { renderEmail } from './emailRegistry.js';
+
+/**
+ * Refunds for cancelled registrations and rejected payments
+ *
+ * A participant requests a refund on a payment; the refund policy (stored as
+ * JSON in Settings under 'refund_policy') decides straight away whether it is
+ * eligible. Ineligible requests are denied automatically, eligible ones wait
+ * for an admin to send the money and record the outgoing UTR.
+ */
+
+const POLICY_KEY = 'refund_policy';
+
+export const DEFAULT_REFUND_POLICY = {
+  enabled: true,
+  cutoffDate: null, // no requests after this date (ISO string)
+  hoursBeforeEvent: 24, // requests must be made at least this long before the event starts
+  refundPercent: 100, // share of the amount paid that is returned
+  refundRejectedPayments: false // refund payments rejected by admins in full - off because a rejection usually means the money never arrived
+};
+
+/**
+ * Get the current refund policy
+ * @returns {Promise<Object>}
+ */
+export const getRefundPolicy = async () => {
+  const raw = await Settings.get(POLICY_KEY);
+  if (!raw) {
+    return { ...DEFAULT_REFUND_POLICY };
+  }
+
+  try {
+    return { ...DEFAULT_REFUND_POLICY, ...JSON.parse(raw) };
+  } catch (error) {
+    console.error('❌ Invalid refund policy setting, using defaults:', error.message);
+    return { ...DEFAULT_REFUND_POLICY };
+  }
+};
+
+/**
+ * Validate and save the refund policy
+ * @param {Object} input - Policy fields to change
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - Saved policy
+ */
+export const saveRefundPolicy = async (input, userId) => {
+  const policy = { ...(await getRefundPolicy()) };
+
+  if (input.enabled !== undefined) {
+    policy.enabled = Boolean(input.enabled);
+  }
+  if (input.refundRejectedPayments !== undefined) {
+    policy.refundRejectedPayments = Boolean(input.refundRejectedPayments);
+  }
+  if (input.cutoffDate !== undefined) {
+    if (input.cutoffDate && isNaN(new Date(input.cutoffDate).getTime())) {
+      throw new Error('cutoffDate must be a valid date');
+    }
+    policy.cutoffDate = input.cutoffDate ? new Date(input.cutoffDate).toISOString() : null;
+  }
+  if (input.hoursBeforeEvent !== undefined) {
+    const hours = input.hoursBeforeEvent === null || input.hoursBeforeEvent === '' ? null : Number(input.hoursBeforeEvent);
+    if (hours !== null && (isNaN(hours) || hours < 0)) {
+      throw new Error('hoursBeforeEvent must be zero or more');
+    }
+    policy.hoursBeforeEvent = hours;
+  }
+  if (input.refundPercent !== undefined) {
+    const percent = Number(input.refundPercent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      throw new Error('refundPercent must be between 0 and 100');
+    }
+    policy.refundPercent = percent;
+  }
+
+  await Settings.set(POLICY_KEY, JSON.stringify(policy), {
+    description: 'Refund eligibility rules (JSON): enabled, cutoffDate, hoursBeforeEvent, refundPercent, refundRejectedPayments',
+    category: 'payment',
+    isPublic: false,
+    updatedBy: userId
+  });
+
+  return policy;
+};
+
+/**
+ * Decide whether a refund request is eligible under the policy
+ * @param {Object} payment - Payment being refunded
+ * @param {Object} event - Event it was paid for
+ * @param {Object} policy - Refund policy
+ * @param {Date} now - Time of the request
+ * @returns {{ eligible: boolean, amount: number, reason: string }}
+ */
+export const evaluateRefundEligibility = (payment, event, policy, now = new Date()) => {
+  if (payment.status === 'failed') {
+    return policy.refundRejectedPayments
+      ? { eligible: true, amount: payment.amount, reason: 'Payment was rejected by the organizers - full refund' }
+      : { eligible: false, amount: 0, reason: 'This payment was rejected because it was not received - contact the organizers with your UTR if you were charged' };
+  }
+
+  if (!policy.enabled) {
+    return { eligible: false, amount: 0, reason: 'Refunds are not being offered for cancellations' };
+  }
+
+  if (policy.cutoffDate && now > new Date(policy.cutoffDate)) {
+    return {
+      eligible: false,
+      amount: 0,
+      reason: `Refund requests closed on ${new Date(policy.cutoffDate).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`
+    };
+  }
+
+  if (policy.hoursBeforeEvent && event) {
+    const start = getEventInterval(event)?.start || new Date(event.date);
+    if (start - now < policy.hoursBeforeEvent * 60 * 60 * 1000) {
+      return {
+        eligible: false,
+        amount: 0,
+        reason: `Refunds must be requested at least ${policy.hoursBeforeEvent} hours before the event starts`
+      };
+    }
+  }
+
+  const amount = Math.round((payment.amount * policy.refundPercent) / 100);
+  if (amount <= 0) {
+    return { eligible: false, amount: 0, reason: 'The refund policy does not return any amount for cancellations' };
+  }
+
+  return {
+    eligible: true,
+    amount,
+    reason: policy.refundPercent < 100
+      ? `Eligible for a ${policy.refundPercent}% refund under the refund policy`
+      : 'Eligible for a full refund under the refund policy'
+  };
+};
+
+// Payments whose money was received - verified ones, and rejected ones only when the policy refunds rejections
+const receivedStatuses = (policy) => (policy.refundRejectedPayments ? ['captured', 'failed'] : ['captured']);
+
+/**
+ * Find the latest payment that actually received money for a registration
+ * @param {string} registrationId - Registration ID
+ * @param {Object} policy - Refund policy (loaded if not given)
+ * @returns {Promise<Object|null>}
+ */
+export const findPaidPayment = async (registrationId, policy) => {
+  const refundPolicy = policy || await getRefundPolicy();
+
+  return Payment.findOne({
+    registration: registrationId,
+    status: { $in: receivedStatuses(refundPolicy) },
+    $or: [{ utrNumber: { $exists: true, $ne: null } }, { razorpayPaymentId: { $exists: true, $ne: null } }]
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Check whether a refund can be requested for a payment at all
+ * @param {Object} payment - Payment
+ * @param {Object|null} registration - Its registration (null once a rejected registration is removed)
+ * @param {Object} policy - Refund policy
+ * @returns {string|null} - Reason it can't be refunded, or null
+ */
+export const getRefundBlocker = (payment, registration, policy) => {
+  if (!payment.amount || payment.amount <= 0) {
+    return 'Nothing was paid for this registration';
+  }
+  if (payment.status === 'refunded') {
+    return 'This payment has already been refunded';
+  }
+  if (payment.refundStatus) {
+    return `A refund has already been ${payment.refundStatus === 'requested' ? 'requested' : payment.refundStatus} for this payment`;
+  }
+  // A UTR the participant typed in isn't money received until an admin has verified it
+  if (!receivedStatuses(policy).includes(payment.status) || (!payment.utrNumber && !payment.razorpayPaymentId)) {
+    return 'No money was received for this payment';
+  }
+  if (payment.status !== 'failed' && registration && registration.status !== 'cancelled') {
+    return 'Cancel the registration before requesting a refund';
+  }
+  return null;
+};
+
+/**
+ * Email the participant about their refund and log it
+ * @param {Object} payment - Payment with user and event populated
+ */
+export const sendRefundEmail = async (payment) => {
+  const user = payment.user;
+  const event = payment.event;
+  if (!user?.email || !event) return;
+
+  try {
+    let content;
+
+    if (payment.refundStatus === 'approved') {
+      content = renderEmail('refund-approved', {
+        userName: user.name,
+        eventName: event.name,
+        amount: payment.refundAmount,
+        utr: payment.refundId,
+        note: payment.refundReason
+      });
+    } else if (payment.refundStatus === 'denied') {
+      content = renderEmail('refund-denied', { userName: user.name, eventName: event.name, reason: payment.refundReason });
+    } else {
+      content = renderEmail('refund-requested', {
+        userName: user.name,
+        eventName: event.name,
+        amount: payment.refundEligibility?.amount ?? payment.amount
+      });
+    }
+
+    await queueEmail({ email: user.email, ...content }, {
+      type: 'payment',
+      user: user._id,
+      relatedEvent: event._id,
+      relatedRegistration: payment.registration?._id || payment.registration
+    });
+  } catch (emailError) {
+    console.error('❌ Refund email error:', emailError.message);
+  }
+};
+
+/**
+ * Record a refund request and let the policy decide eligibility
+ * @param {Object} options - { payment, registration, event, upiId, note }
+ * @returns {Promise<Object>} - Updated payment (refundStatus 'requested', or 'denied' if ineligible)
+ */
+export const requestRefund = async ({ payment, registration, event, upiId, note }) => {
+  const policy = await getRefundPolicy();
+  const blocker = getRefundBlocker(payment, registration, policy);
+  if (blocker) {
+    const error = new Error(blocker);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // UPI payments are refunded by hand, so we need to know where to send the money
+  if (payment.method === 'offline' && !upiId) {
+    const error = new Error('Please provide the UPI ID the refund should be sent to');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const eligibility = evaluateRefundEligibility(payment, event, policy, now);
+
+  const update = {
+    refundStatus: eligibility.eligible ? 'requested' : 'denied',
+    refundRequestedAt: now,
+    refundEligibility: eligibility
+  };
+  if (note) {
+    update.refundRequestNote = String(note).trim();
+  }
+  if (upiId) {
+    update.refundUpiId = String(upiId).trim();
+  }
+  if (!eligibility.eligible) {
+    update.refundReason = eligibility.reason;
+  }
+
+  // Conditional so a double-submitted request is only recorded once
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, refundStatus: { $exists: false } },
+    { $set: update },
+    { new: true }
+  )
+    .populate('user', 'name email')
+    .populate('event', 'name date');
+
+  if (!updated) {
+    const error = new Error('A refund has already been requested for this payment');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  console.log(`${eligibility.eligible ? '✅' : '⚠️'} Refund ${updated.refundStatus} for payment ${updated._id}: ${eligibility.reason}`);
+  await sendRefundEmail(updated);
+
+  return updated;
+};
+
+export default {
+  DEFAULT_REFUND_POLICY,
+  getRefundPolicy,
+  saveRefundPolicy,
+  evaluateRefundEligibility,
+  findPaidPayment,
+  getRefundBlocker,
+  sendRefundEmail,
+  requestRefund
+};
@@ -0,0 +1,281 @@
+import Event from '../models/Event.js';
+import Registration from '../models/Registration.js';
+import { queueEmail } from './emailQueue.js';
+import { renderEmail } from './emailRegistry.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Event results and the fest points table
+ *
+ * Results are entered per event - and per registration category for events
+ * like Photography (DSLR / Mobile) - as positions linked to registrations.
+ * They stay private until published; publishing emails each winning team once.
+ *
+ * Points go to the college of the registering participant, split by the
+ * department that ran the event, so the same results give both the college
+ * and the department standings.
+ */
+
+// Points for a place - every position after third gets the consolation points
+export const RESULT_POINTS = { 1: 10, 2: 6, 3: 4 };
+const CONSOLATION_POINTS = 2;
+
+/**
+ * Points a result is worth
+ * @param {number} position - 1-based place
+ * @returns {number}
+ */
+export const pointsFor = (position) => RESULT_POINTS[position] ?? CONSOLATION_POINTS;
+
+/**
+ * "First Place", "Second Place", ... or the result's own title
+ * @param {number} position - 1-based place
+ * @param {string} title - Custom title from the results
+ * @returns {string}
+ */
+export const formatPosition = (position, title) => {
+  if (title) return title;
+  const places = ['First', 'Second', 'Third', 'Fourth', 'Fifth'];
+  return places[position - 1] ? `${places[position - 1]} Place` : `Position ${position}`;
+};
+
+/**
+ * Check results from the admin form against the event's registrations
+ * @param {Object} event - Event document
+ * @param {Array} rawResults - [{ registration, position, category, title }]
+ * @returns {Promise<Array>} - Cleaned results, keeping notifiedAt of results already announced
+ */
+export const validateResults = async (event, rawResults) => {
+  const categories = (event.registrationCategories || []).map((category) => category.categoryName);
+
+  const results = (Array.isArray(rawResults) ? rawResults : []).map((result) => ({
+    registration: String(result.registration || ''),
+    position: Number(result.position),
+    category: categories.length > 0 ? String(result.category || '').trim() : undefined,
+    title: result.title?.trim() || undefined
+  }));
+
+  if (results.some((result) => !result.registration)) {
+    throw httpError('Pick a registration for every result');
+  }
+  if (results.some((result) => !Number.isInteger(result.position) || result.position < 1)) {
+    throw httpError('Positions must be whole numbers starting from 1');
+  }
+  if (categories.length > 0 && results.some((result) => !categories.includes(result.category))) {
+    throw httpError(`Choose the category of every result (${categories.join(', ')})`);
+  }
+
+  const registrationIds = results.map((result) => result.registration);
+  if (new Set(registrationIds).size !== registrationIds.length) {
+    throw httpError('A registration can only appear once in the results');
+  }
+
+  const registrations = await Registration.find({
+    _id: { $in: registrationIds },
+    event: event._id,
+    status: { $ne: 'cancelled' }
+  }).select('registrationCategory');
+  if (registrations.length !== results.length) {
+    throw httpError('Results can only include active registrations for this event');
+  }
+
+  const byId = new Map(registrations.map((registration) => [registration._id.toString(), registration]));
+  const mismatch = results.find((result) =>
+    result.category && byId.get(result.registration).registrationCategory &&
+    byId.get(result.registration).registrationCategory !== result.category
+  );
+  if (mismatch) {
+    throw httpError(`A ${byId.get(mismatch.registration).registrationCategory} registration can't be placed in ${mismatch.category}`);
+  }
+
+  // An unchanged result isn't announced again
+  const announced = new Map(
+    (event.results || []).filter((result) => result.notifiedAt).map((result) => [
+      `${result.registration}:${result.category || ''}:${result.position}`,
+      result.notifiedAt
+    ])
+  );
+  return results.map((result) => ({
+    ...result,
+    notifiedAt: announced.get(`${result.registration}:${result.category || ''}:${result.position}`)
+  }));
+};
+
+// Winner details shown with published results
+export const populateWinners = {
+  path: 'results.registration',
+  select: 'registrationNumber teamName registrationCategory user teamMembers.name teamMembers.college teamMembers.inviteStatus',
+  populate: { path: 'user', select: 'name college' }
+};
+
+/**
+ * Results of an event as shown publicly, grouped by category and sorted by place
+ * @param {Object} event - Event with results.registration populated (see populateWinners)
+ * @returns {Array<{ category: string|null, winners: Array }>}
+ */
+export const formatResults = (event) => {
+  const groups = new Map();
+
+  for (const result of [...event.results].sort((a, b) => a.position - b.position)) {
+    const registration = result.registration;
+    if (!registration?.user) continue;
+
+    const key = result.category || '';
+    if (!groups.has(key)) groups.set(key, []);
+
+    const members = (registration.teamMembers || [])
+      .filter((member) => member.inviteStatus !== 'declined')
+      .map((member) => member.name);
+
+    groups.get(key).push({
+      position: result.position,
+      label: formatPosition(result.position, result.title),
+      name: registration.user.name,
+      college: registration.user.college,
+      teamName: registration.teamName,
+      members,
+      registrationNumber: registration.registrationNumber,
+      points: pointsFor(result.position)
+    });
+  }
+
+  return [...groups.entries()].map(([category, winners]) => ({ category: category || null, winners }));
+};
+
+/**
+ * Published events with their results
+ * @returns {Promise<Array>}
+ */
+export const getPublishedResults = async () => {
+  const events = await Event.find({ resultsPublishedAt: { $ne: null }, 'results.0': { $exists: true } })
+    .select('name category department date prizes registrationCategories results resultsPublishedAt')
+    .populate(populateWinners)
+    .sort({ date: 1 });
+
+  return events.map((event) => ({
+    _id: event._id,
+    name: event.name,
+    category: event.category,
+    department: event.department,
+    date: event.date,
+    resultsPublishedAt: event.resultsPublishedAt,
+    groups: formatResults(event)
+  }));
+};
+
+/**
+ * Points per college, split by the department that ran each event
+ * @param {Array} publishedResults - From getPublishedResults
+ * @returns {{ departments: string[], colleges: Array<{ college, total, byDepartment, first, second, third }> }}
+ */
+export const computePointsTable = (publishedResults) => {
+  const departments = new Set();
+  const colleges = new Map();
+
+  for (const event of publishedResults) {
+    const department = event.department || 'Common';
+    departments.add(department);
+
+    for (const { winners } of event.groups) {
+      for (const winner of winners) {
+        const college = winner.college?.trim() || 'Unknown';
+        if (!colleges.has(college)) {
+          colleges.set(college, { college, total: 0, byDepartment: {}, first: 0, second: 0, third: 0 });
+        }
+        const row = colleges.get(college);
+        row.total += winner.points;
+        row.byDepartment[department] = (row.byDepartment[department] || 0) + winner.points;
+        if (winner.position === 1) row.first++;
+        if (winner.position === 2) row.second++;
+        if (winner.position === 3) row.third++;
+      }
+    }
+  }
+
+  // Ties broken by more first places, then seconds, then thirds
+  const sorted = [...colleges.values()].sort((a, b) =>
+    b.total - a.total || b.first - a.first || b.second - a.second || b.third - a.third || a.college.localeCompare(b.college)
+  );
+
+  return { departments: [...departments].sort(), colleges: sorted };
+};
+
+const prizeFor = (event, result) => {
+  const category = event.registrationCategories?.find((entry) => entry.categoryName === result.category);
+  if (category?.prize && result.position === 1) return category.prize;
+  return { 1: event.prizes?.first, 2: event.prizes?.second, 3: event.prizes?.third }[result.position];
+};
+
+const sendWinnerEmails = async (event, result, registration) => {
+  const recipients = [
+    { name: registration.user.name, email: registration.user.email, user: registration.user._id },
+    ...registration.teamMembers
+      .filter((member) => member.inviteStatus !== 'declined')
+      .map((member) => ({ name: member.name, email: member.email, user: member.user }))
+  ].filter((person, index, all) =>
+    person.email && all.findIndex((other) => other.email?.toLowerCase() === person.email.toLowerCase()) === index
+  );
+
+  for (const person of recipients) {
+    try {
+      await queueEmail({
+        email: person.email,
+        ...renderEmail('result-winner', {
+          userName: person.name,
+          eventName: event.name,
+          position: formatPosition(result.position, result.title),
+          category: result.category,
+          teamName: registration.teamName,
+          prize: prizeFor(event, result)
+        })
+      }, { type: 'update', user: person.user, relatedEvent: event._id, relatedRegistration: registration._id });
+    } catch (emailError) {
+      console.error('❌ Email error:', emailError.message);
+    }
+  }
+};
+
+/**
+ * Publish an event's results and email winners who haven't been told yet
+ * @param {Object} event - Event document
+ * @returns {Promise<{ event: Object, notified: number }>}
+ */
+export const publishResults = async (event) => {
+  if (!event.results?.length) {
+    throw httpError('Add the results before publishing them');
+  }
+
+  const pending = event.results.filter((result) => !result.notifiedAt);
+  const registrations = await Registration.find({ _id: { $in: pending.map((result) => result.registration) } })
+    .populate('user', 'name email');
+  const byId = new Map(registrations.map((registration) => [registration._id.toString(), registration]));
+
+  const now = new Date();
+  event.resultsPublishedAt = event.resultsPublishedAt || now;
+  for (const result of pending) {
+    result.notifiedAt = now;
+  }
+  await event.save();
+
+  let notified = 0;
+  for (const result of pending) {
+    const registration = byId.get(result.registration.toString());
+    if (!registration?.user) continue;
+    notified++;
+    await sendWinnerEmails(event, result, registration);
+  }
+
+  console.log(`🏆 Results published for ${event.name} - ${notified} winners notified`);
+  return { event, notified };
+};
+
+export default {
+  RESULT_POINTS,
+  pointsFor,
+  formatPosition,
+  validateResults,
+  formatResults,
+  getPublishedResults,
+  computePointsTable,
+  publishResults
+};
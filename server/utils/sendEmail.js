@@ -113,7 +113,7 @@ const sendEmail = async (options) => {
 };
 
 // Helper function to send email with specific credentials
-const sendEmailWithCredentials = async (options, useFallback, startTime) => {
+const sendEmailWithCredentials = async (options, useFallback, startTime, maxRetries = 2) => {
   const emailUser = useFallback ? process.env.FALLBACK_EMAIL_USER : process.env.EMAIL_USER;
   const emailHost = useFallback ? 
     (process.env.FALLBACK_EMAIL_HOST || process.env.EMAIL_HOST || 'smtp.gmail.com') : 
@@ -145,6 +145,7 @@ const sendEmailWithCredentials = async (options, useFallback, startTime) => {
       subject: options.subject,
       html: options.html,
       text: options.text || options.html.replace(/<[^>]*>/g, ''),
+      attachments: options.attachments || [],
       headers: {
         'X-Priority': '1',
         'X-MSMail-Priority': 'High',
@@ -169,7 +170,7 @@ const sendEmailWithCredentials = async (options, useFallback, startTime) => {
           30000
         );
       },
-      2,
+      maxRetries,
       3000
     );
     
@@ -230,4 +231,23 @@ const sendEmailWithCredentials = async (options, useFallback, startTime) => {
   }
 };
 
+/**
+ * SMTP accounts that can send mail, in order of preference
+ * @returns {string[]} - 'primary', plus 'fallback' when it is configured
+ */
+export const getSmtpAccounts = () => {
+  return process.env.FALLBACK_EMAIL_USER && process.env.FALLBACK_EMAIL_PASS
+    ? ['primary', 'fallback']
+    : ['primary'];
+};
+
+/**
+ * Single send attempt through one account - retries are left to the caller (see services/emailOutbox.js)
+ * @param {Object} options - { email, subject, html, text, attachments }
+ * @param {string} account - 'primary' or 'fallback'
+ */
+export const sendEmailWithAccount = (options, account) => {
+  return sendEmailWithCredentials(options, account === 'fallback', Date.now(), 1);
+};
+
 export default sendEmail;
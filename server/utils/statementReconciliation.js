@@ -0,0 +1,355 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import Payment from '../models/Payment.js';
+import Event from '../models/Event.js';
+import Pass from '../models/Pass.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Bank / UPI statement reconciliation
+ *
+ * Admins upload the statement export (CSV or XLSX) of one receiving account -
+ * a UPI ID from Event.qrCodes. Credit lines are matched to pending offline
+ * payments submitted against that account by UTR, then by amount:
+ *   matched     - UTR and amount agree (safe to bulk-approve)
+ *   mismatched  - UTR found but the amount differs
+ *   unknown     - statement line whose UTR no pending payment claims
+ *   missing     - pending payment with no line in the statement
+ * Column layouts differ between banks, so columns are found by header name.
+ */
+
+const HEADER_PATTERNS = {
+  utr: /\b(utr|rrn|ref(erence)?\.?\s*(no|number|id)?|transaction\s*id|txn\s*id|upi\s*ref)/i,
+  credit: /\b(credit|deposit|cr\.?\s*amount|money\s*in)/i,
+  amount: /\bamount\b/i,
+  type: /\b(type|cr\s*\/\s*dr|dr\s*\/\s*cr)\b/i,
+  date: /\b(date|time)\b/i,
+  description: /\b(narration|description|remarks|particulars|details)\b/i
+};
+
+const UTR_IN_TEXT = /\b\d{12}\b/;
+
+/**
+ * Normalize a UTR for comparison
+ * @param {*} value - UTR as typed or read from the statement
+ * @returns {string}
+ */
+export const normalizeUtr = (value) => String(value ?? '').replace(/\s+/g, '').toUpperCase();
+
+// Plain value of an ExcelJS cell (rich text, formulas, hyperlinks)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.result !== undefined) return value.result;
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+};
+
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).replace(/₹|INR|Rs\.?|,|\s|cr$/gi, '');
+  const amount = parseFloat(cleaned);
+  return isNaN(amount) ? null : amount;
+};
+
+const IST_OFFSET_MINUTES = 330; // UTC+05:30
+const STATEMENT_DATE = /^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4}|\d{2})(?:[\sT,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?m?\.?)?$/i;
+
+/**
+ * Read a statement date - Indian statements use dd/mm/yyyy, optionally with a time, in IST
+ * (Date.parse would read it as mm/dd in UTC)
+ * @param {*} value - Cell value
+ * @returns {Date|null}
+ */
+export const parseStatementDate = (value) => {
+  if (value instanceof Date) return value;
+  const text = String(value ?? '').trim();
+
+  const match = text.match(STATEMENT_DATE);
+  if (match) {
+    const [, day, month, yearText, hourText = '0', minute = '0', second = '0', meridiem] = match;
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    let hour = Number(hourText);
+    if (meridiem) {
+      hour = (hour % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    }
+
+    // Date.UTC rolls 31/02 over into March - only accept dates that exist
+    const wallClock = new Date(Date.UTC(year, Number(month) - 1, Number(day), hour, Number(minute), Number(second)));
+    if (wallClock.getUTCDate() !== Number(day) || wallClock.getUTCMonth() !== Number(month) - 1 || hour > 23) {
+      return null;
+    }
+    return new Date(wallClock.getTime() - IST_OFFSET_MINUTES * 60000);
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Find the header row and which column holds what
+const findColumns = (rows) => {
+  for (let index = 0; index < Math.min(rows.length, 30); index++) {
+    const headers = rows[index].map((cell) => String(cellValue(cell)).replace(/^\uFEFF/, '').trim());
+    const find = (pattern, exclude = []) => headers.findIndex((header, i) => header && pattern.test(header) && !exclude.includes(i));
+
+    const utr = find(HEADER_PATTERNS.utr);
+    const credit = find(HEADER_PATTERNS.credit);
+    const amount = credit === -1 ? find(HEADER_PATTERNS.amount) : credit;
+    const description = find(HEADER_PATTERNS.description);
+
+    if (amount !== -1 && (utr !== -1 || description !== -1)) {
+      return {
+        headerRow: index,
+        utr,
+        amount,
+        isCreditColumn: credit !== -1,
+        type: find(HEADER_PATTERNS.type, [utr, amount, description]),
+        date: find(HEADER_PATTERNS.date, [utr, amount, description]),
+        description
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Read the credit lines out of a statement export
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} filename - Original file name (decides CSV vs XLSX)
+ * @returns {Promise<{ lines: Array, unreadable: Array, period: Object }>}
+ */
+export const parseStatement = async (buffer, filename) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (/\.csv$/i.test(filename)) {
+    // Keep every value as text so long UTRs aren't turned into numbers
+    worksheet = await workbook.csv.read(Readable.from(buffer), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet) {
+    throw httpError('The statement file is empty');
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    rows.push(Array.isArray(row.values) ? row.values.slice(1) : []);
+  });
+
+  const columns = findColumns(rows);
+  if (!columns) {
+    throw httpError('Could not find the UTR / reference and amount (or credit) columns in this statement');
+  }
+
+  const lines = [];
+  const unreadable = [];
+  let from = null;
+  let to = null;
+
+  rows.slice(columns.headerRow + 1).forEach((row, offset) => {
+    const rowNumber = columns.headerRow + offset + 2;
+    const get = (column) => (column === -1 ? '' : cellValue(row[column]));
+
+    // Skip debits - either an empty credit column or a Dr type marker
+    if (columns.type !== -1 && /^d/i.test(String(get(columns.type)).trim())) return;
+    const amount = parseAmount(get(columns.amount));
+    if (amount === null || amount <= 0) return;
+
+    const description = String(get(columns.description)).trim();
+    let utr = normalizeUtr(get(columns.utr));
+    if (!utr || (!/^\d{12}$/.test(utr) && UTR_IN_TEXT.test(description))) {
+      utr = description.match(UTR_IN_TEXT)?.[0] || utr;
+    }
+
+    const date = columns.date === -1 ? null : parseStatementDate(get(columns.date));
+    if (date) {
+      if (!from || date < from) from = date;
+      if (!to || date > to) to = date;
+    }
+
+    const line = { row: rowNumber, utr, amount, date, description };
+    if (utr) {
+      lines.push(line);
+    } else {
+      unreadable.push(line);
+    }
+  });
+
+  return { lines, unreadable, period: { from, to } };
+};
+
+/**
+ * Receiving accounts (UPI IDs) across events, with pending payment counts
+ * @returns {Promise<Array>} - [{ upiId, accountName, events, pendingCount, dailyAmountCap }]
+ */
+export const getReceivingAccounts = async () => {
+  const events = await Event.find().select('name qrCodes paymentUPI paymentAccountName qrRotation');
+  const accounts = new Map();
+
+  const add = (upiId, accountName, event, dailyAmountCap) => {
+    if (!upiId) return;
+    if (!accounts.has(upiId)) {
+      accounts.set(upiId, { upiId, accountName, events: [], pendingCount: 0, dailyAmountCap: 0 });
+    }
+    const account = accounts.get(upiId);
+    if (!account.events.some((e) => e._id.equals(event._id))) {
+      account.events.push({ _id: event._id, name: event.name, qrRotation: event.qrRotation });
+    }
+    // The same UPI ID can be listed by several events - the strictest cap wins
+    if (dailyAmountCap > 0 && (!account.dailyAmountCap || dailyAmountCap < account.dailyAmountCap)) {
+      account.dailyAmountCap = dailyAmountCap;
+    }
+  };
+
+  for (const event of events) {
+    for (const qr of event.qrCodes || []) {
+      add(qr.upiId, qr.accountName, event, qr.dailyAmountCap);
+    }
+    add(event.paymentUPI, event.paymentAccountName, event);
+  }
+
+  // Combo passes are paid to their own account, listed like an event
+  const passes = await Pass.find({ paymentUPI: { $nin: [null, ''] } }).select('name paymentUPI paymentAccountName');
+  for (const pass of passes) {
+    add(pass.paymentUPI, pass.paymentAccountName, { _id: pass._id, name: `${pass.name} (pass)` });
+  }
+
+  const pending = await Payment.aggregate([
+    { $match: { status: 'created', utrNumber: { $exists: true, $ne: null } } },
+    { $group: { _id: '$qrCodeUsed.upiId', count: { $sum: 1 } } }
+  ]);
+  for (const { _id, count } of pending) {
+    if (accounts.has(_id)) accounts.get(_id).pendingCount = count;
+  }
+
+  return [...accounts.values()].sort((a, b) => b.pendingCount - a.pendingCount);
+};
+
+const summarizePayment = (payment) => ({
+  _id: payment._id,
+  utrNumber: payment.utrNumber,
+  amount: payment.amount,
+  user: payment.user && { name: payment.user.name, email: payment.user.email },
+  event: payment.event && { _id: payment.event._id, name: payment.event.name },
+  registrationNumber: payment.registration?.registrationNumber || payment.passPurchase?.passNumber,
+  submittedAt: payment.transactionDate || payment.createdAt
+});
+
+/**
+ * Match statement lines against pending payments for one receiving account
+ * @param {Object} options - { lines, period, upiId, eventId }
+ * @returns {Promise<Object>} - { summary, matched, mismatched, unknown, missing }
+ */
+export const reconcileStatement = async ({ lines, period, upiId, eventId }) => {
+  const filter = {
+    status: 'created',
+    utrNumber: { $exists: true, $ne: null },
+    'qrCodeUsed.upiId': upiId
+  };
+  if (eventId) filter.event = eventId;
+
+  const pending = await Payment.find(filter)
+    .populate('user', 'name email')
+    .populate('event', 'name')
+    .populate('registration', 'registrationNumber status')
+    .populate('passPurchase', 'passNumber');
+
+  const pendingByUtr = new Map(pending.map((payment) => [normalizeUtr(payment.utrNumber), payment]));
+  const seen = new Set();
+  const claimed = new Set();
+
+  const matched = [];
+  const mismatched = [];
+  const unknownLines = [];
+
+  for (const line of lines) {
+    if (seen.has(line.utr)) {
+      unknownLines.push({ line, note: 'Same UTR appears earlier in the statement' });
+      continue;
+    }
+    seen.add(line.utr);
+
+    const payment = pendingByUtr.get(line.utr);
+    if (!payment) {
+      unknownLines.push({ line });
+      continue;
+    }
+
+    claimed.add(payment._id.toString());
+    if (Math.abs(payment.amount - line.amount) < 0.01) {
+      matched.push({ line, payment: summarizePayment(payment) });
+    } else {
+      mismatched.push({ line, payment: summarizePayment(payment), difference: line.amount - payment.amount });
+    }
+  }
+
+  // Explain lines nobody pending claims - often already handled or paid to another account
+  const otherPayments = await Payment.find({
+    utrNumber: { $in: unknownLines.filter((entry) => !entry.note).map((entry) => entry.line.utr) }
+  }).select('utrNumber status qrCodeUsed');
+  const otherByUtr = new Map(otherPayments.map((payment) => [normalizeUtr(payment.utrNumber), payment]));
+
+  // UPI QRs generated per registration (or pass) carry its number as the note
+  const referenceOf = (payment) => payment.registration?.registrationNumber || payment.passPurchase?.passNumber;
+  const pendingByRegistrationNumber = pending.filter(referenceOf);
+
+  const unknown = unknownLines.map(({ line, note }) => {
+    if (note) return { line, note };
+    const noted = pendingByRegistrationNumber.find((payment) =>
+      line.description.toUpperCase().includes(referenceOf(payment).toUpperCase())
+    );
+    if (noted && !claimed.has(noted._id.toString())) {
+      return {
+        line,
+        note: `Note mentions ${referenceOf(noted)} - the participant may have typed UTR ${noted.utrNumber} by mistake`,
+        payment: summarizePayment(noted)
+      };
+    }
+    const other = otherByUtr.get(line.utr);
+    if (!other) return { line, note: 'No payment was submitted with this UTR' };
+    if (other.status === 'captured') return { line, note: 'Already approved' };
+    if (other.status === 'failed') return { line, note: 'Payment with this UTR was rejected' };
+    if (other.status === 'refunded') return { line, note: 'Payment with this UTR was refunded' };
+    if (other.qrCodeUsed?.upiId && other.qrCodeUsed.upiId !== upiId) {
+      return { line, note: `Submitted against ${other.qrCodeUsed.upiId}` };
+    }
+    return { line, note: 'Payment is outside the selected event' };
+  });
+
+  const missing = pending
+    .filter((payment) => !claimed.has(payment._id.toString()))
+    .map((payment) => {
+      const summary = summarizePayment(payment);
+      // Submitted after the statement ends - it may simply not be in this export yet
+      return { payment: summary, afterStatement: Boolean(period?.to && summary.submittedAt > period.to) };
+    });
+
+  return {
+    summary: {
+      statementLines: lines.length,
+      pendingPayments: pending.length,
+      matched: matched.length,
+      mismatched: mismatched.length,
+      unknown: unknown.length,
+      missing: missing.length
+    },
+    matched,
+    mismatched,
+    unknown,
+    missing
+  };
+};
+
+export default {
+  normalizeUtr,
+  parseStatementDate,
+  parseStatement,
+  getReceivingAccounts,
+  reconcileStatement
+};
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { queueEmail } from './emailQueue.js';
+import { renderEmail } from './emailRegistry.js';
+
+/**
+ * Team invitations
+ *
+ * Members typed in by a team leader are stored on the leader's registration
+ * (Registration.teamMembers) with inviteStatus 'pending'. Each one is emailed
+ * a link carrying a random token - only its SHA-256 hash is stored. Members are
+ * linked to their User account by email, either right away or once they sign up.
+ */
+
+/**
+ * Hash an invite token for storage / lookup
+ * @param {string} token - Raw token from the invite link
+ * @returns {string}
+ */
+export const hashInviteToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Create a new invite token
+ * @returns {{ token: string, hash: string }}
+ */
+export const createInviteToken = () => {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, hash: hashInviteToken(token) };
+};
+
+/**
+ * Normalize the team members submitted by a leader and attach invitations.
+ * The leader (matched by email) is accepted straight away; everyone else
+ * gets a pending invite, linked to their account if one already exists.
+ * @param {Array} teamMembers - Members as submitted
+ * @param {Object} leader - Logged in user registering the team
+ * @returns {Promise<{ members: Array, inviteTokens: Map }>} - inviteTokens maps member email to raw token
+ */
+export const prepareTeamMembers = async (teamMembers, leader) => {
+  const members = [];
+  const inviteTokens = new Map();
+  const now = new Date();
+
+  for (const member of teamMembers || []) {
+    const email = String(member.email || '').trim().toLowerCase();
+    const entry = { ...member, email };
+
+    if (email === leader.email.toLowerCase()) {
+      entry.user = leader._id;
+      entry.inviteStatus = 'accepted';
+      entry.respondedAt = now;
+    } else {
+      const account = await User.findOne({ email }).select('_id');
+      const { token, hash } = createInviteToken();
+      entry.user = account?._id;
+      entry.inviteStatus = 'pending';
+      entry.inviteToken = hash;
+      entry.invitedAt = now;
+      inviteTokens.set(email, token);
+    }
+
+    members.push(entry);
+  }
+
+  return { members, inviteTokens };
+};
+
+/**
+ * Email a team invitation to one member
+ * @param {Object} options - { registration, member, event, leader, token }
+ */
+export const sendTeamInvite = async ({ registration, member, event, leader, token }) => {
+  try {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    const content = renderEmail('team-invite', {
+      memberName: member.name,
+      leaderName: leader.name,
+      eventName: event.name,
+      teamName: registration.teamName,
+      eventDate: event.date,
+      venue: event.venue,
+      inviteUrl: `${clientUrl}/team-invite/${token}`,
+      hasAccount: Boolean(member.user)
+    });
+
+    await queueEmail({ email: member.email, ...content }, {
+      type: 'registration',
+      user: member.user,
+      relatedEvent: event._id,
+      relatedRegistration: registration._id
+    });
+  } catch (emailError) {
+    console.error(`❌ Team invite email error for ${member.email}:`, emailError.message);
+  }
+};
+
+/**
+ * Email every pending member of a freshly created team registration
+ * @param {Object} registration - Team registration
+ * @param {Object} event - Event document
+ * @param {Object} leader - Team leader
+ * @param {Map} inviteTokens - Raw tokens by member email (from prepareTeamMembers)
+ */
+export const sendTeamInvites = async (registration, event, leader, inviteTokens) => {
+  for (const member of registration.teamMembers) {
+    const token = inviteTokens.get(member.email);
+    if (member.inviteStatus === 'pending' && token) {
+      await sendTeamInvite({ registration, member, event, leader, token });
+    }
+  }
+};
+
+/**
+ * Let the team leader know a member accepted or declined
+ * @param {Object} registration - Registration with user and event populated
+ * @param {Object} member - Team member who responded
+ */
+export const sendInviteResponseEmail = async (registration, member) => {
+  const leader = registration.user;
+  const event = registration.event;
+  if (!leader?.email || !event) return;
+
+  try {
+    const accepted = member.inviteStatus === 'accepted';
+    const content = renderEmail('team-invite-response', {
+      leaderName: leader.name,
+      memberName: member.name,
+      eventName: event.name,
+      teamName: registration.teamName,
+      accepted
+    });
+
+    await queueEmail({ email: leader.email, ...content }, {
+      type: 'update',
+      user: leader._id,
+      relatedEvent: event._id,
+      relatedRegistration: registration._id
+    });
+  } catch (emailError) {
+    console.error('❌ Team invite response email error:', emailError.message);
+  }
+};
+
+export default {
+  hashInviteToken,
+  createInviteToken,
+  prepareTeamMembers,
+  sendTeamInvite,
+  sendTeamInvites,
+  sendInviteResponseEmail
+};
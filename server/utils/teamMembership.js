@@ -0,0 +1,299 @@
+import Registration from '../models/Registration.js';
+import EventMembership from '../models/EventMembership.js';
+
+/**
+ * Event-wide membership index
+ *
+ * A person takes part in an event once - either on their own registration or as
+ * a member of one team. People are matched by email and by phone number across
+ * every active registration for the event: the registering user plus everyone
+ * listed in teamMembers (declined invitations excluded).
+ *
+ * Member registrations created by admin-register (isTeamLeader: false) are
+ * skipped - the same people are already listed on their leader's registration.
+ *
+ * findMembershipConflicts gives the readable error up front. claimMemberships
+ * then records each person's email and phone in EventMembership, whose unique
+ * index is what stops two registrations made at the same moment from both
+ * including someone. Claims are released when a registration is cancelled or
+ * removed; a claim whose registration no longer lists the person (a declined
+ * invitation) is cleared the next time someone else claims them.
+ */
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Compare phones by their last 10 digits so "+91 98765 43210" matches "9876543210"
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Every person on a registration, once each
+const getRegistrationPeople = (registration) => {
+  const isTeam = Boolean(registration.teamName) || registration.teamMembers?.length > 1;
+  const people = [];
+  const seen = new Set();
+
+  const add = (person, role, inviteStatus) => {
+    const email = normalizeEmail(person.email);
+    if (!email || seen.has(email)) return;
+    seen.add(email);
+    people.push({
+      name: person.name,
+      email,
+      phone: normalizePhone(person.phone),
+      role,
+      inviteStatus
+    });
+  };
+
+  if (registration.user?.email) {
+    add(registration.user, isTeam ? 'leader' : 'individual');
+  }
+
+  for (const member of registration.teamMembers || []) {
+    if (member.inviteStatus === 'declined') continue;
+    add(member, 'member', member.inviteStatus);
+  }
+
+  return people.map((person) => ({
+    ...person,
+    registrationId: registration._id,
+    registrationNumber: registration.registrationNumber,
+    teamName: registration.teamName,
+    status: registration.status,
+    event: registration.event
+  }));
+};
+
+const getActiveRegistrations = (filter = {}) => {
+  return Registration.find({
+    ...filter,
+    status: { $ne: 'cancelled' },
+    isTeamLeader: { $ne: false }
+  })
+    .select('user event teamName teamMembers registrationNumber status')
+    .populate('user', 'name email phone');
+};
+
+/**
+ * Build the membership index for one event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<{ byEmail: Map, byPhone: Map }>}
+ */
+export const buildMembershipIndex = async (eventId) => {
+  const registrations = await getActiveRegistrations({ event: eventId });
+  const byEmail = new Map();
+  const byPhone = new Map();
+
+  for (const registration of registrations) {
+    for (const entry of getRegistrationPeople(registration)) {
+      if (!byEmail.has(entry.email)) byEmail.set(entry.email, entry);
+      if (entry.phone && !byPhone.has(entry.phone)) byPhone.set(entry.phone, entry);
+    }
+  }
+
+  return { byEmail, byPhone };
+};
+
+/**
+ * Find people in a new submission who already take part in the event
+ * @param {string} eventId - Event ID
+ * @param {Array} people - [{ name, email, phone }] being registered
+ * @param {Object} options - { excludeRegistrationId } to ignore a registration (e.g. the one being edited)
+ * @returns {Promise<Array>} - [{ person, existing, matchedOn }]
+ */
+export const findMembershipConflicts = async (eventId, people, { excludeRegistrationId } = {}) => {
+  const index = await buildMembershipIndex(eventId);
+  const conflicts = [];
+
+  for (const person of people) {
+    const email = normalizeEmail(person.email);
+    const phone = normalizePhone(person.phone);
+
+    let existing = email ? index.byEmail.get(email) : null;
+    let matchedOn = 'email';
+    if (!existing && phone) {
+      existing = index.byPhone.get(phone);
+      matchedOn = 'phone';
+    }
+
+    if (existing && String(existing.registrationId) !== String(excludeRegistrationId)) {
+      conflicts.push({ person, existing, matchedOn });
+    }
+  }
+
+  return conflicts;
+};
+
+// A claim is only taken over when its registration is gone for longer than this - the claim
+// is made just before the registration is created
+const CLAIM_GRACE = 60 * 1000;
+
+const membershipKeys = (person) => {
+  const email = normalizeEmail(person.email);
+  const phone = normalizePhone(person.phone);
+  return [email ? `email:${email}` : null, phone ? `phone:${phone}` : null].filter(Boolean);
+};
+
+// The person holding a claim, or null when the claim is stale (registration cancelled,
+// removed, or no longer listing them) and has been deleted
+const findClaimHolder = async (eventId, key) => {
+  const claim = await EventMembership.findOne({ event: eventId, key });
+  if (!claim) return null;
+
+  const registration = await Registration.findById(claim.registration)
+    .select('user event teamName teamMembers registrationNumber status')
+    .populate('user', 'name email phone');
+
+  const holder = registration && registration.status !== 'cancelled'
+    ? getRegistrationPeople(registration).find((entry) => membershipKeys(entry).includes(key))
+    : null;
+
+  if (holder || (!registration && Date.now() - claim.createdAt < CLAIM_GRACE)) {
+    return holder || { role: 'pending' };
+  }
+
+  await EventMembership.deleteOne({ _id: claim._id });
+  return null;
+};
+
+/**
+ * Claim everyone on a new registration for the event
+ * Call just before creating the registration; on conflict nothing stays claimed.
+ * @param {string} eventId - Event ID
+ * @param {string} registrationId - ID the registration will be created with
+ * @param {Array} people - [{ name, email, phone }] on the registration
+ * @returns {Promise<Array>} - Conflicts as from findMembershipConflicts, empty when everyone was claimed
+ */
+export const claimMemberships = async (eventId, registrationId, people) => {
+  const claimed = new Set();
+
+  for (const person of people) {
+    for (const key of membershipKeys(person)) {
+      // The same person can be listed twice (admin-register puts the leader in teamMembers too)
+      if (claimed.has(key)) continue;
+      claimed.add(key);
+
+      // Twice at most - the second try follows clearing a stale claim
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await EventMembership.create({ event: eventId, key, registration: registrationId });
+          break;
+        } catch (error) {
+          if (error.code !== 11000) {
+            await releaseMemberships(registrationId);
+            throw error;
+          }
+
+          const existing = await findClaimHolder(eventId, key);
+          if (existing) {
+            await releaseMemberships(registrationId);
+            return [{ person, existing, matchedOn: key.startsWith('email:') ? 'email' : 'phone' }];
+          }
+        }
+      }
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Release everyone a registration claimed (cancelled, rejected or never created)
+ * @param {string} registrationId - Registration ID
+ */
+export const releaseMemberships = async (registrationId) => {
+  await EventMembership.deleteMany({ registration: registrationId });
+};
+
+/**
+ * Describe a conflict for error messages
+ * @param {Object} conflict - Entry from findMembershipConflicts
+ * @param {Object} options - { self: true } when the person is the logged in user
+ * @returns {string}
+ */
+export const describeMembershipConflict = ({ person, existing, matchedOn }, { self = false } = {}) => {
+  const who = self
+    ? 'You are'
+    : `${person.name || existing.name} (${matchedOn === 'email' ? normalizeEmail(person.email) : person.phone}) is`;
+
+  if (existing.role === 'pending') {
+    return `${who} being registered for this event by someone else right now`;
+  }
+  if (existing.role === 'individual') {
+    return `${who} already registered for this event (${existing.registrationNumber})`;
+  }
+  if (existing.role === 'leader') {
+    return `${who} already leading team "${existing.teamName}" for this event`;
+  }
+  return `${who} already on team "${existing.teamName}" for this event${existing.inviteStatus === 'pending' ? ' (invitation pending)' : ''}`;
+};
+
+/**
+ * Report people who appear on more than one registration for the same event
+ * People are grouped when they share an email or a phone number.
+ * @param {string} [eventId] - Limit to one event; all events when omitted
+ * @returns {Promise<Array>} - [{ event, emails, phones, entries }]
+ */
+export const findMembershipCollisions = async (eventId) => {
+  const registrations = await getActiveRegistrations(eventId ? { event: eventId } : {})
+    .populate('event', 'name');
+
+  const entriesByEvent = new Map();
+  for (const registration of registrations) {
+    if (!registration.event) continue;
+    const key = registration.event._id.toString();
+    if (!entriesByEvent.has(key)) entriesByEvent.set(key, []);
+    entriesByEvent.get(key).push(...getRegistrationPeople(registration));
+  }
+
+  const collisions = [];
+
+  for (const entries of entriesByEvent.values()) {
+    // Union entries that share an email or phone
+    const parent = entries.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const firstByKey = new Map();
+
+    entries.forEach((entry, i) => {
+      for (const key of [`email:${entry.email}`, entry.phone ? `phone:${entry.phone}` : null]) {
+        if (!key) continue;
+        if (firstByKey.has(key)) {
+          parent[find(i)] = find(firstByKey.get(key));
+        } else {
+          firstByKey.set(key, i);
+        }
+      }
+    });
+
+    const groups = new Map();
+    entries.forEach((entry, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(entry);
+    });
+
+    for (const group of groups.values()) {
+      const registrationIds = new Set(group.map((entry) => String(entry.registrationId)));
+      if (registrationIds.size < 2) continue;
+
+      collisions.push({
+        event: { _id: group[0].event._id, name: group[0].event.name },
+        emails: [...new Set(group.map((entry) => entry.email))],
+        phones: [...new Set(group.map((entry) => entry.phone).filter(Boolean))],
+        entries: group.map(({ event: _event, ...entry }) => entry)
+      });
+    }
+  }
+
+  return collisions.sort((a, b) => a.event.name.localeCompare(b.event.name));
+};
+
+export default {
+  normalizeEmail,
+  normalizePhone,
+  buildMembershipIndex,
+  findMembershipConflicts,
+  claimMemberships,
+  releaseMemberships,
+  describeMembershipConflict,
+  findMembershipCollisions
+};
@@ -0,0 +1,80 @@
+import QRCode from 'qrcode';
+import { assignPaymentAccount } from './qrRotation.js';
+
+/**
+ * UPI payment intents
+ *
+ * Builds a upi://pay link for one registration - the exact amount and the
+ * registration number as the transaction note - and renders it as a QR code
+ * on the fly, so a participant can't pay a stale uploaded QR or the wrong
+ * amount, and the note identifies the registration on the bank statement.
+ */
+
+/**
+ * Build a upi://pay deep link
+ * @param {Object} options - { upiId, payeeName, amount (rupees), note }
+ * @returns {string}
+ */
+export const buildUpiIntent = ({ upiId, payeeName, amount, note }) => {
+  // The VPA stays unencoded - several UPI apps reject "%40" in pa. No tr (merchant
+  // reference): apps refuse it for personal UPI IDs, so the note carries the reference
+  const params = [`pa=${upiId.trim()}`];
+  if (payeeName) params.push(`pn=${encodeURIComponent(payeeName)}`);
+  params.push(`am=${Number(amount).toFixed(2)}`);
+  params.push('cu=INR');
+  if (note) params.push(`tn=${encodeURIComponent(note)}`);
+  return `upi://pay?${params.join('&')}`;
+};
+
+/**
+ * Render a UPI link as a QR code
+ * @param {string} intent - upi://pay link
+ * @returns {Promise<string>} - PNG data URL
+ */
+export const generateUpiQR = (intent) => {
+  return QRCode.toDataURL(intent, {
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 320,
+    color: { dark: '#000000', light: '#FFFFFF' }
+  });
+};
+
+/**
+ * UPI intent and QR for a registration, paid to the account the QR rotation assigned it
+ * Accounts without a UPI ID only have their uploaded QR image (qrCodeUrl).
+ * @param {Object} registration - Registration document (with registrationNumber and amount)
+ * @param {Object} event - Event document
+ * @returns {Promise<Object|null>} - { upiId, accountName, qrCodeUrl, amount, note, upiUrl, qrCode }, or null without payment details
+ */
+export const createRegistrationUpiIntent = async (registration, event) => {
+  const account = await assignPaymentAccount(registration, event);
+  if (!account) return null;
+
+  const note = registration.registrationNumber;
+  const intent = {
+    upiId: account.upiId,
+    accountName: account.accountName,
+    qrCodeUrl: account.qrCodeUrl,
+    amount: registration.amount,
+    note
+  };
+
+  if (account.upiId) {
+    intent.upiUrl = buildUpiIntent({
+      upiId: account.upiId,
+      payeeName: account.accountName,
+      amount: registration.amount,
+      note
+    });
+    intent.qrCode = await generateUpiQR(intent.upiUrl);
+  }
+
+  return intent;
+};
+
+export default {
+  buildUpiIntent,
+  generateUpiQR,
+  createRegistrationUpiIntent
+};
@@ -0,0 +1,165 @@
+import Registration from '../models/Registration.js';
+import Event from '../models/Event.js';
+import Counter from '../models/Counter.js';
+import { queueEmail } from './emailQueue.js';
+import { attachEntryPass } from './entryPass.js';
+import { renderEmail } from './emailRegistry.js';
+
+/**
+ * Waitlist for events that have reached maxParticipants
+ *
+ * Waitlisted registrations keep status 'waitlisted' and a 1-based
+ * waitlistPosition. They don't count towards currentParticipants and
+ * can't be paid for until they're promoted into a freed seat.
+ *
+ * Queue order comes from waitlistTicket, taken from an atomic per-event
+ * counter, so concurrent joins never share a place. waitlistPosition is
+ * the rank shown to people and is renumbered from the tickets whenever
+ * someone joins or leaves.
+ */
+
+// Sort for queue order - registrations waitlisted before tickets existed have none and go first
+const QUEUE_ORDER = { waitlistTicket: 1, waitlistPosition: 1, createdAt: 1 };
+
+/**
+ * Take the next ticket at the end of an event's waitlist
+ * @param {string} eventId - Event ID
+ * @returns {Promise<number>}
+ */
+export const takeWaitlistTicket = (eventId) => Counter.next(`waitlist:${eventId}`);
+
+/**
+ * Number an event's waitlist 1, 2, 3... in ticket order
+ * Call after anyone joins or leaves the waitlist.
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Map<string, number>>} - Position of each waitlisted registration by ID
+ */
+export const renumberWaitlist = async (eventId) => {
+  const waiting = await Registration.find({ event: eventId, status: 'waitlisted' })
+    .sort(QUEUE_ORDER)
+    .select('waitlistPosition');
+
+  const updates = waiting
+    .map((registration, index) => ({ registration, position: index + 1 }))
+    .filter(({ registration, position }) => registration.waitlistPosition !== position)
+    .map(({ registration, position }) => ({
+      updateOne: {
+        filter: { _id: registration._id, status: 'waitlisted' },
+        update: { $set: { waitlistPosition: position } }
+      }
+    }));
+
+  if (updates.length > 0) {
+    await Registration.bulkWrite(updates);
+  }
+
+  return new Map(waiting.map((registration, index) => [registration._id.toString(), index + 1]));
+};
+
+/**
+ * Email a participant that they have joined the waitlist
+ * @param {Object} user - { _id, name, email }
+ * @param {Object} event - Event document
+ * @param {Object} registration - Waitlisted registration
+ */
+export const sendWaitlistJoinedEmail = async (user, event, registration) => {
+  try {
+    const content = renderEmail('waitlist-joined', {
+      userName: user.name,
+      eventName: event.name,
+      registrationNumber: registration.registrationNumber,
+      position: registration.waitlistPosition
+    });
+
+    await queueEmail({ email: user.email, ...content }, {
+      type: 'registration',
+      user: user._id,
+      relatedEvent: event._id,
+      relatedRegistration: registration._id
+    });
+  } catch (emailError) {
+    console.error('❌ Waitlist email error:', emailError.message);
+  }
+};
+
+const sendPromotionEmail = async (registration, event) => {
+  const user = registration.user;
+  if (!user?.email) return;
+
+  try {
+    const content = renderEmail('waitlist-promoted', {
+      userName: user.name,
+      eventName: event.name,
+      registrationNumber: registration.registrationNumber,
+      amount: registration.amount
+    });
+
+    await queueEmail({ email: user.email, ...content }, {
+      type: 'registration',
+      user: user._id,
+      relatedEvent: event._id,
+      relatedRegistration: registration._id
+    });
+  } catch (emailError) {
+    console.error('❌ Waitlist promotion email error:', emailError.message);
+  }
+};
+
+/**
+ * Move waitlisted registrations into any free seats, in waitlist order.
+ * Call this whenever a seat is released (cancellation, rejected payment).
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} - Promoted registrations
+ */
+export const promoteFromWaitlist = async (eventId) => {
+  const promoted = [];
+
+  while (true) {
+    // Only hold a seat when someone is waiting for it - a seat held for nobody makes a
+    // concurrent registration see the event as full and land on the waitlist
+    const waiting = await Registration.exists({ event: eventId, status: 'waitlisted' });
+    if (!waiting) break;
+
+    // Claim the seat first, then the head of the queue, so concurrent promotions can't overbook
+    const event = await Event.reserveSeat(eventId);
+    if (!event) break;
+
+    const next = await Registration.findOneAndUpdate(
+      { event: event._id, status: 'waitlisted' },
+      {
+        $set: { status: 'registered', promotedFromWaitlistAt: new Date() },
+        $unset: { waitlistPosition: '', waitlistTicket: '' }
+      },
+      { sort: QUEUE_ORDER, new: true }
+    ).populate('user', 'name email userCode');
+
+    if (!next) {
+      // The waitlist emptied since the check (another promotion or a cancellation) - give the seat back
+      await Event.releaseSeat(event._id);
+      break;
+    }
+
+    await renumberWaitlist(event._id);
+
+    // Free events are confirmed straight away; paid ones now go through the normal payment flow
+    if (next.amount === 0) {
+      next.paymentStatus = 'completed';
+      attachEntryPass(next, next.user?.userCode);
+      await next.save();
+    }
+
+    promoted.push(next);
+
+    console.log(`✅ Promoted ${next.registrationNumber} from the waitlist for ${event.name}`);
+    await sendPromotionEmail(next, event);
+  }
+
+  return promoted;
+};
+
+export default {
+  takeWaitlistTicket,
+  renumberWaitlist,
+  sendWaitlistJoinedEmail,
+  promoteFromWaitlist
+};